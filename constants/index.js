@@ -5,6 +5,41 @@ export const USER_ROLES = {
   ADMIN: "admin",
 };
 
+// Named permissions checked by requirePermission(); supaadmins implicitly hold all of them
+export const PERMISSIONS = {
+  USERS_MANAGE: "users:manage",
+  USERS_IMPERSONATE: "users:impersonate",
+  SECURITY_MANAGE: "security:manage",
+  ROLES_MANAGE: "roles:manage",
+  DEALS_WRITE: "deals:write",
+  COURSES_EDIT: "courses:edit",
+  WEBINARS_MANAGE: "webinars:manage",
+  WEBINARS_HOST: "webinars:host",
+  ORDERS_READ: "orders:read",
+  TAXONOMY_WRITE: "taxonomy:write",
+  UPLOADS_WRITE: "uploads:write",
+};
+
+// Roles that always exist. Their permissions can be changed from the roles admin, but they cannot be deleted.
+export const BUILT_IN_ROLES = {
+  [USER_ROLES.USER]: {
+    name: "User",
+    permissions: [],
+  },
+  [USER_ROLES.ADMIN]: {
+    name: "Admin",
+    permissions: [
+      PERMISSIONS.DEALS_WRITE,
+      PERMISSIONS.COURSES_EDIT,
+      PERMISSIONS.WEBINARS_MANAGE,
+      PERMISSIONS.WEBINARS_HOST,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.TAXONOMY_WRITE,
+      PERMISSIONS.UPLOADS_WRITE,
+    ],
+  },
+};
+
 export const WEBINAR_STATUS = {
   UPCOMING: "upcoming",
   LIVE: "live",
@@ -1,19 +1,37 @@
 import User from '../models/User.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import axios from 'axios';
 import sendEmail from '../utils/sendEmail.js';
 import mongoose from 'mongoose';
 import { consumeViewAsCode } from '../utils/viewAsStore.js';
-
-// Generate JWT token
-const generateAccessToken = (id, role) =>
-  jwt.sign({ id, role }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '7d' });
-
-// Short-lived token for "View as User" (1 hour)
-const generateViewAsToken = (id, role) =>
-  jwt.sign({ id, role }, process.env.ACCESS_TOKEN_SECRET, { expiresIn: '1h' });
+import { recordImpersonationEvent } from '../services/impersonationService.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+} from '../services/sessionService.js';
+import { recordLoginEvent } from '../services/loginAuditService.js';
+import { getAuthLimiters } from '../services/rateLimiter.js';
+import { isAccountLocked, clearAccountLock, registerFailedLogin, hashUnlockToken } from '../services/accountLockService.js';
+import { sendTooManyRequests } from '../middleware/rateLimitMiddleware.js';
+import { issuePasswordSetupInvite, sendPasswordSetupInvite } from '../services/passwordSetupService.js';
+import { checkPasswordStrength } from '../utils/passwordPolicy.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import {
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  verifySecondFactor,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from '../services/twoFactorService.js';
+
+// Key for per-account limiters
+const accountKey = (email) => String(email || '').toLowerCase().trim();
 
 // ======================== CONTROLLERS ========================
 
@@ -23,34 +41,32 @@ export const registerUser = async (req, res) => {
   session.startTransaction();
 
   try {
-    const { firstName, lastName, email, phone, role } = req.body;
+    const { firstName, lastName, email, phone, timezone } = req.body;
     if (!firstName || !lastName || !email || !phone) {
       return res.status(400).json({ message: 'All fields are required' });
     }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
 
     const existing = await User.findOne({ email });
     if (existing) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    const hashedPassword = await bcrypt.hash('123456', 10);
+    // No password yet: the user chooses one through the emailed invite link
+    const newUser = new User({
+      firstName,
+      lastName,
+      email,
+      phone,
+      timezone,
+      role: 'user', // Self-registration never grants a privileged role
+    });
+    const setupUrl = issuePasswordSetupInvite(newUser);
 
     // Create user inside transaction
-    const [user] = await User.create(
-      [
-        {
-          firstName,
-          lastName,
-          email,
-          phone,
-          password: hashedPassword,
-          role: role || 'user',
-          verificationToken,
-        },
-      ],
-      { session }
-    );
+    const user = await newUser.save({ session });
 
     // === Create HubSpot contact ===
     const HUBSPOT_API_URL = "https://api.hubapi.com/crm/v3/objects/contacts";
@@ -72,30 +88,26 @@ export const registerUser = async (req, res) => {
       },
     });
 
-    // === Send verification email ===
-    const verificationUrl = `${process.env.CLIENT_URL}/verify/${verificationToken}`;
-    const templateId = process.env.ACCOUNT_VERIFICATION_TEMPLATE_ID;
-    const data = { firstName: user.firstName, lastName: user.lastName, url: verificationUrl, subject: "Royal Vault Portal - Account Verification" };
-    await sendEmail(user.email, data, templateId);
-
-    // === Generate JWT token ===
-    const accessToken = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.ACCESS_TOKEN_SECRET,
-      { expiresIn: '15m' }
-    );
+    // === Send "set your password" invite ===
+    await sendPasswordSetupInvite(user, setupUrl);
 
     // ✅ Commit transaction only after all success
     await session.commitTransaction();
     session.endSession();
 
+    // === Start login session once the user is persisted ===
+    const { accessToken, refreshToken } = await createSession(user, req);
+
     res.status(201).json({
       message: 'Registered successfully. You are now logged in.',
       accessToken,
+      refreshToken,
     });
   } catch (e) {
-    // ❌ Rollback DB changes if any error occurs
-    await session.abortTransaction();
+    // ❌ Rollback DB changes if any error occurs (not after the commit, e.g. when starting the login session fails)
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     session.endSession();
 
     console.error('Registration error:', e.message);
@@ -108,24 +120,35 @@ export const registerUser = async (req, res) => {
   }
 };
 
-// Verify email
+// Verify email and set the initial password (invite link)
 export const verifyEmail = async (req, res) => {
   try {
     const { token } = req.params;
     const { password } = req.body;
-    const user = await User.findOne({ verificationToken: token });
+
+    const passwordErrors = checkPasswordStrength(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet requirements', errors: passwordErrors });
+    }
+
+    const user = await User.findOne({
+      verificationToken: token,
+      verificationTokenExpire: { $gt: Date.now() },
+    });
     if (!user) return res.status(400).json({ message: 'Invalid or expired token' });
     user.isVerified = true;
     user.verificationToken = null;
+    user.verificationTokenExpire = null;
     user.password = await bcrypt.hash(password, 10);
-
-    // Generate token for immediate login
-    const accessToken = generateAccessToken(user.id, user.role);
     await user.save();
 
+    // Start a session for immediate login
+    const { accessToken, refreshToken } = await createSession(user, req);
+
     res.json({
       message: 'Email verified successfully. You are now logged in.',
-      accessToken
+      accessToken,
+      refreshToken
     });
   } catch (e) {
     res.status(500).json({ message: e.message });
@@ -136,34 +159,319 @@ export const verifyEmail = async (req, res) => {
 export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
+    const { loginAccount } = getAuthLimiters();
+
+    const throttle = await loginAccount.check(accountKey(email));
+    if (!throttle.allowed) {
+      await recordLoginEvent(req, { email, success: false, failureReason: 'rate-limited' });
+      return sendTooManyRequests(res, throttle.retryAfterMs);
+    }
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ message: 'You are not registered yet. Please register first.' });
-    if (!user.isVerified) {
-      // return res.status(403).json({ message: 'Please verify your email before logging in.' });
-      return res.status(403).json({ message: 'Please reset your email password before log in' });
+    if (!user) {
+      await loginAccount.hit(accountKey(email));
+      await recordLoginEvent(req, { email, success: false, failureReason: 'user-not-found' });
+      return res.status(404).json({ message: 'You are not registered yet. Please register first.' });
+    }
+    if (isAccountLocked(user)) {
+      await recordLoginEvent(req, { user, email, success: false, failureReason: 'account-locked' });
+      return res.status(423).json({
+        message: 'Your account is temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+        lockUntil: user.lockUntil,
+      });
+    }
+    if (!user.isVerified || !user.password) {
+      await recordLoginEvent(req, { user, email, success: false, failureReason: 'not-verified' });
+      return res.status(403).json({
+        message: 'Please set your password using the link we emailed you. If the link has expired, request a new one.',
+        canResendInvite: true,
+      });
     }
 
 
     const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ message: 'Invalid or incorrect password' });
+    if (!ok) {
+      await loginAccount.hit(accountKey(email));
+      const { locked, lockUntil } = await registerFailedLogin(user);
+      await recordLoginEvent(req, { user, email, success: false, failureReason: 'invalid-password' });
+      if (locked) {
+        return res.status(423).json({
+          message: 'Too many failed login attempts. Your account has been temporarily locked and an unlock link was sent to your email.',
+          lockUntil,
+        });
+      }
+      return res.status(401).json({ message: 'Invalid or incorrect password' });
+    }
+
+    // Second step: the session is only started once the TOTP/backup code is verified
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: signTwoFactorChallenge(user),
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Shared tail of a successful login (password only, or password + 2FA)
+const completeLogin = async (user, req, res) => {
+  await getAuthLimiters().loginAccount.reset(accountKey(user.email));
+  clearAccountLock(user);
+  user.lastLoginEmail = user.email;
+  user.lastLoginAt = new Date();
+
+  await user.save();
+
+  const { accessToken, refreshToken } = await createSession(user, req);
+  await recordLoginEvent(req, { user, email: user.email, success: true });
 
-    const accessToken = generateAccessToken(user.id, user.role);
-    user.lastLoginEmail = email;
-    user.lastLoginPassword = password; // Note: This stores the plain text password
-    user.lastLoginAt = new Date();
+  // Tell the client when the 2FA policy requires enrollment before admin access
+  const twoFactorSetupRequired = !user.twoFactor?.enabled && await isTwoFactorRequired(user);
+  res.json({ accessToken, refreshToken, ...(twoFactorSetupRequired && { twoFactorSetupRequired }) });
+};
+
+// Login step 2: verify TOTP code or backup code
+export const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, backupCode } = req.body;
+    if (!twoFactorToken || (!code && !backupCode)) {
+      return res.status(400).json({ message: 'Two-factor token and code are required' });
+    }
+
+    const userId = verifyTwoFactorChallenge(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+    }
 
+    const { loginAccount } = getAuthLimiters();
+    const throttle = await loginAccount.check(accountKey(user.email));
+    if (!throttle.allowed) {
+      await recordLoginEvent(req, { user, email: user.email, success: false, failureReason: 'rate-limited' });
+      return sendTooManyRequests(res, throttle.retryAfterMs);
+    }
+    if (isAccountLocked(user)) {
+      await recordLoginEvent(req, { user, email: user.email, success: false, failureReason: 'account-locked' });
+      return res.status(423).json({
+        message: 'Your account is temporarily locked due to too many failed login attempts. Check your email to unlock it.',
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    const ok = await verifySecondFactor(user._id, { code, backupCode });
+    if (!ok) {
+      await loginAccount.hit(accountKey(user.email));
+      const { locked, lockUntil } = await registerFailedLogin(user);
+      await recordLoginEvent(req, { user, email: user.email, success: false, failureReason: 'invalid-2fa-code' });
+      if (locked) {
+        return res.status(423).json({
+          message: 'Too many failed login attempts. Your account has been temporarily locked and an unlock link was sent to your email.',
+          lockUntil,
+        });
+      }
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (e) {
+    console.error('Two-factor login error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Two-factor status for the current user
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const required = await isTwoFactorRequired(req.user);
+    res.json({
+      enabled: Boolean(req.user.twoFactor?.enabled),
+      enabledAt: req.user.twoFactor?.enabledAt || null,
+      required,
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Start 2FA enrollment: returns the secret and the otpauth:// URI to render as a QR code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    const { secret, otpauthUrl } = await beginEnrollment(req.user._id);
+    res.json({ secret, otpauthUrl });
+  } catch (e) {
+    console.error('Two-factor setup error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Finish 2FA enrollment with a code from the authenticator app
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Code is required' });
+    }
+
+    const backupCodes = await confirmEnrollment(req.user._id, code);
+    if (!backupCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    // Sessions started without 2FA are signed out
+    await revokeAllSessions(req.user._id, '2fa-enabled', req.sessionId);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they are shown only once.',
+      backupCodes,
+    });
+  } catch (e) {
+    console.error('Two-factor enable error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Replace backup codes (requires a current TOTP code)
+export const regenerateTwoFactorBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!code || !(await verifySecondFactor(req.user._id, { code }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user._id);
+    res.json({ message: 'Backup codes regenerated', backupCodes });
+  } catch (e) {
+    console.error('Regenerate backup codes error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Turn 2FA off (requires password and a current code; not allowed when the role requires 2FA)
+export const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const passwordOk = password && user.password && await bcrypt.compare(password, user.password);
+    if (!passwordOk) {
+      return res.status(400).json({ message: 'Invalid or incorrect password' });
+    }
+    if (!(await verifySecondFactor(user._id, { code, backupCode }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await disableTwoFactor(user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (e) {
+    console.error('Two-factor disable error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Resend the "set your password" invite (new link, previous one stops working)
+export const resendInvite = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const { forgotPasswordAccount } = getAuthLimiters();
+    const throttle = await forgotPasswordAccount.check(accountKey(email));
+    if (!throttle.allowed) {
+      return sendTooManyRequests(res, throttle.retryAfterMs);
+    }
+    await forgotPasswordAccount.hit(accountKey(email));
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.isVerified && user.password) {
+      return res.status(400).json({ message: 'Your password is already set. Use "Forgot password" to reset it.' });
+    }
+
+    const setupUrl = issuePasswordSetupInvite(user);
     await user.save();
-    res.json({ accessToken });
+    await sendPasswordSetupInvite(user, setupUrl);
+
+    res.json({ message: 'A new invite link has been sent to your email.' });
+  } catch (e) {
+    console.error('Resend invite error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Refresh access token (rotates the refresh token)
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokens = await refreshSession(refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ accessToken: tokens.accessToken, refreshToken: tokens.refreshToken });
   } catch (e) {
+    console.error('Refresh token error:', e);
     res.status(500).json({ message: e.message });
   }
 };
 
-// Logout
+// Logout - revokes the current session (from the access token or the refresh token)
 export const logoutUser = async (req, res) => {
-  // Logout is handled client-side by clearing the access token
-  // No server-side action needed
-  res.json({ message: 'Logged out successfully' });
+  try {
+    const { refreshToken } = req.body || {};
+    if (req.sessionId || refreshToken) {
+      await revokeSession({ sessionId: req.sessionId, refreshToken });
+    }
+    if (req.impersonator) {
+      await recordImpersonationEvent({
+        impersonator: req.impersonator,
+        targetUser: req.user._id,
+        session: req.sessionId,
+        event: 'end',
+        req,
+      });
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (e) {
+    console.error('Logout error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Logout from all devices - revokes every session of the current user
+export const logoutAllDevices = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id);
+    res.json({ message: 'Logged out from all devices', revokedCount });
+  } catch (e) {
+    console.error('Logout all devices error:', e);
+    res.status(500).json({ message: e.message });
+  }
 };
 
 // Exchange one-time "View as User" code for access token (no auth required)
@@ -174,17 +482,27 @@ export const exchangeViewAsCode = async (req, res) => {
       return res.status(400).json({ message: 'Code is required' });
     }
 
-    const userId = consumeViewAsCode(code);
-    if (!userId) {
+    const viewAs = await consumeViewAsCode(code);
+    if (!viewAs) {
       return res.status(400).json({ message: 'Invalid or expired code' });
     }
 
-    const user = await User.findById(userId).select('_id role').lean();
+    const user = await User.findById(viewAs.userId).select('_id role').lean();
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const accessToken = generateViewAsToken(user._id.toString(), user.role);
+    const { session, accessToken } = await createSession(user, req, {
+      type: 'view-as',
+      impersonatorId: viewAs.impersonatorId,
+    });
+    await recordImpersonationEvent({
+      impersonator: viewAs.impersonatorId,
+      targetUser: user._id,
+      session: session._id,
+      event: 'start',
+      req,
+    });
 
     return res.status(200).json({
       message: 'View as user session started',
@@ -196,6 +514,50 @@ export const exchangeViewAsCode = async (req, res) => {
   }
 };
 
+// End the current "View as User" session (revokes it and closes the audit trail)
+export const endViewAsSession = async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ message: 'Not a view as user session' });
+    }
+
+    await revokeSession({ sessionId: req.sessionId }, 'view-as-ended');
+    await recordImpersonationEvent({
+      impersonator: req.impersonator,
+      targetUser: req.user._id,
+      session: req.sessionId,
+      event: 'end',
+      req,
+    });
+
+    res.json({ message: 'View as user session ended' });
+  } catch (e) {
+    console.error('End view-as session error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
+// Unlock an account locked after too many failed logins (link from the unlock email)
+export const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const user = await User.findOne({
+      unlockTokenHash: hashUnlockToken(token),
+      unlockTokenExpires: { $gt: new Date() },
+    });
+    if (!user) return res.status(400).json({ message: 'Invalid or expired unlock link' });
+
+    clearAccountLock(user);
+    await user.save();
+    await getAuthLimiters().loginAccount.reset(accountKey(user.email));
+
+    res.json({ message: 'Your account has been unlocked. You can log in again.' });
+  } catch (e) {
+    console.error('Unlock account error:', e);
+    res.status(500).json({ message: e.message });
+  }
+};
+
 // Basic user profile (MongoDB only) - for AuthContext and other components
 export const getUser = async (req, res) => {
   try {
@@ -284,6 +646,14 @@ export const getProfile = async (req, res) => {
 export const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
+
+    const { forgotPasswordAccount } = getAuthLimiters();
+    const throttle = await forgotPasswordAccount.check(accountKey(email));
+    if (!throttle.allowed) {
+      return sendTooManyRequests(res, throttle.retryAfterMs);
+    }
+    await forgotPasswordAccount.hit(accountKey(email));
+
     const user = await User.findOne({ email });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
@@ -310,6 +680,12 @@ export const resetPassword = async (req, res) => {
   try {
     const { token } = req.params;
     const { password } = req.body;
+
+    const passwordErrors = checkPasswordStrength(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet requirements', errors: passwordErrors });
+    }
+
     const user = await User.findOne({
       resetPasswordToken: token,
       resetPasswordExpire: { $gt: Date.now() },
@@ -320,15 +696,29 @@ export const resetPassword = async (req, res) => {
     user.resetPasswordToken = null;
     user.isVerified = true;
     user.verificationToken = null;
+    user.verificationTokenExpire = null;
     user.resetPasswordExpire = null;
-
-    // Generate token for immediate login
-    const accessToken = generateAccessToken(user.id, user.role);
+    clearAccountLock(user); // Proving access to the mailbox also unlocks the account
     await user.save();
 
+    // A password reset signs out every other device before starting a new session
+    await revokeAllSessions(user._id, 'password-reset');
+
+    // The reset link proves the mailbox, not the second factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Password reset successful. Enter your authentication code to log in.',
+        twoFactorRequired: true,
+        twoFactorToken: signTwoFactorChallenge(user),
+      });
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+
     res.json({
       message: 'Password reset successful. You are now logged in.',
-      accessToken
+      accessToken,
+      refreshToken
     });
   } catch (e) {
     res.status(500).json({ message: e.message });
@@ -339,7 +729,7 @@ export const resetPassword = async (req, res) => {
 export const updateProfile = async (req, res) => {
 
   try {
-    const { firstName, lastName, email, phone, utms, lifecyclestage, street, city, state, postal } = req.body;
+    const { firstName, lastName, email, phone, timezone, utms, lifecyclestage, street, city, state, postal, currentPassword, newPassword } = req.body;
     const userId = req.user.id;
 
     // Find the user
@@ -348,6 +738,22 @@ export const updateProfile = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Password change requires the current password and must satisfy the policy
+    if (newPassword !== undefined) {
+      const currentOk = user.password && currentPassword && await bcrypt.compare(currentPassword, user.password);
+      if (!currentOk) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+      const passwordErrors = checkPasswordStrength(newPassword);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({ message: 'Password does not meet requirements', errors: passwordErrors });
+      }
+    }
+
+    if (timezone !== undefined && timezone !== null && timezone !== '' && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
     // Check if email is being changed and if it's already taken by another user
     if (email && email !== user.email) {
       const existingUser = await User.findOne({ email, _id: { $ne: userId } });
@@ -361,9 +767,16 @@ export const updateProfile = async (req, res) => {
     if (lastName !== undefined) user.lastName = lastName;
     if (email !== undefined) user.email = email;
     if (phone !== undefined) user.phone = phone;
+    if (timezone !== undefined) user.timezone = timezone || undefined; // Empty clears it (emails fall back to the default)
+    if (newPassword !== undefined) user.password = await bcrypt.hash(newPassword, 10);
 
     await user.save();
 
+    // Changing the password signs out every other device
+    if (newPassword !== undefined) {
+      await revokeAllSessions(user._id, 'password-change', req.sessionId);
+    }
+
     // // Update HubSpot contact if HubSpot integration is enabled
     const HUBSPOT_PRIVATE_API_KEY = process.env.HUBSPOT_PRIVATE_API_KEY;
     if (HUBSPOT_PRIVATE_API_KEY) {
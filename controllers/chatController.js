@@ -1,34 +1,99 @@
-import ChatMessage from '../models/ChatMessage.js';
+import ChatMessage, { SHOWN_STATUS_FILTER } from '../models/ChatMessage.js';
 import Webinar from '../models/Webinar.js';
 import mongoose from 'mongoose';
+import { publishWebinarEvent } from '../services/webinarLiveService.js';
+import { getClientIp } from '../utils/requestInfo.js';
+import {
+  getChatFilterSettings,
+  checkMessageFilters,
+  getActiveRestriction,
+  getSlowModeWait,
+  recordModerationAction,
+} from '../services/chatModerationService.js';
+
+const MAX_GUEST_NAME_LENGTH = 50;
 
 /**
  * Save a chat message
  * POST /api/webinars/:webinarId/chat
+ * The sender is taken from the auth token. Guests (no token) may post under a
+ * `guestName` only when the webinar has guest chat enabled.
  */
 export const saveMessage = async (req, res) => {
   try {
     const { webinarId } = req.params;
-    const { senderUserId, senderName, text } = req.body;
+    const { text, guestName } = req.body;
 
     // Validate required fields
-    if (!senderName || !text || !text.trim()) {
-      return res.status(400).json({
-        message: 'Missing required fields: senderUserId, senderName, and text are required'
-      });
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: 'Message text is required' });
     }
 
     // Verify webinar exists
-    const webinar = await Webinar.findById(webinarId);
+    const webinar = await Webinar.findById(webinarId).select('guestChat chatSlowModeSeconds');
     if (!webinar) {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
+    let sender = null;
+    let guestIp;
+    let senderName;
+    let senderRole;
+    if (req.user) {
+      sender = req.user._id;
+      senderName = `${req.user.firstName} ${req.user.lastName}`.trim();
+      senderRole = req.permissions?.has('webinars:host') ? 'host' : 'attendee';
+    } else {
+      if (webinar.guestChat !== 'Yes') {
+        return res.status(401).json({ message: 'Please sign in to chat' });
+      }
+      senderName = typeof guestName === 'string' ? guestName.trim() : '';
+      if (!senderName || senderName.length > MAX_GUEST_NAME_LENGTH) {
+        return res.status(400).json({ message: `Guest name is required (max ${MAX_GUEST_NAME_LENGTH} characters)` });
+      }
+      senderRole = 'guest';
+      guestIp = getClientIp(req);
+    }
+
+    // Hosts are not subject to restrictions, slow mode or the word/link filter
+    if (senderRole !== 'host') {
+      if (sender) {
+        const restriction = await getActiveRestriction(webinarId, sender);
+        if (restriction) {
+          return res.status(403).json({
+            message: restriction.type === 'ban' ? 'You are banned from this chat' : 'You are muted in this chat',
+            restriction: { type: restriction.type, expiresAt: restriction.expiresAt }
+          });
+        }
+      }
+
+      const wait = await getSlowModeWait(webinar, { sender, guestIp });
+      if (wait > 0) {
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({ message: `Slow mode is on. Wait ${wait}s before sending another message`, retryAfter: wait });
+      }
+
+      const blockedReason = checkMessageFilters(text, await getChatFilterSettings());
+      if (blockedReason) {
+        await recordModerationAction({
+          webinar: webinarId,
+          action: 'message-blocked',
+          targetUser: sender,
+          targetName: senderName,
+          reason: blockedReason,
+          details: { text: text.trim() }
+        });
+        return res.status(400).json({ message: 'Your message was blocked by the chat filter', reason: blockedReason });
+      }
+    }
+
     // Create and save the message
     const message = new ChatMessage({
       webinar: webinarId,
-      senderUserId,
+      sender,
+      guestIp,
       senderName,
+      senderRole,
       text: text.trim(),
     });
 
@@ -36,9 +101,11 @@ export const saveMessage = async (req, res) => {
 
     // Populate sender info for response
     const populatedMessage = await ChatMessage.findById(message._id)
-      .populate('senderUserId', 'name email')
+      .populate('sender', 'firstName lastName')
       .lean();
 
+    publishWebinarEvent(webinarId, 'chat:message', populatedMessage);
+
     res.status(201).json({
       message: 'Chat message saved successfully',
       chatMessage: populatedMessage
@@ -64,8 +131,13 @@ export const getMessages = async (req, res) => {
     }
 
     // Get all messages for this webinar, sorted by creation time (oldest first)
-    const messages = await ChatMessage.find({ webinar: webinarId })
-      .populate('senderUserId', 'name email')
+    // Hosts also see hidden and deleted messages
+    const filter = { webinar: webinarId };
+    if (!req.permissions?.has('webinars:host')) {
+      filter.status = SHOWN_STATUS_FILTER;
+    }
+    const messages = await ChatMessage.find(filter)
+      .populate('sender', 'firstName lastName')
       .sort({ createdAt: 1 }) // Oldest messages first
       .lean();
 
@@ -103,6 +175,14 @@ export const clearMessages = async (req, res) => {
     // Delete all messages for this webinar
     const result = await ChatMessage.deleteMany({ webinar: webinarId });
 
+    await recordModerationAction({
+      webinar: webinarId,
+      action: 'clear',
+      moderator: req.user._id,
+      details: { deletedCount: result.deletedCount }
+    });
+    publishWebinarEvent(webinarId, 'chat:clear', {});
+
     res.status(200).json({
       message: 'Chat messages cleared successfully',
       deletedCount: result.deletedCount
@@ -144,9 +224,12 @@ export const pinMessage = async (req, res) => {
 
     // Populate sender info for response
     const populatedMessage = await ChatMessage.findById(message._id)
-      .populate('senderUserId', 'name email')
+      .populate('sender', 'firstName lastName')
       .lean();
 
+    await recordModerationAction({ webinar: webinarId, action: 'pin', message: message._id, moderator: req.user._id });
+    publishWebinarEvent(webinarId, 'chat:pin', populatedMessage);
+
     res.status(200).json({
       message: 'Message pinned successfully',
       chatMessage: populatedMessage
@@ -186,6 +269,9 @@ export const unpinMessage = async (req, res) => {
     message.isPinned = false;
     await message.save();
 
+    await recordModerationAction({ webinar: webinarId, action: 'unpin', message: message._id, moderator: req.user._id });
+    publishWebinarEvent(webinarId, 'chat:unpin', { _id: message._id });
+
     res.status(200).json({
       message: 'Message unpinned successfully'
     });
@@ -212,9 +298,10 @@ export const getPinnedMessages = async (req, res) => {
     // Get all pinned messages for this webinar, sorted by creation time (oldest first, newest at bottom)
     const pinnedMessages = await ChatMessage.find({ 
       webinar: webinarId, 
-      isPinned: true 
+      isPinned: true,
+      status: SHOWN_STATUS_FILTER
     })
-      .populate('senderUserId', 'name email')
+      .populate('sender', 'firstName lastName')
       .sort({ createdAt: 1 }) // Oldest messages first, newest at bottom
       .lean();
 
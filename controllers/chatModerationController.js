@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import ChatMessage, { SHOWN_STATUS_FILTER } from '../models/ChatMessage.js';
+import ChatModerationLog from '../models/ChatModerationLog.js';
+import ChatRestriction from '../models/ChatRestriction.js';
+import User from '../models/User.js';
+import Webinar from '../models/Webinar.js';
+import { publishWebinarEvent } from '../services/webinarLiveService.js';
+import {
+  getChatFilterSettings,
+  updateChatFilterSettings,
+  recordModerationAction,
+} from '../services/chatModerationService.js';
+
+const DEFAULT_MUTE_MINUTES = 10;
+
+// Find a message of the webinar, or send the error response and return null
+const findWebinarMessage = async (req, res) => {
+  const { webinarId, messageId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(400).json({ message: 'Invalid webinar or message ID' });
+    return null;
+  }
+  const message = await ChatMessage.findOne({ _id: messageId, webinar: webinarId });
+  if (!message) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+  return message;
+};
+
+// Set a message's visibility and log/broadcast the change
+const moderateMessage = (status, action, liveEvent) => async (req, res) => {
+  try {
+    const message = await findWebinarMessage(req, res);
+    if (!message) return;
+
+    message.status = status;
+    message.moderatedBy = req.user._id;
+    message.moderatedAt = new Date();
+    if (status !== 'visible') message.isPinned = false;
+    await message.save();
+
+    await recordModerationAction({
+      webinar: message.webinar,
+      action,
+      message: message._id,
+      targetUser: message.sender,
+      targetName: message.senderName,
+      moderator: req.user._id,
+      reason: req.body?.reason,
+    });
+    publishWebinarEvent(message.webinar, liveEvent, status === 'visible' ? message.toObject() : { _id: message._id });
+
+    res.status(200).json({ message: `Message ${status === 'visible' ? 'restored' : status}`, chatMessage: message });
+  } catch (error) {
+    console.error(`Error moderating chat message (${action}):`, error);
+    res.status(500).json({ message: 'Error moderating chat message' });
+  }
+};
+
+/**
+ * Hide a message from viewers (reversible)
+ * POST /api/webinars/:webinarId/chat/:messageId/hide
+ */
+export const hideMessage = moderateMessage('hidden', 'hide', 'chat:hide');
+
+/**
+ * Show a hidden message again
+ * POST /api/webinars/:webinarId/chat/:messageId/unhide
+ */
+export const unhideMessage = moderateMessage('visible', 'unhide', 'chat:unhide');
+
+/**
+ * Soft-delete a message (kept for the moderation history, never shown to viewers)
+ * DELETE /api/webinars/:webinarId/chat/:messageId
+ */
+export const deleteMessage = moderateMessage('deleted', 'delete', 'chat:delete');
+
+/**
+ * Mute (for a number of minutes) or ban a user from a webinar's chat
+ * POST /api/webinars/:webinarId/chat/restrictions
+ * Body: { userId, type: 'mute' | 'ban', durationMinutes?, reason? }
+ * Banning also hides the user's existing messages.
+ */
+export const restrictChatUser = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const { userId, type, durationMinutes = DEFAULT_MUTE_MINUTES, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid webinar or user ID' });
+    }
+    if (!['mute', 'ban'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be "mute" or "ban"' });
+    }
+    const minutes = Number(durationMinutes);
+    if (type === 'mute' && (!Number.isFinite(minutes) || minutes <= 0)) {
+      return res.status(400).json({ message: 'durationMinutes must be a positive number' });
+    }
+
+    const [webinar, user] = await Promise.all([
+      Webinar.findById(webinarId).select('_id').lean(),
+      User.findById(userId).select('firstName lastName').lean(),
+    ]);
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const expiresAt = type === 'mute' ? new Date(Date.now() + minutes * 60 * 1000) : null;
+    const restriction = await ChatRestriction.findOneAndUpdate(
+      { webinar: webinarId, user: userId },
+      { $set: { type, expiresAt, reason, createdBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    let hiddenCount = 0;
+    if (type === 'ban') {
+      const result = await ChatMessage.updateMany(
+        { webinar: webinarId, sender: userId, status: SHOWN_STATUS_FILTER },
+        { $set: { status: 'hidden', isPinned: false, moderatedBy: req.user._id, moderatedAt: new Date() } }
+      );
+      hiddenCount = result.modifiedCount;
+    }
+
+    await recordModerationAction({
+      webinar: webinarId,
+      action: type,
+      targetUser: userId,
+      targetName: `${user.firstName} ${user.lastName}`.trim(),
+      moderator: req.user._id,
+      reason,
+      details: { expiresAt, hiddenCount },
+    });
+    publishWebinarEvent(webinarId, 'chat:restriction', { userId, type, expiresAt, hiddenMessages: hiddenCount > 0 });
+
+    res.status(200).json({ message: `User ${type === 'ban' ? 'banned' : 'muted'}`, restriction, hiddenCount });
+  } catch (error) {
+    console.error('Error restricting chat user:', error);
+    res.status(500).json({ message: 'Error restricting chat user' });
+  }
+};
+
+/**
+ * Lift a mute or ban
+ * DELETE /api/webinars/:webinarId/chat/restrictions/:userId
+ */
+export const liftChatRestriction = async (req, res) => {
+  try {
+    const { webinarId, userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid webinar or user ID' });
+    }
+
+    const restriction = await ChatRestriction.findOneAndDelete({ webinar: webinarId, user: userId }).lean();
+    if (!restriction) {
+      return res.status(404).json({ message: 'User is not muted or banned' });
+    }
+
+    await recordModerationAction({
+      webinar: webinarId,
+      action: 'lift-restriction',
+      targetUser: userId,
+      moderator: req.user._id,
+      details: { type: restriction.type },
+    });
+    publishWebinarEvent(webinarId, 'chat:restriction', { userId, type: null, expiresAt: null });
+
+    res.status(200).json({ message: 'Restriction lifted' });
+  } catch (error) {
+    console.error('Error lifting chat restriction:', error);
+    res.status(500).json({ message: 'Error lifting chat restriction' });
+  }
+};
+
+/**
+ * Current mutes and bans for a webinar
+ * GET /api/webinars/:webinarId/chat/restrictions
+ */
+export const getChatRestrictions = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+    const restrictions = await ChatRestriction.find({
+      webinar: webinarId,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    })
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ message: 'Chat restrictions fetched successfully', restrictions });
+  } catch (error) {
+    console.error('Error fetching chat restrictions:', error);
+    res.status(500).json({ message: 'Error fetching chat restrictions' });
+  }
+};
+
+/**
+ * Turn slow mode on (seconds > 0) or off (0)
+ * PUT /api/webinars/:webinarId/chat/slow-mode
+ */
+export const setSlowMode = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+    const seconds = Number(req.body.seconds);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > 3600) {
+      return res.status(400).json({ message: 'seconds must be a whole number between 0 and 3600' });
+    }
+
+    const webinar = await Webinar.findByIdAndUpdate(
+      webinarId,
+      { $set: { chatSlowModeSeconds: seconds } },
+      { new: true }
+    ).select('chatSlowModeSeconds');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    await recordModerationAction({ webinar: webinarId, action: 'slow-mode', moderator: req.user._id, details: { seconds } });
+    publishWebinarEvent(webinarId, 'chat:slow-mode', { seconds });
+
+    res.status(200).json({ message: seconds ? 'Slow mode enabled' : 'Slow mode disabled', chatSlowModeSeconds: seconds });
+  } catch (error) {
+    console.error('Error setting slow mode:', error);
+    res.status(500).json({ message: 'Error setting slow mode' });
+  }
+};
+
+/**
+ * Moderation history of a webinar's chat (newest first)
+ * GET /api/webinars/:webinarId/chat/moderation-log?page=&limit=&action=
+ */
+export const getModerationLog = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+    const { page = 1, limit = 50, action = '' } = req.query;
+
+    const filter = { webinar: webinarId };
+    if (action) {
+      filter.action = action;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [total, entries] = await Promise.all([
+      ChatModerationLog.countDocuments(filter),
+      ChatModerationLog.find(filter)
+        .populate('moderator', 'firstName lastName')
+        .populate('targetUser', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      message: 'Moderation log fetched successfully',
+      entries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalEntries: total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    res.status(500).json({ message: 'Error fetching moderation log' });
+  }
+};
+
+/**
+ * Word and link filter applied to every chat message
+ * GET /api/webinars/admin/chat-filters
+ */
+export const getChatFilters = async (req, res) => {
+  try {
+    const settings = await getChatFilterSettings();
+    res.status(200).json({ message: 'Chat filters fetched successfully', filters: settings });
+  } catch (error) {
+    console.error('Error fetching chat filters:', error);
+    res.status(500).json({ message: 'Error fetching chat filters' });
+  }
+};
+
+/**
+ * Update the word and link filter
+ * PUT /api/webinars/admin/chat-filters
+ * Body: { blockedWords?: string[], blockLinks?: boolean, allowedLinkDomains?: string[] }
+ */
+export const updateChatFilters = async (req, res) => {
+  try {
+    const { blockedWords, blockLinks, allowedLinkDomains } = req.body;
+    const update = {};
+
+    for (const [field, value] of Object.entries({ blockedWords, allowedLinkDomains })) {
+      if (value === undefined) continue;
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        return res.status(400).json({ message: `${field} must be an array of strings` });
+      }
+      update[field] = [...new Set(value.map((item) => item.trim().toLowerCase()).filter(Boolean))];
+    }
+    if (blockLinks !== undefined) {
+      update.blockLinks = Boolean(blockLinks);
+    }
+
+    const settings = await updateChatFilterSettings(update, req.user._id);
+    res.status(200).json({ message: 'Chat filters updated successfully', filters: settings });
+  } catch (error) {
+    console.error('Error updating chat filters:', error);
+    res.status(500).json({ message: 'Error updating chat filters' });
+  }
+};
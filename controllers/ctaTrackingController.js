@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import CtaEvent from '../models/CtaEvent.js';
+import Webinar from '../models/Webinar.js';
+
+const MAX_VIEWER_ID_LENGTH = 64;
+
+// Identify the viewer: signed-in users by ID, guests by the ID their client generated
+const getViewerKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  const viewerId = req.body?.viewerId || req.query.viewerId;
+  if (typeof viewerId === 'string' && viewerId.trim() && viewerId.length <= MAX_VIEWER_ID_LENGTH) {
+    return `guest:${viewerId.trim()}`;
+  }
+  return null;
+};
+
+// Absolute http(s) URL of a CTA link, or null (never redirect to javascript:, data: or empty links)
+const getRedirectUrl = (link) => {
+  if (typeof link !== 'string' || !link.trim()) return null;
+  try {
+    const url = new URL(link.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Load the webinar's CTA for the request, or send the error response and return null
+const findCta = async (req, res) => {
+  const { webinarId, ctaIndex } = req.params;
+  const index = parseInt(ctaIndex, 10);
+
+  if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+    res.status(400).json({ message: 'Invalid webinar ID' });
+    return null;
+  }
+  if (isNaN(index) || index < 0) {
+    res.status(400).json({ message: 'Invalid CTA index' });
+    return null;
+  }
+
+  const webinar = await Webinar.findById(webinarId).select('ctas');
+  if (!webinar) {
+    res.status(404).json({ message: 'Webinar not found' });
+    return null;
+  }
+  if (!webinar.ctas || index >= webinar.ctas.length) {
+    res.status(400).json({ message: 'CTA index out of range' });
+    return null;
+  }
+
+  return { webinarId: webinar._id, index, cta: webinar.ctas[index] };
+};
+
+/**
+ * Record that a viewer saw a CTA (counted once per viewer and CTA)
+ * POST /api/webinars/:webinarId/cta/:ctaIndex/impression
+ * Body (guests): { viewerId }
+ */
+export const recordCtaImpression = async (req, res) => {
+  try {
+    const found = await findCta(req, res);
+    if (!found) return;
+
+    const viewerKey = getViewerKey(req);
+    if (!viewerKey) {
+      return res.status(400).json({ message: 'viewerId is required for guests' });
+    }
+
+    await CtaEvent.updateOne(
+      { webinar: found.webinarId, ctaIndex: found.index, viewerKey, type: 'impression' },
+      {
+        $setOnInsert: {
+          label: found.cta.label,
+          link: found.cta.link,
+          user: req.user?._id || null,
+        }
+      },
+      { upsert: true }
+    );
+
+    res.status(200).json({ message: 'Impression recorded' });
+  } catch (error) {
+    // Two tabs reporting at once: the other request already stored the impression
+    if (error.code === 11000) {
+      return res.status(200).json({ message: 'Impression recorded' });
+    }
+    console.error('Error recording CTA impression:', error);
+    res.status(500).json({ message: 'Error recording CTA impression' });
+  }
+};
+
+const storeClick = (req, found) =>
+  CtaEvent.create({
+    webinar: found.webinarId,
+    type: 'click',
+    ctaIndex: found.index,
+    label: found.cta.label,
+    link: found.cta.link,
+    user: req.user?._id || null,
+    viewerKey: getViewerKey(req) || `anonymous:${req.ip}`,
+  });
+
+/**
+ * Record a CTA click and return the link to open
+ * POST /api/webinars/:webinarId/cta/:ctaIndex/click
+ * Body (guests): { viewerId }
+ */
+export const recordCtaClick = async (req, res) => {
+  try {
+    const found = await findCta(req, res);
+    if (!found) return;
+
+    await storeClick(req, found);
+
+    res.status(200).json({ message: 'Click recorded', link: found.cta.link });
+  } catch (error) {
+    console.error('Error recording CTA click:', error);
+    res.status(500).json({ message: 'Error recording CTA click' });
+  }
+};
+
+/**
+ * Record a CTA click and redirect to the CTA link (for plain <a href> buttons)
+ * GET /api/webinars/:webinarId/cta/:ctaIndex/click?viewerId=
+ */
+export const redirectCtaClick = async (req, res) => {
+  try {
+    const found = await findCta(req, res);
+    if (!found) return;
+
+    if (!found.cta.link?.trim()) {
+      return res.status(404).json({ message: 'CTA has no link' });
+    }
+    const redirectUrl = getRedirectUrl(found.cta.link);
+    if (!redirectUrl) {
+      return res.status(400).json({ message: 'CTA link is not a valid http(s) URL' });
+    }
+
+    // Never block the visitor on tracking
+    await storeClick(req, found).catch((error) => {
+      console.error('Error recording CTA click:', error);
+    });
+
+    res.redirect(302, redirectUrl);
+  } catch (error) {
+    console.error('Error redirecting CTA click:', error);
+    res.status(500).json({ message: 'Error redirecting CTA click' });
+  }
+};
+
+/**
+ * Impressions, clicks and click-through rate per CTA, with activation history
+ * GET /api/webinars/admin/:webinarId/cta/analytics
+ * CTR = unique clickers / impressions; attendeeClickRate = unique signed-in clickers / attendees marked attended.
+ */
+export const getCtaAnalytics = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('name ctas ctaActivations attendees.attendanceStatus').lean();
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const rows = await CtaEvent.aggregate([
+      { $match: { webinar: new mongoose.Types.ObjectId(webinarId) } },
+      {
+        $group: {
+          _id: { ctaIndex: '$ctaIndex', type: '$type' },
+          count: { $sum: 1 },
+          label: { $last: '$label' },
+          viewers: { $addToSet: '$viewerKey' },
+          users: { $addToSet: '$user' },
+        }
+      },
+    ]);
+
+    const liveAttendance = (webinar.attendees || []).filter((a) => a.attendanceStatus === 'attended').length;
+    const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+    const now = Date.now();
+
+    // Include CTAs that were removed from the webinar but still have events
+    const indices = new Set([...(webinar.ctas || []).map((_, i) => i), ...rows.map((row) => row._id.ctaIndex)]);
+
+    const ctas = [...indices].sort((a, b) => a - b).map((index) => {
+      const impressions = rows.find((row) => row._id.ctaIndex === index && row._id.type === 'impression');
+      const clicks = rows.find((row) => row._id.ctaIndex === index && row._id.type === 'click');
+      const impressionCount = impressions?.count || 0;
+      const uniqueClickers = clicks?.viewers.length || 0;
+      const signedInClickers = clicks?.users.filter(Boolean).length || 0;
+
+      const activations = (webinar.ctaActivations || []).filter((a) => a.ctaIndex === index);
+      const activeSeconds = activations.reduce((total, a) => {
+        const end = a.deactivatedAt ? new Date(a.deactivatedAt).getTime() : now;
+        return total + Math.max(0, Math.round((end - new Date(a.activatedAt).getTime()) / 1000));
+      }, 0);
+
+      return {
+        ctaIndex: index,
+        label: webinar.ctas?.[index]?.label || clicks?.label || impressions?.label || null,
+        impressions: impressionCount,
+        clicks: clicks?.count || 0,
+        uniqueClickers,
+        clickThroughRate: rate(uniqueClickers, impressionCount),
+        attendeeClickRate: rate(signedInClickers, liveAttendance),
+        activeSeconds,
+        activations: activations.map((a) => ({
+          activatedAt: a.activatedAt,
+          deactivatedAt: a.deactivatedAt,
+          viewersAtActivation: a.viewersAtActivation,
+        })),
+      };
+    });
+
+    res.status(200).json({
+      message: 'CTA analytics fetched successfully',
+      liveAttendance,
+      ctas
+    });
+  } catch (error) {
+    console.error('Error fetching CTA analytics:', error);
+    res.status(500).json({ message: 'Error fetching CTA analytics' });
+  }
+};
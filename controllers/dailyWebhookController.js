@@ -0,0 +1,26 @@
+import { storeDailyEvent, processDailyEvent } from '../services/dailyWebhookService.js';
+
+/**
+ * Receive a Daily webhook (signature already verified by verifyDailyWebhook)
+ * POST /webhook/daily
+ */
+export const receiveDailyWebhook = async (req, res) => {
+  try {
+    // Daily sends a test request without an event type when the webhook is created
+    if (!req.body?.type) {
+      return res.status(200).json({ message: 'Webhook received' });
+    }
+
+    const { event, duplicate } = await storeDailyEvent(req.body);
+    if (duplicate) {
+      return res.status(200).json({ message: 'Event already received' });
+    }
+
+    // Process before acknowledging; an event that fails stays stored and is retried by the retry cron
+    const processed = await processDailyEvent(event);
+    res.status(200).json({ message: 'Webhook received', status: processed.status });
+  } catch (error) {
+    console.error('Daily webhook error:', error);
+    res.status(500).json({ message: 'Error handling webhook' });
+  }
+};
@@ -166,8 +166,8 @@ export const getDealById = async (req, res) => {
       return res.status(404).json({ message: 'Deal not found' });
     }
 
-    // Hide closed deals from clients; admins can still view them
-    const isAdmin = req.user?.role === 'admin';
+    // Hide closed deals from clients; deal editors can still view them
+    const isAdmin = req.permissions?.has('deals:write');
     if (deal.currentOffering === 'Closed' && !isAdmin) {
       return res.status(404).json({ message: 'Deal not found' });
     }
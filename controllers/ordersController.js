@@ -616,8 +616,8 @@ export const getSubscriptions = async (req, res) => {
  */
 export const getAdminUserOrders = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && !req.user.supaadmin) {
+    // Check if user can read other users' orders
+    if (!req.permissions?.has('orders:read')) {
       return res.status(403).json({ message: 'Forbidden: Admin access required' });
     }
 
@@ -846,8 +846,8 @@ export const getAdminUserOrders = async (req, res) => {
  */
 export const getAdminUserSubscriptions = async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && !req.user.supaadmin) {
+    // Check if user can read other users' orders
+    if (!req.permissions?.has('orders:read')) {
       return res.status(403).json({ message: 'Forbidden: Admin access required' });
     }
 
@@ -0,0 +1,152 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { BUILT_IN_ROLES } from '../constants/index.js';
+import {
+  ALL_PERMISSIONS,
+  getRole,
+  listRoles,
+  hasPermissions,
+  invalidateRoleCache,
+} from '../services/permissionService.js';
+
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Returns an error message when the permission list is invalid or grants more than the current user holds
+const checkPermissionList = (req, permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'Permissions must be an array';
+  }
+  const unknown = permissions.filter((permission) => !ALL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return `Unknown permission: ${unknown.join(', ')}`;
+  }
+  if (!hasPermissions(req.permissions, permissions)) {
+    return 'You cannot grant permissions you do not have';
+  }
+  return null;
+};
+
+// Get every permission that can be granted
+export const getPermissions = async (req, res) => {
+  return res.status(200).json({ message: 'Permissions fetched successfully', permissions: ALL_PERMISSIONS });
+};
+
+// Get all roles with their permissions and user counts
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await listRoles();
+    return res.status(200).json({ message: 'Roles fetched successfully', roles });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Create a custom role
+export const createRole = async (req, res) => {
+  try {
+    const { key, name, description, permissions = [] } = req.body;
+
+    if (!key || !name) {
+      return res.status(400).json({ message: 'Key and name are required' });
+    }
+
+    const roleKey = String(key).trim().toLowerCase();
+    if (!ROLE_KEY_PATTERN.test(roleKey) || roleKey === 'supaadmin') {
+      return res.status(400).json({ message: 'Key must start with a letter and contain only lowercase letters, numbers and dashes' });
+    }
+
+    if (await getRole(roleKey)) {
+      return res.status(400).json({ message: 'A role with this key already exists' });
+    }
+
+    const permissionError = checkPermissionList(req, permissions);
+    if (permissionError) {
+      return res.status(400).json({ message: permissionError });
+    }
+
+    const role = await Role.create({
+      key: roleKey,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      updatedBy: req.user._id,
+    });
+    invalidateRoleCache();
+
+    return res.status(201).json({ message: 'Role created successfully', role });
+  } catch (error) {
+    console.error('Create role error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Update a role's name, description or permissions (built-in roles included)
+export const updateRole = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const existing = await getRole(key);
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = checkPermissionList(req, permissions);
+      if (permissionError) {
+        return res.status(400).json({ message: permissionError });
+      }
+    }
+
+    // Built-in roles only get a document once they are first edited
+    const role = await Role.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          name: name ?? existing.name,
+          description: description ?? existing.description,
+          permissions: permissions !== undefined ? [...new Set(permissions)] : existing.permissions,
+          builtIn: Boolean(BUILT_IN_ROLES[key]),
+          updatedBy: req.user._id,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+    invalidateRoleCache();
+
+    return res.status(200).json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    console.error('Update role error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Delete a custom role that no user holds
+export const deleteRole = async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (BUILT_IN_ROLES[key]) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    const role = await Role.findOne({ key });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const userCount = await User.countDocuments({ role: key });
+    if (userCount > 0) {
+      return res.status(409).json({ message: 'Role is still assigned to users', userCount });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache();
+
+    return res.status(200).json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+import SmsMessage from '../models/SmsMessage.js';
+import SmsOptOut from '../models/SmsOptOut.js';
+import { queueSms, handleInboundSms, updateSmsDeliveryStatus } from '../services/smsService.js';
+import { getSmsProvider } from '../services/smsProviders.js';
+import { getWebinarSmsSummary } from '../services/webinarSmsService.js';
+import { normalizePhoneNumber, maskPhoneNumber } from '../utils/phone.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Incoming text from Twilio (signature already verified by verifyTwilioWebhook)
+ * POST /webhook/twilio/inbound
+ * Twilio confirms STOP/START to the sender itself, so the reply is empty.
+ */
+export const receiveInboundSms = async (req, res) => {
+  try {
+    const from = normalizePhoneNumber(req.body?.From);
+    if (from) {
+      const action = await handleInboundSms({ from, body: req.body.Body });
+      if (action) {
+        console.log(`[SMS] ${maskPhoneNumber(from)} ${action}`);
+      }
+    }
+    res.type('text/xml').status(200).send('<Response></Response>');
+  } catch (error) {
+    console.error('Error handling inbound SMS:', error);
+    res.status(500).json({ message: 'Error handling inbound SMS' });
+  }
+};
+
+/**
+ * Delivery receipt from Twilio
+ * POST /webhook/twilio/status
+ */
+export const receiveSmsStatus = async (req, res) => {
+  try {
+    await updateSmsDeliveryStatus({
+      providerMessageId: req.body?.MessageSid,
+      status: req.body?.MessageStatus,
+      errorCode: req.body?.ErrorCode,
+    });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error handling SMS status callback:', error);
+    res.status(500).json({ message: 'Error handling SMS status callback' });
+  }
+};
+
+/**
+ * SMS delivery log (newest first)
+ * GET /api/sms/messages?webinarId=&purpose=&status=&phone=&page=&limit=
+ */
+export const getSmsMessages = async (req, res) => {
+  try {
+    const { webinarId, purpose, status, phone, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (webinarId) {
+      if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+        return res.status(400).json({ message: 'Invalid webinar ID' });
+      }
+      filter.webinar = webinarId;
+    }
+    if (purpose) filter.purpose = purpose;
+    if (status) filter.status = status;
+    if (phone) {
+      const normalized = normalizePhoneNumber(phone);
+      filter.to = normalized || { $regex: escapeRegex(String(phone).replace(/\D/g, '')) };
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [total, messages] = await Promise.all([
+      SmsMessage.countDocuments(filter),
+      SmsMessage.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('webinar', 'name date')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      message: 'SMS messages fetched successfully',
+      messages,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalMessages: total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching SMS messages:', error);
+    res.status(500).json({ message: 'Error fetching SMS messages' });
+  }
+};
+
+/**
+ * Message counts per purpose and status for one webinar
+ * GET /api/sms/webinars/:webinarId/summary
+ */
+export const getWebinarSmsStats = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const summary = await getWebinarSmsSummary(new mongoose.Types.ObjectId(webinarId));
+    res.status(200).json({ webinarId, summary });
+  } catch (error) {
+    console.error('Error fetching webinar SMS summary:', error);
+    res.status(500).json({ message: 'Error fetching webinar SMS summary' });
+  }
+};
+
+/**
+ * Send a one-off text, e.g. to check the provider setup
+ * POST /api/sms/test
+ * Body: { to, body } - ignores quiet hours but not opt-outs
+ */
+export const sendTestSms = async (req, res) => {
+  try {
+    const to = normalizePhoneNumber(req.body?.to);
+    const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+    if (!to) {
+      return res.status(400).json({ message: 'A valid phone number is required' });
+    }
+    if (!body) {
+      return res.status(400).json({ message: 'Message body is required' });
+    }
+    if (!getSmsProvider()) {
+      return res.status(503).json({ message: 'SMS is not configured (set SMS_PROVIDER)' });
+    }
+
+    const message = await queueSms({ to, body, purpose: 'test', ignoreQuietHours: true });
+    res.status(message.status === 'failed' || message.status === 'skipped' ? 502 : 200).json({
+      message: `Test SMS ${message.status}`,
+      sms: message
+    });
+  } catch (error) {
+    console.error('Error sending test SMS:', error);
+    res.status(500).json({ message: 'Error sending test SMS' });
+  }
+};
+
+/**
+ * Opted-out numbers (newest first)
+ * GET /api/sms/opt-outs?phone=&page=&limit=
+ */
+export const getSmsOptOuts = async (req, res) => {
+  try {
+    const { phone, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (phone) {
+      filter.phone = { $regex: escapeRegex(String(phone).replace(/\D/g, '')) };
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [total, optOuts] = await Promise.all([
+      SmsOptOut.countDocuments(filter),
+      SmsOptOut.find(filter)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      message: 'SMS opt-outs fetched successfully',
+      optOuts,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalOptOuts: total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching SMS opt-outs:', error);
+    res.status(500).json({ message: 'Error fetching SMS opt-outs' });
+  }
+};
+
+/**
+ * Opt a number out on the recipient's behalf (e.g. asked by phone or email)
+ * POST /api/sms/opt-outs
+ * Body: { phone }
+ */
+export const addSmsOptOut = async (req, res) => {
+  try {
+    const phone = normalizePhoneNumber(req.body?.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'A valid phone number is required' });
+    }
+
+    const optOut = await SmsOptOut.findOneAndUpdate(
+      { phone },
+      { $setOnInsert: { phone, source: 'admin', createdBy: req.user._id } },
+      { upsert: true, new: true }
+    );
+    await SmsMessage.updateMany({ to: phone, status: 'queued' }, { $set: { status: 'skipped', skipReason: 'opted-out' } });
+
+    res.status(200).json({ message: 'Number opted out of SMS', optOut });
+  } catch (error) {
+    console.error('Error adding SMS opt-out:', error);
+    res.status(500).json({ message: 'Error adding SMS opt-out' });
+  }
+};
+
+/**
+ * Remove an opt-out. Only do this when the recipient asked to receive texts again.
+ * DELETE /api/sms/opt-outs/:phone
+ */
+export const removeSmsOptOut = async (req, res) => {
+  try {
+    const phone = normalizePhoneNumber(req.params.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'A valid phone number is required' });
+    }
+
+    const result = await SmsOptOut.deleteOne({ phone });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Number is not opted out' });
+    }
+    res.status(200).json({ message: 'Opt-out removed' });
+  } catch (error) {
+    console.error('Error removing SMS opt-out:', error);
+    res.status(500).json({ message: 'Error removing SMS opt-out' });
+  }
+};
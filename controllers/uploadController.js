@@ -46,9 +46,11 @@ const generateUniqueFilename = (originalName) => {
 };
 
 /**
- * Upload file to Supabase Storage
+ * Upload file to Supabase Storage.
+ * `file` is a multer file ({ originalname, mimetype, buffer }) or the same shape with
+ * a readable `stream` instead of `buffer` for files too large to hold in memory.
  */
-const uploadToSupabase = async (file, bucketName, folder = '') => {
+export const uploadToSupabase = async (file, bucketName, folder = '') => {
   try {
     const uniqueFilename = generateUniqueFilename(file.originalname);
     const filePath = folder ? `${folder}/${uniqueFilename}` : uniqueFilename;
@@ -56,10 +58,11 @@ const uploadToSupabase = async (file, bucketName, folder = '') => {
     // Upload file to Supabase Storage
     const { data, error } = await supabase.storage
       .from(bucketName)
-      .upload(filePath, file.buffer, {
+      .upload(filePath, file.stream || file.buffer, {
         contentType: file.mimetype,
         cacheControl: '3600',
-        upsert: false
+        upsert: false,
+        ...(file.stream && { duplex: 'half' }) // required by fetch for streamed request bodies
       });
 
     if (error) {
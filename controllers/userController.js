@@ -1,10 +1,19 @@
 import User from '../models/User.js';
-import bcrypt from 'bcryptjs';
+import LoginEvent from '../models/LoginEvent.js';
+import ImpersonationAudit from '../models/ImpersonationAudit.js';
 import crypto from 'crypto';
 import axios from 'axios';
 import sendEmail from '../utils/sendEmail.js';
 import mongoose from 'mongoose';
 import { createViewAsCode } from '../utils/viewAsStore.js';
+import { clearAccountLock } from '../services/accountLockService.js';
+import { getAuthLimiters } from '../services/rateLimiter.js';
+import { issuePasswordSetupInvite, sendPasswordSetupInvite } from '../services/passwordSetupService.js';
+import { getSecuritySettings, updateTwoFactorRequiredRoles, disableTwoFactor } from '../services/twoFactorService.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { recordImpersonationEvent } from '../services/impersonationService.js';
+import { createInvitedUser } from '../services/userAccountService.js';
+import { getRole, roleExists, hasPermissions } from '../services/permissionService.js';
 
 // ======================== USER MANAGEMENT CONTROLLERS ========================
 
@@ -13,11 +22,27 @@ const isSupaadmin = (user) => {
   return user && user.supaadmin === true;
 };
 
+// Helper function to check a permission resolved by protect (see requirePermission)
+const can = (req, permission) => req.permissions?.has(permission) === true;
+
+// Returns an error message when the current user may not hand out this role:
+// the role must exist and must not grant permissions the current user lacks
+const checkAssignableRole = async (req, roleKey) => {
+  const role = await getRole(roleKey);
+  if (!role) {
+    return `Unknown role "${roleKey}"`;
+  }
+  if (!hasPermissions(req.permissions, role.permissions)) {
+    return 'You cannot assign a role with permissions you do not have';
+  }
+  return null;
+};
+
 // Get all users with pagination, filtering, and sorting
 export const getAllUsers = async (req, res) => {
-  // Only supaadmin can get all users
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can get all users
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
   try {
     const {
@@ -149,11 +174,11 @@ export const getUserById = async (req, res) => {
   }
 };
 
-// Create new user (Supaadmin only)
+// Create new user (users:manage)
 export const createUser = async (req, res) => {
-  // Only supaadmin can create users
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can create users
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   const session = await mongoose.startSession();
@@ -173,72 +198,18 @@ export const createUser = async (req, res) => {
       return res.status(400).json({ message: 'User with this email already exists' });
     }
 
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    const hashedPassword = await bcrypt.hash('123456', 10); // Default password
-
-    // Create user
-    const [user] = await User.create(
-      [
-        {
-          firstName,
-          lastName,
-          email,
-          phone,
-          password: hashedPassword,
-          role: role || 'user',
-          verificationToken,
-          isVerified: false
-        },
-      ],
-      { session }
-    );
-
-    // Create HubSpot contact (only if requested)
-    if (createHubSpotContact !== false) {
-      const HUBSPOT_PRIVATE_API_KEY = process.env.HUBSPOT_PRIVATE_API_KEY;
-      if (HUBSPOT_PRIVATE_API_KEY) {
-        try {
-          const HUBSPOT_API_URL = "https://api.hubapi.com/crm/v3/objects/contacts";
-          const hubSpotContact = {
-            properties: {
-              email: user.email,
-              firstname: user.firstName,
-              lastname: user.lastName,
-              phone: user.phone,
-            },
-          };
-
-          await axios.post(HUBSPOT_API_URL, hubSpotContact, {
-            headers: {
-              Authorization: `Bearer ${HUBSPOT_PRIVATE_API_KEY}`,
-              'Content-Type': 'application/json',
-            },
-          });
-        } catch (hubspotError) {
-          console.log("HubSpot creation error:", hubspotError.response?.data || hubspotError.message);
-          // Continue even if HubSpot fails
-        }
+    if (role) {
+      const roleError = await checkAssignableRole(req, role);
+      if (roleError) {
+        return res.status(400).json({ message: roleError });
       }
     }
 
-    // Send verification email if requested
-    if (sendVerificationEmail !== false) {
-      try {
-        const verificationUrl = `${process.env.CLIENT_URL}/verify/${verificationToken}`;
-        const templateId = process.env.ACCOUNT_VERIFICATION_TEMPLATE_ID;
-        const data = {
-          firstName: user.firstName,
-          lastName: user.lastName,
-          url: verificationUrl,
-          subject: "Royal Vault Portal - Account Verification"
-        };
-        await sendEmail(user.email, data, templateId);
-      } catch (emailError) {
-        console.log("Email sending error:", emailError);
-        // Continue even if email fails
-      }
-    }
+    // No password yet: the user chooses one through the invite link
+    const user = await createInvitedUser(
+      { firstName, lastName, email, phone, role: role || 'user' },
+      { session, sendInvite: sendVerificationEmail !== false, createHubSpotContact: createHubSpotContact !== false }
+    );
 
     await session.commitTransaction();
     session.endSession();
@@ -276,14 +247,28 @@ export const updateUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const canManageUsers = can(req, 'users:manage');
+
     // Check permissions: user can only update own profile (except role, isVerified, and supaadmin)
-    if (!isSupaadmin(currentUser) && currentUser.id !== userId) {
+    if (!canManageUsers && currentUser.id !== userId) {
       return res.status(403).json({ message: 'You can only update your own profile' });
     }
 
-    // Only supaadmin can change role, verification status, and supaadmin field
-    if ((role !== undefined || isVerified !== undefined || supaadmin !== undefined) && !isSupaadmin(currentUser)) {
-      return res.status(403).json({ message: 'Only supaadmin can change role, verification status, and supaadmin field' });
+    // Only user managers can change role and verification status
+    if ((role !== undefined || isVerified !== undefined) && !canManageUsers) {
+      return res.status(403).json({ message: 'Only user managers can change role and verification status' });
+    }
+
+    // Only supaadmin can grant or remove supaadmin
+    if (supaadmin !== undefined && !isSupaadmin(currentUser)) {
+      return res.status(403).json({ message: 'Only supaadmin can change the supaadmin field' });
+    }
+
+    if (role !== undefined) {
+      const roleError = await checkAssignableRole(req, role);
+      if (roleError) {
+        return res.status(400).json({ message: roleError });
+      }
     }
 
     // Check if email is being changed and if it's already taken
@@ -299,8 +284,8 @@ export const updateUser = async (req, res) => {
     if (lastName !== undefined) user.lastName = lastName;
     if (email !== undefined) user.email = email;
     if (phone !== undefined) user.phone = phone;
-    if (role !== undefined && isSupaadmin(currentUser)) user.role = role;
-    if (isVerified !== undefined && isSupaadmin(currentUser)) user.isVerified = isVerified;
+    if (role !== undefined && canManageUsers) user.role = role;
+    if (isVerified !== undefined && canManageUsers) user.isVerified = isVerified;
     if (supaadmin !== undefined && isSupaadmin(currentUser)) user.supaadmin = supaadmin;
 
     await user.save();
@@ -348,11 +333,11 @@ export const updateUser = async (req, res) => {
   }
 };
 
-// Delete user (Supaadmin only)
+// Delete user (users:manage)
 export const deleteUser = async (req, res) => {
-  // Only supaadmin can delete users
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can delete users
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -381,11 +366,11 @@ export const deleteUser = async (req, res) => {
   }
 };
 
-// Reset user password (Supaadmin only)
+// Reset user password (users:manage)
 export const resetUserPassword = async (req, res) => {
-  // Only supaadmin can reset user passwords
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can reset user passwords
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -436,11 +421,160 @@ export const resetUserPassword = async (req, res) => {
   }
 };
 
-// Activate/Deactivate user (Supaadmin only)
+// Resend the "set your password" invite (users:manage)
+export const resendUserInvite = async (req, res) => {
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isVerified && user.password) {
+      return res.status(400).json({ message: 'User has already set a password' });
+    }
+
+    const setupUrl = issuePasswordSetupInvite(user);
+    await user.save();
+    await sendPasswordSetupInvite(user, setupUrl);
+
+    return res.status(200).json({
+      message: 'Invite sent successfully',
+      expiresAt: user.verificationTokenExpire
+    });
+  } catch (error) {
+    console.error('Resend user invite error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Get the two-factor policy (security:manage)
+export const getTwoFactorPolicy = async (req, res) => {
+  if (!can(req, 'security:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const settings = await getSecuritySettings();
+    return res.status(200).json({
+      message: 'Two-factor policy fetched successfully',
+      twoFactorRequiredRoles: settings.twoFactorRequiredRoles
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Set which roles must use two-factor authentication (security:manage)
+export const updateTwoFactorPolicy = async (req, res) => {
+  if (!can(req, 'security:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      return res.status(400).json({ message: 'twoFactorRequiredRoles must be an array of role keys or "supaadmin"' });
+    }
+
+    for (const role of twoFactorRequiredRoles) {
+      if (role !== 'supaadmin' && !(await roleExists(role))) {
+        return res.status(400).json({ message: `Unknown role "${role}"` });
+      }
+    }
+
+    const settings = await updateTwoFactorRequiredRoles([...new Set(twoFactorRequiredRoles)], req.user._id);
+
+    return res.status(200).json({
+      message: 'Two-factor policy updated successfully',
+      twoFactorRequiredRoles: settings.twoFactorRequiredRoles
+    });
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Reset a user's two-factor authentication, e.g. after a lost device (security:manage)
+export const resetUserTwoFactor = async (req, res) => {
+  if (!can(req, 'security:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await disableTwoFactor(user._id);
+    await revokeAllSessions(user._id, '2fa-reset');
+
+    return res.status(200).json({ message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error('Reset user two-factor error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Unlock an account locked after too many failed logins (users:manage)
+export const unlockUser = async (req, res) => {
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    clearAccountLock(user);
+    await user.save();
+    await getAuthLimiters().loginAccount.reset(user.email);
+
+    const updatedUser = await User.findById(userId)
+      .select('-password -verificationToken -resetPasswordToken -resetPasswordExpire -lastLoginEmail -lastLoginPassword')
+      .lean();
+
+    return res.status(200).json({
+      message: 'User unlocked successfully',
+      user: updatedUser
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Activate/Deactivate user (users:manage)
 export const toggleUserVerification = async (req, res) => {
-  // Only supaadmin can toggle user verification
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can toggle user verification
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -473,11 +607,11 @@ export const toggleUserVerification = async (req, res) => {
   }
 };
 
-// Change user role (Supaadmin only)
+// Change user role (users:manage)
 export const changeUserRole = async (req, res) => {
-  // Only supaadmin can change user roles
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can change user roles
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -488,8 +622,13 @@ export const changeUserRole = async (req, res) => {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
 
-    if (!role || !['user', 'admin'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be "user" or "admin"' });
+    if (!role) {
+      return res.status(400).json({ message: 'Role is required' });
+    }
+
+    const roleError = await checkAssignableRole(req, role);
+    if (roleError) {
+      return res.status(400).json({ message: roleError });
     }
 
     // Prevent changing own role
@@ -519,10 +658,10 @@ export const changeUserRole = async (req, res) => {
   }
 };
 
-// Get "View as User" link (Supaadmin only) - returns URL to open in new tab
+// Get "View as User" link (users:impersonate) - returns URL to open in new tab
 export const getViewAsUserLink = async (req, res) => {
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can view as user' });
+  if (!can(req, 'users:impersonate')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -537,7 +676,13 @@ export const getViewAsUserLink = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const code = createViewAsCode(userId);
+    const code = await createViewAsCode(userId, req.user._id);
+    await recordImpersonationEvent({
+      impersonator: req.user._id,
+      targetUser: userId,
+      event: 'link-created',
+      req,
+    });
     const clientUrl = (process.env.CLIENT_URL || '').replace(/\/$/, '');
     const viewAsUrl = `${clientUrl}/view-as?code=${code}`;
 
@@ -552,11 +697,62 @@ export const getViewAsUserLink = async (req, res) => {
   }
 };
 
-// Get user statistics (Supaadmin only)
+// Get the "View as User" audit log (users:impersonate)
+export const getImpersonationAudit = async (req, res) => {
+  if (!can(req, 'users:impersonate')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const { page = 1, limit = 20, impersonator = '', targetUser = '', event = '' } = req.query;
+
+    const filter = {};
+    for (const [field, value] of Object.entries({ impersonator, targetUser })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      filter[field] = value;
+    }
+    if (event) {
+      filter.event = event;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await ImpersonationAudit.countDocuments(filter);
+    const events = await ImpersonationAudit.find(filter)
+      .select('-__v')
+      .populate('impersonator', 'firstName lastName email')
+      .populate('targetUser', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    return res.status(200).json({
+      message: 'Impersonation audit fetched successfully',
+      events,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalEvents: total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get impersonation audit error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Get user statistics (users:manage)
 export const getUserStatistics = async (req, res) => {
-  // Only supaadmin can get user statistics
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can get user statistics
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -573,9 +769,19 @@ export const getUserStatistics = async (req, res) => {
       createdAt: { $gte: thirtyDaysAgo }
     });
 
-    // Get users who logged in recently (last 30 days)
-    const recentActiveUsers = await User.countDocuments({
-      lastLoginAt: { $gte: thirtyDaysAgo }
+    // Login activity (last 30 days) from the login audit trail
+    const recentActiveUserIds = await LoginEvent.distinct('user', {
+      success: true,
+      createdAt: { $gte: thirtyDaysAgo }
+    });
+    const recentActiveUsers = recentActiveUserIds.filter(Boolean).length;
+    const recentLogins = await LoginEvent.countDocuments({
+      success: true,
+      createdAt: { $gte: thirtyDaysAgo }
+    });
+    const recentFailedLogins = await LoginEvent.countDocuments({
+      success: false,
+      createdAt: { $gte: thirtyDaysAgo }
     });
 
     return res.status(200).json({
@@ -587,7 +793,9 @@ export const getUserStatistics = async (req, res) => {
         admins: adminUsers,
         users: regularUsers,
         recentUsers, // Last 30 days
-        recentActiveUsers // Last 30 days
+        recentActiveUsers, // Last 30 days
+        recentLogins, // Last 30 days
+        recentFailedLogins // Last 30 days
       }
     });
   } catch (error) {
@@ -596,11 +804,63 @@ export const getUserStatistics = async (req, res) => {
   }
 };
 
-// Bulk operations (Supaadmin only)
+// Get login history for a user (users:manage)
+export const getUserLoginHistory = async (req, res) => {
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+  }
+
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20, success = '' } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId).select('_id').lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filter = { user: userId };
+    if (success !== '') {
+      filter.success = success === 'true';
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await LoginEvent.countDocuments(filter);
+    const events = await LoginEvent.find(filter)
+      .select('-__v')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    return res.status(200).json({
+      message: 'Login history fetched successfully',
+      events,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalEvents: total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get user login history error:', error);
+    return res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Bulk operations (users:manage)
 export const bulkUpdateUsers = async (req, res) => {
-  // Only supaadmin can perform bulk operations
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can perform bulk operations
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -639,6 +899,13 @@ export const bulkUpdateUsers = async (req, res) => {
       return res.status(400).json({ message: 'No valid fields to update' });
     }
 
+    if (updateObj.role !== undefined) {
+      const roleError = await checkAssignableRole(req, updateObj.role);
+      if (roleError) {
+        return res.status(400).json({ message: roleError });
+      }
+    }
+
     // Perform bulk update
     const result = await User.updateMany(
       { _id: { $in: validUserIds } },
@@ -656,11 +923,11 @@ export const bulkUpdateUsers = async (req, res) => {
   }
 };
 
-// Bulk delete users (Supaadmin only)
+// Bulk delete users (users:manage)
 export const bulkDeleteUsers = async (req, res) => {
-  // Only supaadmin can perform bulk delete
-  if (!isSupaadmin(req.user)) {
-    return res.status(403).json({ message: 'Forbidden: Only supaadmin can manage users' });
+  // Only user managers can perform bulk delete
+  if (!can(req, 'users:manage')) {
+    return res.status(403).json({ message: 'Forbidden: insufficient rights' });
   }
 
   try {
@@ -935,21 +1202,18 @@ export const migrateHubSpotContacts = async (req, res) => {
             continue;
           }
 
-          // Create new user
+          // Create new user (no password until they accept an invite)
           try {
-            const verificationToken = crypto.randomBytes(32).toString('hex');
-            const hashedPassword = await bcrypt.hash('123456', 10); // Default password
-
-            await User.create({
+            const newUser = new User({
               firstName,
               lastName,
               email,
               phone,
-              password: hashedPassword,
               role: 'user',
-              verificationToken,
               isVerified: false
             });
+            issuePasswordSetupInvite(newUser);
+            await newUser.save();
 
             state.totalCreated++;
             // Send progress update every 50 contacts to reduce memory usage
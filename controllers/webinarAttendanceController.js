@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Webinar from '../models/Webinar.js';
+import WatchSession from '../models/WatchSession.js';
+import {
+  HEARTBEAT_INTERVAL_SECONDS,
+  getPlaybackMode,
+  recordHeartbeat,
+  markAttendanceFromPlayback,
+  buildAttendanceReport,
+} from '../services/webinarAttendanceService.js';
+
+/**
+ * Player heartbeat during live or replay playback
+ * POST /api/webinars/:webinarId/heartbeat
+ * Body: { sessionId, event: 'heartbeat' | 'leave' } - sessionId identifies the player (one per tab)
+ * Send one every `heartbeatIntervalSeconds` while playing and 'leave' when the player closes (navigator.sendBeacon).
+ */
+export const sendHeartbeat = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const { sessionId, event = 'heartbeat' } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+    if (typeof sessionId !== 'string' || !sessionId.trim() || sessionId.length > 100) {
+      return res.status(400).json({ message: 'sessionId is required' });
+    }
+    if (!['heartbeat', 'leave'].includes(event)) {
+      return res.status(400).json({ message: "event must be 'heartbeat' or 'leave'" });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('status attendees.user attendees.attendanceStatus');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const mode = getPlaybackMode(webinar);
+    if (!mode) {
+      return res.status(409).json({ message: 'Webinar has not started yet' });
+    }
+
+    const userId = req.user._id;
+    const attendee = webinar.attendees.find((entry) => entry.user.toString() === userId.toString());
+    if (mode === 'live' && attendee?.attendanceStatus === 'waitlisted') {
+      return res.status(403).json({ message: 'You are on the waitlist for this webinar' });
+    }
+
+    const { session, joined } = await recordHeartbeat({
+      webinarId: webinar._id,
+      userId,
+      sessionId: sessionId.trim(),
+      mode,
+      leave: event === 'leave',
+    });
+    if (joined) {
+      await markAttendanceFromPlayback(webinar, userId, mode);
+    }
+
+    res.status(200).json({
+      message: event === 'leave' ? 'Left webinar' : 'Heartbeat recorded',
+      mode,
+      heartbeatIntervalSeconds: HEARTBEAT_INTERVAL_SECONDS,
+      sessionStartedAt: session?.startedAt || null,
+      sessionWatchSeconds: session ? Math.round((session.lastHeartbeatAt - session.startedAt) / 1000) : 0
+    });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({ message: 'Error recording heartbeat' });
+  }
+};
+
+/**
+ * Attendance analytics for a webinar: registration conversion, peak concurrency,
+ * average watch time, drop-off curve and replay viewing
+ * GET /api/webinars/admin/:webinarId/attendance?bucketMinutes=
+ */
+export const getAttendanceReport = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('name date status attendees.user attendees.attendanceStatus');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const sessions = await WatchSession.find({ webinar: webinar._id })
+      .select('user mode startedAt lastHeartbeatAt')
+      .lean();
+
+    const bucketMinutes = Math.max(parseInt(req.query.bucketMinutes) || 1, 1);
+    res.status(200).json({
+      message: 'Attendance report fetched successfully',
+      webinar: { _id: webinar._id, name: webinar.name, date: webinar.date, status: webinar.status },
+      ...buildAttendanceReport(webinar, sessions, { bucketMinutes })
+    });
+  } catch (error) {
+    console.error('Error building attendance report:', error);
+    res.status(500).json({ message: 'Error building attendance report' });
+  }
+};
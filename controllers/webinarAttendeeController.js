@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import multer from 'multer';
+import Webinar from '../models/Webinar.js';
+import WatchSession from '../models/WatchSession.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+import { toXlsx, sendXlsx } from '../utils/xlsx.js';
+import { summarizeWatchSessions } from '../services/webinarAttendanceService.js';
+import {
+  IMPORT_STATUSES,
+  parseAttendeeCsv,
+  planAttendeeImport,
+  applyAttendeeImport,
+  summarizeImport,
+} from '../services/webinarAttendeeImportService.js';
+
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024; // 5MB limit
+
+// CSV upload for attendee imports, kept in memory
+export const attendeeCsvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_BYTES
+  }
+});
+
+/**
+ * Accept the optional `file` field of an import, answering upload problems (too large,
+ * unexpected field) with a JSON 400 like every other validation error
+ */
+export const uploadAttendeeCsv = (req, res, next) => {
+  attendeeCsvUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `The file is larger than ${MAX_IMPORT_FILE_BYTES / (1024 * 1024)}MB`
+        : `Upload error: ${error.message}`;
+      return res.status(400).json({ message });
+    }
+    next(error);
+  });
+};
+
+// Multipart fields arrive as strings
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+const minutes = (seconds) => Math.round((seconds / 60) * 10) / 10;
+
+const ATTENDEE_COLUMNS = [
+  { header: 'First Name', value: (row) => row.user?.firstName },
+  { header: 'Last Name', value: (row) => row.user?.lastName },
+  { header: 'Email', value: (row) => row.user?.email },
+  { header: 'Phone', value: (row) => row.user?.phone },
+  { header: 'Status', value: (row) => row.attendanceStatus },
+  { header: 'Registered At', value: (row) => row.registeredAt },
+  { header: 'Waitlist Position', value: (row) => row.waitlistPosition },
+  { header: 'Live Watch Minutes', value: (row) => minutes(row.watch?.liveSeconds || 0) },
+  { header: 'Replay Watch Minutes', value: (row) => minutes(row.watch?.replaySeconds || 0) },
+  { header: 'Watch Sessions', value: (row) => row.watch?.sessions || 0 },
+  { header: 'First Joined At', value: (row) => row.watch?.firstJoinedAt },
+  { header: 'Last Seen At', value: (row) => row.watch?.lastSeenAt },
+];
+
+/**
+ * Download the attendee list with watch data
+ * GET /api/webinars/admin/:webinarId/attendees/export?format=csv|xlsx
+ */
+export const exportAttendees = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be csv or xlsx' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const webinar = await Webinar.findById(webinarId)
+      .select('slug attendees')
+      .populate({ path: 'attendees.user', select: 'firstName lastName email phone' });
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const sessions = await WatchSession.find({ webinar: webinar._id }).select('user mode startedAt lastHeartbeatAt').lean();
+    const watch = summarizeWatchSessions(sessions);
+    const rows = webinar.attendees.map((attendee) => ({
+      ...attendee.toObject(),
+      watch: attendee.user ? watch.get(attendee.user._id.toString()) : null
+    }));
+
+    if (format === 'xlsx') {
+      return sendXlsx(res, `${webinar.slug}-attendees.xlsx`, await toXlsx(ATTENDEE_COLUMNS, rows, { sheetName: 'Attendees' }));
+    }
+    sendCsv(res, `${webinar.slug}-attendees.csv`, toCsv(ATTENDEE_COLUMNS, rows));
+  } catch (error) {
+    console.error('Error exporting attendees:', error);
+    res.status(500).json({ message: 'Error exporting attendees' });
+  }
+};
+
+/**
+ * Register attendees or mark their attendance from a CSV of emails
+ * POST /api/webinars/admin/:webinarId/attendees/import
+ * Multipart `file` (or JSON `csv` text) with columns email, firstName, lastName, phone, status (only email is required).
+ * Fields:
+ *   status       - for rows without a status: registered (default), attended or watched
+ *   createUsers  - create accounts for unknown emails (needs users:manage; firstName, lastName and phone required)
+ *   sendInvites  - email created users a "set your password" link (default true)
+ *   dryRun       - only report what would change
+ * Registration respects capacity (full webinars waitlist); statuses are only ever raised, never lowered.
+ */
+export const importAttendees = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const status = req.body?.status || 'registered';
+    const createUsers = isTrue(req.body?.createUsers);
+    const dryRun = isTrue(req.body?.dryRun);
+    const sendInvites = req.body?.sendInvites === undefined || isTrue(req.body.sendInvites);
+
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+    if (!IMPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${IMPORT_STATUSES.join(', ')}` });
+    }
+    if (createUsers && !req.permissions?.has('users:manage')) {
+      return res.status(403).json({ message: 'Forbidden: creating users needs the users:manage permission' });
+    }
+
+    const content = req.file?.buffer?.toString('utf8') ?? (typeof req.body?.csv === 'string' ? req.body.csv : null);
+    if (!content) {
+      return res.status(400).json({ message: 'Upload a CSV file' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('capacity waitlist attendees');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    let rows;
+    try {
+      rows = await parseAttendeeCsv(content);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const plan = await planAttendeeImport(webinar, rows, { status, createUsers });
+    const results = dryRun ? plan : await applyAttendeeImport(webinar, rows, plan, { sendInvites });
+
+    res.status(200).json({
+      message: dryRun ? 'Import preview (nothing was changed)' : 'Attendees imported',
+      dryRun,
+      summary: summarizeImport(results),
+      rows: results.map(({ userId, ...entry }) => entry)
+    });
+  } catch (error) {
+    console.error('Error importing attendees:', error);
+    res.status(500).json({ message: 'Error importing attendees' });
+  }
+};
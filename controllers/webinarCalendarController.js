@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Webinar from '../models/Webinar.js';
+import { buildCalendar } from '../utils/ics.js';
+import { toCalendarEvent } from '../services/webinarCalendarService.js';
+
+const FEED_PAST_DAYS = 30; // past webinars stay in the feed for a while
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sendCalendar = (res, filename, ics, { inline = false } = {}) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${filename}"`,
+    'Cache-Control': 'no-cache',
+  });
+  res.status(200).send(ics);
+};
+
+/**
+ * Download a webinar as an .ics file
+ * GET /api/webinars/:webinarId/calendar.ics (ID or slug)
+ */
+export const downloadWebinarCalendar = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const isObjectId = mongoose.Types.ObjectId.isValid(webinarId) && /^[0-9a-fA-F]{24}$/.test(webinarId);
+
+    const webinar = await Webinar.findOne(isObjectId ? { _id: webinarId } : { slug: webinarId })
+      .select('name slug date durationMinutes calInvDesc line1 calendarSequence')
+      .lean();
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    sendCalendar(res, `${webinar.slug}.ics`, buildCalendar([toCalendarEvent(webinar)]));
+  } catch (error) {
+    console.error('Error building webinar calendar file:', error);
+    res.status(500).json({ message: 'Error building calendar file' });
+  }
+};
+
+/**
+ * Create (or replace) the signed-in user's calendar feed URL. The URL is only shown once;
+ * calling this again invalidates the previous one.
+ * The URL is built from API_PUBLIC_URL, not the request's Host header, which clients control.
+ * POST /api/webinars/calendar/feed
+ */
+export const createCalendarFeed = async (req, res) => {
+  try {
+    const baseUrl = process.env.API_PUBLIC_URL;
+    if (!baseUrl) {
+      console.error('API_PUBLIC_URL is not set; cannot create calendar feed URLs');
+      return res.status(503).json({ message: 'Calendar feeds are not configured' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarFeedTokenHash: hashFeedToken(token) } });
+
+    const url = `${baseUrl.replace(/\/$/, '')}/api/webinars/calendar/feed/${token}.ics`;
+    res.status(201).json({
+      message: 'Calendar feed created',
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ message: 'Error creating calendar feed' });
+  }
+};
+
+/**
+ * Turn off the signed-in user's calendar feed
+ * DELETE /api/webinars/calendar/feed
+ */
+export const revokeCalendarFeed = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedTokenHash: '' } });
+    res.status(200).json({ message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ message: 'Error revoking calendar feed' });
+  }
+};
+
+/**
+ * iCal feed of every webinar the feed owner has a seat in (for calendar app subscriptions)
+ * GET /api/webinars/calendar/feed/:token.ics
+ */
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!/^[0-9a-f]{48}$/.test(token)) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const user = await User.findOne({ calendarFeedTokenHash: hashFeedToken(token) }).select('_id').lean();
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const webinars = await Webinar.find({
+      attendees: { $elemMatch: { user: user._id, attendanceStatus: { $ne: 'waitlisted' } } },
+      date: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+    })
+      .select('name slug date durationMinutes calInvDesc line1 calendarSequence')
+      .sort({ date: 1 })
+      .lean();
+
+    const ics = buildCalendar(webinars.map((webinar) => toCalendarEvent(webinar)), { name: 'Royal Vault Webinars' });
+    sendCalendar(res, 'webinars.ics', ics, { inline: true });
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ message: 'Error building calendar feed' });
+  }
+};
@@ -1,12 +1,33 @@
-import axios from 'axios';
 import User from '../models/User.js';
 import Webinar from '../models/Webinar.js';
+import WebinarSeries from '../models/WebinarSeries.js';
+import ReminderDelivery from '../models/ReminderDelivery.js';
+import WatchSession from '../models/WatchSession.js';
+import HubSpotSyncRun from '../models/HubSpotSyncRun.js';
+import WebinarTemplate from '../models/WebinarTemplate.js';
 import mongoose from 'mongoose';
 import { WebinarOnRecording } from '../models/Webinar.js';
 import sendEmail from '../utils/sendEmail.js';
-import { sendWebinarReminder } from '../services/webinarReminderService.js';
-
-const HUBSPOT_API_BASE = 'https://api.hubapi.com/crm/v3';
+import { sendWebinarReminder, normalizeReminderSchedule } from '../services/webinarReminderService.js';
+import {
+  getDailyRecordingLink,
+  queueRecordingIngestion,
+  ingestRecording,
+} from '../services/recordingIngestionService.js';
+import { publishWebinarEvent, getPresenceCount } from '../services/webinarLiveService.js';
+import { getHubSpotHeaders } from '../services/hubSpotService.js';
+import { registerOrWaitlist, promoteFromWaitlist } from '../services/webinarWaitlistService.js';
+import { buildWebinarEmailData } from '../services/webinarEmailService.js';
+import { summarizeWatchSessions } from '../services/webinarAttendanceService.js';
+import { syncWebinarToHubSpot } from '../services/webinarHubSpotSyncService.js';
+import { finishWebinar } from '../services/webinarEndService.js';
+import { pickWebinarConfig, validateWebinarBody } from '../services/webinarTemplateService.js';
+import {
+  buildInviteAttachment,
+  notifyWebinarRescheduled,
+  notifyWebinarCancelled,
+  notifyUserLeftWebinars,
+} from '../services/webinarCalendarService.js';
 
 // ==================== ADMIN FUNCTIONS ====================
 
@@ -30,7 +51,7 @@ export const getAllWebinars = async (req, res) => {
     if (fields === 'basic') {
       selectFields = 'name slug date status streamType line1 line2 line3 displayComments portalDisplay ctas activeCtaIndices createdAt';
     } else if (fields === 'detailed') {
-      selectFields = 'name slug date status streamType line1 line2 line3 displayComments portalDisplay calInvDesc proWorkId reminderSms proSms proSmsTime attendOverwrite rawRecordingId ctas activeCtaIndices createdAt attendees';
+      selectFields = 'name slug date status streamType line1 line2 line3 displayComments portalDisplay calInvDesc proWorkId reminderSms reminderSmsTime proSms proSmsTime attendOverwrite durationMinutes capacity waitlist reminderSchedule rawRecordingId ctas activeCtaIndices createdAt attendees';
       populateFields = [
         { path: 'proSmsList', select: 'name' },
         { path: 'createdBy', select: 'name email' }
@@ -75,7 +96,7 @@ export const getWebinarById = async (req, res) => {
     let populateFields = [];
 
     if (fields === 'basic') {
-      selectFields = 'name slug date status streamType line1 line2 line3 displayComments portalDisplay';
+      selectFields = 'name slug date status streamType line1 line2 line3 displayComments guestChat portalDisplay';
     } else {
       populateFields = [
         { path: 'proSmsList', select: 'name' },
@@ -113,66 +134,39 @@ export const getWebinarById = async (req, res) => {
 // Admin creates a new webinar
 export const createWebinar = async (req, res) => {
   try {
-    const {
-      streamType,
-      name,
-      slug,
-      date,
-      line1,
-      line2,
-      line3,
-      status,
-      displayComments,
-      portalDisplay,
-      calInvDesc,
-      proWorkId,
-      reminderSms,
-      proSmsList,
-      proSms,
-      proSmsTime,
-      attendOverwrite,
-      rawRecordingId,
-      ctas
-    } = req.body;
+    const { templateId, ...body } = req.body;
+
+    // Start from the template's configuration; non-empty fields sent in the body take precedence
+    let fields = body;
+    if (templateId) {
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return res.status(400).json({ message: 'Invalid template ID' });
+      }
+      const template = await WebinarTemplate.findById(templateId).lean();
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      fields = { ...pickWebinarConfig(template) };
+      Object.entries(body).forEach(([field, value]) => {
+        if (value !== undefined && value !== '') fields[field] = value;
+      });
+    }
 
-    const createdBy = req.user.id;
+    const { value, errors } = validateWebinarBody(fields);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
 
     // Check if slug already exists
-    const existingWebinar = await Webinar.findOne({ slug });
+    const existingWebinar = await Webinar.findOne({ slug: value.slug });
     if (existingWebinar) {
       return res.status(400).json({ message: 'Slug already exists' });
     }
 
-    // Validate CTAs if provided
-    if (ctas && Array.isArray(ctas)) {
-      for (const cta of ctas) {
-        if (!cta.label || !cta.link) {
-          return res.status(400).json({ message: 'Each CTA must have both label and link' });
-        }
-      }
-    }
-
     const newWebinar = new Webinar({
-      streamType,
-      name,
-      slug,
-      date,
-      line1,
-      line2,
-      line3,
-      status,
-      displayComments,
-      portalDisplay,
-      calInvDesc,
-      proWorkId,
-      reminderSms,
-      proSmsList,
-      proSms,
-      proSmsTime,
-      attendOverwrite,
-      rawRecordingId,
-      ctas: ctas || [],
-      createdBy
+      ...value,
+      ctas: value.ctas || [],
+      createdBy: req.user.id
     });
 
     await newWebinar.save();
@@ -207,14 +201,22 @@ export const updateWebinar = async (req, res) => {
       status,
       displayComments,
       portalDisplay,
+      guestChat,
+      chatSlowModeSeconds,
       calInvDesc,
       proWorkId,
       reminderSms,
+      reminderSmsTime,
       proSmsList,
       proSms,
       proSmsTime,
       attendOverwrite,
+      durationMinutes,
+      capacity,
+      waitlist,
+      reminderSchedule,
       recording,
+      dailyRoomName,
       ctas
     } = req.body;
 
@@ -229,6 +231,19 @@ export const updateWebinar = async (req, res) => {
       }
     }
 
+    if (capacity !== undefined && capacity !== null && !(Number.isInteger(Number(capacity)) && Number(capacity) >= 1)) {
+      return res.status(400).json({ message: 'Capacity must be a positive whole number or null for unlimited' });
+    }
+
+    let normalizedSchedule;
+    if (reminderSchedule !== undefined) {
+      const { error, schedule } = normalizeReminderSchedule(reminderSchedule);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      normalizedSchedule = schedule;
+    }
+
     // Validate CTAs if provided
     if (ctas && Array.isArray(ctas)) {
       for (const cta of ctas) {
@@ -249,14 +264,22 @@ export const updateWebinar = async (req, res) => {
       status,
       displayComments,
       portalDisplay,
+      guestChat,
+      chatSlowModeSeconds,
       calInvDesc,
       proWorkId,
       reminderSms,
+      reminderSmsTime,
       proSmsList,
       proSms,
       proSmsTime,
       attendOverwrite,
+      durationMinutes,
+      capacity,
+      waitlist,
+      reminderSchedule: normalizedSchedule,
       recording,
+      dailyRoomName,
       ctas
     };
 
@@ -267,6 +290,8 @@ export const updateWebinar = async (req, res) => {
       }
     });
 
+    const previous = await Webinar.findById(webinarId).select('date');
+
     const updatedWebinar = await Webinar.findByIdAndUpdate(
       webinarId,
       updateData,
@@ -279,8 +304,27 @@ export const updateWebinar = async (req, res) => {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
+    // Rescheduled: send attendees an updated calendar invite
+    if (previous && updatedWebinar.date.getTime() !== previous.date.getTime()) {
+      notifyWebinarRescheduled(webinarId).catch((error) => {
+        console.error('Error sending rescheduled invites:', error.message);
+      });
+    }
+
     console.log("updatedWebinar:", updatedWebinar);
 
+    // Raising the capacity frees seats for the waitlist
+    if (capacity !== undefined) {
+      const promoted = await promoteFromWaitlist(webinarId);
+      if (promoted.length > 0) {
+        return res.status(200).json({
+          message: 'Webinar updated successfully',
+          webinar: await Webinar.findById(webinarId).populate('proSmsList', 'name').populate('createdBy', 'name email'),
+          promotedFromWaitlist: promoted.length
+        });
+      }
+    }
+
     res.status(200).json({
       message: 'Webinar updated successfully',
       webinar: updatedWebinar
@@ -302,6 +346,19 @@ export const deleteWebinar = async (req, res) => {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
+    // Remove the event from attendees' calendars
+    notifyWebinarCancelled(deletedWebinar).catch((error) => {
+      console.error('Error sending webinar cancellations:', error.message);
+    });
+
+    // Keep the series from generating a deleted occurrence again
+    if (deletedWebinar.series) {
+      await WebinarSeries.updateOne(
+        { _id: deletedWebinar.series },
+        { $addToSet: { excludedDates: deletedWebinar.seriesOccurrenceDate } }
+      );
+    }
+
     res.status(200).json({ message: 'Webinar deleted successfully' });
   } catch (error) {
     console.error(error);
@@ -320,10 +377,7 @@ export const endWebinar = async (req, res) => {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
-    // Update webinar status to 'Ended'
-    webinar.status = 'Ended';
-    webinar.portalDisplay = 'No';
-    await webinar.save();
+    await finishWebinar(webinar, { triggeredBy: req.user._id });
 
     res.status(200).json({
       message: 'Webinar ended successfully',
@@ -350,9 +404,25 @@ export const viewAttendees = async (req, res) => {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
+    // Watch time from player heartbeats (see webinarAttendanceController)
+    const sessions = await WatchSession.find({ webinar: webinar._id }).select('user mode startedAt lastHeartbeatAt').lean();
+    const watch = summarizeWatchSessions(sessions);
+
     res.status(200).json({
       message: 'Attendees fetched successfully',
-      attendees: webinar.attendees
+      attendees: webinar.attendees.map((attendee) => {
+        const entry = attendee.user && watch.get(attendee.user._id.toString());
+        return {
+          ...attendee.toObject(),
+          watch: {
+            liveSeconds: entry?.liveSeconds || 0,
+            replaySeconds: entry?.replaySeconds || 0,
+            sessions: entry?.sessions || 0,
+            firstJoinedAt: entry?.firstJoinedAt || null,
+            lastSeenAt: entry?.lastSeenAt || null
+          }
+        };
+      })
     });
   } catch (error) {
     console.error(error);
@@ -376,8 +446,9 @@ export const adminMarkAsAttended = async (req, res) => {
       return res.status(400).json({ message: 'User is not registered for this webinar' });
     }
 
-    // Mark the user as attended
+    // Mark the user as attended (this also takes them off the waitlist)
     attendee.attendanceStatus = 'attended';
+    attendee.waitlistPosition = undefined;
     await webinar.save();
 
     res.status(200).json({ message: 'User marked as attended for the webinar' });
@@ -387,145 +458,61 @@ export const adminMarkAsAttended = async (req, res) => {
   }
 };
 
-// Sync webinar attendees to a HubSpot list (create list if not exists, update membership if exists)
+// Sync webinar attendees to HubSpot: a list of all participants plus one per attendance status
 export const syncAttendeesToHubSpot = async (req, res) => {
   try {
-    const HUBSPOT_PRIVATE_API_KEY = process.env.HUBSPOT_PRIVATE_API_KEY;
-    if (!HUBSPOT_PRIVATE_API_KEY) {
+    if (!getHubSpotHeaders()) {
       return res.status(500).json({ message: 'HubSpot API key not configured' });
     }
 
     const { webinarId } = req.params;
-    const webinar = await Webinar.findById(webinarId)
-      .populate({
-        path: 'attendees.user',
-        select: 'firstName lastName email phone'
-      });
-
-    if (!webinar) {
-      return res.status(404).json({ message: 'Webinar not found' });
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
     }
-
-    const attendees = webinar.attendees || [];
-    const contactsWithEmail = attendees
-      .map((a) => a.user)
-      .filter((u) => u && u.email);
-
-    if (contactsWithEmail.length === 0) {
-      return res.status(400).json({ message: 'No attendees with email to sync' });
+    if (!(await Webinar.exists({ _id: webinarId }))) {
+      return res.status(404).json({ message: 'Webinar not found' });
     }
 
-    const authHeader = { Authorization: `Bearer ${HUBSPOT_PRIVATE_API_KEY}` };
-
-    // Get or create HubSpot contact for each attendee; collect contact IDs
-    const contactIds = [];
-    for (const user of contactsWithEmail) {
-      const searchRes = await axios.post(
-        `${HUBSPOT_API_BASE}/objects/contacts/search`,
-        {
-          filterGroups: [{
-            filters: [{ propertyName: 'email', operator: 'EQ', value: user.email }]
-          }],
-          properties: ['email'],
-          limit: 1
-        },
-        { headers: { ...authHeader, 'Content-Type': 'application/json' } }
-      );
-      const results = searchRes.data?.results || [];
-      let contactId;
-      if (results.length > 0) {
-        contactId = String(results[0].id);
-      } else {
-        const createRes = await axios.post(
-          `${HUBSPOT_API_BASE}/objects/contacts`,
-          {
-            properties: {
-              email: user.email,
-              firstname: user.firstName || '',
-              lastname: user.lastName || '',
-              phone: user.phone || ''
-            }
-          },
-          { headers: { ...authHeader, 'Content-Type': 'application/json' } }
-        );
-        contactId = String(createRes.data.id);
-      }
-      contactIds.push(contactId);
-    }
-
-    const uniqueContactIds = [...new Set(contactIds)];
-    const listName = `Webinar: ${webinar.line1 || webinar.name} (${webinar.date ? new Date(webinar.date).toISOString().slice(0, 10) : 'participants'})`;
-
-    if (webinar.hubSpotListId) {
-      // List exists: get current members, then add/remove to match current attendees
-      const currentMemberIds = [];
-      let after = undefined;
-      do {
-        const url = `${HUBSPOT_API_BASE}/lists/${webinar.hubSpotListId}/memberships${after ? `?after=${after}` : ''}`;
-        const membersRes = await axios.get(url, { headers: authHeader });
-        const results = membersRes.data?.results || [];
-        results.forEach((r) => currentMemberIds.push(String(r.recordId)));
-        after = membersRes.data?.paging?.next?.after;
-      } while (after);
-
-      const toAdd = uniqueContactIds.filter((id) => !currentMemberIds.includes(id));
-      const toRemove = currentMemberIds.filter((id) => !uniqueContactIds.includes(id));
-
-      if (toAdd.length > 0 || toRemove.length > 0) {
-        await axios.put(
-          `${HUBSPOT_API_BASE}/lists/${webinar.hubSpotListId}/memberships/add-and-remove`,
-          { recordIdsToAdd: toAdd, recordIdsToRemove: toRemove },
-          { headers: { ...authHeader, 'Content-Type': 'application/json' } }
-        );
-      }
-
-      return res.status(200).json({
-        message: 'HubSpot list updated successfully',
-        listId: webinar.hubSpotListId,
-        added: toAdd.length,
-        removed: toRemove.length,
-        totalContacts: uniqueContactIds.length
-      });
+    const run = await syncWebinarToHubSpot(webinarId, { trigger: 'manual', triggeredBy: req.user._id });
+    if (!run) {
+      return res.status(409).json({ message: 'A HubSpot sync is already running for this webinar' });
     }
 
-    // Create new list
-    const createListRes = await axios.post(
-      `${HUBSPOT_API_BASE}/lists`,
-      {
-        name: listName,
-        objectTypeId: '0-1',
-        processingType: 'MANUAL'
-      },
-      { headers: { ...authHeader, 'Content-Type': 'application/json' } }
-    );
-
-    const listPayload = createListRes.data.list || createListRes.data;
-    const newListId = String(listPayload?.listId || listPayload?.id || createListRes.data.listId || createListRes.data.id);
-    if (!newListId) {
-      return res.status(500).json({ message: 'HubSpot did not return a list ID' });
-    }
+    const messages = {
+      completed: 'HubSpot lists synced successfully',
+      partial: 'HubSpot lists synced; some contacts failed',
+      failed: 'HubSpot sync failed'
+    };
+    return res.status(run.status === 'failed' ? 502 : 200).json({
+      message: messages[run.status],
+      listId: run.lists.find((list) => list.kind === 'all')?.listId,
+      report: run
+    });
+  } catch (error) {
+    console.error('syncAttendeesToHubSpot error:', error.message);
+    return res.status(500).json({ message: 'Error syncing to HubSpot' });
+  }
+};
 
-    if (uniqueContactIds.length > 0) {
-      await axios.put(
-        `${HUBSPOT_API_BASE}/lists/${newListId}/memberships/add`,
-        uniqueContactIds,
-        { headers: { ...authHeader, 'Content-Type': 'application/json' } }
-      );
+// Recent HubSpot sync reports for a webinar (newest first)
+export const getHubSpotSyncReports = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
     }
 
-    webinar.hubSpotListId = newListId;
-    await webinar.save();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const reports = await HubSpotSyncRun.find({ webinar: webinarId })
+      .populate('triggeredBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
 
-    return res.status(200).json({
-      message: 'HubSpot list created and participants added',
-      listId: newListId,
-      totalContacts: uniqueContactIds.length
-    });
+    res.status(200).json({ message: 'HubSpot sync reports fetched successfully', reports });
   } catch (error) {
-    console.error('syncAttendeesToHubSpot error:', error.response?.data || error.message);
-    const status = error.response?.status || 500;
-    const message = error.response?.data?.message || error.response?.data?.error || error.message || 'Error syncing to HubSpot';
-    return res.status(status).json({ message: typeof message === 'string' ? message : JSON.stringify(message) });
+    console.error('Error fetching HubSpot sync reports:', error);
+    res.status(500).json({ message: 'Error fetching HubSpot sync reports' });
   }
 };
 
@@ -550,9 +537,9 @@ export const getPublicWebinars = async (req, res) => {
     }
 
     if (fields === 'basic') {
-      selectFields = 'name slug date status streamType portalDisplay line1 line2 line3 displayComments ctas activeCtaIndices attendees';
+      selectFields = 'name slug date status streamType portalDisplay line1 line2 line3 displayComments guestChat ctas activeCtaIndices attendees';
     } else {
-      selectFields = 'name slug date status streamType portalDisplay line1 line2 line3 displayComments ctas activeCtaIndices attendees recording';
+      selectFields = 'name slug date status streamType portalDisplay line1 line2 line3 displayComments guestChat ctas activeCtaIndices attendees recording';
       populateFields = [
         { path: 'createdBy', select: 'name email' }
       ];
@@ -620,47 +607,29 @@ export const registerForWebinar = async (req, res) => {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
-    // Check if the user is already registered
-    if (webinar.attendees.some((attendee) => attendee.user.toString() === userId.toString())) {
+    // Take a seat, or join the waitlist when the webinar is full
+    const result = await registerOrWaitlist(webinarId, userId);
+    if (result.status === 'already-registered') {
       return res.status(401).json({ message: 'User is already registered for this webinar' });
     }
-
-    // Check if max attendees have been reached
-    const maxAttendees = webinar.attendOverwrite || 100;
-    if (webinar.attendees.length >= maxAttendees) {
+    if (result.status === 'full') {
       return res.status(400).json({ message: 'Webinar is full' });
     }
-
-    // Register user for the webinar
-    webinar.attendees.push({ user: userId, attendanceStatus: 'registered' });
-    await webinar.save();
-
-    // Format date and time in EST timezone
-    const datePart = webinar.date.toLocaleDateString('en-US', { timeZone: 'America/New_York' }); // e.g. "11/11/2025"
-    const timePart = webinar.date.toLocaleTimeString('en-US', {
-      timeZone: 'America/New_York',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    }); // e.g. "3:30 PM"
+    if (result.status === 'waitlisted') {
+      return res.status(200).json({
+        message: 'Webinar is full. You have been added to the waitlist',
+        status: 'waitlisted',
+        waitlistPosition: result.position
+      });
+    }
 
     // Send email to user
-    const userUrl = `${process.env.CLIENT_URL}/royal-tv/${webinar.slug}/user?is_user=true`;
     const templateId = process.env.WEBINAR_CONFIRMATION_TEMPLATE_ID;
-    const data = {
-      firstName: user.firstName,
-      lastName: user.lastName,
-      link: userUrl,
-      subject: "Royal Vault Portal - Webinar Registration",
-      date: datePart,
-      time: timePart + " EST",
-      webinarName: webinar.line1,
-      description: webinar.line1,
-    };
+    const data = buildWebinarEmailData(webinar, user, "Royal Vault Portal - Webinar Registration");
 
-    await sendEmail(user.email, data, templateId);
+    await sendEmail(user.email, data, templateId, [buildInviteAttachment(webinar, user)]);
 
-    res.status(200).json({ message: 'Successfully registered for the webinar' });
+    res.status(200).json({ message: 'Successfully registered for the webinar', status: 'registered' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Error registering for the webinar' });
@@ -699,6 +668,10 @@ export const markAsAttended = async (req, res) => {
       return res.status(400).json({ message: 'User is not registered for this webinar' });
     }
 
+    if (attendee.attendanceStatus === 'waitlisted') {
+      return res.status(403).json({ message: 'You are on the waitlist for this webinar' });
+    }
+
     // Mark the user as attended
     attendee.attendanceStatus = 'attended';
     await webinar.save();
@@ -737,6 +710,11 @@ export const markAsWatched = async (req, res) => {
       return res.status(200).json({ message: 'You have been marked as watched' });
     }
 
+    // Waitlisted users get the recording once the webinar is over
+    if (attendee.attendanceStatus === 'waitlisted' && webinar.status !== 'Ended') {
+      return res.status(403).json({ message: 'You are on the waitlist for this webinar' });
+    }
+
     // User is already registered - only update to 'watched' if status is not already 'attended'
     // 'attended' takes precedence and should not be overwritten
     if (attendee.attendanceStatus !== 'attended') {
@@ -758,21 +736,31 @@ export const unregisterFromWebinar = async (req, res) => {
     const userId = req.user._id; // Get user ID from the user object
     const { webinarId } = req.params;
 
-    // Find the webinar
-    const webinar = await Webinar.findById(webinarId);
-    if (!webinar) {
-      return res.status(404).json({ message: 'Webinar not found' });
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
     }
 
-    // Check if the user is registered
-    const attendeeIndex = webinar.attendees.findIndex((attendee) => attendee.user.toString() === userId.toString());
-    if (attendeeIndex === -1) {
+    // Remove the user with an atomic $pull (saving the whole attendees array could drop a concurrent
+    // registration); the document from before the update tells whether they held a seat
+    const webinar = await Webinar.findOneAndUpdate(
+      { _id: webinarId, 'attendees.user': userId },
+      { $pull: { attendees: { user: userId } } },
+      { new: false }
+    );
+    if (!webinar) {
+      const exists = await Webinar.exists({ _id: webinarId });
+      if (!exists) {
+        return res.status(404).json({ message: 'Webinar not found' });
+      }
       return res.status(400).json({ message: 'User is not registered for this webinar' });
     }
+    const removed = webinar.attendees.find((attendee) => attendee.user.toString() === userId.toString());
 
-    // Remove user from attendees list
-    webinar.attendees.splice(attendeeIndex, 1);
-    await webinar.save();
+    // A freed seat goes to the next person on the waitlist
+    if (removed.attendanceStatus !== 'waitlisted') {
+      await promoteFromWaitlist(webinarId);
+      await notifyUserLeftWebinars([webinar], req.user);
+    }
 
     res.status(200).json({ message: 'Successfully unregistered from the webinar' });
   } catch (error) {
@@ -817,19 +805,7 @@ export const getDownloadLink = async (req, res) => {
     const { rawRecordingId } = req.params;
 
     // Fetch download link from Daily API
-    const response = await fetch(`https://api.daily.co/v1/recordings/${rawRecordingId}/access-link`, {
-      headers: {
-        "Authorization": `Bearer ${process.env.DAILY_API_KEY}`,
-        "Content-Type": "application/json"
-      }
-    });
-
-    console.log("Response:", response);
-
-    const data = await response.json();
-    console.log("Download:", data);
-    const downloadUrl = data.download_link;
-    console.log("Download URL:", downloadUrl);
+    const downloadUrl = await getDailyRecordingLink(rawRecordingId);
 
     res.status(200).json({ message: 'Download link fetched successfully', downloadUrl });
   } catch (error) {
@@ -838,6 +814,46 @@ export const getDownloadLink = async (req, res) => {
   }
 }
 
+/**
+ * Re-run copying the Daily recording into Supabase storage (admin only)
+ * POST /api/webinars/admin/:webinarId/recording/ingest
+ */
+export const rerunRecordingIngestion = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('rawRecordingId recordingIngestion');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+    if (!webinar.rawRecordingId) {
+      return res.status(400).json({ message: 'Webinar has no Daily recording' });
+    }
+    if (webinar.recordingIngestion?.status === 'in-progress') {
+      return res.status(409).json({ message: 'Recording ingestion is already running' });
+    }
+
+    const queued = await queueRecordingIngestion(webinarId);
+
+    // Runs in the background; progress is tracked on webinar.recordingIngestion
+    ingestRecording(webinarId).catch((error) => {
+      console.error('Error ingesting recording:', error);
+    });
+
+    res.status(202).json({
+      message: 'Recording ingestion started',
+      recordingIngestion: queued.recordingIngestion
+    });
+  } catch (error) {
+    console.error('Error re-running recording ingestion:', error);
+    res.status(500).json({ message: 'Error starting recording ingestion' });
+  }
+};
+
 /**
  * Activate a CTA (make it active/displayed)
  * POST /api/webinars/:webinarId/cta/:ctaIndex/activate
@@ -862,13 +878,29 @@ export const activateCta = async (req, res) => {
       return res.status(400).json({ message: 'CTA index out of range' });
     }
 
-    // Use atomic operation to add index to activeCtaIndices
-    // $addToSet prevents duplicates and is atomic
-    const updatedWebinar = await Webinar.findByIdAndUpdate(
-      webinarId,
-      { $addToSet: { activeCtaIndices: index } },
+    // Atomically add the index and open an activation history entry;
+    // the filter makes this a no-op when the CTA is already active
+    let updatedWebinar = await Webinar.findOneAndUpdate(
+      { _id: webinarId, activeCtaIndices: { $ne: index } },
+      {
+        $addToSet: { activeCtaIndices: index },
+        $push: {
+          ctaActivations: {
+            ctaIndex: index,
+            label: webinarCheck.ctas[index].label,
+            activatedAt: new Date(),
+            activatedBy: req.user._id,
+            viewersAtActivation: getPresenceCount(webinarId),
+          }
+        }
+      },
       { new: true, runValidators: true }
     ).select('activeCtaIndices');
+    if (!updatedWebinar) {
+      updatedWebinar = await Webinar.findById(webinarId).select('activeCtaIndices');
+    }
+
+    publishWebinarEvent(webinarId, 'cta:update', { activeCtaIndices: updatedWebinar.activeCtaIndices || [] });
 
     res.status(200).json({
       message: 'CTA activated successfully',
@@ -893,18 +925,32 @@ export const deactivateCta = async (req, res) => {
       return res.status(400).json({ message: 'Invalid CTA index' });
     }
 
-    // Use atomic operation to remove index from activeCtaIndices
-    // $pull removes all occurrences and is atomic
-    const updatedWebinar = await Webinar.findByIdAndUpdate(
-      webinarId,
-      { $pull: { activeCtaIndices: index } },
-      { new: true, runValidators: true }
+    // Atomically remove the index and close its open activation history entry;
+    // the filter makes this a no-op when the CTA is not active
+    let updatedWebinar = await Webinar.findOneAndUpdate(
+      { _id: webinarId, activeCtaIndices: index },
+      {
+        $pull: { activeCtaIndices: index },
+        $set: {
+          'ctaActivations.$[open].deactivatedAt': new Date(),
+          'ctaActivations.$[open].deactivatedBy': req.user._id,
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [{ 'open.ctaIndex': index, 'open.deactivatedAt': null }]
+      }
     ).select('activeCtaIndices');
+    if (!updatedWebinar) {
+      updatedWebinar = await Webinar.findById(webinarId).select('activeCtaIndices');
+    }
 
     if (!updatedWebinar) {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
+    publishWebinarEvent(webinarId, 'cta:update', { activeCtaIndices: updatedWebinar.activeCtaIndices || [] });
+
     res.status(200).json({
       message: 'CTA deactivated successfully',
       activeCtaIndices: updatedWebinar.activeCtaIndices || []
@@ -942,7 +988,8 @@ export const getActiveCtas = async (req, res) => {
  * Test endpoint to manually trigger reminder emails for a webinar
  * POST /api/webinars/admin/:webinarId/test-reminder
  * Admin only
- * Note: This bypasses the reminderEmailSent check to allow testing
+ * Body: { offsetMinutes } - stage to send (defaults to the earliest stage in the schedule)
+ * Note: This sends even to attendees who already received the stage and does not record the delivery
  */
 export const testSendReminder = async (req, res) => {
   try {
@@ -953,41 +1000,66 @@ export const testSendReminder = async (req, res) => {
       return res.status(404).json({ message: 'Webinar not found' });
     }
 
-    // Store original status
-    const originalReminderStatus = webinar.reminderEmailSent;
-    const originalReminderSentAt = webinar.reminderEmailSentAt;
-
-    // Temporarily reset reminder status for testing
-    webinar.reminderEmailSent = false;
-    webinar.reminderEmailSentAt = undefined;
-
-    // Populate attendees before calling the service
-    await webinar.populate({
-      path: 'attendees.user',
-      select: 'firstName lastName email'
-    });
-
-    // Call the reminder service (it will set reminderEmailSent to true after sending and save the webinar)
-    await sendWebinarReminder(webinar);
+    const offsetMinutes = req.body?.offsetMinutes !== undefined
+      ? Number(req.body.offsetMinutes)
+      : Math.max(0, ...webinar.reminderSchedule.map((stage) => stage.offsetMinutes));
+    if (!Number.isInteger(offsetMinutes) || offsetMinutes < 0) {
+      return res.status(400).json({ message: 'offsetMinutes must be a non-negative whole number' });
+    }
 
-    // Reload webinar to get updated status after save
-    const updatedWebinar = await Webinar.findById(webinarId);
+    const result = await sendWebinarReminder(webinar, offsetMinutes, { force: true });
 
     res.status(200).json({
       message: 'Test reminder sent successfully',
       webinar: {
-        _id: updatedWebinar._id,
-        name: updatedWebinar.name,
-        reminderEmailSent: updatedWebinar.reminderEmailSent,
-        reminderEmailSentAt: updatedWebinar.reminderEmailSentAt,
-        previousStatus: {
-          reminderEmailSent: originalReminderStatus,
-          reminderEmailSentAt: originalReminderSentAt
-        }
-      }
+        _id: webinar._id,
+        name: webinar.name,
+        reminderSchedule: webinar.reminderSchedule
+      },
+      offsetMinutes,
+      ...result
     });
   } catch (error) {
     console.error('Error sending test reminder:', error);
     res.status(500).json({ message: 'Error sending test reminder', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Reminder delivery status per stage of the schedule
+ * GET /api/webinars/admin/:webinarId/reminders
+ * Admin only
+ */
+export const getReminderDeliveries = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('name date reminderSchedule attendees.attendanceStatus');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const counts = await ReminderDelivery.aggregate([
+      { $match: { webinar: webinar._id, channel: 'email' } },
+      { $group: { _id: { stage: '$stage', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const recipients = webinar.attendees.filter((attendee) => attendee.attendanceStatus !== 'waitlisted').length;
+    const stages = webinar.reminderSchedule.map(({ offsetMinutes }) => {
+      const dueAt = new Date(webinar.date.getTime() - offsetMinutes * 60 * 1000);
+      const byStatus = { sending: 0, sent: 0, failed: 0 };
+      counts
+        .filter((entry) => entry._id.stage === offsetMinutes)
+        .forEach((entry) => { byStatus[entry._id.status] = entry.count; });
+      return { offsetMinutes, dueAt, ...byStatus };
+    });
+
+    res.status(200).json({ webinarId: webinar._id, name: webinar.name, date: webinar.date, recipients, stages });
+  } catch (error) {
+    console.error('Error fetching reminder deliveries:', error);
+    res.status(500).json({ message: 'Error fetching reminder deliveries' });
+  }
+};
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import Webinar from '../models/Webinar.js';
+import { subscribeToWebinar, getPresenceCount } from '../services/webinarLiveService.js';
+
+/**
+ * Stream live chat, pin and CTA events for a webinar (Server-Sent Events)
+ * GET /api/webinars/:webinarId/live?since=<eventId>
+ * Browsers resend the last event id in the Last-Event-ID header when they reconnect.
+ */
+export const streamWebinarEvents = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('_id').lean();
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    subscribeToWebinar(webinar._id, req, res, {
+      since: req.get('last-event-id') ?? req.query.since ?? null,
+      userId: req.user?._id || null,
+    });
+  } catch (error) {
+    console.error('Error opening live webinar stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error opening live stream' });
+    }
+  }
+};
+
+/**
+ * Number of viewers currently connected to a webinar's live stream
+ * GET /api/webinars/:webinarId/live/presence
+ */
+export const getWebinarPresence = async (req, res) => {
+  const { webinarId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+    return res.status(400).json({ message: 'Invalid webinar ID' });
+  }
+  res.status(200).json({ message: 'Presence fetched successfully', count: getPresenceCount(webinarId) });
+};
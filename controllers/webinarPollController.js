@@ -0,0 +1,363 @@
+import mongoose from 'mongoose';
+import WebinarPoll from '../models/WebinarPoll.js';
+import PollVote from '../models/PollVote.js';
+import Webinar from '../models/Webinar.js';
+import { publishWebinarEvent } from '../services/webinarLiveService.js';
+import {
+  normalizePollDefinition,
+  parsePollVote,
+  getPollResults,
+  formatPollAnswer,
+  pushPollResultsToHubSpot,
+} from '../services/webinarPollService.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+
+// Find a poll of the webinar, or send the error response and return null
+const findWebinarPoll = async (req, res) => {
+  const { webinarId, pollId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(pollId)) {
+    res.status(400).json({ message: 'Invalid webinar or poll ID' });
+    return null;
+  }
+  const poll = await WebinarPoll.findOne({ _id: pollId, webinar: webinarId });
+  if (!poll) {
+    res.status(404).json({ message: 'Poll not found' });
+    return null;
+  }
+  return poll;
+};
+
+// Poll as sent to viewers (HubSpot settings are only for hosts)
+const toPublicPoll = (poll) => {
+  const { hubSpotProperty, hubSpotSync, createdBy, ...rest } = poll.toObject ? poll.toObject() : poll;
+  return rest;
+};
+
+/**
+ * Create a poll (as a draft)
+ * POST /api/webinars/:webinarId/polls
+ * Body: { question, type: 'single' | 'multiple' | 'rating', options?: string[], ratingMax?, hubSpotProperty? }
+ */
+export const createPoll = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+
+    const webinar = await Webinar.findById(webinarId).select('status');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const { error, poll: definition } = normalizePollDefinition(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const poll = await WebinarPoll.create({ ...definition, webinar: webinarId, createdBy: req.user._id });
+
+    res.status(201).json({ message: 'Poll created successfully', poll });
+  } catch (error) {
+    console.error('Error creating poll:', error);
+    res.status(500).json({ message: 'Error creating poll' });
+  }
+};
+
+/**
+ * Edit a draft poll
+ * PUT /api/webinars/:webinarId/polls/:pollId
+ */
+export const updatePoll = async (req, res) => {
+  try {
+    const poll = await findWebinarPoll(req, res);
+    if (!poll) return;
+
+    if (poll.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft polls can be edited' });
+    }
+
+    const current = poll.toObject();
+    const { error, poll: definition } = normalizePollDefinition({
+      question: current.question,
+      type: current.type,
+      options: current.options,
+      ratingMax: current.ratingMax,
+      hubSpotProperty: current.hubSpotProperty,
+      ...req.body,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    poll.set(definition);
+    await poll.save();
+
+    res.status(200).json({ message: 'Poll updated successfully', poll });
+  } catch (error) {
+    console.error('Error updating poll:', error);
+    res.status(500).json({ message: 'Error updating poll' });
+  }
+};
+
+/**
+ * Delete a poll and its votes
+ * DELETE /api/webinars/:webinarId/polls/:pollId
+ */
+export const deletePoll = async (req, res) => {
+  try {
+    const poll = await findWebinarPoll(req, res);
+    if (!poll) return;
+
+    await PollVote.deleteMany({ poll: poll._id });
+    await poll.deleteOne();
+
+    if (poll.status !== 'draft') {
+      publishWebinarEvent(poll.webinar, 'poll:delete', { _id: poll._id });
+    }
+
+    res.status(200).json({ message: 'Poll deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting poll:', error);
+    res.status(500).json({ message: 'Error deleting poll' });
+  }
+};
+
+/**
+ * List polls of a webinar
+ * GET /api/webinars/:webinarId/polls
+ * Hosts see every poll (drafts included); viewers see live and closed polls with results and their own vote.
+ */
+export const getPolls = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const isHost = req.permissions?.has('webinars:host');
+    const filter = { webinar: webinarId };
+    if (!isHost) {
+      filter.status = { $in: ['live', 'closed'] };
+    }
+
+    const polls = await WebinarPoll.find(filter).sort({ createdAt: 1 }).lean();
+    const myVotes = req.user
+      ? await PollVote.find({ poll: { $in: polls.map((poll) => poll._id) }, user: req.user._id }).lean()
+      : [];
+
+    const result = await Promise.all(polls.map(async (poll) => {
+      const myVote = myVotes.find((vote) => vote.poll.toString() === poll._id.toString());
+      return {
+        ...(isHost ? poll : toPublicPoll(poll)),
+        results: poll.status === 'draft' ? null : await getPollResults(poll),
+        myVote: myVote ? { optionIndices: myVote.optionIndices, rating: myVote.rating } : null,
+      };
+    }));
+
+    res.status(200).json({ message: 'Polls fetched successfully', polls: result });
+  } catch (error) {
+    console.error('Error fetching polls:', error);
+    res.status(500).json({ message: 'Error fetching polls' });
+  }
+};
+
+/**
+ * Aggregated results of a poll
+ * GET /api/webinars/:webinarId/polls/:pollId/results
+ */
+export const getPollResultsHandler = async (req, res) => {
+  try {
+    const poll = await findWebinarPoll(req, res);
+    if (!poll) return;
+
+    if (poll.status === 'draft' && !req.permissions?.has('webinars:host')) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    res.status(200).json({
+      message: 'Poll results fetched successfully',
+      poll: toPublicPoll(poll),
+      results: await getPollResults(poll)
+    });
+  } catch (error) {
+    console.error('Error fetching poll results:', error);
+    res.status(500).json({ message: 'Error fetching poll results' });
+  }
+};
+
+/**
+ * Launch a poll so attendees can vote
+ * POST /api/webinars/:webinarId/polls/:pollId/launch
+ */
+export const launchPoll = async (req, res) => {
+  try {
+    const poll = await findWebinarPoll(req, res);
+    if (!poll) return;
+
+    if (poll.status === 'live') {
+      return res.status(400).json({ message: 'Poll is already live' });
+    }
+
+    const webinar = await Webinar.findById(poll.webinar).select('status');
+    if (webinar?.status === 'Ended') {
+      return res.status(400).json({ message: 'This webinar has ended' });
+    }
+
+    // Relaunching a closed poll keeps its votes
+    poll.status = 'live';
+    poll.launchedAt = poll.launchedAt || new Date();
+    poll.closedAt = undefined;
+    await poll.save();
+
+    publishWebinarEvent(poll.webinar, 'poll:launch', { ...toPublicPoll(poll), results: await getPollResults(poll) });
+
+    res.status(200).json({ message: 'Poll launched', poll });
+  } catch (error) {
+    console.error('Error launching poll:', error);
+    res.status(500).json({ message: 'Error launching poll' });
+  }
+};
+
+/**
+ * Close a live poll
+ * POST /api/webinars/:webinarId/polls/:pollId/close
+ */
+export const closePoll = async (req, res) => {
+  try {
+    const poll = await findWebinarPoll(req, res);
+    if (!poll) return;
+
+    if (poll.status !== 'live') {
+      return res.status(400).json({ message: 'Poll is not live' });
+    }
+
+    poll.status = 'closed';
+    poll.closedAt = new Date();
+    await poll.save();
+
+    const results = await getPollResults(poll);
+    publishWebinarEvent(poll.webinar, 'poll:close', { _id: poll._id, results });
+
+    res.status(200).json({ message: 'Poll closed', poll, results });
+  } catch (error) {
+    console.error('Error closing poll:', error);
+    res.status(500).json({ message: 'Error closing poll' });
+  }
+};
+
+/**
+ * Vote on a live poll (once per attendee)
+ * POST /api/webinars/:webinarId/polls/:pollId/vote
+ * Body: { optionIndices: number[] } for choice polls, { rating } for rating polls
+ */
+export const votePoll = async (req, res) => {
+  try {
+    const poll = await findWebinarPoll(req, res);
+    if (!poll) return;
+
+    if (poll.status !== 'live') {
+      return res.status(400).json({ message: 'This poll is not open for voting' });
+    }
+
+    const { error, vote } = parsePollVote(poll, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      await PollVote.create({ ...vote, poll: poll._id, webinar: poll.webinar, user: req.user._id });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        return res.status(409).json({ message: 'You have already voted in this poll' });
+      }
+      throw createError;
+    }
+
+    const results = await getPollResults(poll);
+    publishWebinarEvent(poll.webinar, 'poll:results', { _id: poll._id, results });
+
+    res.status(201).json({ message: 'Vote recorded', myVote: vote, results });
+  } catch (error) {
+    console.error('Error recording poll vote:', error);
+    res.status(500).json({ message: 'Error recording poll vote' });
+  }
+};
+
+/**
+ * Export every vote of a webinar's polls
+ * GET /api/webinars/admin/:webinarId/polls/export?format=csv|json
+ */
+export const exportPollResults = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be csv or json' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('name slug');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const polls = await WebinarPoll.find({ webinar: webinarId, status: { $ne: 'draft' } }).sort({ createdAt: 1 }).lean();
+
+    if (format === 'json') {
+      const result = await Promise.all(polls.map(async (poll) => ({ ...poll, results: await getPollResults(poll) })));
+      return res.status(200).json({
+        message: 'Poll results exported successfully',
+        webinar: { _id: webinar._id, name: webinar.name, slug: webinar.slug },
+        polls: result
+      });
+    }
+
+    const votes = await PollVote.find({ webinar: webinarId })
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: 1 })
+      .lean();
+    const pollsById = new Map(polls.map((poll) => [poll._id.toString(), poll]));
+    const rows = votes
+      .filter((vote) => pollsById.has(vote.poll.toString()))
+      .map((vote) => ({ vote, poll: pollsById.get(vote.poll.toString()) }));
+
+    const csv = toCsv([
+      { header: 'Poll', value: (r) => r.poll.question },
+      { header: 'Type', value: (r) => r.poll.type },
+      { header: 'First Name', value: (r) => r.vote.user?.firstName },
+      { header: 'Last Name', value: (r) => r.vote.user?.lastName },
+      { header: 'Email', value: (r) => r.vote.user?.email },
+      { header: 'Answer', value: (r) => formatPollAnswer(r.poll, r.vote) },
+      { header: 'Voted At', value: (r) => r.vote.createdAt },
+    ], rows);
+
+    sendCsv(res, `${webinar.slug}-polls.csv`, csv);
+  } catch (error) {
+    console.error('Error exporting poll results:', error);
+    res.status(500).json({ message: 'Error exporting poll results' });
+  }
+};
+
+/**
+ * Push poll answers to HubSpot contact properties (also runs automatically when the webinar ends)
+ * POST /api/webinars/admin/:webinarId/polls/sync-hubspot
+ */
+export const syncPollResultsToHubSpot = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+
+    const webinar = await Webinar.findById(webinarId).select('_id');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const polls = await pushPollResultsToHubSpot(webinarId);
+    const failed = polls.filter((poll) => poll.error).length;
+
+    res.status(failed ? 207 : 200).json({
+      message: failed ? `${failed} poll(s) could not be synced to HubSpot` : 'Poll results synced to HubSpot',
+      polls
+    });
+  } catch (error) {
+    console.error('syncPollResultsToHubSpot error:', error.response?.data || error.message);
+    res.status(500).json({ message: error.message || 'Error syncing poll results to HubSpot' });
+  }
+};
@@ -0,0 +1,303 @@
+import mongoose from 'mongoose';
+import WebinarQuestion from '../models/WebinarQuestion.js';
+import Webinar from '../models/Webinar.js';
+import { publishWebinarEvent } from '../services/webinarLiveService.js';
+import { getActiveRestriction } from '../services/chatModerationService.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+
+const MAX_QUESTION_LENGTH = 1000;
+
+// Fields sent to clients; the voter list is replaced by `hasUpvoted`
+const toPublicQuestion = (question, userId) => {
+  const { upvotes = [], ...rest } = question;
+  return {
+    ...rest,
+    hasUpvoted: userId ? upvotes.some((id) => id.toString() === userId.toString()) : false,
+  };
+};
+
+// Find a question of the webinar, or send the error response and return null
+const findWebinarQuestion = async (req, res) => {
+  const { webinarId, questionId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(questionId)) {
+    res.status(400).json({ message: 'Invalid webinar or question ID' });
+    return null;
+  }
+  const question = await WebinarQuestion.findOne({ _id: questionId, webinar: webinarId });
+  if (!question) {
+    res.status(404).json({ message: 'Question not found' });
+    return null;
+  }
+  return question;
+};
+
+/**
+ * Ask a question
+ * POST /api/webinars/:webinarId/questions
+ */
+export const submitQuestion = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+      return res.status(400).json({ message: 'Question text is required' });
+    }
+    if (text.length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({ message: `Questions are limited to ${MAX_QUESTION_LENGTH} characters` });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('status');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+    if (webinar.status === 'Ended') {
+      return res.status(400).json({ message: 'This webinar has ended' });
+    }
+
+    // Users banned or muted in the chat cannot ask questions either
+    const restriction = await getActiveRestriction(webinarId, req.user._id);
+    if (restriction) {
+      return res.status(403).json({
+        message: restriction.type === 'ban' ? 'You are banned from this webinar' : 'You are muted in this webinar',
+        restriction: { type: restriction.type, expiresAt: restriction.expiresAt }
+      });
+    }
+
+    const question = await WebinarQuestion.create({
+      webinar: webinarId,
+      author: req.user._id,
+      authorName: `${req.user.firstName} ${req.user.lastName}`.trim(),
+      text,
+    });
+
+    const payload = toPublicQuestion(question.toObject());
+    publishWebinarEvent(webinarId, 'question:new', payload);
+
+    res.status(201).json({
+      message: 'Question submitted successfully',
+      question: toPublicQuestion(question.toObject(), req.user._id)
+    });
+  } catch (error) {
+    console.error('Error submitting question:', error);
+    res.status(500).json({ message: 'Error submitting question' });
+  }
+};
+
+/**
+ * List questions, most voted first
+ * GET /api/webinars/:webinarId/questions?status=open|answered|dismissed
+ * Dismissed questions are only listed for hosts.
+ */
+export const getQuestions = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const { status } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const isHost = req.permissions?.has('webinars:host');
+    const filter = { webinar: webinarId };
+    if (status) {
+      if (!['open', 'answered', 'dismissed'].includes(status)) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+      }
+      if (status === 'dismissed' && !isHost) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      filter.status = status;
+    } else if (!isHost) {
+      filter.status = { $ne: 'dismissed' };
+    }
+
+    const questions = await WebinarQuestion.find(filter)
+      .sort({ upvoteCount: -1, createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Questions fetched successfully',
+      questions: questions.map((question) => toPublicQuestion(question, req.user?._id))
+    });
+  } catch (error) {
+    console.error('Error fetching questions:', error);
+    res.status(500).json({ message: 'Error fetching questions' });
+  }
+};
+
+/**
+ * Upvote a question (or remove the upvote with DELETE)
+ * POST   /api/webinars/:webinarId/questions/:questionId/upvote
+ * DELETE /api/webinars/:webinarId/questions/:questionId/upvote
+ */
+const changeUpvote = (add) => async (req, res) => {
+  try {
+    const { webinarId, questionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ message: 'Invalid webinar or question ID' });
+    }
+
+    const userId = req.user._id;
+    // The upvotes condition makes the update a no-op when nothing changes, so the count stays in sync
+    const question = await WebinarQuestion.findOneAndUpdate(
+      add
+        ? { _id: questionId, webinar: webinarId, status: { $ne: 'dismissed' }, upvotes: { $ne: userId } }
+        : { _id: questionId, webinar: webinarId, upvotes: userId },
+      add
+        ? { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+        : { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+      { new: true }
+    ).lean();
+
+    if (!question) {
+      const existing = await WebinarQuestion.findOne({ _id: questionId, webinar: webinarId }).select('status').lean();
+      if (!existing) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+      if (add && existing.status === 'dismissed') {
+        return res.status(400).json({ message: 'This question was dismissed' });
+      }
+      return res.status(200).json({ message: add ? 'Already upvoted' : 'Not upvoted' });
+    }
+
+    publishWebinarEvent(webinarId, 'question:upvote', { _id: question._id, upvoteCount: question.upvoteCount });
+
+    res.status(200).json({
+      message: add ? 'Question upvoted' : 'Upvote removed',
+      question: toPublicQuestion(question, userId)
+    });
+  } catch (error) {
+    console.error('Error updating question upvote:', error);
+    res.status(500).json({ message: 'Error updating question upvote' });
+  }
+};
+
+export const upvoteQuestion = changeUpvote(true);
+export const removeQuestionUpvote = changeUpvote(false);
+
+/**
+ * Mark a question answered
+ * POST /api/webinars/:webinarId/questions/:questionId/answer
+ * Body: { answer?: string, live?: boolean } - `live` marks it as answered on air
+ */
+export const answerQuestion = async (req, res) => {
+  try {
+    const question = await findWebinarQuestion(req, res);
+    if (!question) return;
+
+    const { answer, live } = req.body;
+    const answerText = typeof answer === 'string' ? answer.trim() : '';
+    if (!answerText && !live) {
+      return res.status(400).json({ message: 'Provide an answer or mark the question as answered live' });
+    }
+
+    question.status = 'answered';
+    question.answeredLive = Boolean(live);
+    question.answer = answerText || undefined;
+    question.answeredBy = req.user._id;
+    question.answeredAt = new Date();
+    question.dismissedAt = undefined;
+    await question.save();
+
+    const payload = toPublicQuestion(question.toObject());
+    publishWebinarEvent(question.webinar, 'question:update', payload);
+
+    res.status(200).json({ message: 'Question marked as answered', question: payload });
+  } catch (error) {
+    console.error('Error answering question:', error);
+    res.status(500).json({ message: 'Error answering question' });
+  }
+};
+
+/**
+ * Dismiss a question (e.g. once it has been answered live), or reopen it
+ * POST /api/webinars/:webinarId/questions/:questionId/dismiss
+ * POST /api/webinars/:webinarId/questions/:questionId/reopen
+ */
+const setQuestionOpen = (open) => async (req, res) => {
+  try {
+    const question = await findWebinarQuestion(req, res);
+    if (!question) return;
+
+    if (open) {
+      question.status = 'open';
+      question.answeredLive = false;
+      question.answer = undefined;
+      question.answeredBy = undefined;
+      question.answeredAt = undefined;
+      question.dismissedAt = undefined;
+    } else {
+      question.status = 'dismissed';
+      question.dismissedAt = new Date();
+    }
+    await question.save();
+
+    const payload = toPublicQuestion(question.toObject());
+    publishWebinarEvent(question.webinar, open ? 'question:update' : 'question:dismiss', open ? payload : { _id: question._id });
+
+    res.status(200).json({ message: open ? 'Question reopened' : 'Question dismissed', question: payload });
+  } catch (error) {
+    console.error('Error updating question status:', error);
+    res.status(500).json({ message: 'Error updating question status' });
+  }
+};
+
+export const dismissQuestion = setQuestionOpen(false);
+export const reopenQuestion = setQuestionOpen(true);
+
+/**
+ * Export all questions of an ended webinar
+ * GET /api/webinars/admin/:webinarId/questions/export?format=csv|json
+ */
+export const exportQuestions = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be csv or json' });
+    }
+
+    const webinar = await Webinar.findById(webinarId).select('name slug status');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+    if (webinar.status !== 'Ended') {
+      return res.status(409).json({ message: 'Questions can be exported once the webinar has ended' });
+    }
+
+    const questions = await WebinarQuestion.find({ webinar: webinarId })
+      .populate('author', 'firstName lastName email')
+      .populate('answeredBy', 'firstName lastName')
+      .sort({ upvoteCount: -1, createdAt: 1 })
+      .select('-upvotes')
+      .lean();
+
+    if (format === 'json') {
+      return res.status(200).json({
+        message: 'Questions exported successfully',
+        webinar: { _id: webinar._id, name: webinar.name, slug: webinar.slug },
+        questions
+      });
+    }
+
+    const csv = toCsv([
+      { header: 'Question', value: (q) => q.text },
+      { header: 'Asked By', value: (q) => q.authorName },
+      { header: 'Email', value: (q) => q.author?.email },
+      { header: 'Upvotes', value: (q) => q.upvoteCount },
+      { header: 'Status', value: (q) => q.status },
+      { header: 'Answered Live', value: (q) => (q.answeredLive ? 'Yes' : 'No') },
+      { header: 'Answer', value: (q) => q.answer },
+      { header: 'Answered By', value: (q) => (q.answeredBy ? `${q.answeredBy.firstName} ${q.answeredBy.lastName}`.trim() : '') },
+      { header: 'Asked At', value: (q) => q.createdAt },
+      { header: 'Answered At', value: (q) => q.answeredAt },
+    ], questions);
+
+    sendCsv(res, `${webinar.slug}-questions.csv`, csv);
+  } catch (error) {
+    console.error('Error exporting questions:', error);
+    res.status(500).json({ message: 'Error exporting questions' });
+  }
+};
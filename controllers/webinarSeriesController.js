@@ -0,0 +1,411 @@
+import mongoose from 'mongoose';
+import Webinar from '../models/Webinar.js';
+import WebinarSeries from '../models/WebinarSeries.js';
+import sendEmail from '../utils/sendEmail.js';
+import { parseRRule } from '../utils/rrule.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { promoteFromWaitlist } from '../services/webinarWaitlistService.js';
+import { buildWebinarEmailData } from '../services/webinarEmailService.js';
+import { normalizeReminderSchedule } from '../services/webinarReminderService.js';
+import {
+  buildInviteAttachment,
+  notifyWebinarRescheduled,
+  notifyUserLeftWebinars,
+} from '../services/webinarCalendarService.js';
+import {
+  pickTemplateFields,
+  generateSeriesOccurrences,
+  rescheduleSeries,
+  applyTemplateToOccurrences,
+  registerUserForSeries,
+  unregisterUserFromSeries,
+} from '../services/webinarSeriesService.js';
+
+// Returns an error message for invalid template fields, or null
+const validateTemplateFields = (fields) => {
+  if (fields.capacity !== undefined && fields.capacity !== null &&
+    !(Number.isInteger(Number(fields.capacity)) && Number(fields.capacity) >= 1)) {
+    return 'Capacity must be a positive whole number or null for unlimited';
+  }
+  if (fields.ctas !== undefined) {
+    if (!Array.isArray(fields.ctas) || fields.ctas.some((cta) => !cta?.label || !cta?.link)) {
+      return 'Each CTA must have both label and link';
+    }
+  }
+  if (fields.reminderSchedule !== undefined) {
+    const { error, schedule } = normalizeReminderSchedule(fields.reminderSchedule);
+    if (error) return error;
+    fields.reminderSchedule = schedule; // Stored sorted and deduplicated
+  }
+  return null;
+};
+
+// Returns an error message for invalid schedule fields, or null
+const validateSchedule = ({ recurrence, startDate, timezone }) => {
+  if (recurrence !== undefined) {
+    try {
+      parseRRule(recurrence);
+    } catch (error) {
+      return `Invalid recurrence: ${error.message}`;
+    }
+  }
+  if (startDate !== undefined && isNaN(new Date(startDate).getTime())) {
+    return 'Invalid start date';
+  }
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return 'Invalid timezone';
+  }
+  return null;
+};
+
+// Find a series, or send the error response and return null
+const findSeries = async (req, res) => {
+  const { seriesId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    res.status(400).json({ message: 'Invalid series ID' });
+    return null;
+  }
+  const series = await WebinarSeries.findById(seriesId);
+  if (!series) {
+    res.status(404).json({ message: 'Webinar series not found' });
+    return null;
+  }
+  return series;
+};
+
+// ==================== ADMIN FUNCTIONS ====================
+
+/**
+ * Create a recurring series and generate its upcoming occurrences
+ * POST /api/webinars/admin/series
+ * Body: { name, slug, recurrence: 'FREQ=WEEKLY;BYDAY=TU', startDate, timezone?, ...template fields }
+ */
+export const createSeries = async (req, res) => {
+  try {
+    const { name, slug, recurrence, startDate, timezone = 'America/New_York' } = req.body;
+    const template = pickTemplateFields(req.body);
+
+    if (!name || !slug || !recurrence || !startDate || !template.streamType || !template.line1) {
+      return res.status(400).json({ message: 'name, slug, recurrence, startDate, streamType and line1 are required' });
+    }
+    const error = validateSchedule({ recurrence, startDate, timezone }) || validateTemplateFields(template);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (await WebinarSeries.exists({ slug })) {
+      return res.status(400).json({ message: 'Slug already exists' });
+    }
+
+    const series = await WebinarSeries.create({
+      name,
+      slug,
+      recurrence,
+      startDate,
+      timezone,
+      template,
+      createdBy: req.user._id,
+    });
+    const occurrences = await generateSeriesOccurrences(series);
+
+    res.status(201).json({
+      message: 'Webinar series created successfully',
+      series,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Error creating webinar series:', error);
+    res.status(500).json({ message: 'Error creating webinar series' });
+  }
+};
+
+/**
+ * List series
+ * GET /api/webinars/admin/series?status=active|ended
+ */
+export const getAllSeries = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = status ? { status } : {};
+
+    const series = await WebinarSeries.find(query)
+      .select('-registrants')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Webinar series fetched successfully',
+      series,
+      count: series.length
+    });
+  } catch (error) {
+    console.error('Error fetching webinar series:', error);
+    res.status(500).json({ message: 'Error fetching webinar series' });
+  }
+};
+
+/**
+ * A series with all its occurrences
+ * GET /api/webinars/admin/series/:seriesId
+ */
+export const getSeriesById = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    await series.populate('registrants', 'firstName lastName email');
+    const occurrences = await Webinar.find({ series: series._id })
+      .select('name slug date status seriesOccurrenceDate capacity attendees.attendanceStatus')
+      .sort({ seriesOccurrenceDate: 1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Webinar series fetched successfully',
+      series,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Error fetching webinar series:', error);
+    res.status(500).json({ message: 'Error fetching webinar series' });
+  }
+};
+
+/**
+ * Update a series. Template changes apply to all upcoming occurrences;
+ * schedule changes (recurrence, startDate, timezone) regenerate them.
+ * PUT /api/webinars/admin/series/:seriesId
+ */
+export const updateSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const { name, recurrence, startDate, timezone } = req.body;
+    const template = pickTemplateFields(req.body);
+    const error = validateSchedule({ recurrence, startDate, timezone }) || validateTemplateFields(template);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (name !== undefined) series.name = name;
+    Object.entries(template).forEach(([field, value]) => series.set(`template.${field}`, value));
+
+    const scheduleChanged = [recurrence, startDate, timezone].some((value) => value !== undefined);
+    if (recurrence !== undefined) series.recurrence = recurrence;
+    if (startDate !== undefined) series.startDate = startDate;
+    if (timezone !== undefined) series.timezone = timezone;
+    await series.save();
+
+    const updated = await applyTemplateToOccurrences(series, name !== undefined ? { ...template, name } : template);
+    const schedule = scheduleChanged ? await rescheduleSeries(series) : null;
+
+    res.status(200).json({
+      message: 'Webinar series updated successfully',
+      series,
+      occurrencesUpdated: updated,
+      ...(schedule && { occurrencesRemoved: schedule.removed, occurrencesCreated: schedule.created })
+    });
+  } catch (error) {
+    console.error('Error updating webinar series:', error);
+    res.status(500).json({ message: 'Error updating webinar series' });
+  }
+};
+
+/**
+ * Edit one occurrence, or this and all following occurrences
+ * PUT /api/webinars/admin/series/:seriesId/occurrences/:webinarId
+ * Body: { scope: 'this' | 'future', ...fields } - `date` can only be changed for a single occurrence
+ */
+export const updateSeriesOccurrence = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const { webinarId } = req.params;
+    const { scope, name, date } = req.body;
+
+    if (!['this', 'future'].includes(scope)) {
+      return res.status(400).json({ message: 'scope must be "this" or "future"' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const occurrence = await Webinar.findOne({ _id: webinarId, series: series._id });
+    if (!occurrence) {
+      return res.status(404).json({ message: 'Occurrence not found in this series' });
+    }
+
+    const template = pickTemplateFields(req.body);
+    const error = validateTemplateFields(template);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (scope === 'this') {
+      if (date !== undefined && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ message: 'Invalid date' });
+      }
+      const update = { ...template };
+      if (name !== undefined) update.name = name;
+      if (date !== undefined) update.date = date;
+
+      const updated = await Webinar.findByIdAndUpdate(webinarId, update, { new: true, runValidators: true });
+      if (template.capacity !== undefined) {
+        await promoteFromWaitlist(webinarId);
+      }
+      if (updated.date.getTime() !== occurrence.date.getTime()) {
+        notifyWebinarRescheduled(webinarId).catch((notifyError) => {
+          console.error('Error sending rescheduled invites:', notifyError.message);
+        });
+      }
+      return res.status(200).json({ message: 'Occurrence updated successfully', webinar: updated });
+    }
+
+    if (date !== undefined) {
+      return res.status(400).json({ message: 'To move all future occurrences, change the series recurrence instead' });
+    }
+
+    // "This and following": the series template changes too, so later generated occurrences match
+    Object.entries(template).forEach(([field, value]) => series.set(`template.${field}`, value));
+    if (name !== undefined) series.name = name;
+    await series.save();
+
+    const fields = name !== undefined ? { ...template, name } : template;
+    const updated = await applyTemplateToOccurrences(series, fields, occurrence.seriesOccurrenceDate);
+
+    res.status(200).json({
+      message: 'Occurrences updated successfully',
+      occurrencesUpdated: updated
+    });
+  } catch (error) {
+    console.error('Error updating series occurrence:', error);
+    res.status(500).json({ message: 'Error updating series occurrence' });
+  }
+};
+
+/**
+ * End a series: upcoming occurrences are deleted, past ones are kept
+ * DELETE /api/webinars/admin/series/:seriesId
+ */
+export const deleteSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    series.status = 'ended';
+    await series.save();
+    const { removed } = await rescheduleSeries(series);
+
+    res.status(200).json({
+      message: 'Webinar series ended successfully',
+      occurrencesRemoved: removed
+    });
+  } catch (error) {
+    console.error('Error ending webinar series:', error);
+    res.status(500).json({ message: 'Error ending webinar series' });
+  }
+};
+
+// ==================== USER FUNCTIONS ====================
+
+/**
+ * Public view of a series with its upcoming occurrences
+ * GET /api/webinars/series/:seriesId
+ */
+export const getPublicSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const occurrences = await Webinar.find({
+      series: series._id,
+      portalDisplay: 'Yes',
+      status: { $ne: 'Ended' }
+    })
+      .select('name slug date status streamType line1 line2 line3')
+      .sort({ date: 1 })
+      .lean();
+
+    res.status(200).json({
+      message: 'Webinar series fetched successfully',
+      series: {
+        _id: series._id,
+        name: series.name,
+        slug: series.slug,
+        recurrence: series.recurrence,
+        timezone: series.timezone,
+        status: series.status,
+        streamType: series.template.streamType,
+        line1: series.template.line1,
+        line2: series.template.line2,
+        line3: series.template.line3,
+        isRegistered: req.user ? series.registrants.some((id) => id.toString() === req.user._id.toString()) : false
+      },
+      occurrences
+    });
+  } catch (error) {
+    console.error('Error fetching webinar series:', error);
+    res.status(500).json({ message: 'Error fetching webinar series' });
+  }
+};
+
+/**
+ * Register for every upcoming occurrence of a series (and for those added later)
+ * POST /api/webinars/series/:seriesId/register
+ */
+export const registerForSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    if (series.status !== 'active') {
+      return res.status(400).json({ message: 'This webinar series has ended' });
+    }
+
+    const { summary, registeredWebinars } = await registerUserForSeries(series, req.user._id);
+
+    // One confirmation email pointing at the next occurrence, with every new occurrence in the invite
+    if (registeredWebinars.length > 0) {
+      const data = buildWebinarEmailData(registeredWebinars[0], req.user, 'Royal Vault Portal - Webinar Series Registration');
+      data.webinarName = series.name;
+      await sendEmail(
+        req.user.email,
+        data,
+        process.env.WEBINAR_CONFIRMATION_TEMPLATE_ID,
+        [buildInviteAttachment(registeredWebinars, req.user)]
+      );
+    }
+
+    res.status(200).json({
+      message: 'Successfully registered for the webinar series',
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error registering for webinar series:', error);
+    res.status(500).json({ message: 'Error registering for webinar series' });
+  }
+};
+
+/**
+ * Leave a series: removes the registration from all upcoming occurrences
+ * DELETE /api/webinars/series/:seriesId/unregister
+ */
+export const unregisterFromSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const { removed, seatedWebinars } = await unregisterUserFromSeries(series, req.user._id);
+    await notifyUserLeftWebinars(seatedWebinars, req.user);
+
+    res.status(200).json({
+      message: 'Successfully unregistered from the webinar series',
+      occurrencesLeft: removed
+    });
+  } catch (error) {
+    console.error('Error unregistering from webinar series:', error);
+    res.status(500).json({ message: 'Error unregistering from webinar series' });
+  }
+};
@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+import Webinar from '../models/Webinar.js';
+import WebinarTemplate from '../models/WebinarTemplate.js';
+import {
+  WEBINAR_CONFIG_FIELDS,
+  pickWebinarConfig,
+  validateTemplateBody,
+  validateWebinarBody,
+} from '../services/webinarTemplateService.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * List webinar templates
+ * GET /api/webinars/admin/templates
+ * Query: search (name), page, limit
+ */
+export const getWebinarTemplates = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (search) {
+      filter.name = { $regex: escapeRegex(String(search)), $options: 'i' };
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [total, templates] = await Promise.all([
+      WebinarTemplate.countDocuments(filter),
+      WebinarTemplate.find(filter)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ name: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      message: 'Webinar templates fetched successfully',
+      templates,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalTemplates: total,
+        limit: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webinar templates:', error);
+    res.status(500).json({ message: 'Error fetching webinar templates' });
+  }
+};
+
+/**
+ * Get one webinar template
+ * GET /api/webinars/admin/templates/:templateId
+ */
+export const getWebinarTemplateById = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const template = await WebinarTemplate.findById(templateId)
+      .populate('createdBy', 'firstName lastName email')
+      .lean();
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.status(200).json({ message: 'Webinar template fetched successfully', template });
+  } catch (error) {
+    console.error('Error fetching webinar template:', error);
+    res.status(500).json({ message: 'Error fetching webinar template' });
+  }
+};
+
+/**
+ * Create a webinar template
+ * POST /api/webinars/admin/templates
+ * Body: { name, description?, ...configuration } or { name, fromWebinarId } to save an existing webinar's configuration
+ * (fields in the body override the webinar's).
+ */
+export const createWebinarTemplate = async (req, res) => {
+  try {
+    const { fromWebinarId, ...body } = req.body;
+
+    let fields = body;
+    if (fromWebinarId) {
+      if (!mongoose.Types.ObjectId.isValid(fromWebinarId)) {
+        return res.status(400).json({ message: 'Invalid webinar ID' });
+      }
+      const webinar = await Webinar.findById(fromWebinarId).select(WEBINAR_CONFIG_FIELDS.join(' ')).lean();
+      if (!webinar) {
+        return res.status(404).json({ message: 'Webinar not found' });
+      }
+      fields = pickWebinarConfig(webinar);
+      Object.entries(body).forEach(([field, value]) => {
+        if (!isEmptyValue(value)) fields[field] = value;
+      });
+    }
+
+    const { value, errors } = validateTemplateBody(fields);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const existing = await WebinarTemplate.findOne({ name: value.name }).select('_id').lean();
+    if (existing) {
+      return res.status(400).json({ message: 'A template with this name already exists' });
+    }
+
+    const template = await WebinarTemplate.create({ ...value, createdBy: req.user.id });
+
+    res.status(201).json({ message: 'Webinar template created successfully', template });
+  } catch (error) {
+    console.error('Error creating webinar template:', error);
+    res.status(500).json({ message: 'Error creating webinar template' });
+  }
+};
+
+/**
+ * Update a webinar template
+ * PUT /api/webinars/admin/templates/:templateId
+ * Only the fields sent are changed; sending an empty value clears the field (capacity: null means unlimited).
+ */
+export const updateWebinarTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const { value, errors } = validateTemplateBody(req.body, { partial: true });
+    if (errors) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+    if (req.body.name !== undefined && !value.name) {
+      return res.status(400).json({ message: 'Validation error', errors: { name: 'name is required' } });
+    }
+
+    const unset = {};
+    [...WEBINAR_CONFIG_FIELDS, 'description'].forEach((field) => {
+      if (field in req.body && value[field] === undefined) unset[field] = 1;
+    });
+
+    if (value.name) {
+      const existing = await WebinarTemplate.findOne({ name: value.name, _id: { $ne: templateId } }).select('_id').lean();
+      if (existing) {
+        return res.status(400).json({ message: 'A template with this name already exists' });
+      }
+    }
+
+    const update = { $set: value };
+    if (Object.keys(unset).length) update.$unset = unset;
+
+    const template = await WebinarTemplate.findByIdAndUpdate(templateId, update, { new: true, runValidators: true });
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.status(200).json({ message: 'Webinar template updated successfully', template });
+  } catch (error) {
+    console.error('Error updating webinar template:', error);
+    res.status(500).json({ message: 'Error updating webinar template' });
+  }
+};
+
+/**
+ * Delete a webinar template (webinars created from it are not affected)
+ * DELETE /api/webinars/admin/templates/:templateId
+ */
+export const deleteWebinarTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const template = await WebinarTemplate.findByIdAndDelete(templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.status(200).json({ message: 'Webinar template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webinar template:', error);
+    res.status(500).json({ message: 'Error deleting webinar template' });
+  }
+};
+
+/**
+ * Create a new webinar with another webinar's configuration
+ * POST /api/webinars/admin/:webinarId/duplicate
+ * Body: { slug, date, name? } (name defaults to "<original name> (copy)")
+ * Attendees, chat, polls, recordings and delivery history are not copied; the copy starts as Scheduled.
+ */
+export const duplicateWebinar = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId)) {
+      return res.status(400).json({ message: 'Invalid webinar ID' });
+    }
+
+    const source = await Webinar.findById(webinarId).select(['name', ...WEBINAR_CONFIG_FIELDS].join(' ')).lean();
+    if (!source) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const { slug, date, name } = req.body;
+    const { value, errors } = validateWebinarBody({
+      ...pickWebinarConfig(source),
+      name: isEmptyValue(name) ? `${source.name} (copy)` : name,
+      slug,
+      date,
+    });
+    if (errors) {
+      return res.status(400).json({ message: 'Validation error', errors });
+    }
+
+    const existingWebinar = await Webinar.findOne({ slug: value.slug }).select('_id').lean();
+    if (existingWebinar) {
+      return res.status(400).json({ message: 'Slug already exists' });
+    }
+
+    const webinar = await Webinar.create({
+      ...value,
+      ctas: value.ctas || [],
+      status: 'Scheduled',
+      createdBy: req.user.id
+    });
+
+    const populatedWebinar = await Webinar.findById(webinar._id)
+      .populate('proSmsList', 'name')
+      .populate('createdBy', 'name email');
+
+    res.status(201).json({
+      message: 'Webinar duplicated successfully',
+      webinar: populatedWebinar
+    });
+  } catch (error) {
+    console.error('Error duplicating webinar:', error);
+    res.status(500).json({ message: 'Error duplicating webinar' });
+  }
+};
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import Webinar from '../models/Webinar.js';
+import {
+  countTakenSeats,
+  getWaitlist,
+  promoteWaitlistedUser,
+  promoteFromWaitlist,
+  reorderWaitlist,
+} from '../services/webinarWaitlistService.js';
+
+/**
+ * Waitlist of a webinar in promotion order, with seat usage
+ * GET /api/webinars/admin/:webinarId/waitlist
+ */
+export const getWebinarWaitlist = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+
+    const webinar = await Webinar.findById(webinarId)
+      .select('capacity waitlist attendees')
+      .populate({ path: 'attendees.user', select: 'firstName lastName email phone' });
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    res.status(200).json({
+      message: 'Waitlist fetched successfully',
+      capacity: webinar.capacity,
+      waitlistEnabled: webinar.waitlist === 'Yes',
+      takenSeats: countTakenSeats(webinar),
+      waitlist: getWaitlist(webinar).map((attendee, index) => ({
+        position: index + 1,
+        user: attendee.user,
+        registeredAt: attendee.registeredAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ message: 'Error fetching waitlist' });
+  }
+};
+
+/**
+ * Reorder the waitlist
+ * PUT /api/webinars/admin/:webinarId/waitlist/order
+ * Body: { userIds: [...] } - every waitlisted user, first to be promoted first
+ */
+export const reorderWebinarWaitlist = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'userIds must be an array of user IDs' });
+    }
+
+    const result = await reorderWaitlist(webinarId, userIds);
+    if (result === null) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+    if (!result) {
+      return res.status(400).json({ message: 'userIds must list every waitlisted user exactly once' });
+    }
+
+    res.status(200).json({ message: 'Waitlist reordered successfully' });
+  } catch (error) {
+    console.error('Error reordering waitlist:', error);
+    res.status(500).json({ message: 'Error reordering waitlist' });
+  }
+};
+
+/**
+ * Approve a waitlisted user: they get a seat even when the webinar is full
+ * POST /api/webinars/admin/:webinarId/waitlist/:userId/approve
+ */
+export const approveWaitlistedUser = async (req, res) => {
+  try {
+    const { webinarId, userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(webinarId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid webinar or user ID' });
+    }
+
+    const promoted = await promoteWaitlistedUser(webinarId, userId, { force: true });
+    if (!promoted) {
+      return res.status(404).json({ message: 'User is not on the waitlist for this webinar' });
+    }
+
+    res.status(200).json({ message: 'User approved and registered for the webinar' });
+  } catch (error) {
+    console.error('Error approving waitlisted user:', error);
+    res.status(500).json({ message: 'Error approving waitlisted user' });
+  }
+};
+
+/**
+ * Fill any free seats from the waitlist
+ * POST /api/webinars/admin/:webinarId/waitlist/promote
+ */
+export const promoteWebinarWaitlist = async (req, res) => {
+  try {
+    const { webinarId } = req.params;
+
+    const webinar = await Webinar.findById(webinarId).select('_id');
+    if (!webinar) {
+      return res.status(404).json({ message: 'Webinar not found' });
+    }
+
+    const promoted = await promoteFromWaitlist(webinarId);
+
+    res.status(200).json({
+      message: promoted.length ? `${promoted.length} user(s) promoted from the waitlist` : 'No seats available or waitlist is empty',
+      promoted
+    });
+  } catch (error) {
+    console.error('Error promoting waitlist:', error);
+    res.status(500).json({ message: 'Error promoting waitlist' });
+  }
+};
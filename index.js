@@ -4,16 +4,24 @@ import cors from 'cors';
 import morgan from 'morgan';
 import connectDB from './config/db.js';
 import routes from './routes/index.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import { errorHandler } from './utils/errors.js';
-import { WebinarOnRecording } from './models/Webinar.js';
-import Webinar from './models/Webinar.js';
 import { startWebinarReminderCron } from './services/webinarReminderService.js';
+import { startRecordingIngestionCron } from './services/recordingIngestionService.js';
+import { startWebinarSeriesCron } from './services/webinarSeriesService.js';
+import { startWebinarSmsCron } from './services/webinarSmsService.js';
+import { startDailyWebhookRetryCron } from './services/dailyWebhookService.js';
+import { findRoutesWithoutAccessPolicy } from './utils/routeAccessAudit.js';
+import { getTrustProxySetting } from './utils/requestInfo.js';
 
 dotenv.config();
 connectDB();
 
 const app = express();
 
+// Only proxies we run in front of the API may set the client address (req.ip, req.protocol)
+app.set('trust proxy', getTrustProxySetting());
+
 app.use(morgan('dev')); // Use 'dev' format for concise logs
 
 // Allowed origins: local dev (Vite 5173) + legacy 8080 + production
@@ -32,58 +40,35 @@ app.use(cors({
   credentials: true,
 }));
 
-// Body parser
-app.use(express.json());
+// Body parser (webhooks also keep the raw body for signature verification)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook/')) req.rawBody = buf;
+  },
+}));
+// Twilio posts webhooks form-encoded
+app.use('/webhook/twilio', express.urlencoded({ extended: false }));
 
 // Test route
 app.get('/', (req, res) => {
   res.send("RLS's client portal API is running");
 });
 
-app.post("/webhook/daily", async (req, res) => {
-  console.log("Webhook received");
-  const event = req.body;
-
-  // Respond immediately
-  res.status(200).send("Webhook received");
-
-  if (event.type === "recording.ready-to-download") {
-    const { recording_id, room_name } = event.payload;
-
-    // Fetch download link from Daily API
-    // const response = await fetch(`https://api.daily.co/v1/recordings/${recording_id}/access-link`, {
-    //   headers: {
-    //     "Authorization": `Bearer ${process.env.DAILY_API_KEY}`,
-    //     "Content-Type": "application/json"
-    //   }
-    // });
-
-    // const data = await response.json();
-    // console.log("Download:", data);
-    // const downloadUrl = data.download_link;
-    // console.log("Download URL:", downloadUrl);
-
-    // Save to your DB
-    const webinarOnRecording = await WebinarOnRecording.findOne();
-
-    if (!webinarOnRecording) {
-      return res.status(404).json({ message: 'Webinar on recording not found' });
-    }
-    const webinar = await Webinar.findOne({ slug: webinarOnRecording.slug });
-    if (!webinar) {
-      return res.status(404).json({ message: 'Webinar not found' });
-    }
-    webinar.rawRecordingId = recording_id;
-    console.log("Recording ID:", recording_id);
-    await webinar.save();
-    console.log("Recording ID saved to webinar");
-  }
-});
-
+// Third-party webhooks (signature verified, not under /api)
+app.use('/webhook', webhookRoutes);
 
 // Auth routes
 app.use('/api', routes);
 
+// Every API route must declare its access policy (public, authenticated or a permission)
+const routesWithoutAccessPolicy = [
+  ...findRoutesWithoutAccessPolicy(routes, '/api'),
+  ...findRoutesWithoutAccessPolicy(webhookRoutes, '/webhook'),
+];
+if (routesWithoutAccessPolicy.length > 0) {
+  console.warn('⚠️ Routes without an access policy:', routesWithoutAccessPolicy.join(', '));
+}
+
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -108,6 +93,18 @@ app.use(errorHandler);
 // Start webinar reminder cron job
 startWebinarReminderCron();
 
+// Start recording ingestion cron job (Daily -> Supabase)
+startRecordingIngestionCron();
+
+// Start webinar series cron job (generates upcoming occurrences)
+startWebinarSeriesCron();
+
+// Start webinar SMS cron job (reminder/promotional texts and the quiet-hours queue)
+startWebinarSmsCron();
+
+// Start Daily webhook retry cron job (failed or unfinished events)
+startDailyWebhookRetryCron();
+
 const port = process.env.PORT || 5000;
 
 app.listen(port, () => {
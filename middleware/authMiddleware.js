@@ -1,37 +1,101 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { findActiveSession } from '../services/sessionService.js';
+import { isTwoFactorRequired } from '../services/twoFactorService.js';
+import { ALL_PERMISSIONS, getUserPermissions, hasPermissions } from '../services/permissionService.js';
+import {
+  getViewAsWriteMode,
+  isWriteRequest,
+  isAlwaysAllowedWrite,
+  recordImpersonationEvent,
+} from '../services/impersonationService.js';
+
+// Verify the bearer token and make sure its session has not been revoked.
+// Returns { user, sessionId, session } or throws when the token cannot be used.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  const session = await findActiveSession(decoded.sid);
+  if (!session || session.user.toString() !== decoded.id) {
+    throw new Error('Session revoked or expired');
+  }
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return { user, sessionId: decoded.sid, session };
+};
+
+// Attach the authenticated user and their permissions to the request. For view-as sessions also expose the
+// impersonating supaadmin and audit writes; returns false when the write was blocked.
+const applySession = async (req, res, { user, sessionId, session }) => {
+  req.user = user;
+  req.sessionId = sessionId;
+  req.permissions = await getUserPermissions(user);
+  if (session.type !== 'view-as') return true;
+
+  req.impersonator = session.impersonator;
+  if (!isWriteRequest(req) || isAlwaysAllowedWrite(req)) return true;
+
+  const audit = { impersonator: session.impersonator, targetUser: user._id, session: session._id, req };
+  if (getViewAsWriteMode() === 'block') {
+    await recordImpersonationEvent({ ...audit, event: 'blocked' });
+    res.status(403).json({ message: 'Forbidden: View as user sessions are read-only', viewAs: true });
+    return false;
+  }
+  await recordImpersonationEvent({ ...audit, event: 'action' });
+  return true;
+};
+
+// Every API route must declare who may call it. Access middleware is tagged with
+// `accessPolicy` so utils/routeAccessAudit.js can report routes that declare none.
+const withAccessPolicy = (policy, middleware) => Object.assign(middleware, { accessPolicy: policy });
+
+// Marks a route as intentionally open to anonymous callers
+export const publicAccess = withAccessPolicy('public', (req, res, next) => next());
 
-let token;
 export const protect = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      return next();
+      const token = req.headers.authorization.split(' ')[1];
+      const auth = await authenticateToken(token);
+      if (await applySession(req, res, auth)) next();
+      return;
     } catch (error) {
       return res.status(401).json({ message: 'Not authorized, token failed or expired' });
     }
   }
   return res.status(401).json({ message: 'Not authorized, no token' });
 };
+withAccessPolicy('authenticated', protect);
 
-export const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Forbidden: insufficient rights' });
+// Block privileged routes for users whose role requires 2FA but who have not enrolled yet
+const enforceTwoFactorPolicy = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactor?.enabled && await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled for your role to perform this action',
+        twoFactorSetupRequired: true,
+      });
     }
     next();
-  };
+  } catch (error) {
+    next(error);
+  }
 };
 
-export const authorizeSupaadmin = () => {
-  return (req, res, next) => {
-    if (!req.user || !req.user.supaadmin) {
-      return res.status(403).json({ message: 'Forbidden: Only supaadmin can perform this action' });
+// Require every listed permission (see PERMISSIONS in constants). Use after protect.
+export const requirePermission = (...permissions) => {
+  const unknown = permissions.filter((permission) => !ALL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return withAccessPolicy(`permission:${permissions.join(',')}`, (req, res, next) => {
+    if (!req.user || !hasPermissions(req.permissions, permissions)) {
+      return res.status(403).json({ message: 'Forbidden: insufficient rights', requiredPermissions: permissions });
     }
-    next();
-  };
+    return enforceTwoFactorPolicy(req, res, next);
+  });
 };
 
 // Optional protect middleware - sets req.user if token is present, but doesn't block if token is missing
@@ -40,8 +104,8 @@ export const optionalProtect = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       const token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      const auth = await authenticateToken(token);
+      if (!(await applySession(req, res, auth))) return;
     } catch (error) {
       // If token is invalid, just continue without setting req.user
       // This allows the route to work for unauthenticated users
@@ -50,4 +114,5 @@ export const optionalProtect = async (req, res, next) => {
   }
   // If no token, continue without setting req.user
   next();
-};
\ No newline at end of file
+};
+withAccessPolicy('optional-auth', optionalProtect);
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+
+// Reject deliveries older than this to stop replays of captured requests
+const MAX_WEBHOOK_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Daily signs `${timestamp}.${rawBody}` with HMAC-SHA256 using the base64 secret
+ * returned when the webhook was created, and sends the base64 digest.
+ */
+export const computeDailySignature = (secret, timestamp, rawBody) =>
+  crypto
+    .createHmac('sha256', Buffer.from(secret, 'base64'))
+    .update(`${timestamp}.${rawBody}`)
+    .digest('base64');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Daily timestamps are Unix seconds; accept milliseconds as well
+const toMillis = (timestamp) => {
+  const value = Number(timestamp);
+  return value < 1e12 ? value * 1000 : value;
+};
+
+/**
+ * Verify the X-Webhook-Signature header of a Daily webhook.
+ * Needs req.rawBody (captured by the express.json verify hook in index.js).
+ */
+export const verifyDailyWebhook = (req, res, next) => {
+  const secret = process.env.DAILY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('DAILY_WEBHOOK_SECRET is not set; rejecting Daily webhook');
+    return res.status(503).json({ message: 'Webhook verification is not configured' });
+  }
+
+  const signature = req.get('x-webhook-signature');
+  const timestamp = req.get('x-webhook-timestamp');
+  if (!signature || !timestamp || !req.rawBody) {
+    return res.status(401).json({ message: 'Missing webhook signature' });
+  }
+
+  if (!Number.isFinite(Number(timestamp)) || Math.abs(Date.now() - toMillis(timestamp)) > MAX_WEBHOOK_AGE_MS) {
+    return res.status(401).json({ message: 'Webhook timestamp is too old' });
+  }
+
+  const expected = computeDailySignature(secret, timestamp, req.rawBody.toString('utf8'));
+  if (!safeEqual(expected, signature)) {
+    return res.status(401).json({ message: 'Invalid webhook signature' });
+  }
+
+  next();
+};
+verifyDailyWebhook.accessPolicy = 'webhook-signature';
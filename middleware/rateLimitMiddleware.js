@@ -0,0 +1,31 @@
+import { getAuthLimiters } from '../services/rateLimiter.js';
+import { getClientIp } from '../utils/requestInfo.js';
+
+// Respond with 429 and a Retry-After header (seconds)
+export const sendTooManyRequests = (res, retryAfterMs) => {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many attempts. Please try again later.',
+    retryAfter,
+  });
+};
+
+// Per-IP limiting with exponential backoff, using one of the auth limiters by name
+export const limitByIp = (limiterName) => {
+  return async (req, res, next) => {
+    try {
+      const limiter = getAuthLimiters()[limiterName];
+      const ip = getClientIp(req);
+      const { allowed, retryAfterMs } = await limiter.check(ip);
+      if (!allowed) {
+        return sendTooManyRequests(res, retryAfterMs);
+      }
+      await limiter.hit(ip);
+    } catch (error) {
+      // Fail open: a broken limiter store must not take login down
+      console.error('Rate limiter error:', error.message);
+    }
+    next();
+  };
+};
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+/**
+ * Twilio signs the full request URL followed by every POST parameter (sorted by name,
+ * name and value concatenated) with HMAC-SHA1 using the account auth token, base64 encoded.
+ */
+export const computeTwilioSignature = (authToken, url, params) => {
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(payload).digest('base64');
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Verify the X-Twilio-Signature header of an SMS webhook.
+ * TWILIO_WEBHOOK_BASE_URL is the public origin Twilio calls (the URL behind a proxy differs from req.host).
+ */
+export const verifyTwilioWebhook = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL;
+  if (!authToken || !baseUrl) {
+    console.error('TWILIO_AUTH_TOKEN or TWILIO_WEBHOOK_BASE_URL is not set; rejecting Twilio webhook');
+    return res.status(503).json({ message: 'Webhook verification is not configured' });
+  }
+
+  const signature = req.get('x-twilio-signature');
+  if (!signature) {
+    return res.status(401).json({ message: 'Missing webhook signature' });
+  }
+
+  const url = `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+  const expected = computeTwilioSignature(authToken, url, req.body || {});
+  if (!safeEqual(expected, signature)) {
+    return res.status(401).json({ message: 'Invalid webhook signature' });
+  }
+
+  next();
+};
+verifyTwilioWebhook.accessPolicy = 'webhook-signature';
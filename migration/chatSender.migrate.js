@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Older chat messages carry a client-supplied `senderUserId` string that anyone could have spoofed.
+// They are kept unattributed (`sender: null`, shown as guests) so moderation never acts on a user
+// they may not belong to; the old value is kept in `legacySenderId` for reference only.
+// Run once: node migration/chatSender.migrate.js
+
+export async function migrateChatSenders() {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`📦 MongoDB Connected: ${conn.connection.host}`);
+
+    // Go through the raw collection: `senderUserId` is no longer part of the ChatMessage schema
+    const messages = mongoose.connection.collection("chatmessages");
+    const result = await messages.updateMany(
+        { senderUserId: { $exists: true } },
+        [
+            { $set: { sender: null, senderRole: "guest", legacySenderId: { $toString: "$senderUserId" } } },
+            { $unset: "senderUserId" },
+        ]
+    );
+    console.log(`Migrated ${result.modifiedCount} chat messages (kept unattributed, old sender ID in legacySenderId)`);
+
+    await mongoose.disconnect();
+}
+
+migrateChatSenders().catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Removes the plaintext `lastLoginPassword` field that older logins wrote onto users.
+// Run once: node migration/lastLoginPassword.migrate.js
+
+export async function removeLastLoginPasswords() {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`📦 MongoDB Connected: ${conn.connection.host}`);
+
+    // Go through the raw collection: the field is no longer part of the User schema
+    const result = await mongoose.connection.collection("users").updateMany(
+        { lastLoginPassword: { $exists: true } },
+        { $unset: { lastLoginPassword: "" } }
+    );
+    console.log(`Removed lastLoginPassword from ${result.modifiedCount} users`);
+
+    await mongoose.disconnect();
+}
+
+removeLastLoginPasswords().catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exit(1);
+});
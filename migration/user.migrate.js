@@ -4,7 +4,7 @@ import mongoose from "mongoose";
 import User from "../models/User.js";
 import dotenv from "dotenv";
 dotenv.config();
-import bcrypt from "bcryptjs";
+import { issuePasswordSetupInvite } from "../services/passwordSetupService.js";
 
 // === CONFIG ===
 const CSV_FILE = "./users.csv"; // path to your CSV file
@@ -21,20 +21,19 @@ async function readCSV(filePath) {
     });
 }
 
+// Imported users get no password; they set one through an invite
+// (POST /api/auth/resend-invite or the supaadmin resend action)
 async function createUser(user) {
-    const newUser = await User.create(
-        [
-            {
-                firstName: user["First Name"],
-                lastName: user["Last Name"],
-                email: user.email,
-                phone: "123213",
-                password: await bcrypt.hash("123456", 10),
-                role: 'user',
-                isVerified: false
-            },
-        ]
-    );
+    const newUser = new User({
+        firstName: user["First Name"],
+        lastName: user["Last Name"],
+        email: user.email,
+        phone: "123213",
+        role: 'user',
+        isVerified: false
+    });
+    issuePasswordSetupInvite(newUser);
+    await newUser.save();
 }
 
 const connectDB = async () => {
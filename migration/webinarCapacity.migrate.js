@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+dotenv.config();
+
+// Registrations used to be capped at `attendOverwrite` (100 when unset). Webinars now use an
+// explicit `capacity`; this copies the old limit so existing webinars keep their cap.
+// Run once: node migration/webinarCapacity.migrate.js
+
+export async function migrateWebinarCapacity() {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`📦 MongoDB Connected: ${conn.connection.host}`);
+
+    const webinars = mongoose.connection.collection("webinars");
+    const result = await webinars.updateMany(
+        { capacity: { $exists: false } },
+        [{ $set: { capacity: { $ifNull: ["$attendOverwrite", 100] }, waitlist: { $ifNull: ["$waitlist", "Yes"] } } }]
+    );
+    console.log(`Set capacity on ${result.modifiedCount} webinars`);
+
+    await mongoose.disconnect();
+}
+
+migrateWebinarCapacity().catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exit(1);
+});
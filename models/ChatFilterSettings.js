@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * ChatFilterSettings Schema
+ * Single document (key: 'global') with the word and link filter applied to every chat message.
+ */
+const chatFilterSettingsSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'global',
+  },
+  // Whole words/phrases, matched case-insensitively
+  blockedWords: {
+    type: [String],
+    default: [],
+  },
+  // Reject messages containing links, except to allowedLinkDomains
+  blockLinks: {
+    type: Boolean,
+    default: false,
+  },
+  allowedLinkDomains: {
+    type: [String],
+    default: [],
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+const ChatFilterSettings = mongoose.model('ChatFilterSettings', chatFilterSettingsSchema);
+export default ChatFilterSettings;
@@ -3,7 +3,8 @@ const { Schema } = mongoose;
 
 /**
  * ChatMessage Schema
- * Stores chat messages per webinar
+ * Stores chat messages per webinar.
+ * The sender comes from the auth token; `sender` is empty for guests (webinars with guest chat).
  */
 const chatMessageSchema = new Schema({
   webinar: {
@@ -12,7 +13,14 @@ const chatMessageSchema = new Schema({
     required: true,
     index: true, // Index for faster queries
   },
-  senderUserId: {
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Unverified sender ID sent by clients before chat identity came from the auth token
+  // (see migration/chatSender.migrate.js); never used to attribute or moderate
+  legacySenderId: {
     type: String,
   },
   senderName: {
@@ -20,6 +28,17 @@ const chatMessageSchema = new Schema({
     required: true,
     trim: true,
   },
+  // Client IP of guest senders, used to apply slow mode per guest; never sent to clients
+  guestIp: {
+    type: String,
+    select: false,
+  },
+  // Badge shown next to the name
+  senderRole: {
+    type: String,
+    enum: ['host', 'attendee', 'guest'],
+    default: 'attendee',
+  },
   text: {
     type: String,
     required: true,
@@ -30,6 +49,19 @@ const chatMessageSchema = new Schema({
     default: false,
     index: true, // Index for faster queries of pinned messages
   },
+  // Hidden and deleted messages are only shown to hosts; see ChatModerationLog for the history
+  status: {
+    type: String,
+    enum: ['visible', 'hidden', 'deleted'],
+    default: 'visible',
+  },
+  moderatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  moderatedAt: {
+    type: Date,
+  },
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
 });
@@ -37,6 +69,10 @@ const chatMessageSchema = new Schema({
 // Index for efficient querying by webinar and timestamp
 chatMessageSchema.index({ webinar: 1, createdAt: 1 });
 
+// Messages saved before moderation existed have no `status`, so "shown to everyone"
+// is matched as "not hidden or deleted" rather than `status: 'visible'`
+export const SHOWN_STATUS_FILTER = { $nin: ['hidden', 'deleted'] };
+
 // Create the ChatMessage model
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 export default ChatMessage;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * ChatModerationLog Schema
+ * Every moderation action taken in a webinar chat, including messages rejected by the word/link filter.
+ * `moderator` is empty for automatic actions (filter rejections).
+ */
+const chatModerationLogSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: [
+      'hide', 'unhide', 'delete', 'clear', 'pin', 'unpin',
+      'mute', 'ban', 'lift-restriction', 'slow-mode', 'message-blocked',
+    ],
+    required: true,
+  },
+  message: {
+    type: Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null,
+  },
+  targetUser: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  targetName: {
+    type: String,
+    trim: true,
+  },
+  moderator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  // Action specific data, e.g. { until } for mutes or { seconds } for slow mode
+  details: {
+    type: Schema.Types.Mixed,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+chatModerationLogSchema.index({ webinar: 1, createdAt: -1 });
+
+const ChatModerationLog = mongoose.model('ChatModerationLog', chatModerationLogSchema);
+export default ChatModerationLog;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * ChatRestriction Schema
+ * A user muted (temporarily) or banned from posting in one webinar's chat.
+ * Expired mutes are removed by MongoDB; bans have no expiry.
+ */
+const chatRestrictionSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['mute', 'ban'],
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+chatRestrictionSchema.index({ webinar: 1, user: 1 }, { unique: true });
+chatRestrictionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ChatRestriction = mongoose.model('ChatRestriction', chatRestrictionSchema);
+export default ChatRestriction;
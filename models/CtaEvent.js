@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * CtaEvent Schema
+ * Impressions and clicks of a webinar's CTA buttons.
+ * `viewerKey` identifies the viewer (user ID, or a client-generated ID for guests);
+ * impressions are stored once per viewer and CTA, clicks every time.
+ */
+const ctaEventSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['impression', 'click'],
+    required: true,
+  },
+  ctaIndex: {
+    type: Number,
+    required: true,
+  },
+  // Label and link at the time of the event (CTAs can be edited later)
+  label: {
+    type: String,
+    trim: true,
+  },
+  link: {
+    type: String,
+    trim: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  viewerKey: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+ctaEventSchema.index({ webinar: 1, type: 1, ctaIndex: 1 });
+ctaEventSchema.index(
+  { webinar: 1, ctaIndex: 1, viewerKey: 1 },
+  { unique: true, partialFilterExpression: { type: 'impression' } }
+);
+
+const CtaEvent = mongoose.model('CtaEvent', ctaEventSchema);
+export default CtaEvent;
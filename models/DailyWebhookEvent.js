@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * DailyWebhookEvent Schema
+ * Every verified webhook delivery from Daily, keyed by Daily's event id so that
+ * retried deliveries are stored and processed only once.
+ */
+const dailyWebhookEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  roomName: {
+    type: String,
+    trim: true,
+  },
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    default: null,
+    index: true,
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'unmatched', 'failed'],
+    default: 'received',
+  },
+  error: {
+    type: String,
+  },
+  // Processing attempts; failed and unfinished events are retried (see retryDailyEvents)
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  processedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+dailyWebhookEventSchema.index({ status: 1, updatedAt: 1 });
+
+// Keep the raw deliveries for 90 days
+dailyWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const DailyWebhookEvent = mongoose.model('DailyWebhookEvent', dailyWebhookEventSchema);
+export default DailyWebhookEvent;
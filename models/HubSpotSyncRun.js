@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * HubSpotSyncRun Schema
+ * Report of one attendee sync of a webinar to HubSpot: what changed in each list and which contacts failed.
+ * At most one run per webinar is 'running' at a time.
+ */
+const hubSpotSyncRunSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'webinar-ended'],
+    default: 'manual',
+  },
+  triggeredBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // completed: everything synced; partial: some contacts failed; failed: the run stopped on an error
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'partial', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  contacts: {
+    total: { type: Number, default: 0 },
+    cached: { type: Number, default: 0 }, // Contact ID already known from an earlier sync
+    found: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  lists: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['all', 'registered', 'attended', 'watched'],
+    },
+    listId: String,
+    members: Number,
+    added: Number,
+    removed: Number,
+  }],
+  failures: [{
+    _id: false,
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: String,
+    reason: String,
+  }],
+  error: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+hubSpotSyncRunSchema.index({ webinar: 1, createdAt: -1 });
+hubSpotSyncRunSchema.index({ webinar: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+const HubSpotSyncRun = mongoose.model('HubSpotSyncRun', hubSpotSyncRunSchema);
+export default HubSpotSyncRun;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * ImpersonationAudit Schema
+ * Who viewed the portal as whom, and what they tried to change while doing so.
+ */
+const impersonationAuditSchema = new Schema({
+  impersonator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  targetUser: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  session: {
+    type: Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  event: {
+    type: String,
+    enum: ['link-created', 'start', 'end', 'action', 'blocked'],
+    required: true,
+  },
+  method: {
+    type: String,
+  },
+  path: {
+    type: String,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+impersonationAuditSchema.index({ createdAt: -1 });
+
+const ImpersonationAudit = mongoose.model('ImpersonationAudit', impersonationAuditSchema);
+export default ImpersonationAudit;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * LoginEvent Schema
+ * Audit trail of every login attempt, successful or not.
+ * `user` is empty when the email did not match any account.
+ */
+const loginEventSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  failureReason: {
+    type: String,
+    enum: ['user-not-found', 'not-verified', 'invalid-password', 'invalid-2fa-code', 'account-locked', 'rate-limited', null],
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Per-user history and time-window statistics
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: -1, success: 1 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+export default LoginEvent;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * PollVote Schema
+ * One vote per authenticated attendee per poll.
+ * Choice polls store the chosen option indices; rating polls store the score.
+ */
+const pollVoteSchema = new Schema({
+  poll: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebinarPoll',
+    required: true,
+  },
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+    index: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  optionIndices: {
+    type: [Number],
+    default: undefined,
+  },
+  rating: {
+    type: Number,
+  },
+}, {
+  timestamps: true,
+});
+
+pollVoteSchema.index({ poll: 1, user: 1 }, { unique: true });
+
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+export default PollVote;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * RateLimitEntry Schema
+ * Backing store for the Mongo rate limiter so attempt counters are shared
+ * across serverless instances. Entries are removed by the TTL index.
+ */
+const rateLimitEntrySchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  blockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitEntry = mongoose.model('RateLimitEntry', rateLimitEntrySchema);
+export default RateLimitEntry;
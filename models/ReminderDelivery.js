@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * ReminderDelivery Schema
+ * One document per webinar, attendee, channel and reminder stage (minutes before start; 0 = "we're live").
+ * The unique index doubles as a claim, so a stage is never sent twice to the same person;
+ * failed and abandoned claims are retried (see claimDelivery in webinarReminderService).
+ */
+const reminderDeliverySchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    default: 'email',
+  },
+  stage: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending',
+  },
+  // Send attempts so far, including the current one
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  sentAt: {
+    type: Date,
+  },
+  error: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+reminderDeliverySchema.index({ webinar: 1, user: 1, channel: 1, stage: 1 }, { unique: true });
+// Keep delivery history for six months
+reminderDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const ReminderDelivery = mongoose.model('ReminderDelivery', reminderDeliverySchema);
+export default ReminderDelivery;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../constants/index.js';
+const { Schema } = mongoose;
+
+/**
+ * Role Schema
+ * A named set of permissions that users are assigned through `User.role` (the role key).
+ * Built-in roles ("user", "admin") fall back to their defaults in constants until saved here.
+ */
+const roleSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9-]*$/,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  permissions: {
+    type: [String],
+    enum: Object.values(PERMISSIONS),
+    default: [],
+  },
+  builtIn: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+const Role = mongoose.model('Role', roleSchema);
+export default Role;
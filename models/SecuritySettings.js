@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * SecuritySettings Schema
+ * Single document (key: 'global') holding portal-wide security policy managed by supaadmins.
+ */
+const securitySettingsSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'global',
+  },
+  // Role keys (or 'supaadmin') that must have TOTP 2FA enabled to use permission-gated routes
+  twoFactorRequiredRoles: {
+    type: [String],
+    default: [],
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+const SecuritySettings = mongoose.model('SecuritySettings', securitySettingsSchema);
+export default SecuritySettings;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * Session Schema
+ * One document per signed-in device. Access tokens carry the session id (`sid`)
+ * so protect/optionalProtect can reject tokens whose session was revoked.
+ * Only a SHA-256 hash of the current refresh token is stored; it is replaced on every refresh.
+ */
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ['login', 'view-as'],
+    default: 'login',
+  },
+  refreshTokenHash: {
+    type: String,
+  },
+  // Supaadmin behind a "view-as" session
+  impersonator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  ip: {
+    type: String,
+    trim: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * SmsMessage Schema
+ * Delivery log: one document per outgoing SMS, from queueing to the provider's final delivery status.
+ * Webinar messages carry a `dedupeKey` (webinar, purpose and number) so nobody gets the same text twice.
+ */
+const smsMessageSchema = new Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['reminder', 'promotional', 'test'],
+    required: true,
+  },
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    default: null,
+  },
+  // Registered user the message went to (empty for HubSpot list contacts and tests)
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  dedupeKey: {
+    type: String,
+  },
+  // queued: waiting for quiet hours to end; skipped: never sent (see skipReason)
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'skipped'],
+    default: 'queued',
+  },
+  skipReason: {
+    type: String,
+    enum: ['opted-out', 'expired', 'no-provider'],
+  },
+  // Recipient timezone, used for quiet hours
+  timezone: {
+    type: String,
+  },
+  // Earliest send time (end of quiet hours)
+  notBefore: {
+    type: Date,
+    default: Date.now,
+  },
+  // Not sent after this (e.g. the webinar start for reminders)
+  expiresAt: {
+    type: Date,
+  },
+  provider: {
+    type: String,
+  },
+  providerMessageId: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+smsMessageSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } });
+smsMessageSchema.index({ status: 1, notBefore: 1 });
+smsMessageSchema.index({ webinar: 1, purpose: 1, createdAt: -1 });
+smsMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+export default SmsMessage;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * SmsOptOut Schema
+ * Numbers that replied STOP (or were opted out by an admin). Nothing is sent to them until they reply START.
+ */
+const smsOptOutSchema = new Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  source: {
+    type: String,
+    enum: ['inbound', 'admin'],
+    default: 'inbound',
+  },
+  // The keyword the recipient sent (e.g. "STOP", "UNSUBSCRIBE")
+  keyword: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+const SmsOptOut = mongoose.model('SmsOptOut', smsOptOutSchema);
+export default SmsOptOut;
@@ -5,16 +5,33 @@ const userSchema = new mongoose.Schema({
   lastName: { type: String, required: true, trim: true },
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   phone: { type: String, required: true },
-  password: { type: String, required: true },
-  role: { type: String, enum: ["user", "admin"], default: "user" },
+  password: { type: String }, // Empty until the user sets it through the invite link
+  role: { type: String, default: "user", lowercase: true, trim: true }, // Key of a Role (see services/permissionService.js)
   supaadmin: { type: Boolean, default: false },
   isVerified: { type: Boolean, default: false },
   verificationToken: { type: String },
+  verificationTokenExpire: { type: Date },
   resetPasswordToken: { type: String },
   resetPasswordExpire: { type: Date },
+  timezone: { type: String, trim: true }, // IANA name (e.g. "America/Chicago") used for dates in emails
+  hubSpotContactId: { type: String }, // Cached by the webinar HubSpot sync
   lastLoginEmail: { type: String },
-  lastLoginPassword: { type: String },
   lastLoginAt: { type: Date },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: { type: Date, default: null },
+  unlockTokenHash: { type: String, select: false }, // SHA-256 of the emailed unlock token
+  unlockTokenExpires: { type: Date, select: false },
+  // TOTP two-factor authentication (secrets and backup code hashes are never selected by default)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    backupCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date },
+  },
+  // SHA-256 of the secret in the user's calendar feed URL (see webinarCalendarController)
+  calendarFeedTokenHash: { type: String, select: false, index: { sparse: true } },
 }, { timestamps: true });
 
 
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * ViewAsCode Schema
+ * One-time codes behind "View as User" links. Stored in MongoDB (hashed) so a
+ * link created on one instance can be exchanged on another or after a restart.
+ */
+const viewAsCodeSchema = new Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  impersonator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+viewAsCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ViewAsCode = mongoose.model('ViewAsCode', viewAsCodeSchema);
+export default ViewAsCode;
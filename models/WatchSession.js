@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * WatchSession Schema
+ * One join/leave interval of a user watching a webinar, live or as a replay.
+ * The player sends a heartbeat while playing; the interval runs from `startedAt` to `lastHeartbeatAt`.
+ * A heartbeat after a long gap (tab closed, connection lost) starts a new interval.
+ */
+const watchSessionSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Player instance (one per tab), generated by the client
+  sessionId: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  mode: {
+    type: String,
+    enum: ['live', 'replay'],
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the player left or the interval went stale; open intervals have none
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  isOpen: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// At most one open interval per player
+watchSessionSchema.index({ webinar: 1, user: 1, sessionId: 1 }, { unique: true, partialFilterExpression: { isOpen: true } });
+watchSessionSchema.index({ webinar: 1, mode: 1, startedAt: 1 });
+
+const WatchSession = mongoose.model('WatchSession', watchSessionSchema);
+export default WatchSession;
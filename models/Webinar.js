@@ -44,6 +44,17 @@ const webinarSchema = new Schema({
     type: Date,
     required: true,
   },
+  // Used for the end time of calendar invites
+  durationMinutes: {
+    type: Number,
+    min: 1,
+    default: 60,
+  },
+  // iCalendar SEQUENCE: raised on every reschedule/cancellation so calendars replace the earlier invite
+  calendarSequence: {
+    type: Number,
+    default: 0,
+  },
 
   // Line fields (Line1 is required, Line2 and Line3 are optional)
   line1: {
@@ -79,6 +90,30 @@ const webinarSchema = new Schema({
     required: true,
     default: 'Yes',
   },
+  // Let visitors without an account chat under a guest name
+  guestChat: {
+    type: String,
+    enum: ['Yes', 'No'],
+    default: 'No',
+  },
+  // Minimum seconds between two messages from the same sender (0 = off; hosts are exempt)
+  chatSlowModeSeconds: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  // Recurring series this webinar is an occurrence of (see WebinarSeries)
+  series: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebinarSeries',
+    default: null,
+    index: true,
+  },
+  // Start time the recurrence rule gave this occurrence (stays put when the occurrence is rescheduled)
+  seriesOccurrenceDate: {
+    type: Date,
+  },
 
   // Optional fields
   calInvDesc: {
@@ -93,6 +128,13 @@ const webinarSchema = new Schema({
     type: String,
     trim: true,
   },
+  // Minutes before start that `reminderSms` is texted to attendees
+  reminderSmsTime: {
+    type: Number,
+    min: 1,
+    max: 7 * 24 * 60,
+    default: 15,
+  },
   proSmsList: {
     type: String,
     // type: Schema.Types.ObjectId,
@@ -106,21 +148,88 @@ const webinarSchema = new Schema({
     type: Number,
     default: 60, // in minutes
   },
+  // Set once `proSms` has gone out to `proSmsList` (see services/webinarSmsService.js)
+  proSmsSentAt: {
+    type: Date,
+    default: null,
+  },
+  // Legacy registration limit, kept for existing clients; registrations are limited by `capacity`
   attendOverwrite: {
     type: Number,
     default: 100,
   },
+  // Maximum number of registered attendees (null = unlimited)
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  // When full, further registrations join a waitlist and are promoted as seats free up
+  waitlist: {
+    type: String,
+    enum: ['Yes', 'No'],
+    default: 'Yes',
+  },
+
+  // Daily room used for the webinar; webhooks are matched by this or by slug
+  dailyRoomName: {
+    type: String,
+    trim: true,
+    index: true,
+  },
 
   rawRecordingId: {
     type: String,
     trim: true,
   },
 
+  // Cloud recording state reported by Daily webhooks
+  recordingStatus: {
+    type: String,
+    enum: ['none', 'recording', 'ready', 'error'],
+    default: 'none',
+  },
+  recordingError: {
+    type: String,
+    trim: true,
+  },
+
   recording: {
     type: String,
     trim: true,
   },
 
+  // Copy of the Daily recording in Supabase storage (see services/recordingIngestionService.js)
+  recordingIngestion: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'in-progress', 'completed', 'failed'],
+      default: 'none',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    fileSize: {
+      type: Number, // bytes
+    },
+    storagePath: {
+      type: String,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+
   // Call to Action buttons
   ctas: [{
     label: {
@@ -141,6 +250,39 @@ const webinarSchema = new Schema({
     default: [],
   },
 
+  // When each CTA was shown and hidden; an open entry has no deactivatedAt
+  ctaActivations: [{
+    ctaIndex: {
+      type: Number,
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+    activatedAt: {
+      type: Date,
+      required: true,
+    },
+    activatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Connected viewers when the CTA appeared
+    viewersAtActivation: {
+      type: Number,
+      default: 0,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    deactivatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+
   // Registration and attendance tracking
   attendees: [{
     user: {
@@ -150,13 +292,20 @@ const webinarSchema = new Schema({
     },
     attendanceStatus: {
       type: String,
-      enum: ['registered', 'attended', 'watched'],
+      enum: ['registered', 'attended', 'watched', 'waitlisted'],
       default: 'registered',
     },
     registeredAt: {
       type: Date,
       default: Date.now,
     },
+    // Order on the waitlist (1 = next to be promoted); only set while waitlisted
+    waitlistPosition: {
+      type: Number,
+    },
+    promotedAt: {
+      type: Date,
+    },
   }],
 
   // Creator tracking
@@ -166,13 +315,18 @@ const webinarSchema = new Schema({
     required: true,
   },
 
-  // Reminder email tracking
-  reminderEmailSent: {
-    type: Boolean,
-    default: false,
-  },
-  reminderEmailSentAt: {
-    type: Date,
+  // Reminder emails, in minutes before start (0 = "we're live"); deliveries are tracked in ReminderDelivery
+  reminderSchedule: {
+    type: [{
+      _id: false,
+      offsetMinutes: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 7 * 24 * 60,
+      },
+    }],
+    default: () => [{ offsetMinutes: 15 }],
   },
 
   // HubSpot list ID for webinar participants (create/update list when syncing)
@@ -180,6 +334,15 @@ const webinarSchema = new Schema({
     type: String,
     trim: true,
   },
+  // Per-status HubSpot lists (see services/webinarHubSpotSyncService.js)
+  hubSpotLists: {
+    registered: { type: String, trim: true },
+    attended: { type: String, trim: true },
+    watched: { type: String, trim: true },
+  },
+  hubSpotSyncedAt: {
+    type: Date,
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * WebinarPoll Schema
+ * Polls a host prepares for a webinar and launches live.
+ * Lifecycle: draft -> live -> closed. Votes are stored in PollVote (one per attendee).
+ * When `hubSpotProperty` is set, each voter's answer is written to that contact property after the webinar ends.
+ */
+const webinarPollSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+    index: true,
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+  type: {
+    type: String,
+    enum: ['single', 'multiple', 'rating'],
+    required: true,
+  },
+  // Answer options for single/multiple choice polls
+  options: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  }],
+  // Highest score for rating polls (1..ratingMax)
+  ratingMax: {
+    type: Number,
+    min: 2,
+    max: 10,
+    default: 5,
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'live', 'closed'],
+    default: 'draft',
+  },
+  launchedAt: {
+    type: Date,
+  },
+  closedAt: {
+    type: Date,
+  },
+  // Internal name of the HubSpot contact property that receives the answer (optional)
+  hubSpotProperty: {
+    type: String,
+    trim: true,
+  },
+  hubSpotSync: {
+    status: {
+      type: String,
+      enum: ['none', 'completed', 'failed'],
+      default: 'none',
+    },
+    syncedAt: {
+      type: Date,
+    },
+    contacts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+const WebinarPoll = mongoose.model('WebinarPoll', webinarPollSchema);
+export default WebinarPoll;
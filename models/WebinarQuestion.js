@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * WebinarQuestion Schema
+ * Q&A questions asked by attendees, kept apart from the chat stream.
+ * Attendees upvote questions; hosts mark them answered (in writing or live on air) or dismiss them.
+ */
+const webinarQuestionSchema = new Schema({
+  webinar: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true,
+  },
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  authorName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000,
+  },
+  // Users who upvoted; upvoteCount mirrors its length for sorting
+  upvotes: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'answered', 'dismissed'],
+    default: 'open',
+  },
+  // Answered on air rather than in writing
+  answeredLive: {
+    type: Boolean,
+    default: false,
+  },
+  answer: {
+    type: String,
+    trim: true,
+  },
+  answeredBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  answeredAt: {
+    type: Date,
+  },
+  dismissedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Most voted first, then oldest first
+webinarQuestionSchema.index({ webinar: 1, upvoteCount: -1, createdAt: 1 });
+
+const WebinarQuestion = mongoose.model('WebinarQuestion', webinarQuestionSchema);
+export default WebinarQuestion;
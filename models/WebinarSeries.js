@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * WebinarSeries Schema
+ * A recurring webinar. Occurrences are ordinary Webinar documents linked back through `series`,
+ * generated from `recurrence` (an RRULE such as "FREQ=WEEKLY;BYDAY=TU") starting at `startDate`,
+ * keeping the same local time in `timezone`. `template` holds the fields copied onto every occurrence.
+ * Users in `registrants` are registered for every occurrence, including ones generated later.
+ */
+const webinarSeriesSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Occurrence slugs are `${slug}-YYYY-MM-DD`
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  recurrence: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  timezone: {
+    type: String,
+    default: 'America/New_York',
+  },
+  // Occurrence dates removed on purpose (never regenerated)
+  excludedDates: {
+    type: [Date],
+    default: [],
+  },
+  template: {
+    streamType: {
+      type: String,
+      enum: ['Live Call', 'Webinar'],
+      required: true,
+    },
+    line1: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    line2: {
+      type: String,
+      trim: true,
+    },
+    line3: {
+      type: String,
+      trim: true,
+    },
+    displayComments: {
+      type: String,
+      enum: ['Yes', 'No'],
+      default: 'Yes',
+    },
+    portalDisplay: {
+      type: String,
+      enum: ['Yes', 'No'],
+      default: 'Yes',
+    },
+    guestChat: {
+      type: String,
+      enum: ['Yes', 'No'],
+      default: 'No',
+    },
+    calInvDesc: {
+      type: String,
+      trim: true,
+    },
+    reminderSms: {
+      type: String,
+      trim: true,
+    },
+    reminderSmsTime: {
+      type: Number,
+      min: 1,
+      max: 7 * 24 * 60,
+      default: 15,
+    },
+    proSmsList: {
+      type: String,
+    },
+    proSms: {
+      type: String,
+      trim: true,
+    },
+    proSmsTime: {
+      type: Number,
+      default: 60, // in minutes
+    },
+    capacity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    waitlist: {
+      type: String,
+      enum: ['Yes', 'No'],
+      default: 'Yes',
+    },
+    reminderSchedule: {
+      type: [{
+        _id: false,
+        offsetMinutes: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 7 * 24 * 60,
+        },
+      }],
+      default: () => [{ offsetMinutes: 15 }],
+    },
+    ctas: [{
+      label: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      link: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+    }],
+  },
+  registrants: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active',
+  },
+  // Occurrences exist up to this instant; the series cron extends it
+  generatedUntil: {
+    type: Date,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+const WebinarSeries = mongoose.model('WebinarSeries', webinarSeriesSchema);
+export default WebinarSeries;
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+/**
+ * WebinarTemplate Schema
+ * Reusable webinar configuration (texts, CTAs, chat, SMS and reminder settings).
+ * createWebinar with a `templateId` starts from these values; fields left empty fall back to the Webinar defaults.
+ * See WEBINAR_CONFIG_FIELDS in services/webinarTemplateService.js.
+ */
+const webinarTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+
+  streamType: {
+    type: String,
+    enum: ['Live Call', 'Webinar'],
+  },
+  line1: {
+    type: String,
+    trim: true,
+  },
+  line2: {
+    type: String,
+    trim: true,
+  },
+  line3: {
+    type: String,
+    trim: true,
+  },
+  displayComments: {
+    type: String,
+    enum: ['Yes', 'No'],
+  },
+  portalDisplay: {
+    type: String,
+    enum: ['Yes', 'No'],
+  },
+  guestChat: {
+    type: String,
+    enum: ['Yes', 'No'],
+  },
+  chatSlowModeSeconds: {
+    type: Number,
+    min: 0,
+  },
+  calInvDesc: {
+    type: String,
+    trim: true,
+  },
+  proWorkId: {
+    type: String,
+    trim: true,
+  },
+  reminderSms: {
+    type: String,
+    trim: true,
+  },
+  reminderSmsTime: {
+    type: Number,
+    min: 1,
+    max: 7 * 24 * 60,
+  },
+  proSmsList: {
+    type: String,
+  },
+  proSms: {
+    type: String,
+    trim: true,
+  },
+  proSmsTime: {
+    type: Number, // in minutes
+  },
+  attendOverwrite: {
+    type: Number,
+  },
+  durationMinutes: {
+    type: Number,
+    min: 1,
+  },
+  // null = unlimited; unset = the Webinar default
+  capacity: {
+    type: Number,
+    min: 1,
+  },
+  waitlist: {
+    type: String,
+    enum: ['Yes', 'No'],
+  },
+  reminderSchedule: {
+    type: [{
+      _id: false,
+      offsetMinutes: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 7 * 24 * 60,
+      },
+    }],
+    default: undefined,
+  },
+  ctas: {
+    type: [{
+      _id: false,
+      label: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      link: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+    }],
+    default: undefined,
+  },
+
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+const WebinarTemplate = mongoose.model('WebinarTemplate', webinarTemplateSchema);
+export default WebinarTemplate;
@@ -4,32 +4,57 @@ import {
   verifyEmail,
   loginUser,
   logoutUser,
+  logoutAllDevices,
+  refreshAccessToken,
   getUser,
   getProfile,
   forgotPassword,
   resetPassword,
   updateProfile,
   exchangeViewAsCode,
+  endViewAsSession,
+  unlockAccount,
+  resendInvite,
+  verifyLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes,
 } from '../controllers/authController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, optionalProtect, publicAccess } from '../middleware/authMiddleware.js';
+import { limitByIp } from '../middleware/rateLimitMiddleware.js';
 
 const router = express.Router();
 
-router.post('/register', registerUser);
-router.post('/verify/:token', verifyEmail);
-router.post('/login', loginUser);
-router.post('/logout', logoutUser);
+router.post('/register', publicAccess, registerUser);
+router.post('/verify/:token', publicAccess, verifyEmail); // Accept invite: verify email and set password
+router.post('/resend-invite', publicAccess, limitByIp('forgotPasswordIp'), resendInvite); // Send a fresh invite link
+router.post('/login', publicAccess, limitByIp('loginIp'), loginUser);
+router.post('/login/2fa', publicAccess, limitByIp('loginIp'), verifyLoginTwoFactor); // Second login step (TOTP or backup code)
+router.post('/refresh', publicAccess, refreshAccessToken); // Rotate refresh token and issue a new access token
+router.post('/logout', optionalProtect, logoutUser); // Revoke current session (access token or refresh token in body)
+router.post('/logout-all', protect, logoutAllDevices); // Revoke every session of the current user
 
 // Exchange one-time "View as User" code for token (no auth - used by new tab)
-router.post('/view-as/exchange', exchangeViewAsCode);
+router.post('/view-as/exchange', publicAccess, limitByIp('viewAsIp'), exchangeViewAsCode);
+router.post('/view-as/end', protect, endViewAsSession); // End the current view-as session
 
-router.post('/forgot-password', forgotPassword);
-router.post('/reset-password/:token', resetPassword);
+router.post('/forgot-password', publicAccess, limitByIp('forgotPasswordIp'), forgotPassword);
+router.post('/reset-password/:token', publicAccess, resetPassword);
+router.post('/unlock/:token', publicAccess, unlockAccount); // Unlock account from the emailed link
 
 router.get('/user', protect, getUser); // MongoDB only - for AuthContext
 router.get('/profile', protect, getProfile); // HubSpot + MongoDB - for Profile page
 router.put('/profile', protect, updateProfile); // Update user profile
-router.get('/admin', protect, authorize('admin'), (req, res) => {
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', protect, getTwoFactorStatus); // Enrollment status and whether the role requires it
+router.post('/2fa/setup', protect, setupTwoFactor); // Get secret + otpauth URI for the QR code
+router.post('/2fa/enable', protect, enableTwoFactor); // Confirm with a code, returns backup codes
+router.post('/2fa/backup-codes', protect, regenerateTwoFactorBackupCodes); // Replace backup codes
+router.post('/2fa/disable', protect, disableTwoFactorAuth); // Turn off 2FA
+router.get('/admin', protect, requirePermission('webinars:manage'), (req, res) => {
   res.json({ message: 'Welcome Admin! You have special access.' });
 });
 
@@ -1,12 +1,13 @@
 import express from 'express';
 import { createCategory, getAllCategories, getCategoryById, updateCategory, deleteCategory } from '../controllers/categoryController.js';
+import { protect, publicAccess, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.post('/', createCategory);  // Create a new category
-router.get('/', getAllCategories);  // Get all categories
-router.get('/:categoryId', getCategoryById);  // Get a category by ID
-router.put('/:categoryId', updateCategory);  // Update a category
-router.delete('/:categoryId', deleteCategory);  // Delete a category
+router.post('/', protect, requirePermission('taxonomy:write'), createCategory);  // Create a new category
+router.get('/', publicAccess, getAllCategories);  // Get all categories
+router.get('/:categoryId', publicAccess, getCategoryById);  // Get a category by ID
+router.put('/:categoryId', protect, requirePermission('taxonomy:write'), updateCategory);  // Update a category
+router.delete('/:categoryId', protect, requirePermission('taxonomy:write'), deleteCategory);  // Delete a category
 
 export default router;
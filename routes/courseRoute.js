@@ -20,33 +20,33 @@ import {
   deleteLecture,
   completeLecture,
 } from '../controllers/courseController.js';
-import { protect, authorize, optionalProtect } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, optionalProtect, publicAccess } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // CourseGroup routes
 router.get('/groups', optionalProtect, getAllCourseGroups); // Get all course groups (optional auth for HubSpot list filtering)
 router.get('/groups/:id', optionalProtect, getCourseGroupById); // Get a course group by ID (optional auth for HubSpot list filtering)
-router.post('/groups', protect, authorize('admin'), createCourseGroup); // Create a new course group
-router.put('/groups/reorder', protect, authorize('admin'), reorderCourseGroups); // Reorder groups (public display)
-router.put('/groups/:id', protect, authorize('admin'), updateCourseGroup); // Update a course group
-router.put('/groups/:id/courses/reorder', protect, authorize('admin'), reorderCoursesInGroup); // Reorder courses (public display)
-router.delete('/groups/:id', protect, authorize('admin'), deleteCourseGroup); // Delete a course group
+router.post('/groups', protect, requirePermission('courses:edit'), createCourseGroup); // Create a new course group
+router.put('/groups/reorder', protect, requirePermission('courses:edit'), reorderCourseGroups); // Reorder groups (public display)
+router.put('/groups/:id', protect, requirePermission('courses:edit'), updateCourseGroup); // Update a course group
+router.put('/groups/:id/courses/reorder', protect, requirePermission('courses:edit'), reorderCoursesInGroup); // Reorder courses (public display)
+router.delete('/groups/:id', protect, requirePermission('courses:edit'), deleteCourseGroup); // Delete a course group
 
 // Course routes
-router.get('/courses', getAllCourses); // Get all courses
-router.get('/courses/:id', getCourseById); // Get a course by ID
-router.post('/courses/:groupId', protect, authorize('admin'), createCourse); // Create a new course
-router.put('/courses/:id', protect, authorize('admin'), updateCourse); // Update a course
-router.put('/courses/:id/lectures/reorder', protect, authorize('admin'), reorderLecturesInCourse); // Reorder lectures (public display)
-router.delete('/courses/:id', protect, authorize('admin'), deleteCourse); // Delete a course
+router.get('/courses', publicAccess, getAllCourses); // Get all courses
+router.get('/courses/:id', publicAccess, getCourseById); // Get a course by ID
+router.post('/courses/:groupId', protect, requirePermission('courses:edit'), createCourse); // Create a new course
+router.put('/courses/:id', protect, requirePermission('courses:edit'), updateCourse); // Update a course
+router.put('/courses/:id/lectures/reorder', protect, requirePermission('courses:edit'), reorderLecturesInCourse); // Reorder lectures (public display)
+router.delete('/courses/:id', protect, requirePermission('courses:edit'), deleteCourse); // Delete a course
 
 // Lecture routes
 router.get('/lectures', protect, getAllLectures); // Get all lectures
 router.get('/lectures/:id', protect, getLectureById); // Get a lecture by ID
-router.post('/lectures', protect, authorize('admin'), createLecture); // Create a new lecture
-router.put('/lectures/:id', protect, authorize('admin'), updateLecture); // Update a lecture
-router.delete('/lectures/:id', protect, authorize('admin'), deleteLecture); // Delete a lecture
+router.post('/lectures', protect, requirePermission('courses:edit'), createLecture); // Create a new lecture
+router.put('/lectures/:id', protect, requirePermission('courses:edit'), updateLecture); // Update a lecture
+router.delete('/lectures/:id', protect, requirePermission('courses:edit'), deleteLecture); // Delete a lecture
 router.post('/lectures/:id/complete', protect, completeLecture); // Mark a lecture as completed
 
 export default router;
\ No newline at end of file
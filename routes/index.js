@@ -13,13 +13,16 @@ import subCategoryRoutes from './subCategoryRoutes.js'; // Import sub-category r
 import uploadRoutes from './uploadRoutes.js'; // Import upload routes
 import promotionalSmsListRoutes from './promotionalSmsListRoutes.js'; // Import promotional SMS list routes
 import userRoutes from './userRoutes.js'; // Import user management routes
+import roleRoutes from './roleRoutes.js'; // Import role and permission management routes
 import ordersRoutes from './ordersRoutes.js'; // Import orders routes
+import smsRoutes from './smsRoutes.js'; // Import SMS log and opt-out routes
 
 const router = express.Router();
 
 // Use the routes for different API endpoints
 router.use('/auth', authRoutes);          // All authentication-related routes
 router.use('/users', userRoutes);        // All user management routes
+router.use('/roles', roleRoutes);        // Role and permission management routes
 
 router.use('/webinars', webinarRoutes);  // All webinar-related routes
 router.use('/courses', courseRoutes); // Course-related routes
@@ -35,6 +38,7 @@ router.use('/strategies', strategyRoutes); // Strategy-related routes
 
 router.use('/upload', uploadRoutes); // Upload-related routes
 router.use('/promotional-sms-lists', promotionalSmsListRoutes); // Promotional SMS list-related routes
+router.use('/sms', smsRoutes); // SMS delivery log, opt-outs and test sends
 router.use('/orders', ordersRoutes); // Orders, payments, and subscriptions routes
 
 export default router;
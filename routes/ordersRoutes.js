@@ -7,7 +7,7 @@ import {
   getAdminUserOrders,
   getAdminUserSubscriptions,
 } from '../controllers/ordersController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -27,10 +27,10 @@ router.get('/payments', getPayments);
 router.get('/subscriptions', getSubscriptions);
 
 // Admin routes - Get orders for a specific user
-router.get('/admin/:userId', authorize('admin'), getAdminUserOrders);
+router.get('/admin/:userId', requirePermission('orders:read'), getAdminUserOrders);
 
 // Admin routes - Get subscriptions for a specific user
-router.get('/admin/:userId/subscriptions', authorize('admin'), getAdminUserSubscriptions);
+router.get('/admin/:userId/subscriptions', requirePermission('orders:read'), getAdminUserSubscriptions);
 
 export default router;
 
@@ -2,10 +2,11 @@ import express from 'express';
 import {
   getAllPromotionalSmsLists,
 } from '../controllers/promotionalSmsListController.js';
+import { publicAccess } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Public route to get all active promotional SMS lists (for dropdowns)
-router.get('/', getAllPromotionalSmsLists);
+router.get('/', publicAccess, getAllPromotionalSmsLists);
 
 export default router;
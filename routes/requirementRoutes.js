@@ -1,12 +1,13 @@
 import express from 'express';
 import { createRequirement, getAllRequirements, getRequirementById, updateRequirement, deleteRequirement } from '../controllers/requirementController.js';
+import { protect, publicAccess, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.post('/', createRequirement);  // Create a new requirement
-router.get('/', getAllRequirements);  // Get all requirements
-router.get('/:requirementId', getRequirementById);  // Get a requirement by ID
-router.put('/:requirementId', updateRequirement);  // Update a requirement
-router.delete('/:requirementId', deleteRequirement);  // Delete a requirement
+router.post('/', protect, requirePermission('taxonomy:write'), createRequirement);  // Create a new requirement
+router.get('/', publicAccess, getAllRequirements);  // Get all requirements
+router.get('/:requirementId', publicAccess, getRequirementById);  // Get a requirement by ID
+router.put('/:requirementId', protect, requirePermission('taxonomy:write'), updateRequirement);  // Update a requirement
+router.delete('/:requirementId', protect, requirePermission('taxonomy:write'), deleteRequirement);  // Delete a requirement
 
 export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require the roles:manage permission
+router.use(protect, requirePermission('roles:manage'));
+
+router.get('/permissions', getPermissions); // List every grantable permission
+router.get('/', getRoles); // List roles with permissions and user counts
+router.post('/', createRole); // Create a custom role
+router.put('/:key', updateRole); // Update a role (built-in roles included)
+router.delete('/:key', deleteRole); // Delete a custom role that no user holds
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  getSmsMessages,
+  getWebinarSmsStats,
+  sendTestSms,
+  getSmsOptOuts,
+  addSmsOptOut,
+  removeSmsOptOut,
+} from '../controllers/smsController.js';
+
+const router = express.Router();
+
+router.get('/messages', protect, requirePermission('webinars:manage'), getSmsMessages); // Delivery log with filters
+router.get('/webinars/:webinarId/summary', protect, requirePermission('webinars:manage'), getWebinarSmsStats); // Reminder/promotional counts per status
+router.post('/test', protect, requirePermission('webinars:manage'), sendTestSms); // Send a one-off text
+router.get('/opt-outs', protect, requirePermission('webinars:manage'), getSmsOptOuts); // Numbers that opted out
+router.post('/opt-outs', protect, requirePermission('webinars:manage'), addSmsOptOut); // Opt a number out
+router.delete('/opt-outs/:phone', protect, requirePermission('webinars:manage'), removeSmsOptOut); // Remove an opt-out
+
+export default router;
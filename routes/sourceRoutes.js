@@ -1,12 +1,13 @@
 import express from 'express';
 import { createSource, getAllSources, getSourceById, updateSource, deleteSource } from '../controllers/sourceController.js';
+import { protect, publicAccess, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.post('/', createSource);  // Create a new source
-router.get('/', getAllSources);  // Get all sources
-router.get('/:sourceId', getSourceById);  // Get a source by ID
-router.put('/:sourceId', updateSource);  // Update a source
-router.delete('/:sourceId', deleteSource);  // Delete a source
+router.post('/', protect, requirePermission('taxonomy:write'), createSource);  // Create a new source
+router.get('/', publicAccess, getAllSources);  // Get all sources
+router.get('/:sourceId', publicAccess, getSourceById);  // Get a source by ID
+router.put('/:sourceId', protect, requirePermission('taxonomy:write'), updateSource);  // Update a source
+router.delete('/:sourceId', protect, requirePermission('taxonomy:write'), deleteSource);  // Delete a source
 
 export default router;
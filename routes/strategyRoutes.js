@@ -1,12 +1,13 @@
 import express from 'express';
 import { createStrategy, getAllStrategies, getStrategyById, updateStrategy, deleteStrategy } from '../controllers/strategyController.js';
+import { protect, publicAccess, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.post('/', createStrategy);  // Create a new strategy
-router.get('/', getAllStrategies);  // Get all strategies
-router.get('/:strategyId', getStrategyById);  // Get a strategy by ID
-router.put('/:strategyId', updateStrategy);  // Update a strategy
-router.delete('/:strategyId', deleteStrategy);  // Delete a strategy
+router.post('/', protect, requirePermission('taxonomy:write'), createStrategy);  // Create a new strategy
+router.get('/', publicAccess, getAllStrategies);  // Get all strategies
+router.get('/:strategyId', publicAccess, getStrategyById);  // Get a strategy by ID
+router.put('/:strategyId', protect, requirePermission('taxonomy:write'), updateStrategy);  // Update a strategy
+router.delete('/:strategyId', protect, requirePermission('taxonomy:write'), deleteStrategy);  // Delete a strategy
 
 export default router;
@@ -6,22 +6,23 @@ import {
   updateSubCategory,
   deleteSubCategory,
 } from '../controllers/subcategoryController.js';
+import { protect, publicAccess, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Create a new subcategory
-router.post('/', createSubCategory);
+router.post('/', protect, requirePermission('taxonomy:write'), createSubCategory);
 
 // Get all subcategories
-router.get('/', getAllSubCategories);
+router.get('/', publicAccess, getAllSubCategories);
 
 // Get a single subcategory by ID
-router.get('/:subCategoryId', getSubCategoryById);
+router.get('/:subCategoryId', publicAccess, getSubCategoryById);
 
 // Update a subcategory by ID
-router.put('/:subCategoryId', updateSubCategory);
+router.put('/:subCategoryId', protect, requirePermission('taxonomy:write'), updateSubCategory);
 
 // Delete a subcategory by ID
-router.delete('/:subCategoryId', deleteSubCategory);
+router.delete('/:subCategoryId', protect, requirePermission('taxonomy:write'), deleteSubCategory);
 
 export default router;
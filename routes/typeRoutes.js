@@ -1,12 +1,13 @@
 import express from 'express';
 import { createType, getAllTypes, getTypeById, updateType, deleteType } from '../controllers/typeController.js';
+import { protect, publicAccess, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.post('/', createType);  // Create a new type
-router.get('/', getAllTypes);  // Get all types
-router.get('/:typeId', getTypeById);  // Get a type by ID
-router.put('/:typeId', updateType);  // Update a type
-router.delete('/:typeId', deleteType);  // Delete a type
+router.post('/', protect, requirePermission('taxonomy:write'), createType);  // Create a new type
+router.get('/', publicAccess, getAllTypes);  // Get all types
+router.get('/:typeId', publicAccess, getTypeById);  // Get a type by ID
+router.put('/:typeId', protect, requirePermission('taxonomy:write'), updateType);  // Update a type
+router.delete('/:typeId', protect, requirePermission('taxonomy:write'), deleteType);  // Delete a type
 
 export default router;
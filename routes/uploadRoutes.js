@@ -7,21 +7,25 @@ import {
     generateImageUploadUrl,
     generateFileUploadUrl
 } from '../controllers/uploadController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// All routes require authentication
+router.use(protect);
+
 // Legacy upload routes (still supported for backward compatibility)
 // Upload image route
-router.post('/image', upload.single('image'), uploadImage);
+router.post('/image', requirePermission('uploads:write'), upload.single('image'), uploadImage);
 
 // Upload file route (for all file types)
-router.post('/file', uploadFile.single('file'), uploadFileController);
+router.post('/file', requirePermission('uploads:write'), uploadFile.single('file'), uploadFileController);
 
 // New signed URL routes for direct client uploads
 // Generate signed upload URL for image
-router.post('/image/signed-url', generateImageUploadUrl);
+router.post('/image/signed-url', requirePermission('uploads:write'), generateImageUploadUrl);
 
 // Generate signed upload URL for file
-router.post('/file/signed-url', generateFileUploadUrl);
+router.post('/file/signed-url', requirePermission('uploads:write'), generateFileUploadUrl);
 
 export default router;
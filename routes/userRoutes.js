@@ -9,64 +9,90 @@ import {
   toggleUserVerification,
   changeUserRole,
   getViewAsUserLink,
+  getImpersonationAudit,
   getUserStatistics,
+  getUserLoginHistory,
+  unlockUser,
+  resendUserInvite,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
   bulkUpdateUsers,
   bulkDeleteUsers,
   // migrateHubSpotContacts, // Commented out - feature disabled
 } from '../controllers/userController.js';
-import { protect, authorize, authorizeSupaadmin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-// Migrate HubSpot contacts to database (Supaadmin only) - SSE endpoint
+// Migrate HubSpot contacts to database (users:manage) - SSE endpoint
 // Commented out - feature disabled
-// router.get('/migrate/hubspot', authorizeSupaadmin(), migrateHubSpotContacts);
-// router.get('/migrate/hubspot/pause', authorizeSupaadmin(), migrateHubSpotContacts);
-// router.get('/migrate/hubspot/resume', authorizeSupaadmin(), migrateHubSpotContacts);
-// router.get('/migrate/hubspot/status', authorizeSupaadmin(), migrateHubSpotContacts);
+// router.get('/migrate/hubspot', requirePermission('users:manage'), migrateHubSpotContacts);
+// router.get('/migrate/hubspot/pause', requirePermission('users:manage'), migrateHubSpotContacts);
+// router.get('/migrate/hubspot/resume', requirePermission('users:manage'), migrateHubSpotContacts);
+// router.get('/migrate/hubspot/status', requirePermission('users:manage'), migrateHubSpotContacts);
 
-// Statistics route (Supaadmin only)
-router.get('/statistics', authorizeSupaadmin(), getUserStatistics);
+// Statistics route (users:manage)
+router.get('/statistics', requirePermission('users:manage'), getUserStatistics);
 
-// Get all users with pagination, filtering, and sorting (Supaadmin only)
-router.get('/', authorizeSupaadmin(), getAllUsers);
+// Two-factor policy: which roles must enable 2FA (security:manage)
+router.get('/security/2fa-policy', requirePermission('security:manage'), getTwoFactorPolicy);
+router.put('/security/2fa-policy', requirePermission('security:manage'), updateTwoFactorPolicy);
 
-// Get user by ID (Supaadmin can get any, user can get own)
+// "View as User" audit log: link created, start, end, actions (users:impersonate)
+router.get('/impersonation-audit', requirePermission('users:impersonate'), getImpersonationAudit);
+
+// Get all users with pagination, filtering, and sorting (users:manage)
+router.get('/', requirePermission('users:manage'), getAllUsers);
+
+// Get user by ID (users:manage can get any, user can get own)
 router.get('/:userId', (req, res, next) => {
-  // Allow users to get their own profile, or supaadmin to get any
-  if (req.user.id === req.params.userId || (req.user && req.user.supaadmin === true)) {
+  // Allow users to get their own profile, or user managers to get any
+  if (req.user.id === req.params.userId || req.permissions.has('users:manage')) {
     return getUserById(req, res, next);
   }
   return res.status(403).json({ message: 'Forbidden: insufficient rights' });
 });
 
-// Create new user (Supaadmin only)
-router.post('/', authorizeSupaadmin(), createUser);
+// Create new user (users:manage)
+router.post('/', requirePermission('users:manage'), createUser);
 
-// Update user (Supaadmin can update any, user can update own)
+// Update user (users:manage can update any, user can update own)
 router.put('/:userId', updateUser);
 
-// Delete user (Supaadmin only)
-router.delete('/:userId', authorizeSupaadmin(), deleteUser);
+// Delete user (users:manage)
+router.delete('/:userId', requirePermission('users:manage'), deleteUser);
+
+// Reset user password (users:manage)
+router.post('/:userId/reset-password', requirePermission('users:manage'), resetUserPassword);
+
+// Get "View as User" link (users:impersonate) - opens in new tab as that user
+router.post('/:userId/view-as', requirePermission('users:impersonate'), getViewAsUserLink);
+
+// Reset a user's two-factor authentication (security:manage)
+router.post('/:userId/2fa/reset', requirePermission('security:manage'), resetUserTwoFactor);
+
+// Resend "set your password" invite (users:manage)
+router.post('/:userId/resend-invite', requirePermission('users:manage'), resendUserInvite);
 
-// Reset user password (Supaadmin only)
-router.post('/:userId/reset-password', authorizeSupaadmin(), resetUserPassword);
+// Unlock an account locked by failed logins (users:manage)
+router.post('/:userId/unlock', requirePermission('users:manage'), unlockUser);
 
-// Get "View as User" link (Supaadmin only) - opens in new tab as that user
-router.post('/:userId/view-as', authorizeSupaadmin(), getViewAsUserLink);
+// Get login history for a user (users:manage)
+router.get('/:userId/login-history', requirePermission('users:manage'), getUserLoginHistory);
 
-// Toggle user verification status (Supaadmin only)
-router.patch('/:userId/verification', authorizeSupaadmin(), toggleUserVerification);
+// Toggle user verification status (users:manage)
+router.patch('/:userId/verification', requirePermission('users:manage'), toggleUserVerification);
 
-// Change user role (Supaadmin only)
-router.patch('/:userId/role', authorizeSupaadmin(), changeUserRole);
+// Change user role (users:manage)
+router.patch('/:userId/role', requirePermission('users:manage'), changeUserRole);
 
-// Bulk operations (Supaadmin only)
-router.post('/bulk/update', authorizeSupaadmin(), bulkUpdateUsers);
-router.post('/bulk/delete', authorizeSupaadmin(), bulkDeleteUsers);
+// Bulk operations (users:manage)
+router.post('/bulk/update', requirePermission('users:manage'), bulkUpdateUsers);
+router.post('/bulk/delete', requirePermission('users:manage'), bulkDeleteUsers);
 
 
 
@@ -0,0 +1,13 @@
+import express from 'express';
+import { receiveDailyWebhook } from '../controllers/dailyWebhookController.js';
+import { verifyDailyWebhook } from '../middleware/dailyWebhookMiddleware.js';
+import { receiveInboundSms, receiveSmsStatus } from '../controllers/smsController.js';
+import { verifyTwilioWebhook } from '../middleware/twilioWebhookMiddleware.js';
+
+const router = express.Router();
+
+router.post('/daily', verifyDailyWebhook, receiveDailyWebhook); // Daily room and recording events (HMAC signed)
+router.post('/twilio/inbound', verifyTwilioWebhook, receiveInboundSms); // Incoming texts: STOP/START opt-out handling
+router.post('/twilio/status', verifyTwilioWebhook, receiveSmsStatus); // SMS delivery receipts
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, optionalProtect, requirePermission, publicAccess } from '../middleware/authMiddleware.js';
 import {
   // Admin functions
   getAllWebinars,
@@ -11,6 +11,7 @@ import {
   viewAttendees,
   adminMarkAsAttended,
   syncAttendeesToHubSpot,
+  getHubSpotSyncReports,
   // User functions
   getPublicWebinars,
   getPublicWebinarById,
@@ -21,11 +22,13 @@ import {
   isValidEmailAddress,
   setWebinarOnRecording,
   getDownloadLink,
+  rerunRecordingIngestion,
   // CTA functions
   activateCta,
   deactivateCta,
   getActiveCtas,
-  testSendReminder
+  testSendReminder,
+  getReminderDeliveries
 } from '../controllers/webinarController.js';
 import {
   saveMessage,
@@ -35,45 +38,202 @@ import {
   unpinMessage,
   getPinnedMessages
 } from '../controllers/chatController.js';
+import {
+  hideMessage,
+  unhideMessage,
+  deleteMessage,
+  restrictChatUser,
+  liftChatRestriction,
+  getChatRestrictions,
+  setSlowMode,
+  getModerationLog,
+  getChatFilters,
+  updateChatFilters
+} from '../controllers/chatModerationController.js';
+import {
+  submitQuestion,
+  getQuestions,
+  upvoteQuestion,
+  removeQuestionUpvote,
+  answerQuestion,
+  dismissQuestion,
+  reopenQuestion,
+  exportQuestions
+} from '../controllers/webinarQuestionController.js';
+import {
+  createPoll,
+  updatePoll,
+  deletePoll,
+  getPolls,
+  getPollResultsHandler,
+  launchPoll,
+  closePoll,
+  votePoll,
+  exportPollResults,
+  syncPollResultsToHubSpot
+} from '../controllers/webinarPollController.js';
+import {
+  recordCtaImpression,
+  recordCtaClick,
+  redirectCtaClick,
+  getCtaAnalytics
+} from '../controllers/ctaTrackingController.js';
+import {
+  getWebinarWaitlist,
+  reorderWebinarWaitlist,
+  approveWaitlistedUser,
+  promoteWebinarWaitlist
+} from '../controllers/webinarWaitlistController.js';
+import {
+  sendHeartbeat,
+  getAttendanceReport
+} from '../controllers/webinarAttendanceController.js';
+import {
+  exportAttendees,
+  importAttendees,
+  uploadAttendeeCsv
+} from '../controllers/webinarAttendeeController.js';
+import {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  updateSeriesOccurrence,
+  deleteSeries,
+  getPublicSeries,
+  registerForSeries,
+  unregisterFromSeries
+} from '../controllers/webinarSeriesController.js';
+import {
+  getWebinarTemplates,
+  getWebinarTemplateById,
+  createWebinarTemplate,
+  updateWebinarTemplate,
+  deleteWebinarTemplate,
+  duplicateWebinar,
+} from '../controllers/webinarTemplateController.js';
+import {
+  downloadWebinarCalendar,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+} from '../controllers/webinarCalendarController.js';
+import { streamWebinarEvents, getWebinarPresence } from '../controllers/webinarLiveController.js';
 
 const router = express.Router();
 
 // ==================== PUBLIC ROUTES ====================
-router.get('/public', getPublicWebinars); // Get all public webinars
-router.get('/public/:webinarId', getPublicWebinarById); // Get public webinar by ID
-router.post('/isValidEmailAddress', isValidEmailAddress);
+router.get('/public', publicAccess, getPublicWebinars); // Get all public webinars
+router.get('/public/:webinarId', publicAccess, getPublicWebinarById); // Get public webinar by ID
+router.post('/isValidEmailAddress', publicAccess, isValidEmailAddress);
+
+// ==================== CALENDAR ROUTES ====================
+router.post('/calendar/feed', protect, createCalendarFeed); // Create/replace the user's calendar feed URL
+router.delete('/calendar/feed', protect, revokeCalendarFeed); // Turn off the user's calendar feed
+router.get('/calendar/feed/:token.ics', publicAccess, getCalendarFeed); // iCal feed of the user's webinars (secret URL)
+router.get('/:webinarId/calendar.ics', publicAccess, downloadWebinarCalendar); // Download a webinar as .ics (ID or slug)
+
+// ==================== SERIES ROUTES ====================
+router.get('/series/:seriesId', optionalProtect, getPublicSeries); // Public view of a recurring series with upcoming occurrences
+router.post('/series/:seriesId/register', protect, registerForSeries); // Register for every occurrence of a series
+router.delete('/series/:seriesId/unregister', protect, unregisterFromSeries); // Leave a series (all upcoming occurrences)
 
 // ==================== USER ROUTES ====================
-router.post('/:webinarId/register', protect, registerForWebinar); // Register user for a webinar
+router.post('/:webinarId/register', protect, registerForWebinar); // Register user for a webinar (joins the waitlist when full)
 router.post('/:webinarId/attend', protect, markAsAttended); // Mark user as attended for a webinar
 router.post('/:webinarId/watch', protect, markAsWatched); // Mark user as watched for a webinar (only if not already attended)
+router.post('/:webinarId/heartbeat', protect, sendHeartbeat); // Player heartbeat: join/leave intervals and watch time (live and replay)
 router.delete('/:webinarId/unregister', protect, unregisterFromWebinar); // Unregister user from a webinar
 
 // ==================== CHAT ROUTES ====================
-router.post('/:webinarId/chat', saveMessage); // Save a chat message (public, but should include sender info)
-router.get('/:webinarId/chat', getMessages); // Get all chat messages for a webinar (public)
-router.delete('/:webinarId/chat', clearMessages); // Clear chat messages (admin only) but currently public
-router.get('/:webinarId/chat/pinned', getPinnedMessages); // Get all pinned messages for a webinar (public)
-router.post('/:webinarId/chat/:messageId/pin', pinMessage); // Pin a chat message (public)
-router.post('/:webinarId/chat/:messageId/unpin', unpinMessage); // Unpin a chat message (public)
+router.post('/:webinarId/chat', optionalProtect, saveMessage); // Save a chat message (sender from token; guests only when guest chat is on)
+router.get('/:webinarId/chat', optionalProtect, getMessages); // Get chat messages for a webinar (public; hosts also see hidden/deleted ones)
+router.delete('/:webinarId/chat', protect, requirePermission('webinars:host'), clearMessages); // Clear chat messages (host only)
+router.get('/:webinarId/chat/pinned', publicAccess, getPinnedMessages); // Get all pinned messages for a webinar (public)
+router.post('/:webinarId/chat/:messageId/pin', protect, requirePermission('webinars:host'), pinMessage); // Pin a chat message (host only)
+router.post('/:webinarId/chat/:messageId/unpin', protect, requirePermission('webinars:host'), unpinMessage); // Unpin a chat message (host only)
+
+// ==================== CHAT MODERATION ROUTES ====================
+router.get('/:webinarId/chat/restrictions', protect, requirePermission('webinars:host'), getChatRestrictions); // List muted/banned users (host only)
+router.post('/:webinarId/chat/restrictions', protect, requirePermission('webinars:host'), restrictChatUser); // Mute or ban a user (host only)
+router.delete('/:webinarId/chat/restrictions/:userId', protect, requirePermission('webinars:host'), liftChatRestriction); // Lift a mute or ban (host only)
+router.put('/:webinarId/chat/slow-mode', protect, requirePermission('webinars:host'), setSlowMode); // Set slow mode seconds, 0 = off (host only)
+router.get('/:webinarId/chat/moderation-log', protect, requirePermission('webinars:host'), getModerationLog); // Moderation history (host only)
+router.post('/:webinarId/chat/:messageId/hide', protect, requirePermission('webinars:host'), hideMessage); // Hide a chat message (host only)
+router.post('/:webinarId/chat/:messageId/unhide', protect, requirePermission('webinars:host'), unhideMessage); // Show a hidden chat message again (host only)
+router.delete('/:webinarId/chat/:messageId', protect, requirePermission('webinars:host'), deleteMessage); // Delete a chat message (host only)
+
+// ==================== Q&A ROUTES ====================
+router.post('/:webinarId/questions', protect, submitQuestion); // Ask a question
+router.get('/:webinarId/questions', optionalProtect, getQuestions); // List questions, most voted first (hosts also see dismissed ones)
+router.post('/:webinarId/questions/:questionId/upvote', protect, upvoteQuestion); // Upvote a question
+router.delete('/:webinarId/questions/:questionId/upvote', protect, removeQuestionUpvote); // Remove an upvote
+router.post('/:webinarId/questions/:questionId/answer', protect, requirePermission('webinars:host'), answerQuestion); // Mark answered, in writing or live (host only)
+router.post('/:webinarId/questions/:questionId/dismiss', protect, requirePermission('webinars:host'), dismissQuestion); // Dismiss a question (host only)
+router.post('/:webinarId/questions/:questionId/reopen', protect, requirePermission('webinars:host'), reopenQuestion); // Reopen a question (host only)
+
+// ==================== POLL ROUTES ====================
+router.get('/:webinarId/polls', optionalProtect, getPolls); // List polls with results (hosts also see drafts)
+router.post('/:webinarId/polls', protect, requirePermission('webinars:host'), createPoll); // Create a draft poll (host only)
+router.put('/:webinarId/polls/:pollId', protect, requirePermission('webinars:host'), updatePoll); // Edit a draft poll (host only)
+router.delete('/:webinarId/polls/:pollId', protect, requirePermission('webinars:host'), deletePoll); // Delete a poll and its votes (host only)
+router.get('/:webinarId/polls/:pollId/results', optionalProtect, getPollResultsHandler); // Aggregated poll results
+router.post('/:webinarId/polls/:pollId/launch', protect, requirePermission('webinars:host'), launchPoll); // Launch a poll live (host only)
+router.post('/:webinarId/polls/:pollId/close', protect, requirePermission('webinars:host'), closePoll); // Close a live poll (host only)
+router.post('/:webinarId/polls/:pollId/vote', protect, votePoll); // Vote once on a live poll
+
+// ==================== LIVE ROUTES ====================
+router.get('/:webinarId/live', optionalProtect, streamWebinarEvents); // Server-Sent Events: chat, moderation, Q&A, polls and CTA changes (?since= to resume)
+router.get('/:webinarId/live/presence', publicAccess, getWebinarPresence); // Number of connected viewers
 
 // ==================== CTA ROUTES ====================
-router.get('/:webinarId/cta/active', getActiveCtas); // Get active CTA indices for a webinar (public)
-router.post('/:webinarId/cta/:ctaIndex/activate', activateCta); // Activate a CTA (public)
-router.post('/:webinarId/cta/:ctaIndex/deactivate', deactivateCta); // Deactivate a CTA (public)
+router.get('/:webinarId/cta/active', publicAccess, getActiveCtas); // Get active CTA indices for a webinar (public)
+router.post('/:webinarId/cta/:ctaIndex/activate', protect, requirePermission('webinars:host'), activateCta); // Activate a CTA (host only)
+router.post('/:webinarId/cta/:ctaIndex/deactivate', protect, requirePermission('webinars:host'), deactivateCta); // Deactivate a CTA (host only)
+router.post('/:webinarId/cta/:ctaIndex/impression', optionalProtect, recordCtaImpression); // Record that a viewer saw a CTA (guests send viewerId)
+router.post('/:webinarId/cta/:ctaIndex/click', optionalProtect, recordCtaClick); // Record a CTA click and return its link
+router.get('/:webinarId/cta/:ctaIndex/click', optionalProtect, redirectCtaClick); // Record a CTA click and redirect to its link
 
 // ==================== ADMIN ROUTES ====================
-router.get('/admin', protect, authorize('admin'), getAllWebinars); // Get all webinars for admin
-router.get('/admin/:webinarId', getWebinarById); // Get webinar by ID for admin
-router.post('/admin', protect, authorize('admin'), createWebinar); // Create a new webinar
-router.put('/admin/:webinarId', protect, authorize('admin'), updateWebinar); // Update an existing webinar
-router.delete('/admin/:webinarId', protect, authorize('admin'), deleteWebinar); // Delete a webinar
-router.post('/admin/:webinarId/end', protect, authorize('admin'), endWebinar); // End/Finish a webinar
-router.get('/admin/:webinarId/attendees', protect, authorize('admin'), viewAttendees); // View all attendees for a specific webinar
-router.post('/admin/:webinarId/attendees/sync-hubspot', protect, authorize('admin'), syncAttendeesToHubSpot); // Create or update HubSpot list with participants
-router.post('/admin/:webinarId/user/:userId/attend', protect, authorize('admin'), adminMarkAsAttended); // Mark a user as attended for a specific webinar
-router.post('/admin/:webinarId/test-reminder', protect, authorize('admin'), testSendReminder); // Test reminder email (admin only)
-router.post('/admin/:slug/on-recording', setWebinarOnRecording); // Set webinar on recording
-router.get('/admin/:rawRecordingId/download-link', getDownloadLink); // Get download link for a recording
+router.get('/admin', protect, requirePermission('webinars:manage'), getAllWebinars); // Get all webinars for admin
+router.get('/admin/series', protect, requirePermission('webinars:manage'), getAllSeries); // List recurring series
+router.post('/admin/series', protect, requirePermission('webinars:manage'), createSeries); // Create a series and its upcoming occurrences
+router.get('/admin/series/:seriesId', protect, requirePermission('webinars:manage'), getSeriesById); // Series with all occurrences
+router.put('/admin/series/:seriesId', protect, requirePermission('webinars:manage'), updateSeries); // Update template (all upcoming) or schedule
+router.delete('/admin/series/:seriesId', protect, requirePermission('webinars:manage'), deleteSeries); // End a series, deleting upcoming occurrences
+router.put('/admin/series/:seriesId/occurrences/:webinarId', protect, requirePermission('webinars:manage'), updateSeriesOccurrence); // Edit this / all future occurrences
+router.get('/admin/templates', protect, requirePermission('webinars:manage'), getWebinarTemplates); // List reusable webinar templates
+router.post('/admin/templates', protect, requirePermission('webinars:manage'), createWebinarTemplate); // Create a template (or save one from a webinar with fromWebinarId)
+router.get('/admin/templates/:templateId', protect, requirePermission('webinars:manage'), getWebinarTemplateById); // Get a template
+router.put('/admin/templates/:templateId', protect, requirePermission('webinars:manage'), updateWebinarTemplate); // Update a template
+router.delete('/admin/templates/:templateId', protect, requirePermission('webinars:manage'), deleteWebinarTemplate); // Delete a template
+router.get('/admin/chat-filters', protect, requirePermission('webinars:manage'), getChatFilters); // Get the chat word/link filter
+router.put('/admin/chat-filters', protect, requirePermission('webinars:manage'), updateChatFilters); // Update the chat word/link filter
+router.get('/admin/:webinarId', protect, requirePermission('webinars:host'), getWebinarById); // Get webinar by ID for admin/host
+router.post('/admin', protect, requirePermission('webinars:manage'), createWebinar); // Create a new webinar
+router.put('/admin/:webinarId', protect, requirePermission('webinars:manage'), updateWebinar); // Update an existing webinar
+router.delete('/admin/:webinarId', protect, requirePermission('webinars:manage'), deleteWebinar); // Delete a webinar
+router.post('/admin/:webinarId/duplicate', protect, requirePermission('webinars:manage'), duplicateWebinar); // Copy a webinar's configuration to a new slug and date (no attendees, chat or recording)
+router.post('/admin/:webinarId/end', protect, requirePermission('webinars:manage'), endWebinar); // End/Finish a webinar
+router.get('/admin/:webinarId/questions/export', protect, requirePermission('webinars:manage'), exportQuestions); // Export Q&A of an ended webinar (?format=csv|json)
+router.get('/admin/:webinarId/polls/export', protect, requirePermission('webinars:manage'), exportPollResults); // Export poll votes (?format=csv|json)
+router.post('/admin/:webinarId/polls/sync-hubspot', protect, requirePermission('webinars:manage'), syncPollResultsToHubSpot); // Push poll answers to HubSpot contact properties
+router.get('/admin/:webinarId/cta/analytics', protect, requirePermission('webinars:manage'), getCtaAnalytics); // CTA impressions, clicks, CTR and activation history
+router.get('/admin/:webinarId/waitlist', protect, requirePermission('webinars:manage'), getWebinarWaitlist); // Waitlist in promotion order
+router.put('/admin/:webinarId/waitlist/order', protect, requirePermission('webinars:manage'), reorderWebinarWaitlist); // Reorder the waitlist
+router.post('/admin/:webinarId/waitlist/promote', protect, requirePermission('webinars:manage'), promoteWebinarWaitlist); // Fill free seats from the waitlist
+router.post('/admin/:webinarId/waitlist/:userId/approve', protect, requirePermission('webinars:manage'), approveWaitlistedUser); // Give a waitlisted user a seat (even when full)
+router.get('/admin/:webinarId/attendees', protect, requirePermission('webinars:manage'), viewAttendees); // View all attendees for a specific webinar
+router.get('/admin/:webinarId/attendees/export', protect, requirePermission('webinars:manage'), exportAttendees); // Download attendees with watch data (?format=csv|xlsx)
+router.post('/admin/:webinarId/attendees/import', protect, requirePermission('webinars:manage'), uploadAttendeeCsv, importAttendees); // Register or mark attendance from a CSV of emails (dryRun to preview)
+router.get('/admin/:webinarId/attendance', protect, requirePermission('webinars:manage'), getAttendanceReport); // Peak concurrency, watch time, drop-off and conversion
+router.post('/admin/:webinarId/attendees/sync-hubspot', protect, requirePermission('webinars:manage'), syncAttendeesToHubSpot); // Sync participants and per-status HubSpot lists (only changes are sent)
+router.get('/admin/:webinarId/attendees/sync-hubspot/reports', protect, requirePermission('webinars:manage'), getHubSpotSyncReports); // Recent sync reports with failed contacts
+router.post('/admin/:webinarId/user/:userId/attend', protect, requirePermission('webinars:manage'), adminMarkAsAttended); // Mark a user as attended for a specific webinar
+router.post('/admin/:webinarId/test-reminder', protect, requirePermission('webinars:manage'), testSendReminder); // Test reminder email (admin only)
+router.get('/admin/:webinarId/reminders', protect, requirePermission('webinars:manage'), getReminderDeliveries); // Reminder schedule with sent/failed counts per stage
+router.post('/admin/:slug/on-recording', protect, requirePermission('webinars:host'), setWebinarOnRecording); // Set webinar on recording
+router.get('/admin/:rawRecordingId/download-link', protect, requirePermission('webinars:manage'), getDownloadLink); // Get download link for a recording
+router.post('/admin/:webinarId/recording/ingest', protect, requirePermission('webinars:manage'), rerunRecordingIngestion); // Re-run copying the recording into Supabase
 
 export default router;
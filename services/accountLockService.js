@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import sendEmail from '../utils/sendEmail.js';
+
+// Read lazily: this module is imported before dotenv.config() runs in index.js
+const maxFailedAttempts = () => parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const lockDurationMs = () => (parseInt(process.env.ACCOUNT_LOCK_MINUTES, 10) || 30) * 60 * 1000;
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Only a hash of the unlock token is stored
+export const hashUnlockToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const isAccountLocked = (user) => Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+// Clear lockout state on the document (caller saves)
+export const clearAccountLock = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  user.unlockTokenHash = undefined;
+  user.unlockTokenExpires = undefined;
+};
+
+/**
+ * Count a failed password attempt and lock the account once the limit is reached.
+ * Sends the unlock email (valid for 24 hours) when the account gets locked. Saves the user.
+ */
+export const registerFailedLogin = async (user) => {
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+
+  if (user.failedLoginAttempts < maxFailedAttempts()) {
+    await user.save();
+    return { locked: false };
+  }
+
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  user.failedLoginAttempts = 0;
+  user.lockUntil = new Date(Date.now() + lockDurationMs());
+  user.unlockTokenHash = hashUnlockToken(unlockToken);
+  user.unlockTokenExpires = new Date(Date.now() + UNLOCK_TOKEN_TTL_MS);
+  await user.save();
+
+  const unlockUrl = `${process.env.CLIENT_URL}/unlock-account/${unlockToken}`;
+  const templateId = process.env.ACCOUNT_UNLOCK_TEMPLATE_ID;
+  const data = {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    url: unlockUrl,
+    subject: "Royal Vault Portal - Account Locked",
+  };
+  // The lockout stands even if the email cannot be sent (the lock expires on its own)
+  try {
+    await sendEmail(user.email, data, templateId);
+  } catch (error) {
+    console.error('Error sending unlock email:', error);
+  }
+
+  return { locked: true, lockUntil: user.lockUntil };
+};
@@ -1,7 +1,6 @@
 // Authentication service - business logic layer
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import axios from "axios";
 import sendEmail from "../utils/sendEmail.js";
@@ -13,17 +12,17 @@ import {
   ValidationError,
 } from "../utils/errors.js";
 import { validateEmail, validateRequired } from "../utils/validation.js";
-
-// Generate JWT token
-const generateAccessToken = (id, role) =>
-  jwt.sign({ id, role }, process.env.ACCESS_TOKEN_SECRET, {
-    expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "7d",
-  });
+import { createSession } from "./sessionService.js";
+import {
+  issuePasswordSetupInvite,
+  sendPasswordSetupInvite,
+} from "./passwordSetupService.js";
+import { checkPasswordStrength } from "../utils/passwordPolicy.js";
 
 export const authService = {
   // Register user & create HubSpot contact
   registerUser: async (userData) => {
-    const { firstName, lastName, email, phone, role } = userData;
+    const { firstName, lastName, email, phone } = userData;
 
     // Validation
     validateRequired(firstName, "First name");
@@ -42,24 +41,16 @@ export const authService = {
         throw new ConflictError("User already exists");
       }
 
-      // Create user
-      const verificationToken = crypto.randomBytes(32).toString("hex");
-      const hashedPassword = await bcrypt.hash("123456", 10);
-
-      const [user] = await User.create(
-        [
-          {
-            firstName,
-            lastName,
-            email,
-            phone,
-            password: hashedPassword,
-            role: role || "user",
-            verificationToken,
-          },
-        ],
-        { session }
-      );
+      // Create user without a password; it is set through the invite link
+      const newUser = new User({
+        firstName,
+        lastName,
+        email,
+        phone,
+        role: "user", // Self-registration never grants a privileged role
+      });
+      const setupUrl = issuePasswordSetupInvite(newUser);
+      const user = await newUser.save({ session });
 
       // Create HubSpot contact
       if (process.env.HUBSPOT_PRIVATE_API_KEY) {
@@ -87,29 +78,20 @@ export const authService = {
         }
       }
 
-      // Send verification email
-      const verificationUrl = `${process.env.CLIENT_URL}/verify/${verificationToken}`;
-      const templateId = process.env.ACCOUNT_VERIFICATION_TEMPLATE_ID;
-      const emailData = {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        url: verificationUrl,
-        subject: "Royal Vault Portal - Account Verification",
-      };
-
+      // Send "set your password" invite
       try {
-        await sendEmail(user.email, emailData, templateId);
+        await sendPasswordSetupInvite(user, setupUrl);
       } catch (emailError) {
         console.error("Email sending failed:", emailError);
         // Continue even if email fails
       }
 
-      // Generate token
-      const accessToken = generateAccessToken(user.id, user.role);
-
       await session.commitTransaction();
       session.endSession();
 
+      // Start a login session once the user is persisted
+      const { accessToken, refreshToken } = await createSession(user);
+
       return {
         user: {
           _id: user._id,
@@ -120,6 +102,7 @@ export const authService = {
           role: user.role,
         },
         accessToken,
+        refreshToken,
       };
     } catch (error) {
       await session.abortTransaction();
@@ -135,7 +118,7 @@ export const authService = {
     validateEmail(email);
 
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || !user.password) {
       throw new UnauthorizedError("Invalid email or password");
     }
 
@@ -144,7 +127,7 @@ export const authService = {
       throw new UnauthorizedError("Invalid email or password");
     }
 
-    const accessToken = generateAccessToken(user.id, user.role);
+    const { accessToken, refreshToken } = await createSession(user);
 
     return {
       user: {
@@ -158,6 +141,7 @@ export const authService = {
         isVerified: user.isVerified,
       },
       accessToken,
+      refreshToken,
     };
   },
 
@@ -223,8 +207,9 @@ export const authService = {
     validateRequired(token, "Token");
     validateRequired(newPassword, "Password");
 
-    if (newPassword.length < 6) {
-      throw new ValidationError("Password must be at least 6 characters");
+    const passwordErrors = checkPasswordStrength(newPassword);
+    if (passwordErrors.length > 0) {
+      throw new ValidationError("Password does not meet requirements", passwordErrors);
     }
 
     const user = await User.findOne({
@@ -0,0 +1,115 @@
+import ChatFilterSettings from '../models/ChatFilterSettings.js';
+import ChatModerationLog from '../models/ChatModerationLog.js';
+import ChatRestriction from '../models/ChatRestriction.js';
+import ChatMessage from '../models/ChatMessage.js';
+
+// Filter settings are read on every chat message, so they are cached briefly
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+let settingsCache = null; // { settings, expiresAt }
+
+// Bare domains (no scheme or www.) only count as links with one of these TLDs, so that
+// ordinary text such as "node.js" or "session.Thanks" is not mistaken for a link
+// (TLDs that are also common words, such as .live or .me, are left out)
+const LINK_TLDS = ['com', 'net', 'org', 'io', 'co', 'ly', 'gg', 'tv', 'uk', 'ca', 'biz', 'info', 'xyz', 'ru', 'cn'];
+
+// http(s) URLs, www. hosts and bare domains with a known TLD such as example.com/path
+const LINK_PATTERN = new RegExp(
+  `(?:https?:\\/\\/|www\\.)[^\\s]+|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${LINK_TLDS.join('|')})\\b(?:\\/[^\\s]*)?`,
+  'gi'
+);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ==================== FILTERS ====================
+
+export const getChatFilterSettings = async () => {
+  if (settingsCache && settingsCache.expiresAt > Date.now()) return settingsCache.settings;
+  const settings = (await ChatFilterSettings.findOne({ key: 'global' }).lean())
+    || { key: 'global', blockedWords: [], blockLinks: false, allowedLinkDomains: [] };
+  settingsCache = { settings, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS };
+  return settings;
+};
+
+export const updateChatFilterSettings = async (update, updatedBy) => {
+  const settings = await ChatFilterSettings.findOneAndUpdate(
+    { key: 'global' },
+    { $set: { ...update, updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+  settingsCache = null;
+  return settings;
+};
+
+const linkHost = (link) => {
+  try {
+    const url = new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a message against the word and link filter.
+ * Returns null when the message is allowed, or the reason it is blocked.
+ */
+export const checkMessageFilters = (text, settings) => {
+  const blockedWord = (settings.blockedWords || []).find((word) =>
+    word && new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'iu').test(text)
+  );
+  if (blockedWord) return 'blocked-word';
+
+  if (settings.blockLinks) {
+    const allowed = (settings.allowedLinkDomains || []).map((domain) => domain.toLowerCase());
+    const links = text.match(LINK_PATTERN) || [];
+    const blockedLink = links.some((link) => {
+      const host = linkHost(link);
+      return !host || !allowed.some((domain) => host === domain || host.endsWith(`.${domain}`));
+    });
+    if (blockedLink) return 'link';
+  }
+
+  return null;
+};
+
+// ==================== RESTRICTIONS ====================
+
+/**
+ * Current mute or ban of a user in a webinar's chat, or null
+ */
+export const getActiveRestriction = (webinarId, userId) =>
+  ChatRestriction.findOne({
+    webinar: webinarId,
+    user: userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).lean();
+
+/**
+ * Seconds the sender still has to wait under slow mode (0 when they may post).
+ * Signed-in users are tracked by account, guests by client IP (guest names are free text).
+ */
+export const getSlowModeWait = async (webinar, { sender, guestIp }) => {
+  if (!webinar.chatSlowModeSeconds) return 0;
+  const filter = sender ? { webinar: webinar._id, sender } : { webinar: webinar._id, sender: null, guestIp };
+  const last = await ChatMessage.findOne(filter).sort({ createdAt: -1 }).select('createdAt').lean();
+  if (!last) return 0;
+  const elapsedMs = Date.now() - last.createdAt.getTime();
+  return Math.max(0, Math.ceil(webinar.chatSlowModeSeconds - elapsedMs / 1000));
+};
+
+// ==================== LOG ====================
+
+/**
+ * Append an entry to the chat moderation log. Never throws.
+ */
+export const recordModerationAction = async ({
+  webinar, action, message = null, targetUser = null, targetName, moderator = null, reason, details,
+}) => {
+  try {
+    await ChatModerationLog.create({
+      webinar, action, message, targetUser, targetName, moderator, reason, details,
+    });
+  } catch (error) {
+    console.error('Failed to record chat moderation action:', error.message);
+  }
+};
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import cron from 'node-cron';
+import DailyWebhookEvent from '../models/DailyWebhookEvent.js';
+import Webinar from '../models/Webinar.js';
+import { finishWebinar } from './webinarEndService.js';
+
+const MAX_EVENT_ATTEMPTS = 5;
+const RETRY_AFTER_MS = 5 * 60 * 1000; // also covers events left "received" by a crash mid-processing
+
+// Daily puts the room in `room` for meeting events and `room_name` for recording events
+export const getRoomName = (event) => event.payload?.room || event.payload?.room_name || null;
+
+// Daily sends a unique `id` per event; fall back to a hash of the body for older payload versions
+const getEventId = (event) =>
+  event.id || crypto.createHash('sha256').update(JSON.stringify(event)).digest('hex');
+
+export const findWebinarForRoom = async (roomName) => {
+  if (!roomName) return null;
+  return Webinar.findOne({ $or: [{ dailyRoomName: roomName }, { slug: roomName }] });
+};
+
+/**
+ * Store a verified delivery. Returns { event, duplicate } where `duplicate` means
+ * Daily retried an event that was already stored (and must not be processed again).
+ */
+export const storeDailyEvent = async (body) => {
+  try {
+    const event = await DailyWebhookEvent.create({
+      eventId: getEventId(body),
+      type: body.type,
+      roomName: getRoomName(body),
+      payload: body.payload,
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { event: null, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+// Each handler updates the webinar for one event type. Updates are conditional so that
+// late or out-of-order deliveries never move a webinar backwards.
+const EVENT_HANDLERS = {
+  'meeting.started': (webinar) =>
+    Webinar.findOneAndUpdate(
+      { _id: webinar._id, status: { $in: ['Scheduled', 'Waiting'] } },
+      { $set: { status: 'In Progress' } }
+    ),
+
+  // Same end-of-webinar path as the admin action (polls, watch sessions, HubSpot)
+  'meeting.ended': async (webinar) => {
+    if (webinar.status === 'Ended') return;
+    await finishWebinar(webinar);
+  },
+
+  'recording.started': (webinar, payload) =>
+    Webinar.findOneAndUpdate(
+      { _id: webinar._id },
+      {
+        $set: { rawRecordingId: payload.recording_id, recordingStatus: 'recording' },
+        $unset: { recordingError: '' },
+      }
+    ),
+
+  // Also queues the copy into Supabase, which runs once the webinar has ended
+  'recording.ready-to-download': (webinar, payload) =>
+    Webinar.findOneAndUpdate(
+      { _id: webinar._id },
+      {
+        $set: {
+          rawRecordingId: payload.recording_id,
+          recordingStatus: 'ready',
+          'recordingIngestion.status': 'pending',
+          'recordingIngestion.attempts': 0,
+          'recordingIngestion.nextAttemptAt': new Date(),
+        },
+        $unset: { recordingError: '', 'recordingIngestion.lastError': '' },
+      }
+    ),
+
+  'recording.error': (webinar, payload) =>
+    Webinar.findOneAndUpdate(
+      { _id: webinar._id },
+      { $set: { recordingStatus: 'error', recordingError: payload.error_msg || 'Recording failed' } }
+    ),
+};
+
+const finishEvent = (event, status, fields = {}) => {
+  Object.assign(event, { status, processedAt: new Date(), ...fields });
+  return event.save();
+};
+
+/**
+ * Apply a stored event to its webinar and record the outcome on the event. Never throws.
+ */
+export const processDailyEvent = async (event) => {
+  event.attempts = (event.attempts || 0) + 1;
+  try {
+    const handler = EVENT_HANDLERS[event.type];
+    if (!handler) {
+      return await finishEvent(event, 'ignored');
+    }
+
+    const webinar = await findWebinarForRoom(event.roomName);
+    if (!webinar) {
+      console.warn(`Daily webhook ${event.type}: no webinar for room "${event.roomName}"`);
+      return await finishEvent(event, 'unmatched');
+    }
+
+    await handler(webinar, event.payload || {});
+    return await finishEvent(event, 'processed', { webinar: webinar._id });
+  } catch (error) {
+    console.error(`Daily webhook ${event.type} failed:`, error.message);
+    try {
+      await finishEvent(event, 'failed', { error: error.message });
+    } catch (saveError) {
+      console.error('Failed to record Daily webhook failure:', saveError.message);
+    }
+    return event;
+  }
+};
+
+/**
+ * Process again the stored events that failed or were never finished (e.g. the process
+ * crashed while handling them), oldest first, up to MAX_EVENT_ATTEMPTS times each.
+ */
+export const retryDailyEvents = async ({ now = Date.now() } = {}) => {
+  const events = await DailyWebhookEvent.find({
+    status: { $in: ['received', 'failed'] },
+    attempts: { $lt: MAX_EVENT_ATTEMPTS },
+    updatedAt: { $lte: new Date(now - RETRY_AFTER_MS) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(100);
+
+  for (const event of events) {
+    await processDailyEvent(event);
+  }
+  return events.length;
+};
+
+/**
+ * Initialize the cron job that retries unprocessed Daily webhook events
+ */
+export const startDailyWebhookRetryCron = () => {
+  let running = false;
+  cron.schedule('*/5 * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const retried = await retryDailyEvents();
+      if (retried > 0) {
+        console.log(`Retried ${retried} Daily webhook event(s)`);
+      }
+    } catch (error) {
+      console.error('Error retrying Daily webhook events:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✓ Daily webhook retry cron job started - retrying unprocessed events every 5 minutes');
+};
@@ -0,0 +1,261 @@
+import axios from 'axios';
+import User from '../models/User.js';
+
+const HUBSPOT_API_BASE = 'https://api.hubapi.com/crm/v3';
+const BATCH_SIZE = 100; // HubSpot batch endpoints accept at most 100 inputs
+
+/**
+ * Auth headers for the HubSpot private app, or null when the key is not configured
+ */
+export const getHubSpotHeaders = () => {
+  const HUBSPOT_PRIVATE_API_KEY = process.env.HUBSPOT_PRIVATE_API_KEY;
+  if (!HUBSPOT_PRIVATE_API_KEY) return null;
+  return {
+    Authorization: `Bearer ${HUBSPOT_PRIVATE_API_KEY}`,
+    'Content-Type': 'application/json',
+  };
+};
+
+const requireHeaders = () => {
+  const headers = getHubSpotHeaders();
+  if (!headers) throw new Error('HubSpot API key not configured');
+  return headers;
+};
+
+/**
+ * Look up the HubSpot contact for a user by email, creating it when missing.
+ * Returns the contact ID as a string.
+ */
+export const findOrCreateHubSpotContact = async (user) => {
+  const headers = requireHeaders();
+
+  const searchRes = await axios.post(
+    `${HUBSPOT_API_BASE}/objects/contacts/search`,
+    {
+      filterGroups: [{
+        filters: [{ propertyName: 'email', operator: 'EQ', value: user.email }]
+      }],
+      properties: ['email'],
+      limit: 1
+    },
+    { headers }
+  );
+  const results = searchRes.data?.results || [];
+  if (results.length > 0) {
+    return String(results[0].id);
+  }
+
+  const createRes = await axios.post(
+    `${HUBSPOT_API_BASE}/objects/contacts`,
+    {
+      properties: {
+        email: user.email,
+        firstname: user.firstName || '',
+        lastname: user.lastName || '',
+        phone: user.phone || ''
+      }
+    },
+    { headers }
+  );
+  return String(createRes.data.id);
+};
+
+/**
+ * Set properties on many contacts at once.
+ * `updates` is a list of { id, properties }; sent in batches of 100.
+ */
+export const updateHubSpotContacts = async (updates) => {
+  const headers = requireHeaders();
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    await axios.post(
+      `${HUBSPOT_API_BASE}/objects/contacts/batch/update`,
+      { inputs: updates.slice(i, i + BATCH_SIZE) },
+      { headers }
+    );
+  }
+};
+
+// Membership changes are sent in chunks of this many record IDs
+const MEMBERSHIP_BATCH_SIZE = 500;
+
+export const describeHubSpotError = (error) => {
+  const message = error.response?.data?.message || error.message;
+  return typeof message === 'string' ? message : JSON.stringify(message);
+};
+
+/**
+ * Record IDs (strings) of every member of a HubSpot list
+ */
+export const getHubSpotListMemberIds = async (listId) => {
+  const headers = requireHeaders();
+
+  const ids = [];
+  let after;
+  do {
+    const membershipRes = await axios.get(`${HUBSPOT_API_BASE}/lists/${listId}/memberships`, {
+      headers,
+      params: { limit: 250, ...(after && { after }) }
+    });
+    (membershipRes.data?.results || []).forEach((member) => ids.push(String(member.recordId)));
+    after = membershipRes.data?.paging?.next?.after;
+  } while (after);
+  return ids;
+};
+
+/**
+ * Contacts in a HubSpot list, with the requested properties.
+ * Returns [{ id, properties }].
+ */
+export const getHubSpotListContacts = async (listId, properties) => {
+  const headers = requireHeaders();
+  const ids = await getHubSpotListMemberIds(listId);
+
+  const contacts = [];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const batchRes = await axios.post(
+      `${HUBSPOT_API_BASE}/objects/contacts/batch/read`,
+      { inputs: ids.slice(i, i + BATCH_SIZE).map((id) => ({ id })), properties },
+      { headers }
+    );
+    contacts.push(...(batchRes.data?.results || []));
+  }
+  return contacts;
+};
+
+/**
+ * HubSpot contact IDs for many users, creating contacts for emails HubSpot does not know.
+ * Looks up and creates in batches; when a batch create is rejected each contact is retried alone,
+ * so one bad contact only fails itself.
+ * Returns { contactIds: Map userId -> contactId, created, failures: [{ user, email, reason }] }.
+ */
+export const resolveHubSpotContacts = async (users) => {
+  const headers = requireHeaders();
+  const contactIds = new Map();
+  const failures = [];
+  let created = 0;
+
+  const byEmail = new Map(users.map((user) => [user.email.toLowerCase(), user]));
+  const emails = [...byEmail.keys()];
+
+  const missing = [];
+  for (let i = 0; i < emails.length; i += BATCH_SIZE) {
+    const batch = emails.slice(i, i + BATCH_SIZE);
+    const readRes = await axios.post(
+      `${HUBSPOT_API_BASE}/objects/contacts/batch/read`,
+      { idProperty: 'email', inputs: batch.map((email) => ({ id: email })), properties: ['email'] },
+      { headers }
+    );
+    const found = new Set();
+    (readRes.data?.results || []).forEach((contact) => {
+      const email = String(contact.properties?.email || '').toLowerCase();
+      if (byEmail.has(email)) {
+        contactIds.set(byEmail.get(email)._id.toString(), String(contact.id));
+        found.add(email);
+      }
+    });
+    batch.filter((email) => !found.has(email)).forEach((email) => missing.push(byEmail.get(email)));
+  }
+
+  const toProperties = (user) => ({
+    email: user.email,
+    firstname: user.firstName || '',
+    lastname: user.lastName || '',
+    phone: user.phone || ''
+  });
+
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = missing.slice(i, i + BATCH_SIZE);
+    try {
+      const createRes = await axios.post(
+        `${HUBSPOT_API_BASE}/objects/contacts/batch/create`,
+        { inputs: batch.map((user) => ({ properties: toProperties(user) })) },
+        { headers }
+      );
+      (createRes.data?.results || []).forEach((contact) => {
+        const user = byEmail.get(String(contact.properties?.email || '').toLowerCase());
+        if (user) contactIds.set(user._id.toString(), String(contact.id));
+      });
+      created += createRes.data?.results?.length || 0;
+    } catch (batchError) {
+      for (const user of batch) {
+        try {
+          const createRes = await axios.post(`${HUBSPOT_API_BASE}/objects/contacts`, { properties: toProperties(user) }, { headers });
+          contactIds.set(user._id.toString(), String(createRes.data.id));
+          created++;
+        } catch (error) {
+          failures.push({ user: user._id, email: user.email, reason: describeHubSpotError(error) });
+        }
+      }
+    }
+  }
+
+  return { contactIds, created, failures };
+};
+
+/**
+ * Like resolveHubSpotContacts, but uses the contact IDs cached on the users (`hubSpotContactId`)
+ * and caches the ones it looks up or creates. Users need _id, email, names, phone and hubSpotContactId.
+ * Also returns `cached`, the number of IDs that were already known.
+ */
+export const resolveUserHubSpotContacts = async (users) => {
+  const contactIds = new Map();
+  users.filter((user) => user.hubSpotContactId).forEach((user) => contactIds.set(user._id.toString(), user.hubSpotContactId));
+
+  const cached = contactIds.size;
+  const uncached = users.filter((user) => !user.hubSpotContactId);
+  if (uncached.length === 0) return { contactIds, cached, created: 0, failures: [] };
+
+  const resolved = await resolveHubSpotContacts(uncached);
+  resolved.contactIds.forEach((contactId, userId) => contactIds.set(userId, contactId));
+  if (resolved.contactIds.size > 0) {
+    await User.bulkWrite([...resolved.contactIds].map(([userId, contactId]) => ({
+      updateOne: { filter: { _id: userId }, update: { $set: { hubSpotContactId: contactId } } }
+    })));
+  }
+
+  return { contactIds, cached, created: resolved.created, failures: resolved.failures };
+};
+
+/**
+ * ID of the manual contact list with this name, created when it does not exist yet
+ */
+export const findOrCreateHubSpotList = async (name) => {
+  const headers = requireHeaders();
+
+  const searchRes = await axios.post(`${HUBSPOT_API_BASE}/lists/search`, { query: name, count: 100 }, { headers });
+  const existing = (searchRes.data?.lists || []).find((list) => list.name === name);
+  if (existing) return String(existing.listId);
+
+  const createRes = await axios.post(
+    `${HUBSPOT_API_BASE}/lists`,
+    { name, objectTypeId: '0-1', processingType: 'MANUAL' },
+    { headers }
+  );
+  const list = createRes.data.list || createRes.data;
+  const listId = list?.listId || list?.id;
+  if (!listId) throw new Error('HubSpot did not return a list ID');
+  return String(listId);
+};
+
+/**
+ * Add and remove list members in batches.
+ * Returns { added, removed, missing } - `missing` are record IDs HubSpot no longer knows.
+ */
+export const updateHubSpotListMemberships = async (listId, toAdd, toRemove) => {
+  const headers = requireHeaders();
+  const result = { added: 0, removed: 0, missing: [] };
+
+  for (let i = 0; i < Math.max(toAdd.length, toRemove.length); i += MEMBERSHIP_BATCH_SIZE) {
+    const recordIdsToAdd = toAdd.slice(i, i + MEMBERSHIP_BATCH_SIZE);
+    const recordIdsToRemove = toRemove.slice(i, i + MEMBERSHIP_BATCH_SIZE);
+    const res = await axios.put(
+      `${HUBSPOT_API_BASE}/lists/${listId}/memberships/add-and-remove`,
+      { recordIdsToAdd, recordIdsToRemove },
+      { headers }
+    );
+    result.added += res.data?.recordIdsAdded?.length ?? recordIdsToAdd.length;
+    result.removed += res.data?.recordIdsRemoved?.length ?? recordIdsToRemove.length;
+    result.missing.push(...(res.data?.recordIdsMissing || []).map(String));
+  }
+  return result;
+};
@@ -0,0 +1,33 @@
+import ImpersonationAudit from '../models/ImpersonationAudit.js';
+import { getClientIp, getUserAgent } from '../utils/requestInfo.js';
+
+// Paths a view-as session may always call, even in block mode
+const ALWAYS_ALLOWED_WRITES = ['/api/auth/logout', '/api/auth/view-as/end'];
+
+// VIEW_AS_WRITE_MODE=flag lets writes through (audited); default is to block them
+export const getViewAsWriteMode = () => (process.env.VIEW_AS_WRITE_MODE === 'flag' ? 'flag' : 'block');
+
+export const isWriteRequest = (req) => !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+
+export const isAlwaysAllowedWrite = (req) =>
+  ALWAYS_ALLOWED_WRITES.some((path) => req.originalUrl.split('?')[0] === path);
+
+/**
+ * Append an entry to the impersonation audit log. Never throws.
+ */
+export const recordImpersonationEvent = async ({ impersonator, targetUser, session, event, req }) => {
+  try {
+    await ImpersonationAudit.create({
+      impersonator,
+      targetUser,
+      session,
+      event,
+      method: req?.method,
+      path: req?.originalUrl,
+      ip: req ? getClientIp(req) : undefined,
+      userAgent: req ? getUserAgent(req) : undefined,
+    });
+  } catch (error) {
+    console.error('Failed to record impersonation event:', error.message);
+  }
+};
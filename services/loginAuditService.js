@@ -0,0 +1,20 @@
+import LoginEvent from '../models/LoginEvent.js';
+import { getClientIp, getUserAgent } from '../utils/requestInfo.js';
+
+/**
+ * Record a login attempt. Never throws: auditing must not block a login.
+ */
+export const recordLoginEvent = async (req, { user = null, email, success, failureReason = null }) => {
+  try {
+    await LoginEvent.create({
+      user: user ? user._id : null,
+      email,
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      success,
+      failureReason: success ? null : failureReason,
+    });
+  } catch (error) {
+    console.error('Failed to record login event:', error.message);
+  }
+};
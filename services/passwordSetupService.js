@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+import sendEmail from '../utils/sendEmail.js';
+
+// Read lazily: this module is imported before dotenv.config() runs in index.js
+const inviteTtlMs = () => (parseInt(process.env.INVITE_EXPIRES_HOURS, 10) || 72) * 60 * 60 * 1000;
+
+/**
+ * Give the user a fresh single-use "set your password" token (caller saves).
+ * Any previous invite link stops working.
+ */
+export const issuePasswordSetupInvite = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.verificationToken = token;
+  user.verificationTokenExpire = new Date(Date.now() + inviteTtlMs());
+  return `${process.env.CLIENT_URL}/verify/${token}`;
+};
+
+/**
+ * Email the "set your password" link to the user
+ */
+export const sendPasswordSetupInvite = async (user, setupUrl) => {
+  const templateId = process.env.ACCOUNT_VERIFICATION_TEMPLATE_ID;
+  const data = {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    url: setupUrl,
+    expiresAt: user.verificationTokenExpire,
+    subject: "Royal Vault Portal - Set Your Password",
+  };
+  await sendEmail(user.email, data, templateId);
+};
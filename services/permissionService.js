@@ -0,0 +1,57 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, BUILT_IN_ROLES } from '../constants/index.js';
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Role permissions are read on every authenticated request, so they are cached briefly.
+// Changes made on another instance become visible once the entry expires.
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+const roleCache = new Map(); // key -> { role, expiresAt }
+
+export const invalidateRoleCache = () => roleCache.clear();
+
+const builtInRole = (key) =>
+  BUILT_IN_ROLES[key] ? { key, ...BUILT_IN_ROLES[key], builtIn: true } : null;
+
+/**
+ * Load a role by key: the stored document, else the built-in default, else null
+ */
+export const getRole = async (key) => {
+  const cached = roleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.role;
+
+  const stored = await Role.findOne({ key }).select('-__v').lean();
+  const role = stored || builtInRole(key);
+  roleCache.set(key, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return role;
+};
+
+export const roleExists = async (key) => Boolean(key && (await getRole(key)));
+
+/**
+ * All roles (built-in defaults merged with stored roles) with the number of users holding each
+ */
+export const listRoles = async () => {
+  const stored = await Role.find().select('-__v').sort({ key: 1 }).lean();
+  const roles = new Map(Object.keys(BUILT_IN_ROLES).map((key) => [key, builtInRole(key)]));
+  stored.forEach((role) => roles.set(role.key, role));
+
+  const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+  const countByRole = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  return [...roles.values()].map((role) => ({ ...role, userCount: countByRole[role.key] || 0 }));
+};
+
+/**
+ * Effective permissions of a user as a Set. Supaadmins hold every permission.
+ */
+export const getUserPermissions = async (user) => {
+  if (!user) return new Set();
+  if (user.supaadmin) return new Set(ALL_PERMISSIONS);
+  const role = await getRole(user.role);
+  return new Set(role?.permissions || []);
+};
+
+export const hasPermissions = (permissionSet, permissions) =>
+  permissions.every((permission) => permissionSet?.has(permission));
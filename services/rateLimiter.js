@@ -0,0 +1,169 @@
+import RateLimitEntry from '../models/RateLimitEntry.js';
+
+/**
+ * Attempt limiter with exponential backoff.
+ *
+ * Every attempt is registered with `hit(key)`. The first `freeAttempts` inside
+ * `windowMs` pass freely; each attempt after that blocks the key for
+ * baseDelayMs * 2^n (capped at maxDelayMs). `check(key)` tells whether the key
+ * is currently blocked.
+ *
+ * Stores implement get(key, now) / set(key, record) / delete(key), where a record
+ * is { count, windowStart, blockedUntil, expiresAt } with times in ms.
+ */
+
+// ==================== STORES ====================
+
+// In-process store (default). Counters are lost on restart and not shared between instances.
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const sweep = (now) => {
+    for (const [key, record] of entries) {
+      if (record.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key, now = Date.now()) {
+      const record = entries.get(key);
+      if (!record) return null;
+      if (record.expiresAt <= now) {
+        entries.delete(key);
+        return null;
+      }
+      return { ...record };
+    },
+    async set(key, record) {
+      if (entries.size > 10000) sweep(Date.now());
+      entries.set(key, { ...record });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+// MongoDB store, for deployments running several instances (e.g. serverless)
+export const createMongoStore = () => ({
+  async get(key, now = Date.now()) {
+    const entry = await RateLimitEntry.findOne({ key, expiresAt: { $gt: new Date(now) } }).lean();
+    if (!entry) return null;
+    return {
+      count: entry.count,
+      windowStart: entry.windowStart.getTime(),
+      blockedUntil: entry.blockedUntil ? entry.blockedUntil.getTime() : null,
+      expiresAt: entry.expiresAt.getTime(),
+    };
+  },
+  async set(key, record) {
+    await RateLimitEntry.updateOne(
+      { key },
+      {
+        $set: {
+          count: record.count,
+          windowStart: new Date(record.windowStart),
+          blockedUntil: record.blockedUntil ? new Date(record.blockedUntil) : null,
+          expiresAt: new Date(record.expiresAt),
+        },
+      },
+      { upsert: true }
+    );
+  },
+  async delete(key) {
+    await RateLimitEntry.deleteOne({ key });
+  },
+});
+
+let defaultStore;
+
+// RATE_LIMIT_STORE=mongo switches every limiter without an explicit store to MongoDB
+export const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return defaultStore;
+};
+
+// ==================== LIMITER ====================
+
+export const createRateLimiter = ({
+  prefix,
+  freeAttempts,
+  windowMs,
+  baseDelayMs = 1000,
+  maxDelayMs = 15 * 60 * 1000,
+  store,
+  now = () => Date.now(),
+}) => {
+  const getStore = () => store || getDefaultStore();
+  const fullKey = (key) => `${prefix}:${key}`;
+
+  return {
+    // Returns { allowed, retryAfterMs } without registering an attempt
+    async check(key) {
+      const current = now();
+      const record = await getStore().get(fullKey(key), current);
+      if (record && record.blockedUntil && record.blockedUntil > current) {
+        return { allowed: false, retryAfterMs: record.blockedUntil - current };
+      }
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    // Registers an attempt and returns the updated counter
+    async hit(key) {
+      const current = now();
+      let record = await getStore().get(fullKey(key), current);
+      if (!record || record.windowStart + windowMs <= current) {
+        record = { count: 0, windowStart: current, blockedUntil: null };
+      }
+
+      record.count += 1;
+      if (record.count > freeAttempts) {
+        const exponent = record.count - freeAttempts - 1;
+        const delay = Math.min(baseDelayMs * 2 ** exponent, maxDelayMs);
+        record.blockedUntil = current + delay;
+      }
+      record.expiresAt = Math.max(record.windowStart + windowMs, record.blockedUntil || 0);
+
+      await getStore().set(fullKey(key), record);
+      return {
+        count: record.count,
+        retryAfterMs: record.blockedUntil ? Math.max(record.blockedUntil - current, 0) : 0,
+      };
+    },
+
+    async reset(key) {
+      await getStore().delete(fullKey(key));
+    },
+  };
+};
+
+// ==================== AUTH LIMITERS ====================
+
+let authLimiters;
+
+// Created on first use so the environment is loaded by then
+export const getAuthLimiters = () => {
+  if (!authLimiters) {
+    const ipWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000;
+    const ipMaxRequests = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100;
+
+    authLimiters = {
+      // Per-IP: all login / forgot-password / view-as requests
+      loginIp: createRateLimiter({ prefix: 'login-ip', freeAttempts: ipMaxRequests, windowMs: ipWindowMs }),
+      forgotPasswordIp: createRateLimiter({ prefix: 'forgot-ip', freeAttempts: 20, windowMs: ipWindowMs }),
+      viewAsIp: createRateLimiter({ prefix: 'view-as-ip', freeAttempts: 20, windowMs: ipWindowMs }),
+      // Per-account: failed logins and reset emails for one address
+      loginAccount: createRateLimiter({ prefix: 'login-account', freeAttempts: 3, windowMs: 60 * 60 * 1000 }),
+      forgotPasswordAccount: createRateLimiter({
+        prefix: 'forgot-account',
+        freeAttempts: 3,
+        windowMs: 60 * 60 * 1000,
+        baseDelayMs: 60 * 1000,
+        maxDelayMs: 60 * 60 * 1000,
+      }),
+    };
+  }
+  return authLimiters;
+};
@@ -0,0 +1,199 @@
+import cron from 'node-cron';
+import { Readable, Transform } from 'stream';
+import Webinar from '../models/Webinar.js';
+import { uploadToSupabase } from '../controllers/uploadController.js';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000; // 5, 10, 20, 40 minutes between attempts
+const STALE_INGESTION_MS = 2 * 60 * 60 * 1000; // an attempt running this long is assumed dead
+
+// Read lazily: this module is imported before dotenv.config() runs in index.js.
+// DAILY_API_URL lets a local stub stand in for Daily.
+const dailyApiUrl = () => (process.env.DAILY_API_URL || 'https://api.daily.co/v1').replace(/\/$/, '');
+const recordingsBucket = () => process.env.RECORDINGS_BUCKET || 'royal-vault-files';
+
+/**
+ * Ask Daily for a temporary download link for a cloud recording
+ */
+export const getDailyRecordingLink = async (recordingId) => {
+  const response = await fetch(`${dailyApiUrl()}/recordings/${encodeURIComponent(recordingId)}/access-link`, {
+    headers: {
+      Authorization: `Bearer ${process.env.DAILY_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`Daily access-link request failed with status ${response.status}`);
+  }
+  const data = await response.json();
+  if (!data.download_link) {
+    throw new Error('Daily did not return a download link');
+  }
+  return data.download_link;
+};
+
+// Passes data through unchanged and counts the bytes
+const createByteCounter = () => {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  counter.bytes = 0;
+  return counter;
+};
+
+/**
+ * Mark a webinar's recording as waiting for ingestion (picked up by the cron job).
+ * Resets the retry counter, e.g. when an admin re-runs ingestion.
+ */
+export const queueRecordingIngestion = (webinarId) =>
+  Webinar.findByIdAndUpdate(
+    webinarId,
+    {
+      $set: {
+        'recordingIngestion.status': 'pending',
+        'recordingIngestion.attempts': 0,
+        'recordingIngestion.nextAttemptAt': new Date(),
+      },
+      $unset: { 'recordingIngestion.lastError': '' },
+    },
+    { new: true }
+  );
+
+// Atomically take a pending (or stale in-progress) ingestion so only one worker runs it
+const claimIngestion = (webinarId, now) =>
+  Webinar.findOneAndUpdate(
+    {
+      _id: webinarId,
+      rawRecordingId: { $exists: true, $ne: '' },
+      $or: [
+        { 'recordingIngestion.status': 'pending' },
+        {
+          'recordingIngestion.status': 'in-progress',
+          'recordingIngestion.startedAt': { $lt: new Date(now - STALE_INGESTION_MS) },
+        },
+      ],
+    },
+    {
+      $set: { 'recordingIngestion.status': 'in-progress', 'recordingIngestion.startedAt': new Date(now) },
+      $inc: { 'recordingIngestion.attempts': 1 },
+    },
+    { new: true }
+  );
+
+/**
+ * Download a webinar's Daily recording and stream it into Supabase storage.
+ * Sets `recording` to the public URL on success; on failure schedules a retry
+ * with exponential backoff until MAX_ATTEMPTS is reached. Never throws.
+ */
+export const ingestRecording = async (webinarId) => {
+  const webinar = await claimIngestion(webinarId, Date.now()).catch((error) => {
+    console.error(`[Recording Ingestion] Could not claim webinar ${webinarId}:`, error.message);
+    return null;
+  });
+  if (!webinar) return null;
+
+  const { attempts } = webinar.recordingIngestion;
+  try {
+    const downloadUrl = await getDailyRecordingLink(webinar.rawRecordingId);
+    const response = await fetch(downloadUrl);
+    if (!response.ok || !response.body) {
+      throw new Error(`Recording download failed with status ${response.status}`);
+    }
+
+    const counter = createByteCounter();
+    const stream = Readable.fromWeb(response.body).pipe(counter);
+    const result = await uploadToSupabase(
+      {
+        originalname: `${webinar.slug}.mp4`,
+        mimetype: response.headers.get('content-type') || 'video/mp4',
+        stream,
+      },
+      recordingsBucket(),
+      `recordings/${webinar.slug}`
+    );
+
+    await Webinar.updateOne(
+      { _id: webinar._id },
+      {
+        $set: {
+          recording: result.publicUrl,
+          'recordingIngestion.status': 'completed',
+          'recordingIngestion.completedAt': new Date(),
+          'recordingIngestion.fileSize': counter.bytes,
+          'recordingIngestion.storagePath': result.path,
+        },
+        $unset: { 'recordingIngestion.lastError': '', 'recordingIngestion.nextAttemptAt': '' },
+      }
+    );
+    console.log(`✓ Recording ingested for webinar ${webinar.name} (${counter.bytes} bytes)`);
+    return result;
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    console.error(
+      `✗ Recording ingestion attempt ${attempts}/${MAX_ATTEMPTS} failed for webinar ${webinar.name}:`,
+      error.message
+    );
+    await Webinar.updateOne(
+      { _id: webinar._id },
+      {
+        $set: {
+          'recordingIngestion.status': failed ? 'failed' : 'pending',
+          'recordingIngestion.lastError': error.message,
+          'recordingIngestion.nextAttemptAt': failed
+            ? null
+            : new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)),
+        },
+      }
+    ).catch((saveError) => console.error('[Recording Ingestion] Could not save failure:', saveError.message));
+    return null;
+  }
+};
+
+/**
+ * Ingest recordings of ended webinars that are ready on Daily and due for an attempt
+ */
+export const processPendingIngestions = async () => {
+  try {
+    const now = new Date();
+    const webinars = await Webinar.find({
+      status: 'Ended',
+      recordingStatus: 'ready',
+      $or: [
+        { 'recordingIngestion.status': 'pending', 'recordingIngestion.nextAttemptAt': { $lte: now } },
+        {
+          'recordingIngestion.status': 'in-progress',
+          'recordingIngestion.startedAt': { $lt: new Date(now.getTime() - STALE_INGESTION_MS) },
+        },
+      ],
+    }).select('_id');
+
+    // One at a time: recordings are large
+    for (const webinar of webinars) {
+      await ingestRecording(webinar._id);
+    }
+  } catch (error) {
+    console.error('[Recording Ingestion] Error checking pending ingestions:', error);
+  }
+};
+
+/**
+ * Initialize the cron job that ingests finished recordings
+ */
+export const startRecordingIngestionCron = () => {
+  let running = false;
+  cron.schedule('*/2 * * * *', async () => {
+    // Skip a tick while a long upload is still running
+    if (running) return;
+    running = true;
+    try {
+      await processPendingIngestions();
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✓ Recording ingestion cron job started - checking every 2 minutes for ready recordings');
+};
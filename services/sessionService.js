@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { getClientIp, getUserAgent } from '../utils/requestInfo.js';
+
+// Read lazily: this module is imported before dotenv.config() runs in index.js
+const accessTokenExpiresIn = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without a scan
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const hashesMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * View-as tokens also carry the impersonating supaadmin's id (`imp`).
+ */
+export const signAccessToken = (user, sessionId, expiresIn = accessTokenExpiresIn(), impersonatorId = null) =>
+  jwt.sign(
+    {
+      id: user._id.toString(),
+      role: user.role,
+      sid: sessionId.toString(),
+      ...(impersonatorId && { imp: impersonatorId.toString() }),
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn }
+  );
+
+/**
+ * Start a new session for a user and return its tokens.
+ * View-as sessions are short-lived, record the impersonator and get no refresh token.
+ */
+export const createSession = async (user, req, { type = 'login', impersonatorId = null } = {}) => {
+  const isViewAs = type === 'view-as';
+  const ttlMs = isViewAs ? 60 * 60 * 1000 : refreshTokenTtlMs();
+
+  const session = new Session({
+    user: user._id,
+    type,
+    impersonator: impersonatorId,
+    userAgent: req ? getUserAgent(req) : undefined,
+    ip: req ? getClientIp(req) : undefined,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  let refreshToken;
+  if (!isViewAs) {
+    const built = buildRefreshToken(session._id);
+    refreshToken = built.refreshToken;
+    session.refreshTokenHash = built.refreshTokenHash;
+  }
+
+  await session.save();
+
+  const accessToken = isViewAs
+    ? signAccessToken(user, session._id, '1h', impersonatorId)
+    : signAccessToken(user, session._id);
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair (rotation).
+ * Presenting an already-rotated refresh token revokes the session, since it
+ * means the token was copied. Returns null when the token is not usable.
+ */
+export const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId).lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || !session.refreshTokenHash) {
+    return null;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (!hashesMatch(presentedHash, session.refreshTokenHash)) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh-token-reuse' } }
+    );
+    return null;
+  }
+
+  const user = await User.findById(session.user).select('_id role');
+  if (!user) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'user-deleted' } }
+    );
+    return null;
+  }
+
+  // Rotate only if the presented token is still the current one, so of two concurrent
+  // refreshes with the same token exactly one succeeds
+  const built = buildRefreshToken(session._id);
+  const update = {
+    refreshTokenHash: built.refreshTokenHash,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+  };
+  if (req) {
+    update.userAgent = getUserAgent(req);
+    update.ip = getClientIp(req);
+  }
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { $set: update },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return {
+    session: rotated,
+    accessToken: signAccessToken(user, rotated._id),
+    refreshToken: built.refreshToken,
+  };
+};
+
+/**
+ * Look up a session that is neither revoked nor expired
+ */
+export const findActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+};
+
+/**
+ * Revoke a single session by id, or by refresh token when no id is known
+ */
+export const revokeSession = async ({ sessionId, refreshToken }, reason = 'logout') => {
+  let id = sessionId;
+  if (!id) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+    const session = await Session.findById(parsed.sessionId).select('refreshTokenHash');
+    if (!session || !hashesMatch(hashToken(parsed.secret), session.refreshTokenHash)) return false;
+    id = session._id;
+  }
+
+  const result = await Session.updateOne(
+    { _id: id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user (log out all devices),
+ * optionally keeping the session that made the request
+ */
+export const revokeAllSessions = async (userId, reason = 'logout-all', exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import path from 'path';
+import { appendFile, mkdir } from 'fs/promises';
+
+/**
+ * SMS providers share one interface:
+ *   name: stored on each SmsMessage
+ *   send({ to, body }) -> { providerMessageId, status: 'sent' | 'delivered' }; throws on rejection
+ *
+ * SMS_PROVIDER selects the adapter: "twilio", or "file" to append messages to a local outbox
+ * (development and staging). Without it SMS is disabled.
+ */
+
+const TWILIO_API_BASE = 'https://api.twilio.com/2010-04-01';
+
+export const createTwilioProvider = ({ accountSid, authToken, from, messagingServiceSid, statusCallbackUrl }) => ({
+  name: 'twilio',
+  send: async ({ to, body }) => {
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (messagingServiceSid) params.set('MessagingServiceSid', messagingServiceSid);
+    else params.set('From', from);
+    if (statusCallbackUrl) params.set('StatusCallback', statusCallbackUrl);
+
+    const response = await fetch(`${TWILIO_API_BASE}/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio ${response.status}: ${data.message || response.statusText}`);
+    }
+    return { providerMessageId: data.sid, status: 'sent' };
+  },
+});
+
+export const createFileProvider = ({ filePath }) => ({
+  name: 'file',
+  send: async ({ to, body }) => {
+    const providerMessageId = `file-${crypto.randomUUID()}`;
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await appendFile(filePath, `${JSON.stringify({ id: providerMessageId, to, body, at: new Date().toISOString() })}\n`);
+    return { providerMessageId, status: 'delivered' };
+  },
+});
+
+/**
+ * The configured provider, or null when SMS is disabled or misconfigured
+ */
+export const getSmsProvider = () => {
+  const provider = (process.env.SMS_PROVIDER || '').toLowerCase();
+
+  if (provider === 'twilio') {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER, TWILIO_MESSAGING_SERVICE_SID, TWILIO_WEBHOOK_BASE_URL } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !(TWILIO_FROM_NUMBER || TWILIO_MESSAGING_SERVICE_SID)) {
+      console.error('SMS_PROVIDER is twilio but TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN or TWILIO_FROM_NUMBER is missing');
+      return null;
+    }
+    return createTwilioProvider({
+      accountSid: TWILIO_ACCOUNT_SID,
+      authToken: TWILIO_AUTH_TOKEN,
+      from: TWILIO_FROM_NUMBER,
+      messagingServiceSid: TWILIO_MESSAGING_SERVICE_SID,
+      statusCallbackUrl: TWILIO_WEBHOOK_BASE_URL ? `${TWILIO_WEBHOOK_BASE_URL.replace(/\/$/, '')}/webhook/twilio/status` : undefined,
+    });
+  }
+
+  if (provider === 'file') {
+    return createFileProvider({ filePath: process.env.SMS_OUTBOX_FILE || 'logs/sms-outbox.log' });
+  }
+
+  return null;
+};
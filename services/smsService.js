@@ -0,0 +1,191 @@
+import SmsMessage from '../models/SmsMessage.js';
+import SmsOptOut from '../models/SmsOptOut.js';
+import { getSmsProvider } from './smsProviders.js';
+import { getZonedParts, zonedTimeToUtc, isValidTimeZone } from '../utils/timezone.js';
+import { maskPhoneNumber } from '../utils/phone.js';
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const MAX_ATTEMPTS = 3;
+
+// Carrier-standard keywords (case-insensitive, whole message)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+/**
+ * Quiet hours as local hours [start, end), e.g. 21 -> 8 means no texts from 9pm to 8am.
+ * SMS_QUIET_HOURS="21-8" (default); "off" disables them.
+ */
+const getQuietHours = () => {
+  const value = (process.env.SMS_QUIET_HOURS || '21-8').trim().toLowerCase();
+  if (value === 'off') return null;
+  const match = value.match(/^(\d{1,2})-(\d{1,2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 23 || match[1] === match[2]) {
+    console.error(`Invalid SMS_QUIET_HOURS "${value}"; using 21-8`);
+    return { start: 21, end: 8 };
+  }
+  return { start: Number(match[1]), end: Number(match[2]) };
+};
+
+/**
+ * End of quiet hours when `date` falls inside them in `timeZone`, otherwise null
+ */
+export const getQuietHoursEnd = (date, timeZone, quietHours = getQuietHours()) => {
+  if (!quietHours) return null;
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const { year, month, day, hour } = getZonedParts(date, zone);
+  const { start, end } = quietHours;
+
+  const quiet = start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  if (!quiet) return null;
+
+  // Quiet hours that wrap past midnight end tomorrow when it is still evening
+  const endsTomorrow = start > end && hour >= start;
+  const endDay = new Date(Date.UTC(year, month - 1, day + (endsTomorrow ? 1 : 0)));
+  return zonedTimeToUtc({
+    year: endDay.getUTCFullYear(),
+    month: endDay.getUTCMonth() + 1,
+    day: endDay.getUTCDate(),
+    hour: end,
+  }, zone);
+};
+
+export const isOptedOut = async (phone) => Boolean(await SmsOptOut.exists({ phone }));
+
+const finish = (message, fields) => {
+  Object.assign(message, fields);
+  return message.save();
+};
+
+/**
+ * Try to send a message now. Skips opted-out numbers and expired messages,
+ * and re-queues the message until quiet hours end. Returns the updated message.
+ */
+export const deliverSmsMessage = async (message, { now = new Date(), ignoreQuietHours = false } = {}) => {
+  if (message.expiresAt && now >= message.expiresAt) {
+    return finish(message, { status: 'skipped', skipReason: 'expired' });
+  }
+  if (await isOptedOut(message.to)) {
+    return finish(message, { status: 'skipped', skipReason: 'opted-out' });
+  }
+
+  const quietHoursEnd = ignoreQuietHours ? null : getQuietHoursEnd(now, message.timezone);
+  if (quietHoursEnd) {
+    if (message.expiresAt && quietHoursEnd >= message.expiresAt) {
+      return finish(message, { status: 'skipped', skipReason: 'expired' });
+    }
+    return finish(message, { status: 'queued', notBefore: quietHoursEnd });
+  }
+
+  const provider = getSmsProvider();
+  if (!provider) {
+    return finish(message, { status: 'skipped', skipReason: 'no-provider' });
+  }
+
+  // Claim it so a parallel run of the queue does not send it as well
+  const claimed = await SmsMessage.findOneAndUpdate(
+    { _id: message._id, status: 'queued' },
+    { $set: { status: 'sending', provider: provider.name }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return message;
+
+  try {
+    const { providerMessageId, status } = await provider.send({ to: claimed.to, body: claimed.body });
+    return finish(claimed, {
+      status,
+      providerMessageId,
+      sentAt: new Date(),
+      deliveredAt: status === 'delivered' ? new Date() : undefined,
+      error: undefined,
+    });
+  } catch (error) {
+    console.error(`[SMS] Sending to ${maskPhoneNumber(claimed.to)} failed:`, error.message);
+    // Retry on the next queue run, a few times
+    const retry = claimed.attempts < MAX_ATTEMPTS;
+    return finish(claimed, {
+      status: retry ? 'queued' : 'failed',
+      notBefore: new Date(now.getTime() + 5 * 60 * 1000),
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Log and send an SMS. `to` must already be E.164.
+ * With a `dedupeKey`, a repeat call for the same key returns null instead of texting again.
+ */
+export const queueSms = async ({ to, body, purpose, webinar = null, user = null, timezone, expiresAt, dedupeKey, ignoreQuietHours }) => {
+  let message;
+  try {
+    message = await SmsMessage.create({ to, body, purpose, webinar, user, timezone, expiresAt, dedupeKey });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  return deliverSmsMessage(message, { ignoreQuietHours });
+};
+
+/**
+ * Send messages whose quiet hours are over or that are due for a retry
+ */
+export const processQueuedSms = async (now = new Date()) => {
+  const messages = await SmsMessage.find({ status: 'queued', notBefore: { $lte: now } })
+    .sort({ notBefore: 1 })
+    .limit(500);
+  for (const message of messages) {
+    await deliverSmsMessage(message, { now });
+  }
+  return messages.length;
+};
+
+/**
+ * Handle an incoming text: STOP-style keywords opt the number out, START-style keywords opt it back in.
+ * Returns 'opted-out', 'opted-in' or null.
+ */
+export const handleInboundSms = async ({ from, body }) => {
+  const keyword = String(body || '').trim().toUpperCase();
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    await SmsOptOut.updateOne(
+      { phone: from },
+      { $set: { source: 'inbound', keyword } },
+      { upsert: true }
+    );
+    // Nothing still waiting in the queue goes out after a STOP
+    await SmsMessage.updateMany({ to: from, status: 'queued' }, { $set: { status: 'skipped', skipReason: 'opted-out' } });
+    return 'opted-out';
+  }
+
+  if (OPT_IN_KEYWORDS.includes(keyword)) {
+    await SmsOptOut.deleteOne({ phone: from });
+    return 'opted-in';
+  }
+
+  return null;
+};
+
+// Provider status -> SmsMessage status
+const PROVIDER_STATUSES = {
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+};
+
+/**
+ * Record a delivery receipt from the provider
+ */
+export const updateSmsDeliveryStatus = async ({ providerMessageId, status, errorCode }) => {
+  const mapped = PROVIDER_STATUSES[String(status || '').toLowerCase()];
+  if (!providerMessageId || !mapped) return null;
+
+  const update = { status: mapped };
+  if (mapped === 'delivered') update.deliveredAt = new Date();
+  if (errorCode) update.error = `Provider error ${errorCode}`;
+  // A late "sent" callback must not overwrite a final status
+  return SmsMessage.findOneAndUpdate(
+    { providerMessageId, status: { $in: mapped === 'sent' ? ['sending', 'sent'] : ['sending', 'sent', 'delivered'] } },
+    { $set: update },
+    { new: true }
+  );
+};
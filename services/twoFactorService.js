@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import SecuritySettings from '../models/SecuritySettings.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+
+const TOTP_ISSUER = 'Royal Vault Portal';
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// ==================== POLICY ====================
+
+export const getSecuritySettings = async () => {
+  const settings = await SecuritySettings.findOne({ key: 'global' }).lean();
+  return settings || { key: 'global', twoFactorRequiredRoles: [] };
+};
+
+export const updateTwoFactorRequiredRoles = async (roles, updatedBy) => {
+  return SecuritySettings.findOneAndUpdate(
+    { key: 'global' },
+    { $set: { twoFactorRequiredRoles: roles, updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+};
+
+// Role keys used by the 2FA policy: the user's role plus 'supaadmin' for supaadmins
+export const getPolicyRoles = (user) => {
+  const roles = [user.role];
+  if (user.supaadmin) roles.push('supaadmin');
+  return roles;
+};
+
+export const isTwoFactorRequired = async (user) => {
+  const settings = await getSecuritySettings();
+  return getPolicyRoles(user).some((role) => settings.twoFactorRequiredRoles.includes(role));
+};
+
+// ==================== ENROLLMENT ====================
+
+export const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Start enrollment: store a pending secret and return the provisioning data.
+ * The secret only becomes active once a code generated from it is confirmed.
+ */
+export const beginEnrollment = async (userId) => {
+  const user = await User.findById(userId);
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER }),
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns the plain backup codes (shown once) or null when the code is wrong.
+ */
+export const confirmEnrollment = async (userId, code, { now = Date.now() } = {}) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code, { now });
+  if (step === null) return null;
+
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date(now);
+  await user.save();
+
+  return codes;
+};
+
+export const regenerateBackupCodes = async (userId) => {
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+  return codes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.backupCodes': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.enabledAt': '',
+      },
+    }
+  );
+};
+
+// ==================== VERIFICATION ====================
+
+/**
+ * Verify a TOTP code or a backup code for a user with 2FA enabled.
+ * TOTP codes cannot be replayed; backup codes are single use.
+ */
+export const verifySecondFactor = async (userId, { code, backupCode }, { now = Date.now() } = {}) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, { now });
+    if (step === null || (user.twoFactor.lastUsedStep != null && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const index = (user.twoFactor.backupCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactor.backupCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
+
+// ==================== LOGIN CHALLENGE ====================
+
+// Short-lived token proving the password step passed. It has no session id,
+// so protect() never accepts it as an access token.
+export const signTwoFactorChallenge = (user) =>
+  jwt.sign(
+    { id: user._id.toString(), purpose: '2fa-login' },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    return decoded.purpose === '2fa-login' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
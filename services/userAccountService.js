@@ -0,0 +1,64 @@
+import axios from 'axios';
+import User from '../models/User.js';
+import { issuePasswordSetupInvite, sendPasswordSetupInvite } from './passwordSetupService.js';
+
+/**
+ * Create an account on someone's behalf (admin "create user", attendee imports).
+ * The user gets no password; they choose one through the emailed invite link.
+ * HubSpot and email failures are logged and do not fail the creation.
+ * Returns the saved user.
+ */
+export const createInvitedUser = async (
+  { firstName, lastName, email, phone, role = 'user' },
+  { session, sendInvite = true, createHubSpotContact = true } = {}
+) => {
+  const newUser = new User({
+    firstName,
+    lastName,
+    email,
+    phone,
+    role,
+    isVerified: false
+  });
+  const setupUrl = issuePasswordSetupInvite(newUser);
+
+  const user = await newUser.save({ session });
+
+  if (createHubSpotContact) {
+    const HUBSPOT_PRIVATE_API_KEY = process.env.HUBSPOT_PRIVATE_API_KEY;
+    if (HUBSPOT_PRIVATE_API_KEY) {
+      try {
+        const HUBSPOT_API_URL = "https://api.hubapi.com/crm/v3/objects/contacts";
+        const hubSpotContact = {
+          properties: {
+            email: user.email,
+            firstname: user.firstName,
+            lastname: user.lastName,
+            phone: user.phone,
+          },
+        };
+
+        await axios.post(HUBSPOT_API_URL, hubSpotContact, {
+          headers: {
+            Authorization: `Bearer ${HUBSPOT_PRIVATE_API_KEY}`,
+            'Content-Type': 'application/json',
+          },
+        });
+      } catch (hubspotError) {
+        console.log("HubSpot creation error:", hubspotError.response?.data || hubspotError.message);
+        // Continue even if HubSpot fails
+      }
+    }
+  }
+
+  if (sendInvite) {
+    try {
+      await sendPasswordSetupInvite(user, setupUrl);
+    } catch (emailError) {
+      console.log("Email sending error:", emailError);
+      // Continue even if email fails
+    }
+  }
+
+  return user;
+};
@@ -0,0 +1,224 @@
+import Webinar from '../models/Webinar.js';
+import WatchSession from '../models/WatchSession.js';
+
+// Players send a heartbeat this often while playing
+export const HEARTBEAT_INTERVAL_SECONDS = 30;
+// A heartbeat later than this after the previous one starts a new interval (the gap is not counted)
+const SESSION_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_SECONDS * 1000;
+// Drop-off curves are capped at this many points
+const MAX_CURVE_POINTS = 300;
+
+/**
+ * Playback mode for a webinar's status: live while in progress, replay once ended, otherwise null
+ */
+export const getPlaybackMode = (webinar) => {
+  if (webinar.status === 'In Progress') return 'live';
+  if (webinar.status === 'Ended') return 'replay';
+  return null;
+};
+
+/**
+ * Record a heartbeat (or a leave) from a player.
+ * Extends the player's open interval, or opens a new one when there is none or it went stale.
+ * Returns { session, joined } - `joined` is true when a new interval started.
+ */
+export const recordHeartbeat = async ({ webinarId, userId, sessionId, mode, leave = false, now = new Date() }) => {
+  const key = { webinar: webinarId, user: userId, sessionId, isOpen: true };
+  const open = await WatchSession.findOne(key);
+
+  if (open && open.mode === mode && now - open.lastHeartbeatAt <= SESSION_TIMEOUT_MS) {
+    const update = { $max: { lastHeartbeatAt: now } };
+    if (leave) update.$set = { isOpen: false, endedAt: now };
+    const session = await WatchSession.findOneAndUpdate({ _id: open._id, isOpen: true }, update, { new: true });
+    return { session: session || open, joined: false };
+  }
+
+  // Stale (or the webinar went from live to replay): the interval ended at its last heartbeat
+  if (open) {
+    await WatchSession.updateOne({ _id: open._id, isOpen: true }, { $set: { isOpen: false, endedAt: open.lastHeartbeatAt } });
+  }
+  if (leave) return { session: null, joined: false };
+
+  try {
+    const session = await WatchSession.create({ ...key, mode, startedAt: now, lastHeartbeatAt: now });
+    return { session, joined: true };
+  } catch (error) {
+    // A parallel heartbeat from the same player opened the interval first
+    if (error.code === 11000) {
+      return { session: await WatchSession.findOne(key), joined: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Set attendanceStatus from playback: live makes a user 'attended', replay 'watched' (never downgrading 'attended').
+ * Users who are not registered yet are added, as markAsAttended/markAsWatched do.
+ */
+export const markAttendanceFromPlayback = async (webinar, userId, mode) => {
+  const status = mode === 'live' ? 'attended' : 'watched';
+  const attendee = webinar.attendees.find((entry) => entry.user.toString() === userId.toString());
+
+  if (!attendee) {
+    await Webinar.updateOne(
+      { _id: webinar._id, 'attendees.user': { $ne: userId } },
+      { $push: { attendees: { user: userId, attendanceStatus: status, registeredAt: new Date() } } }
+    );
+    return;
+  }
+
+  const upgradeFrom = status === 'attended' ? ['registered', 'watched', 'waitlisted'] : ['registered', 'waitlisted'];
+  if (!upgradeFrom.includes(attendee.attendanceStatus)) return;
+  await Webinar.updateOne(
+    { _id: webinar._id, attendees: { $elemMatch: { user: userId, attendanceStatus: { $in: upgradeFrom } } } },
+    { $set: { 'attendees.$.attendanceStatus': status }, $unset: { 'attendees.$.waitlistPosition': '' } }
+  );
+};
+
+/**
+ * Close the live intervals still open when a webinar ends
+ */
+export const closeLiveSessions = (webinarId) =>
+  WatchSession.updateMany(
+    { webinar: webinarId, mode: 'live', isOpen: true },
+    [{ $set: { isOpen: false, endedAt: '$lastHeartbeatAt' } }]
+  );
+
+// Sort and merge overlapping [start, end] intervals (ms), so several tabs are not counted twice
+const mergeIntervals = (intervals) => {
+  const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  return merged;
+};
+
+const totalSeconds = (intervals) => Math.round(intervals.reduce((sum, [start, end]) => sum + (end - start), 0) / 1000);
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0);
+
+/**
+ * Watch time per user from their sessions.
+ * Returns Map userId -> { liveSeconds, replaySeconds, sessions, firstJoinedAt, lastSeenAt, liveIntervals }.
+ */
+export const summarizeWatchSessions = (sessions) => {
+  const byUser = new Map();
+  sessions.forEach((session) => {
+    const userId = session.user.toString();
+    if (!byUser.has(userId)) byUser.set(userId, { live: [], replay: [], sessions: 0, firstJoinedAt: null, lastSeenAt: null });
+    const entry = byUser.get(userId);
+    const start = new Date(session.startedAt).getTime();
+    const end = new Date(session.lastHeartbeatAt).getTime();
+    entry[session.mode].push([start, end]);
+    entry.sessions++;
+    if (!entry.firstJoinedAt || start < entry.firstJoinedAt) entry.firstJoinedAt = start;
+    if (!entry.lastSeenAt || end > entry.lastSeenAt) entry.lastSeenAt = end;
+  });
+
+  const summary = new Map();
+  byUser.forEach((entry, userId) => {
+    const liveIntervals = mergeIntervals(entry.live);
+    summary.set(userId, {
+      liveSeconds: totalSeconds(liveIntervals),
+      replaySeconds: totalSeconds(mergeIntervals(entry.replay)),
+      sessions: entry.sessions,
+      firstJoinedAt: new Date(entry.firstJoinedAt),
+      lastSeenAt: new Date(entry.lastSeenAt),
+      liveIntervals,
+    });
+  });
+  return summary;
+};
+
+// Highest number of users watching live at once, and when it was first reached
+const getPeakConcurrency = (liveIntervalsByUser) => {
+  const points = [];
+  liveIntervalsByUser.forEach((intervals) => {
+    intervals.forEach(([start, end]) => {
+      points.push([start, 1], [end, -1]);
+    });
+  });
+  // Leaves before joins at the same instant
+  points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  let peakAt = null;
+  points.forEach(([time, delta]) => {
+    current += delta;
+    if (current > peak) {
+      peak = current;
+      peakAt = new Date(time);
+    }
+  });
+  return { peak, peakAt };
+};
+
+// Live viewers sampled every `bucketMinutes` from the first join to the last heartbeat
+const getDropOffCurve = (liveIntervalsByUser, peak, bucketMinutes) => {
+  const all = liveIntervalsByUser.flat();
+  if (all.length === 0) return { bucketMinutes, points: [] };
+
+  const from = Math.min(...all.map(([start]) => start));
+  const to = Math.max(...all.map(([, end]) => end));
+  const spanMinutes = Math.ceil((to - from) / 60000);
+  const bucket = Math.max(bucketMinutes, Math.ceil(spanMinutes / MAX_CURVE_POINTS), 1);
+
+  const points = [];
+  for (let minute = 0; minute <= spanMinutes; minute += bucket) {
+    const at = from + minute * 60000;
+    const viewers = liveIntervalsByUser.filter((intervals) => intervals.some(([start, end]) => start <= at && at <= end)).length;
+    points.push({ minute, at: new Date(at), viewers, retention: peak ? Math.round((viewers / peak) * 1000) / 1000 : 0 });
+  }
+  return { bucketMinutes: bucket, points };
+};
+
+/**
+ * Attendance report for a webinar: registration conversion, live peak/average watch time and drop-off, replay viewing
+ */
+export const buildAttendanceReport = (webinar, sessions, { bucketMinutes = 1 } = {}) => {
+  const watch = summarizeWatchSessions(sessions);
+
+  const seated = webinar.attendees.filter((attendee) => attendee.attendanceStatus !== 'waitlisted');
+  const attendedLive = new Set(seated.filter((attendee) => attendee.attendanceStatus === 'attended').map((attendee) => attendee.user.toString()));
+  const watchedReplay = new Set(seated.filter((attendee) => attendee.attendanceStatus === 'watched').map((attendee) => attendee.user.toString()));
+  watch.forEach((entry, userId) => {
+    if (entry.liveSeconds > 0) attendedLive.add(userId);
+    if (entry.replaySeconds > 0 && !attendedLive.has(userId)) watchedReplay.add(userId);
+  });
+
+  const liveViewers = [...watch.values()].filter((entry) => entry.liveSeconds > 0);
+  const replayViewers = [...watch.values()].filter((entry) => entry.replaySeconds > 0);
+  const liveIntervalsByUser = liveViewers.map((entry) => entry.liveIntervals);
+  const { peak, peakAt } = getPeakConcurrency(liveIntervalsByUser);
+
+  const registered = seated.length;
+  const rate = (count) => (registered ? Math.round((count / registered) * 1000) / 1000 : 0);
+
+  return {
+    registration: {
+      registered,
+      waitlisted: webinar.attendees.length - registered,
+      attendedLive: attendedLive.size,
+      watchedReplay: watchedReplay.size,
+      liveConversionRate: rate(attendedLive.size),
+      overallConversionRate: rate(attendedLive.size + watchedReplay.size),
+    },
+    live: {
+      viewers: liveViewers.length,
+      peakConcurrency: peak,
+      peakAt,
+      totalWatchSeconds: liveViewers.reduce((sum, entry) => sum + entry.liveSeconds, 0),
+      averageWatchSeconds: average(liveViewers.map((entry) => entry.liveSeconds)),
+    },
+    replay: {
+      viewers: replayViewers.length,
+      totalWatchSeconds: replayViewers.reduce((sum, entry) => sum + entry.replaySeconds, 0),
+      averageWatchSeconds: average(replayViewers.map((entry) => entry.replaySeconds)),
+    },
+    dropOff: getDropOffCurve(liveIntervalsByUser, peak, bucketMinutes),
+  };
+};
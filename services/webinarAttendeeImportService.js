@@ -0,0 +1,216 @@
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import User from '../models/User.js';
+import Webinar from '../models/Webinar.js';
+import { countTakenSeats, registerOrWaitlist } from './webinarWaitlistService.js';
+import { createInvitedUser } from './userAccountService.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+export const IMPORT_STATUSES = ['registered', 'attended', 'watched'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted spellings of each column, compared without case, spaces, dashes or underscores
+const HEADER_ALIASES = {
+  email: ['email', 'emailaddress'],
+  firstName: ['firstname', 'first'],
+  lastName: ['lastname', 'last', 'surname'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilephone'],
+  status: ['status', 'attendancestatus'],
+};
+
+const normalizeHeader = (header) => {
+  const key = header.toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(HEADER_ALIASES).find((field) => HEADER_ALIASES[field].includes(key)) || null;
+};
+
+// attended outranks watched, which outranks registered; imports never downgrade
+const STATUS_RANK = { waitlisted: 0, registered: 0, watched: 1, attended: 2 };
+
+/**
+ * Parse an attendee CSV (header row required, only the email column is mandatory).
+ * Returns rows of { line, email, firstName, lastName, phone, status }; `line` is the line number in the file.
+ */
+export const parseAttendeeCsv = (content) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    let hasEmailColumn = false;
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      reject(error);
+    };
+
+    const parser = csv({
+      mapHeaders: ({ header }) => {
+        // Strip a UTF-8 byte order mark that Excel adds
+        const field = normalizeHeader(header.replace(/^\uFEFF/, ''));
+        if (field === 'email') hasEmailColumn = true;
+        return field;
+      },
+      mapValues: ({ value }) => value.trim(),
+    });
+    const source = Readable.from([content]);
+
+    parser
+      .on('data', (row) => {
+        if (settled) return;
+        // Stop reading as soon as the file is over the limit
+        if (rows.length >= MAX_IMPORT_ROWS) {
+          source.unpipe(parser);
+          source.destroy();
+          parser.destroy();
+          fail(new Error(`The CSV has more than ${MAX_IMPORT_ROWS} rows`));
+          return;
+        }
+        rows.push({ line: rows.length + 2, ...row });
+      })
+      .on('end', () => {
+        if (settled) return;
+        if (!hasEmailColumn) return fail(new Error('The CSV needs an "email" column'));
+        settled = true;
+        resolve(rows);
+      })
+      .on('error', fail);
+    source.pipe(parser);
+  });
+
+/**
+ * Work out what importing the rows would change, without writing anything.
+ * Options: status (for rows without one, default 'registered'), createUsers (create accounts for unknown emails).
+ * Returns one entry per row: { line, email, user: 'existing' | 'create' | null, userId, from, change, message }
+ * where change is 'register', 'waitlist', 'attended', 'watched', 'unchanged', 'skipped' or 'error'.
+ */
+export const planAttendeeImport = async (webinar, rows, { status: defaultStatus = 'registered', createUsers = false } = {}) => {
+  const emails = [...new Set(rows.map((row) => (row.email || '').toLowerCase()).filter((email) => EMAIL_REGEX.test(email)))];
+  const users = await User.find({ email: { $in: emails } }).select('_id email').lean();
+  const usersByEmail = new Map(users.map((user) => [user.email, user]));
+  const attendeesByUser = new Map(webinar.attendees.map((attendee) => [attendee.user.toString(), attendee]));
+
+  const capacity = webinar.capacity ?? null;
+  let takenSeats = countTakenSeats(webinar);
+  const seen = new Set();
+
+  return rows.map((row) => {
+    const email = (row.email || '').toLowerCase();
+    const entry = { line: row.line, email, user: null, userId: null, from: null, change: 'error', message: null };
+
+    if (!EMAIL_REGEX.test(email)) {
+      return { ...entry, message: 'Invalid email' };
+    }
+    if (seen.has(email)) {
+      return { ...entry, change: 'skipped', message: 'Duplicate of an earlier row' };
+    }
+    seen.add(email);
+
+    const status = (row.status || defaultStatus).toLowerCase();
+    if (!IMPORT_STATUSES.includes(status)) {
+      return { ...entry, message: `Status must be one of ${IMPORT_STATUSES.join(', ')}` };
+    }
+
+    const user = usersByEmail.get(email);
+    if (!user) {
+      if (!createUsers) {
+        return { ...entry, change: 'skipped', message: 'No user with this email' };
+      }
+      if (!row.firstName || !row.lastName || !row.phone) {
+        return { ...entry, message: 'firstName, lastName and phone are needed to create the user' };
+      }
+    }
+    entry.user = user ? 'existing' : 'create';
+    entry.userId = user?._id || null;
+
+    const attendee = user && attendeesByUser.get(user._id.toString());
+    entry.from = attendee?.attendanceStatus || null;
+
+    if (status === 'registered') {
+      if (attendee) return { ...entry, change: 'unchanged', message: `Already ${attendee.attendanceStatus}` };
+      if (capacity !== null && takenSeats >= capacity) {
+        if (webinar.waitlist !== 'Yes') return { ...entry, message: 'Webinar is full' };
+        return { ...entry, change: 'waitlist' };
+      }
+      takenSeats++;
+      return { ...entry, change: 'register' };
+    }
+
+    if (attendee && STATUS_RANK[attendee.attendanceStatus] >= STATUS_RANK[status]) {
+      return { ...entry, change: 'unchanged', message: `Already ${attendee.attendanceStatus}` };
+    }
+    // Marking attendance gives a seat, as adminMarkAsAttended does
+    if (!attendee || attendee.attendanceStatus === 'waitlisted') takenSeats++;
+    return { ...entry, change: status };
+  });
+};
+
+const setAttendanceStatus = async (webinarId, userId, from, status) => {
+  if (!from) {
+    const result = await Webinar.updateOne(
+      { _id: webinarId, 'attendees.user': { $ne: userId } },
+      { $push: { attendees: { user: userId, attendanceStatus: status, registeredAt: new Date() } } }
+    );
+    return result.modifiedCount === 1;
+  }
+  const result = await Webinar.updateOne(
+    { _id: webinarId, attendees: { $elemMatch: { user: userId, attendanceStatus: from } } },
+    { $set: { 'attendees.$.attendanceStatus': status }, $unset: { 'attendees.$.waitlistPosition': '' } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Apply a plan from planAttendeeImport. Rows are applied one by one; a failing row does not stop the import.
+ * No registration emails are sent; created users get the usual "set your password" invite when `sendInvites` is on.
+ * Returns the plan entries with the outcome in `change` (e.g. 'waitlist' when the last seat went in the meantime).
+ */
+export const applyAttendeeImport = async (webinar, rows, plan, { sendInvites = true } = {}) => {
+  const rowsByLine = new Map(rows.map((row) => [row.line, row]));
+  const results = [];
+
+  for (const entry of plan) {
+    if (!['register', 'waitlist', 'attended', 'watched'].includes(entry.change)) {
+      results.push(entry);
+      continue;
+    }
+
+    try {
+      let userId = entry.userId;
+      if (entry.user === 'create') {
+        const row = rowsByLine.get(entry.line);
+        const user = await createInvitedUser(
+          { firstName: row.firstName, lastName: row.lastName, email: entry.email, phone: row.phone },
+          { sendInvite: sendInvites }
+        );
+        userId = user._id;
+      }
+
+      if (entry.change === 'register' || entry.change === 'waitlist') {
+        const { status } = await registerOrWaitlist(webinar._id, userId);
+        const outcome = { registered: 'register', waitlisted: 'waitlist', 'already-registered': 'unchanged' }[status];
+        results.push(outcome
+          ? { ...entry, userId, change: outcome, message: outcome === 'unchanged' ? 'Already registered' : entry.message }
+          : { ...entry, userId, change: 'error', message: status === 'full' ? 'Webinar is full' : 'Webinar not found' });
+      } else {
+        const updated = await setAttendanceStatus(webinar._id, userId, entry.from, entry.change);
+        results.push(updated ? { ...entry, userId } : { ...entry, userId, change: 'unchanged', message: 'Attendance changed in the meantime' });
+      }
+    } catch (error) {
+      const message = error.code === 11000 ? 'A user with this email was created in the meantime' : error.message;
+      results.push({ ...entry, change: 'error', message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Number of rows per change (and users to create)
+ */
+export const summarizeImport = (entries) => {
+  const summary = { rows: entries.length, usersCreated: 0, register: 0, waitlist: 0, attended: 0, watched: 0, unchanged: 0, skipped: 0, error: 0 };
+  entries.forEach((entry) => {
+    summary[entry.change]++;
+    if (entry.user === 'create' && entry.change !== 'error') summary.usersCreated++;
+  });
+  return summary;
+};
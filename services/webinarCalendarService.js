@@ -0,0 +1,130 @@
+import Webinar from '../models/Webinar.js';
+import sendEmail from '../utils/sendEmail.js';
+import { buildCalendar } from '../utils/ics.js';
+import { buildWebinarEmailData } from './webinarEmailService.js';
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Stable per webinar, so updates and cancellations replace the original calendar entry
+export const getWebinarUid = (webinar) => `webinar-${webinar._id}@royalvault`;
+
+const getJoinUrl = (webinar) => `${process.env.CLIENT_URL}/royal-tv/${webinar.slug}/user?is_user=true`;
+
+/**
+ * Calendar event for a webinar.
+ * Options: `attendee` ({ firstName, lastName, email }) for invites, `cancelled` for cancellations.
+ */
+export const toCalendarEvent = (webinar, { attendee, cancelled = false } = {}) => {
+  const start = new Date(webinar.date);
+  const durationMinutes = webinar.durationMinutes || DEFAULT_DURATION_MINUTES;
+  return {
+    uid: getWebinarUid(webinar),
+    sequence: webinar.calendarSequence || 0,
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60 * 1000),
+    summary: webinar.name,
+    description: webinar.calInvDesc || webinar.line1,
+    url: getJoinUrl(webinar),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    organizer: process.env.SENDGRID_FROM_EMAIL ? { name: 'Royal Vault', email: process.env.SENDGRID_FROM_EMAIL } : null,
+    attendee: attendee ? { name: `${attendee.firstName} ${attendee.lastName}`.trim(), email: attendee.email } : null,
+  };
+};
+
+/**
+ * .ics email attachment inviting a user to one or more webinars
+ * method: REQUEST (new or updated invite) or CANCEL
+ */
+export const buildInviteAttachment = (webinars, user, method = 'REQUEST') => {
+  const list = Array.isArray(webinars) ? webinars : [webinars];
+  const ics = buildCalendar(
+    list.map((webinar) => toCalendarEvent(webinar, { attendee: user, cancelled: method === 'CANCEL' })),
+    { method }
+  );
+  return {
+    content: Buffer.from(ics).toString('base64'),
+    filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+    type: `text/calendar; charset=utf-8; method=${method}`,
+    disposition: 'attachment',
+  };
+};
+
+// Registered users who should get calendar updates (not people on the waitlist)
+const getSeatedAttendees = async (webinar) => {
+  await webinar.populate({ path: 'attendees.user', select: 'firstName lastName email timezone' });
+  return webinar.attendees
+    .filter((attendee) => attendee.attendanceStatus !== 'waitlisted' && attendee.user?.email)
+    .map((attendee) => attendee.user);
+};
+
+/**
+ * Send every registered attendee an updated invite after the webinar moved
+ */
+export const notifyWebinarRescheduled = async (webinarId) => {
+  const webinar = await Webinar.findByIdAndUpdate(webinarId, { $inc: { calendarSequence: 1 } }, { new: true });
+  if (!webinar) return 0;
+
+  const templateId = process.env.WEBINAR_UPDATED_TEMPLATE_ID || process.env.WEBINAR_CONFIRMATION_TEMPLATE_ID;
+  const users = await getSeatedAttendees(webinar);
+  for (const user of users) {
+    await sendEmail(
+      user.email,
+      buildWebinarEmailData(webinar, user, 'Royal Vault Portal - Webinar Rescheduled'),
+      templateId,
+      [buildInviteAttachment(webinar, user, 'REQUEST')]
+    );
+  }
+  return users.length;
+};
+
+// Raise the sequence of webinars being cancelled; deleted webinars just get theirs bumped in memory
+const toCancelledCopies = async (webinars) => {
+  const copies = [];
+  for (const webinar of webinars) {
+    const copy = { ...(webinar.toObject ? webinar.toObject({ depopulate: true }) : webinar) };
+    const current = await Webinar.findByIdAndUpdate(webinar._id, { $inc: { calendarSequence: 1 } }, { new: true })
+      .select('calendarSequence')
+      .lean();
+    copy.calendarSequence = current ? current.calendarSequence : (copy.calendarSequence || 0) + 1;
+    copies.push(copy);
+  }
+  return copies;
+};
+
+const sendCancellation = async (webinars, user) => {
+  const templateId = process.env.WEBINAR_CANCELLED_TEMPLATE_ID;
+  await sendEmail(
+    user.email,
+    buildWebinarEmailData(webinars[0], user, 'Royal Vault Portal - Webinar Cancelled'),
+    templateId,
+    [buildInviteAttachment(webinars, user, 'CANCEL')]
+  );
+};
+
+const hasCancellationTemplate = () => {
+  if (process.env.WEBINAR_CANCELLED_TEMPLATE_ID) return true;
+  console.warn('WEBINAR_CANCELLED_TEMPLATE_ID is not configured; calendar cancellations were not sent');
+  return false;
+};
+
+/**
+ * Send every registered attendee a cancellation for a webinar that was deleted (pass the deleted document)
+ */
+export const notifyWebinarCancelled = async (webinar) => {
+  if (!hasCancellationTemplate()) return 0;
+
+  const users = await getSeatedAttendees(webinar);
+  const [cancelled] = await toCancelledCopies([webinar]);
+  for (const user of users) {
+    await sendCancellation([cancelled], user);
+  }
+  return users.length;
+};
+
+/**
+ * Remove webinars a user left from their calendar (one email, one .ics with every event)
+ */
+export const notifyUserLeftWebinars = async (webinars, user) => {
+  if (!webinars.length || !user?.email || !hasCancellationTemplate()) return;
+  await sendCancellation(await toCancelledCopies(webinars), user);
+};
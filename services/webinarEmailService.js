@@ -0,0 +1,37 @@
+import { isValidTimeZone } from '../utils/timezone.js';
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+/**
+ * Timezone for a recipient's emails: their own setting, else Eastern time
+ */
+export const getRecipientTimeZone = (user) =>
+  (user?.timezone && isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE);
+
+/**
+ * Template data shared by the webinar emails: registration, waitlist promotion, reminders,
+ * reschedule and cancellation. Date and time are shown in the recipient's timezone.
+ */
+export const buildWebinarEmailData = (webinar, user, subject) => {
+  const timeZone = getRecipientTimeZone(user);
+  const date = new Date(webinar.date);
+  const datePart = date.toLocaleDateString('en-US', { timeZone }); // e.g. "11/11/2025"
+  const timePart = date.toLocaleTimeString('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZoneName: 'short'
+  }); // e.g. "3:30 PM EST"
+
+  return {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    link: `${process.env.CLIENT_URL}/royal-tv/${webinar.slug}/user?is_user=true`,
+    subject,
+    date: datePart,
+    time: timePart,
+    webinarName: webinar.line1,
+    description: webinar.line1,
+  };
+};
@@ -0,0 +1,38 @@
+import { getHubSpotHeaders } from './hubSpotService.js';
+import { closeLivePolls, pushPollResultsToHubSpot } from './webinarPollService.js';
+import { closeLiveSessions } from './webinarAttendanceService.js';
+import { syncWebinarToHubSpot } from './webinarHubSpotSyncService.js';
+
+/**
+ * End a webinar: mark it Ended, hide live CTAs, close running polls and live watch sessions,
+ * then push poll answers and attendance to HubSpot in the background.
+ * Used by the admin "end webinar" action and by Daily's meeting.ended webhook.
+ * `triggeredBy` is the admin who ended it (none for webhooks). Saves the webinar.
+ */
+export const finishWebinar = async (webinar, { triggeredBy = null } = {}) => {
+  webinar.status = 'Ended';
+  webinar.portalDisplay = 'No';
+
+  // Hide CTAs still on screen and close their activation history entries
+  const endedAt = new Date();
+  webinar.activeCtaIndices = [];
+  webinar.ctaActivations.forEach((activation) => {
+    if (!activation.deactivatedAt) activation.deactivatedAt = endedAt;
+  });
+  await webinar.save();
+
+  // Close polls still running, then push their answers to HubSpot in the background
+  await closeLivePolls(webinar._id);
+  await closeLiveSessions(webinar._id);
+  if (getHubSpotHeaders()) {
+    pushPollResultsToHubSpot(webinar._id).catch((error) => {
+      console.error('Error pushing poll results to HubSpot:', error.message);
+    });
+    // Attendance is final now: update the status lists
+    syncWebinarToHubSpot(webinar._id, { trigger: 'webinar-ended', triggeredBy }).catch((error) => {
+      console.error('Error syncing attendees to HubSpot:', error.message);
+    });
+  }
+
+  return webinar;
+};
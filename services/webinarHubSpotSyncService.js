@@ -0,0 +1,121 @@
+import User from '../models/User.js';
+import Webinar from '../models/Webinar.js';
+import HubSpotSyncRun from '../models/HubSpotSyncRun.js';
+import {
+  describeHubSpotError,
+  resolveUserHubSpotContacts,
+  findOrCreateHubSpotList,
+  getHubSpotListMemberIds,
+  updateHubSpotListMemberships,
+} from './hubSpotService.js';
+
+// 'all' is every seated attendee (the original participants list, stored in hubSpotListId)
+const LIST_KINDS = ['all', 'registered', 'attended', 'watched'];
+// A run still 'running' after this long was interrupted (e.g. by a restart)
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+const LIST_SUFFIXES = { all: '', registered: ' - Registered', attended: ' - Attended', watched: ' - Watched' };
+
+const getListName = (webinar, kind) => {
+  const date = webinar.date ? new Date(webinar.date).toISOString().slice(0, 10) : 'participants';
+  return `Webinar: ${webinar.line1 || webinar.name} (${date})${LIST_SUFFIXES[kind]}`;
+};
+
+const getListField = (kind) => (kind === 'all' ? 'hubSpotListId' : `hubSpotLists.${kind}`);
+
+const getListId = (webinar, kind) => (kind === 'all' ? webinar.hubSpotListId : webinar.hubSpotLists?.[kind]);
+
+const belongsToList = (attendee, kind) => kind === 'all' || attendee.attendanceStatus === kind;
+
+/**
+ * Sync a webinar's seated attendees to HubSpot: one list of all participants and one per attendance status.
+ * Contact IDs are cached on users, so later runs only look up new attendees; list memberships are diffed
+ * against HubSpot and only the changes are sent. Contacts that fail are listed in the run's report and
+ * do not stop the rest of the sync. Lists are saved on the webinar as soon as they exist, so a run that
+ * stops half-way is picked up by the next one.
+ * Returns the HubSpotSyncRun, or null when a sync of this webinar is already running.
+ */
+export const syncWebinarToHubSpot = async (webinarId, { trigger = 'manual', triggeredBy } = {}) => {
+  const now = new Date();
+  await HubSpotSyncRun.updateMany(
+    { webinar: webinarId, status: 'running', startedAt: { $lt: new Date(now.getTime() - STALE_RUN_MS) } },
+    { $set: { status: 'failed', error: 'Interrupted', finishedAt: now } }
+  );
+
+  let run;
+  try {
+    run = await HubSpotSyncRun.create({ webinar: webinarId, trigger, triggeredBy, startedAt: now });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  try {
+    const webinar = await Webinar.findById(webinarId)
+      .populate({ path: 'attendees.user', select: 'firstName lastName email phone hubSpotContactId' });
+    if (!webinar) throw new Error('Webinar not found');
+
+    const seated = webinar.attendees.filter((attendee) => attendee.attendanceStatus !== 'waitlisted' && attendee.user?.email);
+    const users = [...new Map(seated.map((attendee) => [attendee.user._id.toString(), attendee.user])).values()];
+
+    // Contact IDs: cached from earlier runs, otherwise looked up or created
+    const resolved = await resolveUserHubSpotContacts(users);
+    const { contactIds } = resolved;
+
+    const failures = [...resolved.failures];
+    const failedUsers = new Set(failures.map((failure) => failure.user.toString()));
+    const usersByContact = new Map([...contactIds].map(([userId, contactId]) => [contactId, userId]));
+
+    for (const kind of LIST_KINDS) {
+      const desired = [...new Set(seated
+        .filter((attendee) => belongsToList(attendee, kind))
+        .map((attendee) => contactIds.get(attendee.user._id.toString()))
+        .filter(Boolean))];
+
+      let listId = getListId(webinar, kind);
+      // Status lists are only created once someone has that status
+      if (!listId && desired.length === 0) continue;
+      if (!listId) {
+        listId = await findOrCreateHubSpotList(getListName(webinar, kind));
+        await Webinar.updateOne({ _id: webinar._id }, { $set: { [getListField(kind)]: listId } });
+      }
+
+      const current = new Set(await getHubSpotListMemberIds(listId));
+      const desiredSet = new Set(desired);
+      const toAdd = desired.filter((id) => !current.has(id));
+      const toRemove = [...current].filter((id) => !desiredSet.has(id));
+      const { added, removed, missing } = await updateHubSpotListMemberships(listId, toAdd, toRemove);
+
+      // Contacts deleted or merged in HubSpot: forget the cached ID so the next run looks them up again
+      for (const contactId of missing) {
+        const userId = usersByContact.get(contactId);
+        if (!userId || failedUsers.has(userId)) continue;
+        failedUsers.add(userId);
+        const user = users.find((entry) => entry._id.toString() === userId);
+        failures.push({ user: userId, email: user?.email, reason: 'Contact no longer exists in HubSpot; it is looked up again on the next sync' });
+        await User.updateOne({ _id: userId }, { $unset: { hubSpotContactId: '' } });
+      }
+
+      run.lists.push({ kind, listId, members: desired.length - missing.length, added, removed });
+    }
+
+    run.contacts = {
+      total: users.length,
+      cached: resolved.cached,
+      found: contactIds.size - resolved.cached - resolved.created,
+      created: resolved.created,
+      failed: failures.length,
+    };
+    run.failures = failures;
+    run.status = failures.length ? 'partial' : 'completed';
+    await Webinar.updateOne({ _id: webinar._id }, { $set: { hubSpotSyncedAt: new Date() } });
+  } catch (error) {
+    console.error(`[HubSpot Sync] Webinar ${webinarId} failed:`, error.response?.data || error.message);
+    run.status = 'failed';
+    run.error = describeHubSpotError(error);
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  return run;
+};
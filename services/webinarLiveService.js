@@ -0,0 +1,122 @@
+// Real-time channel per webinar over Server-Sent Events.
+// Connected viewers receive chat, pin, clear and CTA changes as they happen; the REST
+// endpoints stay the source of truth. State is per process: with several instances
+// behind a load balancer, viewers of one webinar must be routed to the same instance.
+
+const REPLAY_BUFFER_SIZE = 500; // events kept per webinar for reconnecting clients
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // keeps proxies from closing idle streams
+const PRESENCE_DEBOUNCE_MS = 1000; // batch presence updates when many viewers join at once
+const IDLE_CHANNEL_TTL_MS = 60 * 60 * 1000; // drop history of webinars nobody has watched for an hour
+
+const channels = new Map(); // webinarId -> { clients, buffer, coveredFrom, presenceTimer }
+let lastEventId = 0;
+let heartbeatTimer = null;
+
+// Event ids are millisecond timestamps made strictly increasing, so they keep
+// growing across restarts and double as the "since" cursor
+const nextEventId = () => {
+  lastEventId = Math.max(lastEventId + 1, Date.now());
+  return lastEventId;
+};
+
+const getChannel = (webinarId) => {
+  const key = webinarId.toString();
+  let channel = channels.get(key);
+  if (!channel) {
+    channel = { clients: new Set(), buffer: [], coveredFrom: nextEventId(), presenceTimer: null };
+    channels.set(key, channel);
+  }
+  return channel;
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    for (const [key, channel] of channels) {
+      channel.clients.forEach((client) => client.res.write(': ping\n\n'));
+      const lastActivity = channel.buffer.at(-1)?.id || channel.coveredFrom;
+      if (channel.clients.size === 0 && Date.now() - lastActivity > IDLE_CHANNEL_TTL_MS) {
+        channels.delete(key);
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+};
+
+export const getPresenceCount = (webinarId) => channels.get(webinarId.toString())?.clients.size || 0;
+
+const schedulePresence = (webinarId, channel) => {
+  if (channel.presenceTimer) return;
+  channel.presenceTimer = setTimeout(() => {
+    channel.presenceTimer = null;
+    const data = { count: channel.clients.size };
+    channel.clients.forEach((client) => writeEvent(client.res, { type: 'presence', data }));
+    if (channel.clients.size === 0 && channel.buffer.length === 0) {
+      channels.delete(webinarId.toString());
+    }
+  }, PRESENCE_DEBOUNCE_MS);
+  channel.presenceTimer.unref();
+};
+
+/**
+ * Push an event to everyone watching a webinar and keep it for replay.
+ * Types: chat:message, chat:pin, chat:unpin, chat:clear, chat:hide, chat:unhide, chat:delete,
+ * chat:restriction, chat:slow-mode, question:new, question:upvote, question:update, question:dismiss,
+ * poll:launch, poll:results, poll:close, poll:delete, cta:update
+ */
+export const publishWebinarEvent = (webinarId, type, data) => {
+  const channel = getChannel(webinarId);
+  const event = { id: nextEventId(), type, data };
+
+  channel.buffer.push(event);
+  if (channel.buffer.length > REPLAY_BUFFER_SIZE) {
+    channel.coveredFrom = channel.buffer.shift().id;
+  }
+
+  channel.clients.forEach((client) => writeEvent(client.res, event));
+  return event;
+};
+
+/**
+ * Attach an SSE response to a webinar channel. `since` is the last event id the client saw
+ * (Last-Event-ID header or ?since=). Missed events are replayed; when they are no longer
+ * buffered the client gets a `resync` event and should reload state over REST.
+ */
+export const subscribeToWebinar = (webinarId, req, res, { since = null, userId = null } = {}) => {
+  const channel = getChannel(webinarId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+
+  const sinceId = Number(since);
+  if (since !== null && Number.isFinite(sinceId)) {
+    if (sinceId >= channel.coveredFrom) {
+      channel.buffer.filter((event) => event.id > sinceId).forEach((event) => writeEvent(res, event));
+    } else {
+      writeEvent(res, { id: lastEventId, type: 'resync', data: { reason: 'history-unavailable' } });
+    }
+  }
+  writeEvent(res, { type: 'ready', data: { cursor: lastEventId, count: channel.clients.size + 1 } });
+
+  const client = { res, userId };
+  channel.clients.add(client);
+  startHeartbeat();
+  schedulePresence(webinarId, channel);
+
+  req.on('close', () => {
+    channel.clients.delete(client);
+    schedulePresence(webinarId, channel);
+  });
+};
@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import WebinarPoll from '../models/WebinarPoll.js';
+import PollVote from '../models/PollVote.js';
+import { publishWebinarEvent } from './webinarLiveService.js';
+import {
+  getHubSpotHeaders,
+  resolveUserHubSpotContacts,
+  updateHubSpotContacts,
+} from './hubSpotService.js';
+
+const MAX_OPTIONS = 10;
+const HUBSPOT_PROPERTY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Validate and normalise a poll definition from a request body.
+ * Returns { error } or { poll }.
+ */
+export const normalizePollDefinition = (body) => {
+  const question = typeof body.question === 'string' ? body.question.trim() : '';
+  if (!question) return { error: 'Poll question is required' };
+
+  const { type } = body;
+  if (!['single', 'multiple', 'rating'].includes(type)) {
+    return { error: 'Poll type must be single, multiple or rating' };
+  }
+
+  const poll = { question, type, options: [], ratingMax: 5 };
+
+  if (type === 'rating') {
+    if (body.ratingMax !== undefined && body.ratingMax !== null) {
+      const ratingMax = Number(body.ratingMax);
+      if (!Number.isInteger(ratingMax) || ratingMax < 2 || ratingMax > 10) {
+        return { error: 'ratingMax must be a whole number between 2 and 10' };
+      }
+      poll.ratingMax = ratingMax;
+    }
+  } else {
+    const labels = (Array.isArray(body.options) ? body.options : [])
+      .map((option) => (typeof option === 'string' ? option : option?.label))
+      .map((label) => (typeof label === 'string' ? label.trim() : ''));
+    if (labels.some((label) => !label)) return { error: 'Every option needs a label' };
+    if (labels.length < 2 || labels.length > MAX_OPTIONS) {
+      return { error: `Choice polls need between 2 and ${MAX_OPTIONS} options` };
+    }
+    poll.options = labels.map((label) => ({ label }));
+  }
+
+  const property = typeof body.hubSpotProperty === 'string' ? body.hubSpotProperty.trim() : '';
+  if (property && !HUBSPOT_PROPERTY_PATTERN.test(property)) {
+    return { error: 'hubSpotProperty must be a HubSpot internal property name (lowercase letters, digits, underscores)' };
+  }
+  poll.hubSpotProperty = property || undefined;
+
+  return { poll };
+};
+
+/**
+ * Validate a vote for a poll. Returns { error } or { vote: { optionIndices } | { rating } }.
+ */
+export const parsePollVote = (poll, body) => {
+  if (poll.type === 'rating') {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > poll.ratingMax) {
+      return { error: `Rating must be a whole number between 1 and ${poll.ratingMax}` };
+    }
+    return { vote: { rating } };
+  }
+
+  const raw = Array.isArray(body.optionIndices) ? body.optionIndices : [body.optionIndex ?? body.optionIndices];
+  const optionIndices = [...new Set(raw.map(Number))].sort((a, b) => a - b);
+  if (
+    optionIndices.length === 0 ||
+    optionIndices.some((index) => !Number.isInteger(index) || index < 0 || index >= poll.options.length)
+  ) {
+    return { error: 'Choose a valid option' };
+  }
+  if (poll.type === 'single' && optionIndices.length !== 1) {
+    return { error: 'Choose exactly one option' };
+  }
+  return { vote: { optionIndices } };
+};
+
+/**
+ * Aggregated results of a poll
+ * Choice polls: votes per option. Rating polls: votes per score and the average.
+ */
+export const getPollResults = async (poll) => {
+  const pollId = new mongoose.Types.ObjectId(String(poll._id));
+  const totalVotes = await PollVote.countDocuments({ poll: pollId });
+
+  if (poll.type === 'rating') {
+    const rows = await PollVote.aggregate([
+      { $match: { poll: pollId } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]);
+    const distribution = Array.from({ length: poll.ratingMax }, (_, i) => ({
+      rating: i + 1,
+      count: rows.find((row) => row._id === i + 1)?.count || 0,
+    }));
+    const sum = distribution.reduce((total, row) => total + row.rating * row.count, 0);
+    return {
+      totalVotes,
+      average: totalVotes ? Math.round((sum / totalVotes) * 100) / 100 : null,
+      distribution,
+    };
+  }
+
+  const rows = await PollVote.aggregate([
+    { $match: { poll: pollId } },
+    { $unwind: '$optionIndices' },
+    { $group: { _id: '$optionIndices', count: { $sum: 1 } } },
+  ]);
+  return {
+    totalVotes,
+    options: poll.options.map((option, index) => {
+      const count = rows.find((row) => row._id === index)?.count || 0;
+      return {
+        index,
+        label: option.label,
+        count,
+        percentage: totalVotes ? Math.round((count / totalVotes) * 1000) / 10 : 0,
+      };
+    }),
+  };
+};
+
+/**
+ * A voter's answer as text (option labels are joined with ";" like HubSpot multi-select values)
+ */
+export const formatPollAnswer = (poll, vote) => {
+  if (poll.type === 'rating') return String(vote.rating);
+  return (vote.optionIndices || [])
+    .map((index) => poll.options[index]?.label)
+    .filter(Boolean)
+    .join(';');
+};
+
+/**
+ * Close every live poll of a webinar (used when the webinar ends)
+ */
+export const closeLivePolls = async (webinarId) => {
+  const polls = await WebinarPoll.find({ webinar: webinarId, status: 'live' });
+  for (const poll of polls) {
+    poll.status = 'closed';
+    poll.closedAt = new Date();
+    await poll.save();
+    publishWebinarEvent(webinarId, 'poll:close', { _id: poll._id, results: await getPollResults(poll) });
+  }
+  return polls.length;
+};
+
+/**
+ * Write each voter's answers to the polls' HubSpot contact properties.
+ * Only polls with `hubSpotProperty` that have been launched are pushed; each poll records its own outcome.
+ * Returns a summary per poll.
+ */
+export const pushPollResultsToHubSpot = async (webinarId) => {
+  if (!getHubSpotHeaders()) {
+    throw new Error('HubSpot API key not configured');
+  }
+
+  const polls = await WebinarPoll.find({
+    webinar: webinarId,
+    status: { $in: ['live', 'closed'] },
+    hubSpotProperty: { $nin: [null, ''] },
+  });
+  const summary = [];
+
+  const votesByPoll = new Map();
+  for (const poll of polls) {
+    votesByPoll.set(poll._id.toString(), await PollVote.find({ poll: poll._id })
+      .populate('user', 'firstName lastName email phone hubSpotContactId')
+      .lean());
+  }
+
+  // One batch lookup for every voter (cached IDs first), instead of a round trip per voter
+  const voters = new Map();
+  votesByPoll.forEach((votes) => votes.forEach((vote) => {
+    if (vote.user?.email) voters.set(vote.user._id.toString(), vote.user);
+  }));
+  let contactIds = new Map();
+  let lookupError = null;
+  if (voters.size > 0) {
+    try {
+      const resolved = await resolveUserHubSpotContacts([...voters.values()]);
+      contactIds = resolved.contactIds;
+      resolved.failures.forEach((failure) => {
+        console.error(`[Poll HubSpot] No contact for ${failure.email}: ${failure.reason}`);
+      });
+    } catch (error) {
+      lookupError = error;
+    }
+  }
+
+  for (const poll of polls) {
+    try {
+      if (lookupError) throw lookupError;
+      const votes = votesByPoll.get(poll._id.toString());
+
+      const propertiesByContact = new Map();
+      for (const vote of votes) {
+        const contactId = vote.user && contactIds.get(vote.user._id.toString());
+        if (!contactId) continue;
+        propertiesByContact.set(contactId, formatPollAnswer(poll, vote));
+      }
+
+      await updateHubSpotContacts(
+        [...propertiesByContact].map(([id, value]) => ({ id, properties: { [poll.hubSpotProperty]: value } }))
+      );
+
+      poll.hubSpotSync = { status: 'completed', syncedAt: new Date(), contacts: propertiesByContact.size };
+      summary.push({ poll: poll._id, property: poll.hubSpotProperty, contacts: propertiesByContact.size });
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      poll.hubSpotSync = { status: 'failed', syncedAt: new Date(), contacts: 0, error: message };
+      summary.push({ poll: poll._id, property: poll.hubSpotProperty, error: message });
+    }
+    await poll.save();
+  }
+
+  return summary;
+};
@@ -1,134 +1,175 @@
 import cron from 'node-cron';
 import Webinar from '../models/Webinar.js';
+import ReminderDelivery from '../models/ReminderDelivery.js';
 import sendEmail from '../utils/sendEmail.js';
+import { buildWebinarEmailData } from './webinarEmailService.js';
+
+const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+// A delivery still `sending` after this long belongs to a run that died mid-send
+const STALE_SENDING_MS = 10 * MINUTE_MS;
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+// Overdue reminders (e.g. after downtime) are still sent this long after they were due
+const getGraceMinutes = () => Number(process.env.REMINDER_GRACE_MINUTES) || 60;
 
 /**
- * Send reminder emails to all registered attendees for a webinar
+ * Validate a reminder schedule from a request body: offsets in minutes before start (0 = "we're live").
+ * Accepts numbers or { offsetMinutes }. Returns { error } or { schedule } sorted from earliest to latest reminder.
  */
-export const sendWebinarReminder = async (webinar) => {
-  try {
-    // Skip if reminder already sent
-    if (webinar.reminderEmailSent) {
-      console.log(`Reminder already sent for webinar ${webinar._id} (${webinar.name})`);
-      return;
-    }
+export const normalizeReminderSchedule = (value) => {
+  if (!Array.isArray(value)) return { error: 'reminderSchedule must be an array' };
 
-    // Populate attendees with user details
-    await webinar.populate({
-      path: 'attendees.user',
-      select: 'firstName lastName email'
-    });
+  const offsets = value.map((stage) => Number(typeof stage === 'object' && stage !== null ? stage.offsetMinutes : stage));
+  if (offsets.some((offset) => !Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET_MINUTES)) {
+    return { error: `Reminder offsets must be whole minutes between 0 and ${MAX_OFFSET_MINUTES}` };
+  }
+  if (new Set(offsets).size !== offsets.length) {
+    return { error: 'Reminder offsets must be unique' };
+  }
+  return { schedule: offsets.sort((a, b) => b - a).map((offsetMinutes) => ({ offsetMinutes })) };
+};
 
-    // Check if webinar has any attendees
-    if (!webinar.attendees || webinar.attendees.length === 0) {
-      console.log(`No attendees found for webinar ${webinar._id} (${webinar.name})`);
-      return;
-    }
+// "2 days", "1 hour", "15 minutes"
+const describeMinutes = (minutes) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (minutes >= 24 * 60 && minutes % (24 * 60) === 0) return plural(minutes / (24 * 60), 'day');
+  if (minutes >= 60 && minutes % 60 === 0) return plural(minutes / 60, 'hour');
+  return plural(minutes, 'minute');
+};
 
-    // Format date and time in EST timezone
-    const datePart = webinar.date.toLocaleDateString('en-US', { 
-      timeZone: 'America/New_York',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-    const timePart = webinar.date.toLocaleTimeString('en-US', {
-      timeZone: 'America/New_York',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
+const getReminderSubject = (webinar, offsetMinutes, now) => {
+  if (offsetMinutes === 0) return "Royal Vault Portal - We're live now";
+  // Use the real time left so late (catch-up) reminders stay accurate
+  const minutesLeft = Math.max(1, Math.round((new Date(webinar.date) - now) / MINUTE_MS));
+  return `Royal Vault Portal - Webinar starts in ${describeMinutes(minutesLeft)}`;
+};
 
-    const userUrl = `${process.env.CLIENT_URL}/royal-tv/${webinar.slug}/user?is_user=true`;
-    const templateId = process.env.WEBINAR_REMINDER_TEMPLATE_ID;
+const getTemplateId = (offsetMinutes) =>
+  (offsetMinutes === 0 && process.env.WEBINAR_LIVE_TEMPLATE_ID) || process.env.WEBINAR_REMINDER_TEMPLATE_ID;
 
-    if (!templateId) {
-      console.error('WEBINAR_REMINDER_TEMPLATE_ID is not configured in environment variables');
-      return;
-    }
+/**
+ * The stage that should go out now, or null.
+ * Only the most recent due stage is sent (an overdue 1h reminder is dropped once the 15m one is due),
+ * and only within the grace period. Pre-start reminders are never sent after the start time.
+ */
+export const getDueStage = (webinar, now = new Date(), graceMinutes = getGraceMinutes()) => {
+  const start = new Date(webinar.date).getTime();
+  const due = (webinar.reminderSchedule || [])
+    .map((stage) => stage.offsetMinutes)
+    .filter((offset) => now.getTime() >= start - offset * MINUTE_MS)
+    .sort((a, b) => a - b);
+  if (due.length === 0) return null;
+
+  const offset = due[0];
+  const dueAt = start - offset * MINUTE_MS;
+  if (now.getTime() > dueAt + graceMinutes * MINUTE_MS) return null;
+  if (offset > 0 && now.getTime() >= start) return null;
+  if (offset === 0 && webinar.status === 'Ended') return null;
+  return offset;
+};
 
-    // Send email to each attendee
-    const emailPromises = webinar.attendees.map(async (attendee) => {
-      const user = attendee.user;
-      
-      // Skip if user is not populated or doesn't have email
-      if (!user || !user.email) {
-        console.warn(`Skipping attendee without email for webinar ${webinar._id}`);
-        return;
-      }
+/**
+ * Claim the delivery of a stage to one attendee, or return null when someone else has it.
+ * The unique index rejects a second claim; a claim that failed, or was left `sending` by a run that
+ * died, is taken over atomically so the attendee is retried by later runs (within the grace period).
+ */
+const claimDelivery = async (key) => {
+  try {
+    return await ReminderDelivery.create(key);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
 
-      const data = {
-        firstName: user.firstName,
-        lastName: user.lastName,
-        link: userUrl,
-        subject: "Royal Vault Portal - Webinar Reminder",
-        date: datePart,
-        time: timePart + " EST",
-        webinarName: webinar.line1 || webinar.name,
-        description: webinar.line1 || webinar.name,
-      };
+  return ReminderDelivery.findOneAndUpdate(
+    {
+      ...key,
+      attempts: { $not: { $gte: MAX_DELIVERY_ATTEMPTS } }, // also matches claims made before attempts were counted
+      $or: [
+        { status: 'failed' },
+        { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      ],
+    },
+    { $set: { status: 'sending' }, $unset: { error: '' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
 
-      try {
-        await sendEmail(user.email, data, templateId);
-        console.log(`✓ Reminder email sent to ${user.email} for webinar: ${webinar.name}`);
-      } catch (error) {
-        console.error(`✗ Failed to send reminder to ${user.email} for webinar ${webinar.name}:`, error.message);
+/**
+ * Email one reminder stage to every attendee with a seat who has not received it yet.
+ * `force` (admin test) sends again regardless of earlier deliveries and does not record them.
+ * Returns { sent, failed, skipped }.
+ */
+export const sendWebinarReminder = async (webinar, offsetMinutes, { force = false, now = new Date() } = {}) => {
+  const result = { sent: 0, failed: 0, skipped: 0 };
+
+  const templateId = getTemplateId(offsetMinutes);
+  if (!templateId) {
+    console.error('WEBINAR_REMINDER_TEMPLATE_ID is not configured in environment variables');
+    return result;
+  }
+
+  await webinar.populate({ path: 'attendees.user', select: 'firstName lastName email timezone' });
+  const recipients = webinar.attendees
+    .filter((attendee) => attendee.attendanceStatus !== 'waitlisted' && attendee.user?.email)
+    .map((attendee) => attendee.user);
+
+  const subject = getReminderSubject(webinar, offsetMinutes, now);
+  for (const user of recipients) {
+    let delivery = null;
+    if (!force) {
+      // Claim the delivery first so nobody who already got (or is getting) this stage gets it twice
+      delivery = await claimDelivery({ webinar: webinar._id, user: user._id, channel: 'email', stage: offsetMinutes });
+      if (!delivery) {
+        result.skipped++;
+        continue;
       }
-    });
+    }
 
-    await Promise.all(emailPromises);
-    
-    // Mark reminder as sent in database
-    webinar.reminderEmailSent = true;
-    webinar.reminderEmailSentAt = new Date();
-    await webinar.save();
-    
-    console.log(`✓ Reminder emails processed for webinar: ${webinar.name} (${webinar.attendees.length} attendees)`);
-  } catch (error) {
-    console.error(`Error sending webinar reminders for ${webinar._id}:`, error);
+    const ok = await sendEmail(user.email, buildWebinarEmailData(webinar, user, subject), templateId);
+    if (ok) result.sent++;
+    else result.failed++;
+
+    if (delivery) {
+      delivery.status = ok ? 'sent' : 'failed';
+      delivery.sentAt = ok ? new Date() : undefined;
+      delivery.error = ok ? undefined : 'SendGrid rejected the email';
+      await delivery.save();
+    }
+  }
+
+  if (result.sent || result.failed) {
+    console.log(`✓ Reminder (${describeMinutes(offsetMinutes)} stage) for webinar ${webinar.name}: ${result.sent} sent, ${result.failed} failed`);
   }
+  return result;
 };
 
 /**
- * Check for webinars that need reminders sent (15 minutes before start time)
+ * Send every reminder that is due (or overdue within the grace period)
  */
 export const checkAndSendReminders = async () => {
   try {
     const now = new Date();
-    const reminderTime = new Date(now.getTime() + 15 * 60 * 1000); // 15 minutes from now
-    
-    // Find webinars that start within a 2-minute window (14-16 minutes from now)
-    // This accounts for cron running every minute and ensures we catch all webinars
-    const startTime = new Date(reminderTime.getTime() - 60 * 1000); // 14 minutes from now
-    const endTime = new Date(reminderTime.getTime() + 60 * 1000);   // 16 minutes from now
-
-    // Query for webinars that:
-    // 1. Have status "Scheduled" 
-    // 2. Have attendees
-    // 3. Haven't had reminder sent yet
-    // 4. Start between startTime and endTime (approximately 15 minutes from now)
+    const graceMinutes = getGraceMinutes();
+
+    // Anything that starts within the longest possible offset, or started within the grace period ("we're live")
     const webinars = await Webinar.find({
-      status: 'Scheduled',
+      status: { $in: ['Scheduled', 'Waiting', 'In Progress'] },
       date: {
-        $gte: startTime,
-        $lte: endTime
+        $gte: new Date(now.getTime() - graceMinutes * MINUTE_MS),
+        $lte: new Date(now.getTime() + MAX_OFFSET_MINUTES * MINUTE_MS)
       },
-      reminderEmailSent: false,
       'attendees.0': { $exists: true } // Has at least one attendee
-    }).populate({
-      path: 'attendees.user',
-      select: 'firstName lastName email'
     });
 
-    if (webinars.length === 0) {
-      return; // Silently return if no webinars need reminders
-    }
-
-    console.log(`\n[Webinar Reminder] Found ${webinars.length} webinar(s) needing reminders at ${now.toISOString()}`);
-
-    // Send reminders for each webinar
     for (const webinar of webinars) {
-      await sendWebinarReminder(webinar);
+      const stage = getDueStage(webinar, now, graceMinutes);
+      if (stage === null) continue;
+      try {
+        await sendWebinarReminder(webinar, stage, { now });
+      } catch (error) {
+        console.error(`[Webinar Reminder] Error sending reminders for ${webinar._id}:`, error);
+      }
     }
   } catch (error) {
     console.error('[Webinar Reminder] Error checking webinar reminders:', error);
@@ -139,11 +180,19 @@ export const checkAndSendReminders = async () => {
  * Initialize the cron job to check for reminders every minute
  */
 export const startWebinarReminderCron = () => {
+  let running = false;
   // Run every minute: '*/1 * * * *'
   // Cron format: minute hour day month weekday
   cron.schedule('*/1 * * * *', async () => {
-    await checkAndSendReminders();
+    // A long send can overlap the next tick; deliveries are claimed, but there is no need to run twice
+    if (running) return;
+    running = true;
+    try {
+      await checkAndSendReminders();
+    } finally {
+      running = false;
+    }
   });
 
-  console.log('✓ Webinar reminder cron job started - checking every minute for webinars 15 minutes before start time');
+  console.log('✓ Webinar reminder cron job started - checking every minute for due reminder stages');
 };
@@ -0,0 +1,212 @@
+import cron from 'node-cron';
+import Webinar from '../models/Webinar.js';
+import WebinarSeries from '../models/WebinarSeries.js';
+import { parseRRule, expandRRule } from '../utils/rrule.js';
+import { getZonedParts } from '../utils/timezone.js';
+import { registerOrWaitlist, promoteFromWaitlist } from './webinarWaitlistService.js';
+import { notifyWebinarCancelled } from './webinarCalendarService.js';
+
+// Occurrences are generated this far ahead; the daily cron keeps extending the window
+const SERIES_HORIZON_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields copied from the series template onto each occurrence
+export const SERIES_TEMPLATE_FIELDS = [
+  'streamType', 'line1', 'line2', 'line3', 'displayComments', 'portalDisplay', 'guestChat',
+  'calInvDesc', 'reminderSms', 'reminderSmsTime', 'proSmsList', 'proSms', 'proSmsTime', 'capacity', 'waitlist', 'reminderSchedule', 'ctas',
+];
+
+/**
+ * Template fields present in a request body
+ */
+export const pickTemplateFields = (body) => {
+  const fields = {};
+  SERIES_TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+const occurrenceSlug = (series, date) => {
+  const { year, month, day } = getZonedParts(date, series.timezone);
+  return `${series.slug}-${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Start instants of the series' occurrences between `from` and `to`, without excluded dates
+ */
+export const getSeriesOccurrenceDates = (series, { from = new Date(), to } = {}) => {
+  const rule = parseRRule(series.recurrence);
+  return expandRRule(rule, series.startDate, series.timezone, { from, to })
+    .filter((date) => !(series.excludedDates || []).some((excluded) => sameInstant(excluded, date)));
+};
+
+/**
+ * Create the missing upcoming occurrences of a series and register the series registrants on them.
+ * Returns the created webinars.
+ */
+export const generateSeriesOccurrences = async (series) => {
+  if (series.status !== 'active') return [];
+
+  const horizon = new Date(Date.now() + SERIES_HORIZON_DAYS * DAY_MS);
+  const dates = getSeriesOccurrenceDates(series, { from: new Date(), to: horizon });
+  const existing = await Webinar.find({ series: series._id }).select('seriesOccurrenceDate').lean();
+  const { template } = series.toObject();
+
+  const created = [];
+  for (const date of dates) {
+    if (existing.some((webinar) => sameInstant(webinar.seriesOccurrenceDate, date))) continue;
+
+    let slug = occurrenceSlug(series, date);
+    if (await Webinar.exists({ slug })) {
+      slug = `${slug}-${date.getTime().toString(36)}`;
+    }
+
+    const webinar = await Webinar.create({
+      ...template,
+      ctas: (template.ctas || []).map(({ label, link }) => ({ label, link })),
+      name: series.name,
+      slug,
+      date,
+      series: series._id,
+      seriesOccurrenceDate: date,
+      createdBy: series.createdBy,
+    });
+    for (const userId of series.registrants || []) {
+      await registerOrWaitlist(webinar._id, userId);
+    }
+    created.push(webinar);
+  }
+
+  series.generatedUntil = horizon;
+  await series.save();
+  return created;
+};
+
+/**
+ * Upcoming occurrences that have not started yet
+ */
+export const getFutureOccurrences = (seriesId, from = new Date()) =>
+  Webinar.find({ series: seriesId, status: 'Scheduled', seriesOccurrenceDate: { $gte: from } })
+    .sort({ seriesOccurrenceDate: 1 });
+
+/**
+ * After the schedule changed: drop upcoming occurrences the rule no longer produces, then fill in the new ones.
+ * Returns { removed, created }.
+ */
+export const rescheduleSeries = async (series) => {
+  const horizon = new Date(Date.now() + SERIES_HORIZON_DAYS * DAY_MS);
+  const dates = series.status === 'active' ? getSeriesOccurrenceDates(series, { to: horizon }) : [];
+
+  const stale = (await getFutureOccurrences(series._id))
+    .filter((webinar) => !dates.some((date) => sameInstant(date, webinar.seriesOccurrenceDate)));
+  if (stale.length) {
+    await Webinar.deleteMany({ _id: { $in: stale.map((webinar) => webinar._id) } });
+    for (const webinar of stale) {
+      await notifyWebinarCancelled(webinar);
+    }
+  }
+
+  const created = await generateSeriesOccurrences(series);
+  return { removed: stale.length, created: created.length };
+};
+
+/**
+ * Copy template changes onto the series' upcoming occurrences starting at `from`.
+ * Returns the number of occurrences updated.
+ */
+export const applyTemplateToOccurrences = async (series, fields, from = new Date()) => {
+  if (!Object.keys(fields).length) return 0;
+  const update = { ...fields };
+  if (update.ctas) {
+    update.ctas = update.ctas.map(({ label, link }) => ({ label, link }));
+  }
+  const occurrences = await getFutureOccurrences(series._id, from).select('_id');
+  if (!occurrences.length) return 0;
+
+  await Webinar.updateMany(
+    { _id: { $in: occurrences.map((webinar) => webinar._id) } },
+    { $set: update },
+    { runValidators: true }
+  );
+
+  // A higher capacity frees seats for waitlisted users
+  if (fields.capacity !== undefined || fields.waitlist !== undefined) {
+    for (const webinar of occurrences) {
+      await promoteFromWaitlist(webinar._id);
+    }
+  }
+  return occurrences.length;
+};
+
+/**
+ * Register a user for every upcoming occurrence (and those generated later).
+ * Returns { summary: { registered, waitlisted, alreadyRegistered, full }, registeredWebinars }.
+ */
+export const registerUserForSeries = async (series, userId) => {
+  await WebinarSeries.updateOne({ _id: series._id }, { $addToSet: { registrants: userId } });
+
+  const summary = { registered: 0, waitlisted: 0, alreadyRegistered: 0, full: 0 };
+  const registeredWebinars = [];
+  for (const webinar of await getFutureOccurrences(series._id)) {
+    const { status } = await registerOrWaitlist(webinar._id, userId);
+    if (status === 'registered') {
+      summary.registered++;
+      registeredWebinars.push(webinar);
+    } else if (status === 'waitlisted') summary.waitlisted++;
+    else if (status === 'already-registered') summary.alreadyRegistered++;
+    else if (status === 'full') summary.full++;
+  }
+  return { summary, registeredWebinars };
+};
+
+/**
+ * Remove a user from the series and from all upcoming occurrences.
+ * Returns { removed, seatedWebinars } - the occurrences where the user had a seat (for calendar cancellations).
+ */
+export const unregisterUserFromSeries = async (series, userId) => {
+  await WebinarSeries.updateOne({ _id: series._id }, { $pull: { registrants: userId } });
+
+  let removed = 0;
+  const seatedWebinars = [];
+  for (const webinar of await getFutureOccurrences(series._id)) {
+    const attendee = webinar.attendees.find((a) => a.user.toString() === userId.toString());
+    if (!attendee) continue;
+
+    await Webinar.updateOne({ _id: webinar._id }, { $pull: { attendees: { user: userId } } });
+    removed++;
+    if (attendee.attendanceStatus !== 'waitlisted') {
+      seatedWebinars.push(webinar);
+      await promoteFromWaitlist(webinar._id);
+    }
+  }
+  return { removed, seatedWebinars };
+};
+
+/**
+ * Extend every active series up to the generation horizon
+ */
+export const generateAllSeriesOccurrences = async () => {
+  const seriesList = await WebinarSeries.find({ status: 'active' });
+  for (const series of seriesList) {
+    try {
+      const created = await generateSeriesOccurrences(series);
+      if (created.length) {
+        console.log(`[Webinar Series] Created ${created.length} occurrence(s) for ${series.name}`);
+      }
+    } catch (error) {
+      console.error(`[Webinar Series] Error generating occurrences for ${series._id}:`, error.message);
+    }
+  }
+};
+
+export const startWebinarSeriesCron = () => {
+  // Daily at 03:00 server time
+  cron.schedule('0 3 * * *', async () => {
+    await generateAllSeriesOccurrences();
+  });
+
+  console.log('✓ Webinar series cron job started - generating upcoming occurrences daily');
+};
@@ -0,0 +1,171 @@
+import cron from 'node-cron';
+import Webinar from '../models/Webinar.js';
+import SmsMessage from '../models/SmsMessage.js';
+import { queueSms, processQueuedSms } from './smsService.js';
+import { getSmsProvider } from './smsProviders.js';
+import { getHubSpotListContacts } from './hubSpotService.js';
+import { buildWebinarEmailData, getRecipientTimeZone } from './webinarEmailService.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+const OPT_OUT_NOTICE = 'Reply STOP to opt out.';
+
+/**
+ * Fill placeholders in an SMS text: {{firstName}}, {{lastName}}, {{webinarName}}, {{date}}, {{time}}, {{link}}.
+ * Date and time are in the recipient's timezone.
+ */
+export const renderWebinarSms = (text, webinar, recipient) => {
+  const data = buildWebinarEmailData(webinar, recipient, '');
+  const values = {
+    firstName: data.firstName || '',
+    lastName: data.lastName || '',
+    webinarName: webinar.name,
+    date: data.date,
+    time: data.time,
+    link: data.link,
+  };
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => (key in values ? values[key] : placeholder)).trim();
+};
+
+/**
+ * Text `reminderSms` to every seated attendee with a valid phone number (once per number)
+ */
+export const sendWebinarReminderSms = async (webinar) => {
+  await webinar.populate({ path: 'attendees.user', select: 'firstName lastName phone timezone' });
+
+  // Numbers already texted on an earlier run
+  const texted = new Set(await SmsMessage.distinct('to', { webinar: webinar._id, purpose: 'reminder' }));
+
+  const result = { queued: 0, skipped: 0 };
+  for (const attendee of webinar.attendees) {
+    if (attendee.attendanceStatus === 'waitlisted' || !attendee.user) continue;
+    const to = normalizePhoneNumber(attendee.user.phone);
+    if (!to || texted.has(to)) continue;
+    texted.add(to);
+
+    const message = await queueSms({
+      to,
+      body: renderWebinarSms(webinar.reminderSms, webinar, attendee.user),
+      purpose: 'reminder',
+      webinar: webinar._id,
+      user: attendee.user._id,
+      timezone: getRecipientTimeZone(attendee.user),
+      expiresAt: webinar.date,
+      dedupeKey: `${webinar._id}:reminder:${to}`,
+    });
+    if (message) result.queued++;
+    else result.skipped++;
+  }
+  return result;
+};
+
+/**
+ * Text `proSms` to the contacts of the HubSpot list `proSmsList` (once per webinar)
+ */
+export const sendWebinarPromotionalSms = async (webinar) => {
+  const contacts = await getHubSpotListContacts(webinar.proSmsList, ['firstname', 'lastname', 'phone', 'mobilephone']);
+  const body = /\bSTOP\b/i.test(webinar.proSms) ? webinar.proSms : `${webinar.proSms.trim()} ${OPT_OUT_NOTICE}`;
+
+  const result = { queued: 0, skipped: 0 };
+  for (const contact of contacts) {
+    const to = normalizePhoneNumber(contact.properties?.mobilephone || contact.properties?.phone);
+    if (!to) {
+      result.skipped++;
+      continue;
+    }
+    const recipient = { firstName: contact.properties.firstname, lastName: contact.properties.lastname };
+
+    const message = await queueSms({
+      to,
+      body: renderWebinarSms(body, webinar, recipient),
+      purpose: 'promotional',
+      webinar: webinar._id,
+      timezone: getRecipientTimeZone(recipient),
+      expiresAt: webinar.date,
+      dedupeKey: `${webinar._id}:promotional:${to}`,
+    });
+    if (message) result.queued++;
+    else result.skipped++;
+  }
+  return result;
+};
+
+/**
+ * Send reminder texts that are due (reminderSmsTime minutes before start, until the start)
+ * and promotional texts (proSmsTime minutes before start, once).
+ */
+export const checkAndSendWebinarSms = async (now = new Date()) => {
+  try {
+    const webinars = await Webinar.find({
+      status: { $in: ['Scheduled', 'Waiting'] },
+      date: { $gt: now, $lte: new Date(now.getTime() + MAX_LEAD_MINUTES * MINUTE_MS) },
+      $or: [
+        { reminderSms: { $nin: [null, ''] } },
+        { proSms: { $nin: [null, ''] }, proSmsList: { $nin: [null, ''] }, proSmsSentAt: null },
+      ],
+    });
+
+    for (const webinar of webinars) {
+      const start = webinar.date.getTime();
+
+      try {
+        if (webinar.reminderSms && now.getTime() >= start - webinar.reminderSmsTime * MINUTE_MS) {
+          // Registrations after the first run still get the text; earlier recipients are deduplicated
+          await sendWebinarReminderSms(webinar);
+        }
+
+        if (webinar.proSms && webinar.proSmsList && !webinar.proSmsSentAt &&
+          now.getTime() >= start - webinar.proSmsTime * MINUTE_MS) {
+          // Claim the campaign so a second instance does not pull the list as well
+          const claim = await Webinar.updateOne({ _id: webinar._id, proSmsSentAt: null }, { $set: { proSmsSentAt: now } });
+          if (claim.modifiedCount === 1) {
+            const { queued, skipped } = await sendWebinarPromotionalSms(webinar);
+            console.log(`✓ Promotional SMS for webinar ${webinar.name}: ${queued} queued, ${skipped} skipped`);
+          }
+        }
+      } catch (error) {
+        console.error(`[Webinar SMS] Error sending texts for ${webinar._id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('[Webinar SMS] Error checking webinar texts:', error);
+  }
+};
+
+/**
+ * Sent/failed/skipped counts per purpose for a webinar
+ */
+export const getWebinarSmsSummary = async (webinarId) => {
+  const counts = await SmsMessage.aggregate([
+    { $match: { webinar: webinarId } },
+    { $group: { _id: { purpose: '$purpose', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+  const summary = {};
+  counts.forEach(({ _id, count }) => {
+    summary[_id.purpose] = summary[_id.purpose] || {};
+    summary[_id.purpose][_id.status] = count;
+  });
+  return summary;
+};
+
+/**
+ * Initialize the cron job that sends webinar texts and works through the SMS queue every minute
+ */
+export const startWebinarSmsCron = () => {
+  let running = false;
+  cron.schedule('*/1 * * * *', async () => {
+    if (running || !getSmsProvider()) return;
+    running = true;
+    try {
+      await processQueuedSms();
+      await checkAndSendWebinarSms();
+    } catch (error) {
+      console.error('[Webinar SMS] Cron run failed:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✓ Webinar SMS cron job started - checking every minute for reminder and promotional texts');
+};
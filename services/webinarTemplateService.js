@@ -0,0 +1,96 @@
+import { validateSchema } from '../utils/schema.js';
+import { normalizeReminderSchedule } from './webinarReminderService.js';
+
+const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+const YES_NO = ['Yes', 'No'];
+
+// Configuration copied by templates and "duplicate webinar" (never attendees, chat, recordings or history)
+export const WEBINAR_CONFIG_FIELDS = [
+  'streamType', 'line1', 'line2', 'line3', 'displayComments', 'portalDisplay', 'guestChat', 'chatSlowModeSeconds',
+  'calInvDesc', 'proWorkId', 'reminderSms', 'reminderSmsTime', 'proSmsList', 'proSms', 'proSmsTime', 'attendOverwrite',
+  'durationMinutes', 'capacity', 'waitlist', 'reminderSchedule', 'ctas',
+];
+
+const CONFIG_SCHEMA = {
+  streamType: { type: 'string', required: true, enum: ['Live Call', 'Webinar'] },
+  line1: { type: 'string', required: true, maxLength: 500 },
+  line2: { type: 'string', maxLength: 500 },
+  line3: { type: 'string', maxLength: 500 },
+  displayComments: { type: 'string', enum: YES_NO },
+  portalDisplay: { type: 'string', enum: YES_NO },
+  guestChat: { type: 'string', enum: YES_NO },
+  chatSlowModeSeconds: { type: 'number', integer: true, min: 0, max: 3600 },
+  calInvDesc: { type: 'string', maxLength: 5000 },
+  proWorkId: { type: 'string' },
+  reminderSms: { type: 'string', maxLength: 1600 },
+  reminderSmsTime: { type: 'number', integer: true, min: 1, max: MAX_OFFSET_MINUTES },
+  proSmsList: { type: 'string' },
+  proSms: { type: 'string', maxLength: 1600 },
+  proSmsTime: { type: 'number', integer: true, min: 1, max: MAX_OFFSET_MINUTES },
+  attendOverwrite: { type: 'number', integer: true, min: 0 },
+  durationMinutes: { type: 'number', integer: true, min: 1, max: 24 * 60 },
+  capacity: { type: 'number', integer: true, min: 1, nullable: true },
+  waitlist: { type: 'string', enum: YES_NO },
+  reminderSchedule: {
+    type: 'array',
+    custom: (value) => {
+      const { error, schedule } = normalizeReminderSchedule(value);
+      return error ? { error } : { value: schedule };
+    },
+  },
+  ctas: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        label: { type: 'string', required: true, maxLength: 100 },
+        link: { type: 'string', required: true, maxLength: 2000 },
+      },
+    },
+  },
+};
+
+// Body of createWebinar and "duplicate webinar"
+const WEBINAR_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  slug: {
+    type: 'string',
+    required: true,
+    maxLength: 200,
+    pattern: /^[A-Za-z0-9_-]+$/,
+    patternMessage: 'slug may only contain letters, numbers, dashes and underscores',
+  },
+  date: { type: 'date', required: true },
+  status: { type: 'string', enum: ['Scheduled', 'Waiting', 'In Progress', 'Ended'] },
+  rawRecordingId: { type: 'string' },
+  dailyRoomName: { type: 'string' },
+  ...CONFIG_SCHEMA,
+};
+
+// Templates may leave any configuration field empty
+const TEMPLATE_SCHEMA = {
+  name: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', maxLength: 1000 },
+  ...Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([field, rule]) => [field, { ...rule, required: false }])),
+};
+
+/**
+ * Configuration fields of a webinar or template that have a value
+ */
+export const pickWebinarConfig = (source) => {
+  const config = {};
+  WEBINAR_CONFIG_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) config[field] = source[field];
+  });
+  return config;
+};
+
+/**
+ * Validate a new webinar. Returns { value, errors } (see validateSchema).
+ */
+export const validateWebinarBody = (body) => validateSchema(body, WEBINAR_SCHEMA);
+
+/**
+ * Validate a template; `partial` for updates. Returns { value, errors }.
+ */
+export const validateTemplateBody = (body, { partial = false } = {}) => validateSchema(body, TEMPLATE_SCHEMA, { partial });
@@ -0,0 +1,174 @@
+import Webinar from '../models/Webinar.js';
+import sendEmail from '../utils/sendEmail.js';
+import { buildWebinarEmailData } from './webinarEmailService.js';
+import { buildInviteAttachment } from './webinarCalendarService.js';
+
+/**
+ * Seats are taken by every attendee who is not on the waitlist.
+ * Webinars without a capacity never fill up.
+ */
+export const countTakenSeats = (webinar) =>
+  (webinar.attendees || []).filter((attendee) => attendee.attendanceStatus !== 'waitlisted').length;
+
+export const isFull = (webinar) =>
+  webinar.capacity !== null && webinar.capacity !== undefined && countTakenSeats(webinar) >= webinar.capacity;
+
+export const getWaitlist = (webinar) =>
+  (webinar.attendees || [])
+    .filter((attendee) => attendee.attendanceStatus === 'waitlisted')
+    .sort((a, b) =>
+      (a.waitlistPosition ?? Infinity) - (b.waitlistPosition ?? Infinity) ||
+      new Date(a.registeredAt) - new Date(b.registeredAt)
+    );
+
+// Query condition matching a webinar that still has a free seat (evaluated atomically by MongoDB)
+const hasFreeSeat = {
+  $or: [
+    { capacity: null },
+    {
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: '$attendees', cond: { $ne: ['$$this.attendanceStatus', 'waitlisted'] } } } },
+          '$capacity'
+        ]
+      }
+    }
+  ]
+};
+
+/**
+ * Register a user, or put them on the waitlist when the webinar is full.
+ * Returns { status: 'registered' | 'waitlisted' | 'full' | 'already-registered', webinar, position? }
+ */
+export const registerOrWaitlist = async (webinarId, userId) => {
+  const registered = await Webinar.findOneAndUpdate(
+    { _id: webinarId, 'attendees.user': { $ne: userId }, ...hasFreeSeat },
+    { $push: { attendees: { user: userId, attendanceStatus: 'registered', registeredAt: new Date() } } },
+    { new: true }
+  );
+  if (registered) return { status: 'registered', webinar: registered };
+
+  const webinar = await Webinar.findById(webinarId);
+  if (!webinar) return { status: 'not-found' };
+  if (webinar.attendees.some((attendee) => attendee.user.toString() === userId.toString())) {
+    return { status: 'already-registered', webinar };
+  }
+  if (webinar.waitlist !== 'Yes') {
+    return { status: 'full', webinar };
+  }
+
+  const waitlist = getWaitlist(webinar);
+  const position = (waitlist.length ? Math.max(...waitlist.map((a) => a.waitlistPosition || 0)) : 0) + 1;
+  const waitlisted = await Webinar.findOneAndUpdate(
+    { _id: webinarId, 'attendees.user': { $ne: userId } },
+    {
+      $push: {
+        attendees: { user: userId, attendanceStatus: 'waitlisted', waitlistPosition: position, registeredAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+  if (!waitlisted) return { status: 'already-registered', webinar };
+
+  return { status: 'waitlisted', webinar: waitlisted, position: getWaitlist(waitlisted).findIndex((a) => a.user.toString() === userId.toString()) + 1 };
+};
+
+const sendPromotionEmail = async (webinar, user) => {
+  const templateId = process.env.WEBINAR_WAITLIST_PROMOTED_TEMPLATE_ID || process.env.WEBINAR_CONFIRMATION_TEMPLATE_ID;
+  try {
+    await sendEmail(
+      user.email,
+      buildWebinarEmailData(webinar, user, 'Royal Vault Portal - You have a seat in the webinar'),
+      templateId,
+      [buildInviteAttachment(webinar, user)]
+    );
+  } catch (error) {
+    console.error(`Failed to send waitlist promotion email to ${user.email}:`, error.message);
+  }
+};
+
+/**
+ * Move one waitlisted user to registered and email them.
+ * `force` skips the capacity check (admin approval). Returns true when the user was promoted.
+ */
+export const promoteWaitlistedUser = async (webinarId, userId, { force = false } = {}) => {
+  const webinar = await Webinar.findOneAndUpdate(
+    {
+      _id: webinarId,
+      attendees: { $elemMatch: { user: userId, attendanceStatus: 'waitlisted' } },
+      ...(force ? {} : hasFreeSeat)
+    },
+    {
+      $set: { 'attendees.$.attendanceStatus': 'registered', 'attendees.$.promotedAt': new Date() },
+      $unset: { 'attendees.$.waitlistPosition': '' }
+    },
+    { new: true }
+  ).populate({ path: 'attendees.user', select: 'firstName lastName email timezone', match: { _id: userId } });
+  if (!webinar) return false;
+
+  const promoted = webinar.attendees.find((attendee) => attendee.user?._id?.toString() === userId.toString());
+  if (promoted?.user?.email) {
+    await sendPromotionEmail(webinar, promoted.user);
+  }
+  return true;
+};
+
+/**
+ * Fill free seats from the front of the waitlist.
+ * Returns the IDs of the promoted users.
+ */
+export const promoteFromWaitlist = async (webinarId) => {
+  const promoted = [];
+  // Each promotion re-checks capacity atomically, so concurrent calls cannot overfill the webinar;
+  // a lost race simply re-reads the webinar on the next pass
+  for (;;) {
+    const webinar = await Webinar.findById(webinarId).select('status capacity attendees');
+    if (!webinar || webinar.status === 'Ended' || isFull(webinar)) break;
+
+    const next = getWaitlist(webinar)[0];
+    if (!next) break;
+
+    if (await promoteWaitlistedUser(webinarId, next.user)) {
+      promoted.push(next.user);
+    }
+  }
+  return promoted;
+};
+
+/**
+ * Renumber the waitlist in the given order. `userIds` must list every waitlisted user exactly once.
+ * Returns false when the list does not match the current waitlist.
+ */
+export const reorderWaitlist = async (webinarId, userIds) => {
+  const ids = userIds.map(String);
+  if (new Set(ids).size !== ids.length) return false;
+
+  const webinar = await Webinar.findById(webinarId).select('attendees');
+  if (!webinar) return null;
+  if (!ids.length) return getWaitlist(webinar).length === 0;
+
+  // Positions are written in one update that only applies while the waitlist is still exactly
+  // `userIds`, so a registration or promotion in the meantime cannot be overwritten or misnumbered
+  const $set = {};
+  const arrayFilters = [];
+  ids.forEach((id, index) => {
+    $set[`attendees.$[w${index}].waitlistPosition`] = index + 1;
+    arrayFilters.push({ [`w${index}.user`]: id, [`w${index}.attendanceStatus`]: 'waitlisted' });
+  });
+
+  const result = await Webinar.updateOne(
+    {
+      _id: webinarId,
+      attendees: { $all: ids.map((id) => ({ $elemMatch: { user: id, attendanceStatus: 'waitlisted' } })) },
+      $expr: {
+        $eq: [
+          { $size: { $filter: { input: '$attendees', cond: { $eq: ['$$this.attendanceStatus', 'waitlisted'] } } } },
+          ids.length
+        ]
+      }
+    },
+    { $set },
+    { arrayFilters }
+  );
+  return result.matchedCount === 1;
+};
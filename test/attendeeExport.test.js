@@ -0,0 +1,96 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Webinar from '../models/Webinar.js';
+import WatchSession from '../models/WatchSession.js';
+import { exportAttendees } from '../controllers/webinarAttendeeController.js';
+
+const webinarId = new mongoose.Types.ObjectId().toString();
+const registeredAt = new Date('2026-03-01T10:00:00Z');
+
+const attendee = (fields) => ({ ...fields, toObject: () => fields });
+
+const fakeRes = () => ({
+  statusCode: null,
+  body: null,
+  headers: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+  set(headers) {
+    Object.assign(this.headers, headers);
+    return this;
+  },
+});
+
+describe('exportAttendees', () => {
+  afterEach(() => mock.restoreAll());
+
+  const exportAs = async (format) => {
+    const webinar = {
+      _id: webinarId,
+      slug: 'tax-101',
+      attendees: [
+        attendee({
+          user: { _id: new mongoose.Types.ObjectId(), firstName: '=HYPERLINK("http://evil.example")', lastName: 'Lee', email: 'ann@example.com' },
+          attendanceStatus: 'registered',
+          registeredAt,
+        }),
+        attendee({ user: null, attendanceStatus: 'waitlisted', registeredAt, waitlistPosition: 1 }),
+      ],
+    };
+    mock.method(Webinar, 'findById', () => ({ select: () => ({ populate: async () => webinar }) }));
+    mock.method(WatchSession, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+    const res = fakeRes();
+    await exportAttendees({ params: { webinarId }, query: { format } }, res);
+    return res;
+  };
+
+  test('writes an XLSX workbook that spreadsheet libraries can read', async () => {
+    const res = await exportAs('xlsx');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.equal(res.headers['Content-Disposition'], 'attachment; filename="tax-101-attendees.xlsx"');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet('Attendees');
+
+    assert.equal(sheet.rowCount, 3);
+    assert.equal(sheet.getCell('A1').value, 'First Name');
+    assert.equal(sheet.getCell('F1').value, 'Registered At');
+    // Text that looks like a formula stays plain text
+    assert.equal(sheet.getCell('A2').value, '=HYPERLINK("http://evil.example")');
+    assert.equal(sheet.getCell('C2').value, 'ann@example.com');
+    assert.deepEqual(sheet.getCell('F2').value, registeredAt);
+    assert.equal(sheet.getCell('H2').value, 0);
+    assert.equal(sheet.getCell('A3').value, null);
+    assert.equal(sheet.getCell('G3').value, 1);
+  });
+
+  test('still exports CSV by default', async () => {
+    const res = await exportAs(undefined);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Disposition'], 'attachment; filename="tax-101-attendees.csv"');
+    assert.ok(res.body.split('\r\n')[1].startsWith('"\'=HYPERLINK(""http://evil.example"")",Lee,ann@example.com,'));
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = fakeRes();
+    await exportAttendees({ params: { webinarId }, query: { format: 'pdf' } }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
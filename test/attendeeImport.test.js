@@ -0,0 +1,71 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { parseAttendeeCsv, MAX_IMPORT_ROWS } from '../services/webinarAttendeeImportService.js';
+import { uploadAttendeeCsv } from '../controllers/webinarAttendeeController.js';
+
+const csvWithRows = (count) =>
+  ['Email,First Name', ...Array.from({ length: count }, (_, i) => `user${i}@example.com,User ${i}`)].join('\n');
+
+describe('parseAttendeeCsv', () => {
+  test('parses rows with header aliases and a byte order mark', async () => {
+    const rows = await parseAttendeeCsv('\uFEFFE-mail,First Name,Status\n a@example.com ,Ann,attended\n');
+    assert.deepEqual(rows, [{ line: 2, email: 'a@example.com', firstName: 'Ann', status: 'attended' }]);
+  });
+
+  test('accepts exactly the maximum number of rows', async () => {
+    const rows = await parseAttendeeCsv(csvWithRows(MAX_IMPORT_ROWS));
+    assert.equal(rows.length, MAX_IMPORT_ROWS);
+  });
+
+  test('rejects a file over the row limit', async () => {
+    await assert.rejects(parseAttendeeCsv(csvWithRows(MAX_IMPORT_ROWS + 1)), /more than 5000 rows/);
+    await assert.rejects(parseAttendeeCsv(csvWithRows(MAX_IMPORT_ROWS * 4)), /more than 5000 rows/);
+  });
+
+  test('requires an email column', async () => {
+    await assert.rejects(parseAttendeeCsv('name\nAnn\n'), /"email" column/);
+  });
+});
+
+describe('uploadAttendeeCsv', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.post('/import', uploadAttendeeCsv, (req, res) => {
+      res.status(200).json({ size: req.file?.size ?? null });
+    });
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const upload = (field, bytes) => {
+    const form = new FormData();
+    form.append(field, new Blob([Buffer.alloc(bytes, 'a')], { type: 'text/csv' }), 'attendees.csv');
+    return fetch(`${baseUrl}/import`, { method: 'POST', body: form });
+  };
+
+  test('passes a file within the limit on', async () => {
+    const res = await upload('file', 1024);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).size, 1024);
+  });
+
+  test('answers an oversized file with a JSON 400', async () => {
+    const res = await upload('file', 5 * 1024 * 1024 + 1);
+    assert.equal(res.status, 400);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    assert.match((await res.json()).message, /larger than 5MB/);
+  });
+
+  test('answers an unexpected file field with a JSON 400', async () => {
+    const res = await upload('attachment', 10);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /Unexpected field/);
+  });
+});
@@ -0,0 +1,170 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ChatFilterSettings from '../models/ChatFilterSettings.js';
+import ChatMessage from '../models/ChatMessage.js';
+import ChatRestriction from '../models/ChatRestriction.js';
+import User from '../models/User.js';
+import Webinar from '../models/Webinar.js';
+import { checkMessageFilters, getSlowModeWait } from '../services/chatModerationService.js';
+import { getMessages, getPinnedMessages } from '../controllers/chatController.js';
+import {
+  restrictChatUser,
+  getChatRestrictions,
+  setSlowMode,
+  getModerationLog,
+} from '../controllers/chatModerationController.js';
+
+const settings = (overrides = {}) => ({ blockedWords: [], blockLinks: true, allowedLinkDomains: [], ...overrides });
+
+describe('chat link filter', () => {
+  test('is off by default', () => {
+    assert.equal(new ChatFilterSettings().blockLinks, false);
+    assert.equal(checkMessageFilters('join us at https://example.com', settings({ blockLinks: false })), null);
+  });
+
+  test('does not treat ordinary text as links', () => {
+    for (const text of [
+      'I use node.js daily',
+      'Great session.Thanks',
+      'See you next week.Bye',
+      'Version 2.0.1 is out',
+      'e.g. index.html or config.yaml',
+      'U.S.A. market update',
+      'The price is $3.50',
+    ]) {
+      assert.equal(checkMessageFilters(text, settings()), null, text);
+    }
+  });
+
+  test('blocks URLs with a scheme or www.', () => {
+    assert.equal(checkMessageFilters('check https://example.org/offer', settings()), 'link');
+    assert.equal(checkMessageFilters('check http://10.0.0.1/login', settings()), 'link');
+    assert.equal(checkMessageFilters('go to www.example.site', settings()), 'link');
+  });
+
+  test('blocks bare domains with a known TLD', () => {
+    assert.equal(checkMessageFilters('visit cheap-deals.com now', settings()), 'link');
+    assert.equal(checkMessageFilters('bit.ly/3xYz', settings()), 'link');
+    assert.equal(checkMessageFilters('promo at Shop.Example.NET', settings()), 'link');
+  });
+
+  test('allows links to allowed domains and their subdomains', () => {
+    const allowed = settings({ allowedLinkDomains: ['royalvault.com'] });
+    assert.equal(checkMessageFilters('https://royalvault.com/book', allowed), null);
+    assert.equal(checkMessageFilters('www.portal.royalvault.com', allowed), null);
+    assert.equal(checkMessageFilters('royalvault.com and spam.com', allowed), 'link');
+  });
+});
+
+describe('chat word filter', () => {
+  test('matches whole words case-insensitively', () => {
+    const words = settings({ blockLinks: false, blockedWords: ['scam'] });
+    assert.equal(checkMessageFilters('This is a SCAM!', words), 'blocked-word');
+    assert.equal(checkMessageFilters('scampi for dinner', words), null);
+  });
+});
+
+// Chainable stand-in for a Mongoose query resolving to `result`
+const query = (result) => {
+  const q = {
+    populate: () => q,
+    sort: () => q,
+    select: () => q,
+    skip: () => q,
+    limit: () => q,
+    lean: async () => result,
+  };
+  return q;
+};
+
+const fakeRes = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  set() {
+    return this;
+  },
+});
+
+describe('messages without a moderation status', () => {
+  const webinarId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => mock.restoreAll());
+
+  test('are shown to attendees', async () => {
+    mock.method(Webinar, 'findById', async () => ({ _id: webinarId }));
+    const find = mock.method(ChatMessage, 'find', () => query([]));
+
+    await getMessages({ params: { webinarId }, permissions: new Set() }, fakeRes());
+    await getPinnedMessages({ params: { webinarId } }, fakeRes());
+
+    for (const call of find.mock.calls) {
+      assert.deepEqual(call.arguments[0].status, { $nin: ['hidden', 'deleted'] });
+    }
+    assert.equal(find.mock.callCount(), 2);
+  });
+
+  test('are hidden when their sender is banned', async () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+    mock.method(Webinar, 'findById', () => query({ _id: webinarId }));
+    mock.method(User, 'findById', () => query({ firstName: 'Ann', lastName: 'Lee' }));
+    mock.method(ChatRestriction, 'findOneAndUpdate', () => query({ type: 'ban' }));
+    const updateMany = mock.method(ChatMessage, 'updateMany', async () => ({ modifiedCount: 3 }));
+
+    const res = fakeRes();
+    await restrictChatUser({
+      params: { webinarId },
+      body: { userId, type: 'ban' },
+      user: { _id: new mongoose.Types.ObjectId() },
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.hiddenCount, 3);
+    assert.deepEqual(updateMany.mock.calls[0].arguments[0].status, { $nin: ['hidden', 'deleted'] });
+  });
+});
+
+describe('slow mode', () => {
+  const webinar = { _id: new mongoose.Types.ObjectId(), chatSlowModeSeconds: 30 };
+
+  afterEach(() => mock.restoreAll());
+
+  test('tracks guests by client IP, not by the name they type', async () => {
+    const findOne = mock.method(ChatMessage, 'findOne', () => query({ createdAt: new Date(Date.now() - 10 * 1000) }));
+
+    const wait = await getSlowModeWait(webinar, { sender: null, guestIp: '203.0.113.7' });
+
+    assert.ok(wait > 0 && wait <= 20);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { webinar: webinar._id, sender: null, guestIp: '203.0.113.7' });
+  });
+
+  test('lets a sender post once the interval has passed', async () => {
+    mock.method(ChatMessage, 'findOne', () => query({ createdAt: new Date(Date.now() - 31 * 1000) }));
+    assert.equal(await getSlowModeWait(webinar, { sender: new mongoose.Types.ObjectId() }), 0);
+  });
+});
+
+describe('moderation endpoints', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('answer 400 for an invalid webinar ID', async () => {
+    const update = mock.method(Webinar, 'findByIdAndUpdate', () => query(null));
+    const req = { params: { webinarId: 'not-an-id' }, query: {}, body: { seconds: 10 }, user: { _id: 'x' } };
+
+    for (const handler of [getChatRestrictions, setSlowMode, getModerationLog]) {
+      const res = fakeRes();
+      await handler(req, res);
+      assert.equal(res.statusCode, 400, handler.name);
+      assert.equal(res.body.message, 'Invalid webinar ID');
+    }
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,35 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../utils/csv.js';
+
+const columns = [{ header: 'Value', value: (row) => row.value }];
+const cell = (value) => toCsv(columns, [{ value }]).split('\r\n')[1];
+
+describe('toCsv', () => {
+  test('quotes values with commas, quotes and line breaks', () => {
+    assert.equal(cell('a,b'), '"a,b"');
+    assert.equal(cell('say "hi"'), '"say ""hi"""');
+    assert.equal(cell('line\nbreak'), '"line\nbreak"');
+  });
+
+  test('writes empty cells for missing values and ISO strings for dates', () => {
+    assert.equal(cell(null), '');
+    assert.equal(cell(undefined), '');
+    assert.equal(cell(new Date('2026-03-01T10:00:00Z')), '2026-03-01T10:00:00.000Z');
+  });
+
+  test('neutralizes text that spreadsheets would run as a formula', () => {
+    assert.equal(cell('=HYPERLINK("http://evil.example","click")'), '"\'=HYPERLINK(""http://evil.example"",""click"")"');
+    assert.equal(cell('+1+2'), "'+1+2");
+    assert.equal(cell('-2+3'), "'-2+3");
+    assert.equal(cell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(cell('\t=1'), "'\t=1");
+    assert.equal(cell('\r=1'), '"\'\r=1"');
+  });
+
+  test('leaves numbers and ordinary text untouched', () => {
+    assert.equal(cell(-5), '-5');
+    assert.equal(cell(42), '42');
+    assert.equal(cell('What is 1+1?'), 'What is 1+1?');
+  });
+});
@@ -0,0 +1,70 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CtaEvent from '../models/CtaEvent.js';
+import Webinar from '../models/Webinar.js';
+import { redirectCtaClick } from '../controllers/ctaTrackingController.js';
+
+const fakeRes = () => ({
+  statusCode: null,
+  body: null,
+  location: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  redirect(code, location) {
+    this.statusCode = code;
+    this.location = location;
+    return this;
+  },
+});
+
+describe('redirectCtaClick', () => {
+  const webinarId = new mongoose.Types.ObjectId().toString();
+  let link;
+
+  beforeEach(() => {
+    mock.method(Webinar, 'findById', () => ({
+      select: async () => ({ _id: webinarId, ctas: [{ label: 'Book', link }] }),
+    }));
+    mock.method(CtaEvent, 'create', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const click = async () => {
+    const res = fakeRes();
+    await redirectCtaClick({ params: { webinarId, ctaIndex: '0' }, query: { viewerId: 'v1' }, body: {} }, res);
+    return res;
+  };
+
+  test('redirects to an http(s) link and records the click', async () => {
+    link = 'https://example.com/book?ref=webinar';
+    const res = await click();
+    assert.equal(res.statusCode, 302);
+    assert.equal(res.location, 'https://example.com/book?ref=webinar');
+    assert.equal(CtaEvent.create.mock.callCount(), 1);
+  });
+
+  test('returns 404 for a CTA without a link', async () => {
+    link = '  ';
+    const res = await click();
+    assert.equal(res.statusCode, 404);
+    assert.equal(CtaEvent.create.mock.callCount(), 0);
+  });
+
+  test('refuses javascript:, data: and relative links', async () => {
+    for (const unsafe of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,hi', '//evil.example', 'not a url']) {
+      link = unsafe;
+      const res = await click();
+      assert.equal(res.statusCode, 400, unsafe);
+      assert.equal(res.location, null);
+    }
+    assert.equal(CtaEvent.create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,198 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import express from 'express';
+import webhookRoutes from '../routes/webhookRoutes.js';
+import { computeDailySignature } from '../middleware/dailyWebhookMiddleware.js';
+import { retryDailyEvents } from '../services/dailyWebhookService.js';
+import DailyWebhookEvent from '../models/DailyWebhookEvent.js';
+import Webinar from '../models/Webinar.js';
+import WebinarPoll from '../models/WebinarPoll.js';
+import WatchSession from '../models/WatchSession.js';
+
+const SECRET = Buffer.from('test-daily-webhook-secret').toString('base64');
+const ROOM = 'rv-weekly-strategy-call';
+
+// Daily webhook bodies kept as sent, so signatures are computed over the exact bytes
+const fixture = (type) => readFileSync(new URL(`./fixtures/daily/${type}.json`, import.meta.url), 'utf8');
+
+describe('Daily webhooks', () => {
+  let server;
+  let baseUrl;
+  let webinar;
+  let storedIds;
+  let webinarUpdates;
+  let sessionUpdates;
+
+  before(async () => {
+    process.env.DAILY_WEBHOOK_SECRET = SECRET;
+    delete process.env.HUBSPOT_PRIVATE_API_KEY;
+
+    const app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }));
+    app.use('/webhook', webhookRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    webinar = new Webinar({
+      name: 'Weekly Strategy Call',
+      slug: ROOM,
+      streamType: 'Webinar',
+      status: 'Scheduled',
+      activeCtaIndices: [0],
+      ctas: [{ label: 'Book a call', link: 'https://example.com/book' }],
+      ctaActivations: [{ ctaIndex: 0, activatedAt: new Date(Date.now() - 60000) }],
+    });
+    storedIds = new Set();
+    webinarUpdates = [];
+    sessionUpdates = [];
+
+    // Stand-ins for MongoDB
+    mock.method(DailyWebhookEvent, 'create', async (data) => {
+      if (storedIds.has(data.eventId)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      storedIds.add(data.eventId);
+      return new DailyWebhookEvent(data);
+    });
+    mock.method(DailyWebhookEvent.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(Webinar, 'findOne', async (filter) =>
+      (filter.$or.some((condition) => condition.dailyRoomName === ROOM || condition.slug === ROOM) ? webinar : null));
+    mock.method(Webinar, 'findOneAndUpdate', async (filter, update) => {
+      webinarUpdates.push({ filter, update });
+      return webinar;
+    });
+    mock.method(Webinar.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(WebinarPoll, 'find', async () => []);
+    mock.method(WatchSession, 'updateMany', async (filter) => {
+      sessionUpdates.push(filter);
+      return { modifiedCount: 0 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const deliver = (body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) =>
+    fetch(`${baseUrl}/webhook/daily`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': computeDailySignature(secret, timestamp, body),
+      },
+      body,
+    });
+
+  test('rejects a payload signed with another secret', async () => {
+    const res = await deliver(fixture('meeting.started'), { secret: Buffer.from('other').toString('base64') });
+    assert.equal(res.status, 401);
+    assert.equal(DailyWebhookEvent.create.mock.callCount(), 0);
+  });
+
+  test('rejects a delivery with an old timestamp', async () => {
+    const res = await deliver(fixture('meeting.started'), { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.equal(res.status, 401);
+  });
+
+  test('meeting.started moves a scheduled webinar to In Progress', async () => {
+    const res = await deliver(fixture('meeting.started'));
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'processed');
+    assert.deepEqual(webinarUpdates[0].filter.status, { $in: ['Scheduled', 'Waiting'] });
+    assert.equal(webinarUpdates[0].update.$set.status, 'In Progress');
+  });
+
+  test('meeting.ended runs the full end-of-webinar path', async () => {
+    webinar.status = 'In Progress';
+    const res = await deliver(fixture('meeting.ended'));
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'processed');
+
+    assert.equal(webinar.status, 'Ended');
+    assert.equal(webinar.portalDisplay, 'No');
+    assert.deepEqual([...webinar.activeCtaIndices], []);
+    assert.ok(webinar.ctaActivations[0].deactivatedAt);
+    assert.equal(WebinarPoll.find.mock.calls[0].arguments[0].status, 'live');
+    assert.equal(sessionUpdates[0].mode, 'live');
+  });
+
+  test('meeting.ended leaves an already ended webinar alone', async () => {
+    webinar.status = 'Ended';
+    const res = await deliver(fixture('meeting.ended'));
+    assert.equal(res.status, 200);
+    assert.equal(Webinar.prototype.save.mock.callCount(), 0);
+    assert.equal(sessionUpdates.length, 0);
+  });
+
+  test('recording events update the recording state', async () => {
+    await deliver(fixture('recording.started'));
+    await deliver(fixture('recording.ready-to-download'));
+    await deliver(fixture('recording.error'));
+
+    const [started, ready, failed] = webinarUpdates.map(({ update }) => update.$set);
+    assert.equal(started.rawRecordingId, '0e6f3c1a-7b2d-4a5e-9c8f-1d3b5a7e9c02');
+    assert.equal(started.recordingStatus, 'recording');
+    assert.equal(ready.recordingStatus, 'ready');
+    assert.equal(ready['recordingIngestion.status'], 'pending');
+    assert.equal(failed.recordingStatus, 'error');
+    assert.equal(failed.recordingError, 'cloud-recording-error: recording stopped unexpectedly');
+  });
+
+  test('event types without a handler are stored as ignored', async () => {
+    const res = await deliver(fixture('participant.joined'));
+    assert.equal((await res.json()).status, 'ignored');
+    assert.equal(webinarUpdates.length, 0);
+  });
+
+  test('events for unknown rooms are stored as unmatched', async () => {
+    const body = fixture('meeting.started').replace(ROOM, 'some-other-room');
+    const res = await deliver(body);
+    assert.equal((await res.json()).status, 'unmatched');
+  });
+
+  test('a retried delivery is processed only once', async () => {
+    const body = fixture('meeting.started');
+    await deliver(body);
+    const res = await deliver(body);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).message, 'Event already received');
+    assert.equal(webinarUpdates.length, 1);
+  });
+
+  test('a failing event is stored as failed and processed again by the retry sweep', async () => {
+    Webinar.findOneAndUpdate.mock.mockImplementationOnce(async () => {
+      throw new Error('write conflict');
+    });
+    const res = await deliver(fixture('meeting.started'));
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'failed');
+
+    const [stored] = await Promise.all(DailyWebhookEvent.create.mock.calls.map((call) => call.result));
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.error, 'write conflict');
+
+    let filter;
+    mock.method(DailyWebhookEvent, 'find', (query) => {
+      filter = query;
+      return { sort: () => ({ limit: async () => [stored] }) };
+    });
+    assert.equal(await retryDailyEvents(), 1);
+    assert.deepEqual(filter.status, { $in: ['received', 'failed'] });
+    assert.equal(stored.status, 'processed');
+    assert.equal(stored.attempts, 2);
+    assert.equal(String(stored.webinar), String(webinar._id));
+  });
+});
@@ -0,0 +1,105 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import WebinarPoll from '../models/WebinarPoll.js';
+import PollVote from '../models/PollVote.js';
+import { pushPollResultsToHubSpot } from '../services/webinarPollService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('pushPollResultsToHubSpot', () => {
+  const webinarId = id();
+  const cachedUser = { _id: id(), email: 'cached@example.com', firstName: 'Ann', hubSpotContactId: '101' };
+  const knownUser = { _id: id(), email: 'Known@example.com', firstName: 'Ben' };
+  const newUser = { _id: id(), email: 'new@example.com', firstName: 'Cy' };
+  let polls;
+  let requests;
+  let cachedIds;
+
+  beforeEach(() => {
+    process.env.HUBSPOT_PRIVATE_API_KEY = 'test-key';
+    polls = [
+      new WebinarPoll({ webinar: webinarId, question: 'Q1', type: 'single', status: 'closed', hubSpotProperty: 'poll_one', options: [{ label: 'Yes' }, { label: 'No' }] }),
+      new WebinarPoll({ webinar: webinarId, question: 'Q2', type: 'rating', status: 'closed', hubSpotProperty: 'poll_two' }),
+    ];
+    const votes = new Map([
+      [polls[0]._id.toString(), [
+        { user: cachedUser, optionIndices: [0] },
+        { user: knownUser, optionIndices: [1] },
+      ]],
+      [polls[1]._id.toString(), [
+        { user: knownUser, rating: 4 },
+        { user: newUser, rating: 5 },
+      ]],
+    ]);
+    requests = [];
+    cachedIds = [];
+
+    mock.method(WebinarPoll, 'find', async () => polls);
+    mock.method(WebinarPoll.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(PollVote, 'find', ({ poll }) => ({
+      populate: () => ({ lean: async () => votes.get(poll.toString()) }),
+    }));
+    mock.method(User, 'bulkWrite', async (operations) => {
+      cachedIds.push(...operations.map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set.hubSpotContactId]));
+    });
+    mock.method(axios, 'post', async (url, body) => {
+      requests.push({ url, body });
+      if (url.endsWith('/batch/read')) {
+        return { data: { results: [{ id: '202', properties: { email: 'known@example.com' } }] } };
+      }
+      if (url.endsWith('/batch/create')) {
+        return { data: { results: body.inputs.map((input, i) => ({ id: `30${i}`, properties: input.properties })) } };
+      }
+      return { data: {} };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.HUBSPOT_PRIVATE_API_KEY;
+  });
+
+  test('resolves every voter in one batch and reuses cached contact IDs', async () => {
+    const summary = await pushPollResultsToHubSpot(webinarId);
+
+    const reads = requests.filter(({ url }) => url.endsWith('/batch/read'));
+    const creates = requests.filter(({ url }) => url.endsWith('/batch/create'));
+    assert.equal(reads.length, 1);
+    assert.deepEqual(reads[0].body.inputs.map((input) => input.id).sort(), ['known@example.com', 'new@example.com']);
+    assert.equal(creates.length, 1);
+    assert.equal(requests.filter(({ url }) => /\/objects\/contacts$/.test(url)).length, 0);
+
+    // Newly found and created contacts are cached on the users
+    assert.deepEqual(cachedIds.map(([userId, contactId]) => [userId.toString(), contactId]).sort(), [
+      [knownUser._id.toString(), '202'],
+      [newUser._id.toString(), '300'],
+    ]);
+
+    const updates = requests.filter(({ url }) => url.endsWith('/batch/update')).map(({ body }) => body.inputs);
+    assert.deepEqual(updates[0], [
+      { id: '101', properties: { poll_one: 'Yes' } },
+      { id: '202', properties: { poll_one: 'No' } },
+    ]);
+    assert.deepEqual(updates[1], [
+      { id: '202', properties: { poll_two: '4' } },
+      { id: '300', properties: { poll_two: '5' } },
+    ]);
+    assert.deepEqual(summary.map((entry) => entry.contacts), [2, 2]);
+    assert.deepEqual(polls.map((poll) => poll.hubSpotSync.status), ['completed', 'completed']);
+  });
+
+  test('marks every poll failed when the contact lookup fails', async () => {
+    axios.post.mock.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('Request failed'), { response: { data: { message: 'rate limited' } } });
+    });
+    const summary = await pushPollResultsToHubSpot(webinarId);
+
+    assert.deepEqual(summary.map((entry) => entry.error), ['rate limited', 'rate limited']);
+    assert.deepEqual(polls.map((poll) => poll.hubSpotSync.status), ['failed', 'failed']);
+  });
+});
@@ -0,0 +1,170 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import mongoose from 'mongoose';
+
+// A local server stands in for both the Daily REST API and Supabase storage
+const RECORDING_BYTES = Buffer.alloc(256 * 1024, 7);
+const stub = {
+  accessLinkStatus: 200,
+  uploadStatus: 200,
+  uploads: [],
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'GET' && url.pathname.startsWith('/daily/recordings/')) {
+    if (req.headers.authorization !== 'Bearer test-daily-key') {
+      res.writeHead(401).end();
+      return;
+    }
+    res.writeHead(stub.accessLinkStatus, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(stub.accessLinkStatus === 200
+      ? { download_link: `http://127.0.0.1:${server.address().port}/download/recording.mp4`, expires: 1761915600 }
+      : { error: 'not-found' }));
+    return;
+  }
+  if (req.method === 'GET' && url.pathname === '/download/recording.mp4') {
+    res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': RECORDING_BYTES.length });
+    res.end(RECORDING_BYTES);
+    return;
+  }
+  if (req.method === 'POST' && url.pathname.startsWith('/storage/v1/object/')) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const key = url.pathname.replace('/storage/v1/object/', '');
+      stub.uploads.push({ key, size: Buffer.concat(chunks).length, contentType: req.headers['content-type'] });
+      res.writeHead(stub.uploadStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(stub.uploadStatus === 200
+        ? { Id: 'object-id', Key: key }
+        : { statusCode: String(stub.uploadStatus), error: 'Internal', message: 'storage unavailable' }));
+    });
+    return;
+  }
+  res.writeHead(404).end();
+});
+server.listen(0);
+await new Promise((resolve) => server.once('listening', resolve));
+const stubUrl = `http://127.0.0.1:${server.address().port}`;
+
+// Set before config/supabase.js is loaded
+process.env.SUPABASE_URL = stubUrl;
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+process.env.DAILY_API_URL = `${stubUrl}/daily`;
+process.env.DAILY_API_KEY = 'test-daily-key';
+process.env.RECORDINGS_BUCKET = 'test-recordings';
+
+const { ingestRecording } = await import('../services/recordingIngestionService.js');
+const { rerunRecordingIngestion } = await import('../controllers/webinarController.js');
+const { default: Webinar } = await import('../models/Webinar.js');
+
+describe('recording ingestion', () => {
+  const webinarId = new mongoose.Types.ObjectId();
+  let updates;
+
+  const claimWith = (attempts) =>
+    mock.method(Webinar, 'findOneAndUpdate', async () => ({
+      _id: webinarId,
+      name: 'Weekly Strategy Call',
+      slug: 'rv-weekly-strategy-call',
+      rawRecordingId: '0e6f3c1a-7b2d-4a5e-9c8f-1d3b5a7e9c02',
+      recordingIngestion: { status: 'in-progress', attempts },
+    }));
+
+  beforeEach(() => {
+    stub.accessLinkStatus = 200;
+    stub.uploadStatus = 200;
+    stub.uploads = [];
+    updates = [];
+    mock.method(Webinar, 'updateOne', async (filter, update) => {
+      updates.push(update);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('streams the Daily recording into storage and records the result', async () => {
+    claimWith(1);
+    const result = await ingestRecording(webinarId);
+
+    assert.equal(stub.uploads.length, 1);
+    assert.match(stub.uploads[0].key, /^test-recordings\/recordings\/rv-weekly-strategy-call\//);
+    assert.equal(stub.uploads[0].size, RECORDING_BYTES.length);
+
+    const { $set } = updates[0];
+    assert.equal($set['recordingIngestion.status'], 'completed');
+    assert.equal($set['recordingIngestion.fileSize'], RECORDING_BYTES.length);
+    assert.equal($set.recording, result.publicUrl);
+    assert.ok(result.publicUrl.startsWith(`${stubUrl}/storage/v1/object/public/test-recordings/recordings/`));
+  });
+
+  test('schedules a retry with backoff when Daily has no download link', async () => {
+    stub.accessLinkStatus = 404;
+    claimWith(2);
+    const before = Date.now();
+    assert.equal(await ingestRecording(webinarId), null);
+
+    const { $set } = updates[0];
+    assert.equal($set['recordingIngestion.status'], 'pending');
+    assert.match($set['recordingIngestion.lastError'], /status 404/);
+    // Second attempt waits 10 minutes
+    assert.ok($set['recordingIngestion.nextAttemptAt'].getTime() >= before + 10 * 60 * 1000);
+    assert.equal(stub.uploads.length, 0);
+  });
+
+  test('gives up after the last attempt when storage keeps failing', async () => {
+    stub.uploadStatus = 500;
+    claimWith(5);
+    assert.equal(await ingestRecording(webinarId), null);
+
+    const { $set } = updates[0];
+    assert.equal($set['recordingIngestion.status'], 'failed');
+    assert.equal($set['recordingIngestion.nextAttemptAt'], null);
+    assert.match($set['recordingIngestion.lastError'], /storage unavailable/);
+  });
+
+  test('does nothing when another worker holds the ingestion', async () => {
+    mock.method(Webinar, 'findOneAndUpdate', async () => null);
+    assert.equal(await ingestRecording(webinarId), null);
+    assert.equal(updates.length, 0);
+    assert.equal(stub.uploads.length, 0);
+  });
+});
+
+describe('rerunRecordingIngestion', () => {
+  afterEach(() => mock.restoreAll());
+
+  const call = async (webinarId) => {
+    const res = {
+      statusCode: null,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await rerunRecordingIngestion({ params: { webinarId } }, res);
+    return res;
+  };
+
+  test('rejects an invalid webinar ID with 400', async () => {
+    const findById = mock.method(Webinar, 'findById');
+    const res = await call('not-an-id');
+    assert.equal(res.statusCode, 400);
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  test('returns 404 for an unknown webinar', async () => {
+    mock.method(Webinar, 'findById', () => ({ select: async () => null }));
+    const res = await call(new mongoose.Types.ObjectId().toString());
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,44 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { getClientIp, getTrustProxySetting } from '../utils/requestInfo.js';
+
+describe('getTrustProxySetting', () => {
+  test('parses hop counts, false and address lists', () => {
+    assert.equal(getTrustProxySetting(undefined), 1);
+    assert.equal(getTrustProxySetting('2'), 2);
+    assert.equal(getTrustProxySetting('false'), false);
+    assert.deepEqual(getTrustProxySetting('10.0.0.0/8, 127.0.0.1'), ['10.0.0.0/8', '127.0.0.1']);
+  });
+});
+
+describe('getClientIp', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.set('trust proxy', 1);
+    app.get('/ip', (req, res) => res.json({ ip: getClientIp(req) }));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const ipFor = async (forwardedFor) => {
+    const res = await fetch(`${baseUrl}/ip`, { headers: forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {} });
+    return (await res.json()).ip;
+  };
+
+  test('uses the address added by the trusted proxy, not entries supplied by the client', async () => {
+    // The client sent "1.2.3.4"; the load balancer appended the real address
+    assert.equal(await ipFor('1.2.3.4, 203.0.113.7'), '203.0.113.7');
+    assert.equal(await ipFor('5.6.7.8, 203.0.113.7'), '203.0.113.7');
+  });
+
+  test('falls back to the socket address without a proxy header', async () => {
+    assert.match(await ipFor(null), /127\.0\.0\.1$/);
+  });
+});
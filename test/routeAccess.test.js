@@ -0,0 +1,104 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+// Set before the routes (and config/supabase.js) are loaded
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+process.env.SUPABASE_URL ||= 'http://localhost';
+process.env.SUPABASE_SERVICE_KEY ||= 'test';
+
+const { default: routes } = await import('../routes/index.js');
+const { default: webhookRoutes } = await import('../routes/webhookRoutes.js');
+const { findRoutesWithoutAccessPolicy } = await import('../utils/routeAccessAudit.js');
+const { default: User } = await import('../models/User.js');
+const { default: Session } = await import('../models/Session.js');
+const { default: Role } = await import('../models/Role.js');
+
+// Routes tagged with requirePermission; a plain user holds none of these permissions
+const PERMISSION_ROUTES = [
+  ['GET', '/api/webinars/admin'],
+  ['POST', '/api/webinars/admin'],
+  ['GET', '/api/webinars/admin/templates'],
+  ['PUT', '/api/webinars/admin/chat-filters'],
+  ['GET', `/api/webinars/admin/${new mongoose.Types.ObjectId()}/attendance`],
+  ['POST', `/api/webinars/admin/${new mongoose.Types.ObjectId()}/duplicate`],
+  ['GET', '/api/users'],
+  ['POST', `/api/users/${new mongoose.Types.ObjectId()}/unlock`],
+  ['GET', '/api/users/security/2fa-policy'],
+  ['GET', '/api/roles'],
+  ['GET', '/api/sms/messages'],
+];
+
+describe('route access policies', () => {
+  test('every API route declares an access policy', () => {
+    assert.deepEqual(findRoutesWithoutAccessPolicy(routes, '/api'), []);
+  });
+
+  test('every webhook route declares an access policy', () => {
+    assert.deepEqual(findRoutesWithoutAccessPolicy(webhookRoutes, '/webhook'), []);
+  });
+});
+
+describe('permission-guarded routes', () => {
+  let server;
+  let baseUrl;
+  const userId = new mongoose.Types.ObjectId();
+  const sessionId = new mongoose.Types.ObjectId();
+
+  before(async () => {
+    // An active session of a plain user, without a database
+    mock.method(Session, 'findOne', () => ({
+      lean: async () => ({ _id: sessionId, user: userId, type: 'login' }),
+    }));
+    mock.method(User, 'findById', () => ({
+      select: async () => ({ _id: userId, role: 'user', twoFactor: { enabled: false } }),
+    }));
+    mock.method(Role, 'findOne', () => ({ select: () => ({ lean: async () => null }) }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const request = (method, path, token) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      ...(method !== 'GET' && { body: '{}' }),
+    });
+
+  for (const [method, path] of PERMISSION_ROUTES) {
+    test(`${method} ${path} rejects anonymous callers with 401`, async () => {
+      const res = await request(method, path);
+      assert.equal(res.status, 401);
+    });
+
+    test(`${method} ${path} rejects users without the permission with 403`, async () => {
+      const token = jwt.sign(
+        { id: userId.toString(), role: 'user', sid: sessionId.toString() },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: '5m' }
+      );
+      const res = await request(method, path, token);
+      assert.equal(res.status, 403);
+    });
+  }
+
+  test('rejects an invalid token with 401', async () => {
+    const res = await request('GET', '/api/webinars/admin', 'not-a-token');
+    assert.equal(res.status, 401);
+  });
+});
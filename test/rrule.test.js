@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRRule, expandRRule } from '../utils/rrule.js';
+
+const TZ = 'America/New_York';
+
+describe('expandRRule', () => {
+  test('expands a weekly rule keeping the local time across DST', () => {
+    const dates = expandRRule(parseRRule('FREQ=WEEKLY;BYDAY=TU'), new Date('2025-10-21T19:00:00Z'), TZ, { limit: 3 });
+    assert.deepEqual(dates.map((date) => date.toISOString()), [
+      '2025-10-21T19:00:00.000Z',
+      '2025-10-28T19:00:00.000Z',
+      '2025-11-04T20:00:00.000Z', // 3pm EST after the switch
+    ]);
+  });
+
+  test('keeps generating occurrences for series that started more than five years ago', () => {
+    const dtstart = new Date('2015-01-06T20:00:00Z'); // a Tuesday, 3pm EST
+    const from = new Date('2026-10-19T00:00:00Z');
+    const to = new Date('2026-11-15T00:00:00Z');
+    const dates = expandRRule(parseRRule('FREQ=WEEKLY;BYDAY=TU'), dtstart, TZ, { from, to });
+    assert.deepEqual(dates.map((date) => date.toISOString()), [
+      '2026-10-20T19:00:00.000Z',
+      '2026-10-27T19:00:00.000Z',
+      '2026-11-03T20:00:00.000Z',
+      '2026-11-10T20:00:00.000Z',
+    ]);
+  });
+
+  test('keeps the interval aligned to dtstart when scanning from a later window', () => {
+    const dtstart = new Date('2016-03-01T15:00:00Z'); // Tuesday
+    const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+    const from = new Date('2026-06-01T00:00:00Z');
+    const windowed = expandRRule(rule, dtstart, TZ, { from, limit: 4 });
+
+    assert.equal(windowed.length, 4);
+    windowed.slice(1).forEach((date, i) => {
+      assert.equal(Math.round((date - windowed[i]) / (24 * 60 * 60 * 1000)), 14);
+    });
+    const weeksFromStart = Math.round((windowed[0] - dtstart) / (7 * 24 * 60 * 60 * 1000));
+    assert.equal(weeksFromStart % 2, 0);
+  });
+
+  test('monthly rules continue past five years', () => {
+    const dtstart = new Date('2012-01-10T17:00:00Z'); // 2nd Tuesday of January 2012
+    const dates = expandRRule(parseRRule('FREQ=MONTHLY;BYDAY=2TU'), dtstart, TZ, {
+      from: new Date('2026-01-01T00:00:00Z'),
+      limit: 2,
+    });
+    assert.deepEqual(dates.map((date) => date.toISOString()), ['2026-01-13T17:00:00.000Z', '2026-02-10T17:00:00.000Z']);
+  });
+
+  test('COUNT is still counted from dtstart', () => {
+    const dtstart = new Date('2018-01-02T17:00:00Z');
+    const rule = parseRRule('FREQ=WEEKLY;COUNT=10');
+    assert.deepEqual(expandRRule(rule, dtstart, TZ, { from: new Date('2026-01-01T00:00:00Z') }), []);
+
+    const dates = expandRRule(rule, dtstart, TZ, { from: new Date('2018-02-27T00:00:00Z') });
+    assert.deepEqual(dates.map((date) => date.toISOString()), ['2018-02-27T17:00:00.000Z', '2018-03-06T17:00:00.000Z']);
+  });
+
+  test('UNTIL stops the series', () => {
+    const dates = expandRRule(parseRRule('FREQ=DAILY;UNTIL=20251105T235959Z'), new Date('2025-11-03T15:00:00Z'), TZ);
+    assert.equal(dates.length, 3);
+  });
+});
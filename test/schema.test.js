@@ -0,0 +1,165 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { validateSchema } from '../utils/schema.js';
+import {
+  validateWebinarBody,
+  validateTemplateBody,
+  pickWebinarConfig,
+} from '../services/webinarTemplateService.js';
+
+describe('validateSchema', () => {
+  test('cleans values and drops unknown fields', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const { value, errors } = validateSchema(
+      { name: '  Ann ', age: '42', active: 'false', at: '2026-03-01T10:00:00Z', owner: id, extra: 'x' },
+      {
+        name: { type: 'string' },
+        age: { type: 'number' },
+        active: { type: 'boolean' },
+        at: { type: 'date' },
+        owner: { type: 'objectId' },
+      }
+    );
+
+    assert.equal(errors, null);
+    assert.deepEqual(value, { name: 'Ann', age: 42, active: false, at: new Date('2026-03-01T10:00:00Z'), owner: id });
+  });
+
+  test('reports every invalid field by path', () => {
+    const { value, errors } = validateSchema(
+      { name: '', kind: 'other', count: '1.5', when: 'soon', owner: 'nope', flag: 'yes' },
+      {
+        name: { type: 'string', required: true },
+        kind: { type: 'string', enum: ['a', 'b'] },
+        count: { type: 'number', integer: true },
+        when: { type: 'date' },
+        owner: { type: 'objectId' },
+        flag: { type: 'boolean' },
+        missing: { type: 'string', required: true },
+      }
+    );
+
+    assert.deepEqual(value, {});
+    assert.deepEqual(errors, {
+      name: 'name is required',
+      kind: 'kind must be one of a, b',
+      count: 'count must be a whole number',
+      when: 'when must be a valid date',
+      owner: 'owner must be a valid ID',
+      flag: 'flag must be true or false',
+      missing: 'missing is required',
+    });
+  });
+
+  test('checks string and number limits', () => {
+    const schema = {
+      code: { type: 'string', maxLength: 3, pattern: /^[A-Z]+$/, patternMessage: 'code must be upper case' },
+      size: { type: 'number', min: 1, max: 10 },
+    };
+
+    assert.deepEqual(validateSchema({ code: 'ABCD' }, schema).errors, { code: 'code must be at most 3 characters' });
+    assert.deepEqual(validateSchema({ code: 'ab' }, schema).errors, { code: 'code must be upper case' });
+    assert.deepEqual(validateSchema({ size: 0 }, schema).errors, { size: 'size must be at least 1' });
+    assert.deepEqual(validateSchema({ size: '11' }, schema).errors, { size: 'size must be at most 10' });
+    assert.deepEqual(validateSchema({ size: 'ten' }, schema).errors, { size: 'size must be a number' });
+  });
+
+  test('keeps null only for nullable fields', () => {
+    const schema = { limit: { type: 'number', nullable: true }, other: { type: 'number' } };
+    const { value, errors } = validateSchema({ limit: null, other: null }, schema);
+
+    assert.equal(errors, null);
+    assert.deepEqual(value, { limit: null });
+  });
+
+  test('validates array items and nested objects with indexed paths', () => {
+    const schema = {
+      links: {
+        type: 'array',
+        items: { type: 'object', fields: { label: { type: 'string', required: true }, url: { type: 'string', required: true } } },
+      },
+    };
+
+    const valid = validateSchema({ links: [{ label: ' Book ', url: 'https://example.com', extra: 1 }] }, schema);
+    assert.equal(valid.errors, null);
+    assert.deepEqual(valid.value, { links: [{ label: 'Book', url: 'https://example.com' }] });
+
+    const invalid = validateSchema({ links: [{ label: 'Book' }, null, 'text'] }, schema);
+    assert.deepEqual(invalid.errors, {
+      'links[0].url': 'links[0].url is required',
+      'links[1]': 'links[1] is required',
+      'links[2]': 'links[2] must be an object',
+    });
+
+    assert.deepEqual(validateSchema({ links: 'x' }, schema).errors, { links: 'links must be a list' });
+  });
+
+  test('skips required checks for partial updates', () => {
+    const schema = { name: { type: 'string', required: true }, size: { type: 'number' } };
+
+    assert.deepEqual(validateSchema({ size: 2 }, schema, { partial: true }), { value: { size: 2 }, errors: null });
+    assert.deepEqual(validateSchema({ size: 2 }, schema).errors, { name: 'name is required' });
+  });
+
+  test('runs custom rules after the type checks', () => {
+    const schema = {
+      even: {
+        type: 'number',
+        custom: (value) => (value % 2 === 0 ? { value: value / 2 } : { error: 'even must be even' }),
+      },
+    };
+
+    assert.deepEqual(validateSchema({ even: '8' }, schema), { value: { even: 4 }, errors: null });
+    assert.deepEqual(validateSchema({ even: 3 }, schema).errors, { even: 'even must be even' });
+    assert.deepEqual(validateSchema({ even: 'x' }, schema).errors, { even: 'even must be a number' });
+  });
+});
+
+describe('webinar and template bodies', () => {
+  const webinar = {
+    name: 'Tax 101',
+    slug: 'tax-101',
+    date: '2026-03-01T18:00:00Z',
+    streamType: 'Webinar',
+    line1: 'Tax Strategy',
+  };
+
+  test('accept a minimal webinar', () => {
+    const { value, errors } = validateWebinarBody(webinar);
+    assert.equal(errors, null);
+    assert.deepEqual(value.date, new Date('2026-03-01T18:00:00Z'));
+  });
+
+  test('reject invalid slugs and reminder schedules', () => {
+    const { errors } = validateWebinarBody({ ...webinar, slug: 'tax 101', reminderSchedule: [60, 60] });
+    assert.deepEqual(errors, {
+      slug: 'slug may only contain letters, numbers, dashes and underscores',
+      reminderSchedule: 'Reminder offsets must be unique',
+    });
+  });
+
+  test('sort reminder schedules from the earliest reminder', () => {
+    const { value } = validateWebinarBody({ ...webinar, reminderSchedule: [0, { offsetMinutes: 1440 }, 60] });
+    assert.deepEqual(value.reminderSchedule, [{ offsetMinutes: 1440 }, { offsetMinutes: 60 }, { offsetMinutes: 0 }]);
+  });
+
+  test('let templates leave configuration empty but require a name', () => {
+    assert.equal(validateTemplateBody({ name: 'Monthly tax call' }).errors, null);
+    assert.deepEqual(validateTemplateBody({}).errors, { name: 'name is required' });
+    assert.equal(validateTemplateBody({ capacity: 50 }, { partial: true }).errors, null);
+    assert.deepEqual(validateTemplateBody({ name: 'x', capacity: 0 }).errors, { capacity: 'capacity must be at least 1' });
+  });
+
+  test('copy only configuration fields that have a value', () => {
+    const config = pickWebinarConfig({
+      name: 'Tax 101',
+      attendees: [{ user: 'x' }],
+      line1: 'Tax Strategy',
+      capacity: null,
+      waitlist: undefined,
+      ctas: [{ label: 'Book', link: 'https://example.com' }],
+    });
+    assert.deepEqual(config, { line1: 'Tax Strategy', capacity: null, ctas: [{ label: 'Book', link: 'https://example.com' }] });
+  });
+});
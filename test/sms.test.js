@@ -0,0 +1,182 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import SmsMessage from '../models/SmsMessage.js';
+import SmsOptOut from '../models/SmsOptOut.js';
+import {
+  getQuietHoursEnd,
+  deliverSmsMessage,
+  handleInboundSms,
+  updateSmsDeliveryStatus,
+} from '../services/smsService.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+const NEW_YORK = 'America/New_York';
+const overnight = { start: 21, end: 8 };
+
+describe('getQuietHoursEnd', () => {
+  test('ends tomorrow morning when it is still evening', () => {
+    // 23:00 EST on January 14
+    const end = getQuietHoursEnd(new Date('2026-01-15T04:00:00Z'), NEW_YORK, overnight);
+    assert.equal(end.toISOString(), '2026-01-15T13:00:00.000Z');
+  });
+
+  test('ends this morning after midnight', () => {
+    // 03:00 EST on January 16
+    const end = getQuietHoursEnd(new Date('2026-01-16T08:00:00Z'), NEW_YORK, overnight);
+    assert.equal(end.toISOString(), '2026-01-16T13:00:00.000Z');
+  });
+
+  test('wraps across month ends', () => {
+    // 22:00 EST on January 31
+    const end = getQuietHoursEnd(new Date('2026-02-01T03:00:00Z'), NEW_YORK, overnight);
+    assert.equal(end.toISOString(), '2026-02-01T13:00:00.000Z');
+  });
+
+  test('uses the local clock on the night daylight saving starts', () => {
+    // 23:00 EST on March 7; quiet hours end at 08:00 EDT on March 8
+    const end = getQuietHoursEnd(new Date('2026-03-08T04:00:00Z'), NEW_YORK, overnight);
+    assert.equal(end.toISOString(), '2026-03-08T12:00:00.000Z');
+  });
+
+  test('is null outside quiet hours and at their boundaries', () => {
+    assert.equal(getQuietHoursEnd(new Date('2026-01-15T17:00:00Z'), NEW_YORK, overnight), null); // 12:00
+    assert.equal(getQuietHoursEnd(new Date('2026-01-15T13:00:00Z'), NEW_YORK, overnight), null); // 08:00
+    assert.ok(getQuietHoursEnd(new Date('2026-01-16T02:00:00Z'), NEW_YORK, overnight)); // 21:00
+  });
+
+  test('handles quiet hours within one day', () => {
+    const end = getQuietHoursEnd(new Date('2026-01-15T07:00:00Z'), NEW_YORK, { start: 1, end: 5 }); // 02:00
+    assert.equal(end.toISOString(), '2026-01-15T10:00:00.000Z');
+    assert.equal(getQuietHoursEnd(new Date('2026-01-15T04:00:00Z'), NEW_YORK, { start: 1, end: 5 }), null); // 23:00
+  });
+
+  test('falls back to Eastern time for unknown time zones and can be turned off', () => {
+    const date = new Date('2026-01-15T04:00:00Z');
+    assert.deepEqual(getQuietHoursEnd(date, 'Mars/Olympus', overnight), getQuietHoursEnd(date, NEW_YORK, overnight));
+    assert.equal(getQuietHoursEnd(date, NEW_YORK, null), null);
+  });
+});
+
+describe('deliverSmsMessage', () => {
+  afterEach(() => mock.restoreAll());
+
+  const queuedMessage = (fields = {}) => {
+    const message = new SmsMessage({ to: '+15551234567', body: 'Starting soon', purpose: 'reminder', timezone: NEW_YORK, ...fields });
+    mock.method(message, 'save', async () => message);
+    return message;
+  };
+
+  test('skips numbers that opted out', async () => {
+    mock.method(SmsOptOut, 'exists', async () => ({ _id: 'x' }));
+    const message = await deliverSmsMessage(queuedMessage(), { now: new Date('2026-01-15T17:00:00Z') });
+    assert.equal(message.status, 'skipped');
+    assert.equal(message.skipReason, 'opted-out');
+  });
+
+  test('holds messages until quiet hours end', async () => {
+    mock.method(SmsOptOut, 'exists', async () => null);
+    const message = await deliverSmsMessage(queuedMessage(), { now: new Date('2026-01-15T04:00:00Z') });
+    assert.equal(message.status, 'queued');
+    assert.equal(message.notBefore.toISOString(), '2026-01-15T13:00:00.000Z');
+  });
+
+  test('drops messages that would expire during quiet hours', async () => {
+    mock.method(SmsOptOut, 'exists', async () => null);
+    const message = await deliverSmsMessage(
+      queuedMessage({ expiresAt: new Date('2026-01-15T06:00:00Z') }),
+      { now: new Date('2026-01-15T04:00:00Z') }
+    );
+    assert.equal(message.status, 'skipped');
+    assert.equal(message.skipReason, 'expired');
+  });
+});
+
+describe('handleInboundSms', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('opts the number out on STOP and cancels queued texts', async () => {
+    const optOut = mock.method(SmsOptOut, 'updateOne', async () => ({}));
+    const cancel = mock.method(SmsMessage, 'updateMany', async () => ({}));
+
+    assert.equal(await handleInboundSms({ from: '+15551234567', body: ' stop ' }), 'opted-out');
+
+    assert.deepEqual(optOut.mock.calls[0].arguments, [
+      { phone: '+15551234567' },
+      { $set: { source: 'inbound', keyword: 'STOP' } },
+      { upsert: true },
+    ]);
+    assert.deepEqual(cancel.mock.calls[0].arguments[0], { to: '+15551234567', status: 'queued' });
+  });
+
+  test('opts the number back in on START', async () => {
+    const remove = mock.method(SmsOptOut, 'deleteOne', async () => ({}));
+
+    assert.equal(await handleInboundSms({ from: '+15551234567', body: 'Start' }), 'opted-in');
+    assert.deepEqual(remove.mock.calls[0].arguments[0], { phone: '+15551234567' });
+  });
+
+  test('ignores other messages and keywords inside sentences', async () => {
+    const optOut = mock.method(SmsOptOut, 'updateOne', async () => ({}));
+
+    assert.equal(await handleInboundSms({ from: '+15551234567', body: 'please stop texting' }), null);
+    assert.equal(await handleInboundSms({ from: '+15551234567', body: undefined }), null);
+    assert.equal(optOut.mock.callCount(), 0);
+  });
+});
+
+describe('updateSmsDeliveryStatus', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('records delivery with the time', async () => {
+    const update = mock.method(SmsMessage, 'findOneAndUpdate', async () => ({}));
+
+    await updateSmsDeliveryStatus({ providerMessageId: 'SM1', status: 'Delivered' });
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { providerMessageId: 'SM1', status: { $in: ['sending', 'sent', 'delivered'] } });
+    assert.equal(change.$set.status, 'delivered');
+    assert.ok(change.$set.deliveredAt instanceof Date);
+  });
+
+  test('does not let a late "sent" overwrite a final status', async () => {
+    const update = mock.method(SmsMessage, 'findOneAndUpdate', async () => null);
+
+    await updateSmsDeliveryStatus({ providerMessageId: 'SM1', status: 'sent' });
+
+    assert.deepEqual(update.mock.calls[0].arguments[0].status, { $in: ['sending', 'sent'] });
+  });
+
+  test('keeps the provider error code of failed messages', async () => {
+    const update = mock.method(SmsMessage, 'findOneAndUpdate', async () => ({}));
+
+    await updateSmsDeliveryStatus({ providerMessageId: 'SM1', status: 'undelivered', errorCode: '30003' });
+
+    assert.deepEqual(update.mock.calls[0].arguments[1].$set, { status: 'undelivered', error: 'Provider error 30003' });
+  });
+
+  test('ignores unknown statuses and receipts without a message ID', async () => {
+    const update = mock.method(SmsMessage, 'findOneAndUpdate', async () => ({}));
+
+    assert.equal(await updateSmsDeliveryStatus({ providerMessageId: 'SM1', status: 'queued' }), null);
+    assert.equal(await updateSmsDeliveryStatus({ status: 'delivered' }), null);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe('normalizePhoneNumber', () => {
+  test('formats North American numbers as E.164', () => {
+    assert.equal(normalizePhoneNumber('(555) 123-4567'), '+15551234567');
+    assert.equal(normalizePhoneNumber('1 555 123 4567'), '+15551234567');
+    assert.equal(normalizePhoneNumber(5551234567), '+15551234567');
+  });
+
+  test('keeps international numbers with a country code', () => {
+    assert.equal(normalizePhoneNumber('+44 20 7946 0958'), '+442079460958');
+  });
+
+  test('rejects anything that cannot be a phone number', () => {
+    for (const value of ['12345', 'call me', '555-123-4567 ext 2', '+1234567', null, {}]) {
+      assert.equal(normalizePhoneNumber(value), null, String(value));
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { base32Encode, generateTotp, verifyTotp, getTimeStep } from '../utils/totp.js';
+import { verifySecondFactor } from '../services/twoFactorService.js';
+
+// RFC 6238 appendix B: ASCII "12345678901234567890", HMAC-SHA1, 8 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 15); // 15 seconds into a step
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+      assert.equal(generateTotp(RFC_SECRET, { now: seconds * 1000, digits: 8 }), code);
+      assert.equal(verifyTotp(RFC_SECRET, code, { now: seconds * 1000, digits: 8 }), getTimeStep(seconds * 1000));
+    }
+  });
+
+  test('accepts codes one step before or after the current one', () => {
+    const step = getTimeStep(NOW);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, { now: NOW - 30000 }), { now: NOW }), step - 1);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, { now: NOW + 30000 }), { now: NOW }), step + 1);
+  });
+
+  test('rejects codes two steps away', () => {
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, { now: NOW - 60000 }), { now: NOW }), null);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, { now: NOW + 60000 }), { now: NOW }), null);
+  });
+
+  test('rejects malformed codes', () => {
+    assert.equal(verifyTotp(SECRET, '12345', { now: NOW }), null);
+    assert.equal(verifyTotp(SECRET, 'abcdef', { now: NOW }), null);
+    assert.equal(verifyTotp(SECRET, '', { now: NOW }), null);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  afterEach(() => mock.restoreAll());
+
+  // In-memory user with 2FA enabled; save() is a no-op
+  const mockUser = () => {
+    const user = {
+      twoFactor: { enabled: true, secret: SECRET, backupCodes: [], lastUsedStep: null },
+      save: async () => user,
+    };
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+    return user;
+  };
+
+  test('accepts a valid code once and rejects it when reused', async () => {
+    const user = mockUser();
+    const code = generateTotp(SECRET, { now: NOW });
+
+    assert.equal(await verifySecondFactor('u1', { code }, { now: NOW }), true);
+    assert.equal(user.twoFactor.lastUsedStep, getTimeStep(NOW));
+    assert.equal(await verifySecondFactor('u1', { code }, { now: NOW + 10000 }), false);
+  });
+
+  test('rejects an older code after a newer one was used', async () => {
+    mockUser();
+    const previous = generateTotp(SECRET, { now: NOW - 30000 });
+
+    assert.equal(await verifySecondFactor('u1', { code: generateTotp(SECRET, { now: NOW }) }, { now: NOW }), true);
+    assert.equal(await verifySecondFactor('u1', { code: previous }, { now: NOW }), false);
+  });
+
+  test('accepts the next step after a drifted login', async () => {
+    mockUser();
+    assert.equal(await verifySecondFactor('u1', { code: generateTotp(SECRET, { now: NOW - 30000 }) }, { now: NOW }), true);
+    assert.equal(await verifySecondFactor('u1', { code: generateTotp(SECRET, { now: NOW }) }, { now: NOW }), true);
+  });
+});
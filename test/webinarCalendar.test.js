@@ -0,0 +1,110 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { buildCalendar } from '../utils/ics.js';
+import { getWebinarUid, toCalendarEvent, buildInviteAttachment } from '../services/webinarCalendarService.js';
+import { createCalendarFeed } from '../controllers/webinarCalendarController.js';
+
+const webinar = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Tax Strategy, Q&A; Live',
+  slug: 'tax-strategy',
+  date: new Date('2026-03-01T18:00:00Z'),
+  durationMinutes: 90,
+  calendarSequence: 3,
+};
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const lines = (ics) => unfold(ics).split('\r\n');
+
+describe('webinar calendar events', () => {
+  test('use one UID per webinar so updates replace the original entry', () => {
+    const uid = `webinar-${webinar._id}@royalvault`;
+    assert.equal(getWebinarUid(webinar), uid);
+    assert.equal(toCalendarEvent(webinar).uid, uid);
+    assert.equal(toCalendarEvent({ ...webinar, date: new Date('2026-04-01T18:00:00Z') }).uid, uid);
+  });
+
+  test('carry the webinar calendar sequence', () => {
+    assert.equal(toCalendarEvent(webinar).sequence, 3);
+    assert.equal(toCalendarEvent({ ...webinar, calendarSequence: undefined }).sequence, 0);
+
+    const ics = lines(buildCalendar([toCalendarEvent(webinar)]));
+    assert.ok(ics.includes(`UID:webinar-${webinar._id}@royalvault`));
+    assert.ok(ics.includes('SEQUENCE:3'));
+  });
+
+  test('derive the end from the duration and escape text', () => {
+    const ics = lines(buildCalendar([toCalendarEvent(webinar)]));
+    assert.ok(ics.includes('DTSTART:20260301T180000Z'));
+    assert.ok(ics.includes('DTEND:20260301T193000Z'));
+    assert.ok(ics.includes('SUMMARY:Tax Strategy\\, Q&A\\; Live'));
+  });
+
+  test('cancellations keep the UID and use METHOD:CANCEL', () => {
+    const attachment = buildInviteAttachment(webinar, { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' }, 'CANCEL');
+    const ics = lines(Buffer.from(attachment.content, 'base64').toString());
+
+    assert.equal(attachment.filename, 'cancel.ics');
+    assert.ok(ics.includes('METHOD:CANCEL'));
+    assert.ok(ics.includes('STATUS:CANCELLED'));
+    assert.ok(ics.includes(`UID:webinar-${webinar._id}@royalvault`));
+  });
+
+  test('fold long lines at 75 octets', () => {
+    const ics = buildCalendar([toCalendarEvent({ ...webinar, calInvDesc: 'x'.repeat(200) })]);
+    for (const line of ics.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(lines(ics).includes(`DESCRIPTION:${'x'.repeat(200)}`));
+  });
+});
+
+describe('createCalendarFeed', () => {
+  const fakeRes = () => ({
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+  const req = {
+    user: { _id: new mongoose.Types.ObjectId() },
+    protocol: 'http',
+    get: () => 'attacker.example',
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.API_PUBLIC_URL;
+  });
+
+  test('builds the feed URL from API_PUBLIC_URL, not the Host header', async () => {
+    process.env.API_PUBLIC_URL = 'https://api.royalvault.test/';
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = fakeRes();
+    await createCalendarFeed(req, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.match(res.body.url, /^https:\/\/api\.royalvault\.test\/api\/webinars\/calendar\/feed\/[0-9a-f]{48}\.ics$/);
+    assert.equal(res.body.webcalUrl, res.body.url.replace('https:', 'webcal:'));
+  });
+
+  test('refuses to create a feed when API_PUBLIC_URL is not set', async () => {
+    const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(console, 'error', () => {});
+
+    const res = fakeRes();
+    await createCalendarFeed(req, res);
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,143 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Webinar from '../models/Webinar.js';
+import HubSpotSyncRun from '../models/HubSpotSyncRun.js';
+import { syncWebinarToHubSpot } from '../services/webinarHubSpotSyncService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('syncWebinarToHubSpot', () => {
+  const webinarId = id();
+  const ann = { _id: id(), email: 'ann@example.com', hubSpotContactId: '101' };
+  const ben = { _id: id(), email: 'ben@example.com', hubSpotContactId: '102' };
+  const cy = { _id: id(), email: 'cy@example.com', hubSpotContactId: '103' };
+  const dee = { _id: id(), email: 'dee@example.com' };
+
+  let members;
+  let membershipUpdates;
+  let createdLists;
+  let webinarUpdates;
+  let userUpdates;
+  let missingOnAll;
+
+  beforeEach(() => {
+    process.env.HUBSPOT_PRIVATE_API_KEY = 'test-key';
+    members = { 'L-all': ['101', '999'], 'L-reg': ['101'] };
+    membershipUpdates = {};
+    createdLists = [];
+    webinarUpdates = [];
+    userUpdates = [];
+    missingOnAll = [];
+
+    const webinar = {
+      _id: webinarId,
+      name: 'Tax 101',
+      line1: 'Tax Strategy',
+      date: new Date('2026-03-01T18:00:00Z'),
+      hubSpotListId: 'L-all',
+      hubSpotLists: { registered: 'L-reg' },
+      attendees: [
+        { user: ann, attendanceStatus: 'registered' },
+        { user: ben, attendanceStatus: 'attended' },
+        { user: cy, attendanceStatus: 'waitlisted' },
+        { user: dee, attendanceStatus: 'watched' },
+        { user: null, attendanceStatus: 'registered' },
+      ],
+    };
+
+    mock.method(HubSpotSyncRun, 'updateMany', async () => ({}));
+    mock.method(HubSpotSyncRun, 'create', async (fields) => new HubSpotSyncRun(fields));
+    mock.method(HubSpotSyncRun.prototype, 'save', async function save() {
+      return this;
+    });
+    mock.method(Webinar, 'findById', () => ({ populate: async () => webinar }));
+    mock.method(Webinar, 'updateOne', async (filter, update) => webinarUpdates.push(update.$set));
+    mock.method(User, 'updateOne', async (filter, update) => userUpdates.push({ filter, update }));
+    mock.method(User, 'bulkWrite', async () => ({}));
+
+    mock.method(axios, 'get', async (url) => {
+      const listId = url.match(/lists\/([^/]+)\/memberships/)[1];
+      return { data: { results: (members[listId] || []).map((recordId) => ({ recordId })) } };
+    });
+    mock.method(axios, 'post', async (url, body) => {
+      if (url.endsWith('/objects/contacts/batch/read')) {
+        return { data: { results: [{ id: '104', properties: { email: 'dee@example.com' } }] } };
+      }
+      if (url.endsWith('/lists/search')) {
+        return { data: { lists: [] } };
+      }
+      if (url.endsWith('/lists')) {
+        createdLists.push(body.name);
+        return { data: { list: { listId: `L-new-${createdLists.length}` } } };
+      }
+      throw new Error(`Unexpected POST ${url}`);
+    });
+    mock.method(axios, 'put', async (url, body) => {
+      const listId = url.match(/lists\/([^/]+)\/memberships/)[1];
+      membershipUpdates[listId] = body;
+      const missing = listId === 'L-all' ? missingOnAll : [];
+      return {
+        data: {
+          recordIdsAdded: body.recordIdsToAdd.filter((recordId) => !missing.includes(recordId)),
+          recordIdsRemoved: body.recordIdsToRemove,
+          recordIdsMissing: missing,
+        },
+      };
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  test('sends only the membership changes for each list', async () => {
+    const run = await syncWebinarToHubSpot(webinarId);
+
+    assert.equal(run.status, 'completed');
+    // Everyone with a seat; the waitlisted attendee and the stray member are left out
+    assert.deepEqual(membershipUpdates['L-all'], { recordIdsToAdd: ['102', '104'], recordIdsToRemove: ['999'] });
+    assert.equal(membershipUpdates['L-reg'], undefined); // already in sync, so no request
+    assert.deepEqual(membershipUpdates['L-new-1'], { recordIdsToAdd: ['102'], recordIdsToRemove: [] });
+    assert.deepEqual(membershipUpdates['L-new-2'], { recordIdsToAdd: ['104'], recordIdsToRemove: [] });
+
+    assert.deepEqual(run.lists.map(({ kind, listId, members: count, added, removed }) => ({ kind, listId, count, added, removed })), [
+      { kind: 'all', listId: 'L-all', count: 3, added: 2, removed: 1 },
+      { kind: 'registered', listId: 'L-reg', count: 1, added: 0, removed: 0 },
+      { kind: 'attended', listId: 'L-new-1', count: 1, added: 1, removed: 0 },
+      { kind: 'watched', listId: 'L-new-2', count: 1, added: 1, removed: 0 },
+    ]);
+    assert.deepEqual({ ...run.contacts }, { total: 3, cached: 2, found: 1, created: 0, failed: 0 });
+  });
+
+  test('creates status lists only when someone has that status and saves them right away', async () => {
+    await syncWebinarToHubSpot(webinarId);
+
+    assert.deepEqual(createdLists, [
+      'Webinar: Tax Strategy (2026-03-01) - Attended',
+      'Webinar: Tax Strategy (2026-03-01) - Watched',
+    ]);
+    assert.deepEqual(webinarUpdates.slice(0, 2), [{ 'hubSpotLists.attended': 'L-new-1' }, { 'hubSpotLists.watched': 'L-new-2' }]);
+    assert.ok(webinarUpdates[2].hubSpotSyncedAt instanceof Date);
+  });
+
+  test('forgets contacts HubSpot no longer knows and reports them', async () => {
+    missingOnAll = ['102'];
+
+    const run = await syncWebinarToHubSpot(webinarId);
+
+    assert.equal(run.status, 'partial');
+    assert.equal(run.failures.length, 1);
+    assert.equal(run.failures[0].email, 'ben@example.com');
+    assert.equal(run.lists[0].members, 2);
+    assert.deepEqual(userUpdates, [{ filter: { _id: ben._id.toString() }, update: { $unset: { hubSpotContactId: '' } } }]);
+  });
+
+  test('does not start while another sync of the webinar is running', async () => {
+    HubSpotSyncRun.create.mock.mockImplementation(async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    assert.equal(await syncWebinarToHubSpot(webinarId), null);
+    assert.deepEqual(membershipUpdates, {});
+  });
+});
@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { publishWebinarEvent, subscribeToWebinar, getPresenceCount } from '../services/webinarLiveService.js';
+
+// Minimal SSE response: collects what is written and parses it into events
+const fakeStream = () => {
+  const req = new EventEmitter();
+  const res = {
+    headers: {},
+    output: '',
+    set(headers) {
+      Object.assign(this.headers, headers);
+    },
+    flushHeaders() {},
+    write(chunk) {
+      this.output += chunk;
+    },
+    events() {
+      return this.output.split('\n\n').filter((block) => block.includes('event: ')).map((block) => {
+        const lines = block.split('\n');
+        const field = (name) => lines.find((line) => line.startsWith(`${name}: `))?.slice(name.length + 2);
+        return { id: field('id') ? Number(field('id')) : null, type: field('event'), data: JSON.parse(field('data')) };
+      });
+    },
+  };
+  return { req, res };
+};
+
+const newWebinarId = () => new mongoose.Types.ObjectId();
+
+describe('webinar live stream', () => {
+  test('sends a ready event and pushes new events to connected viewers', () => {
+    const webinarId = newWebinarId();
+    const { req, res } = fakeStream();
+    subscribeToWebinar(webinarId, req, res);
+
+    const event = publishWebinarEvent(webinarId, 'chat:message', { text: 'hello' });
+
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    const [ready, message] = res.events();
+    assert.equal(ready.type, 'ready');
+    assert.deepEqual(message, { id: event.id, type: 'chat:message', data: { text: 'hello' } });
+    req.emit('close');
+  });
+
+  test('event ids strictly increase', () => {
+    const webinarId = newWebinarId();
+    const ids = Array.from({ length: 20 }, () => publishWebinarEvent(webinarId, 'cta:update', {}).id);
+    ids.slice(1).forEach((id, i) => assert.ok(id > ids[i]));
+  });
+
+  test('replays the events a reconnecting viewer missed', () => {
+    const webinarId = newWebinarId();
+    const first = publishWebinarEvent(webinarId, 'chat:message', { n: 1 });
+    publishWebinarEvent(webinarId, 'chat:message', { n: 2 });
+    publishWebinarEvent(webinarId, 'chat:pin', { n: 3 });
+
+    const { req, res } = fakeStream();
+    subscribeToWebinar(webinarId, req, res, { since: String(first.id) });
+
+    assert.deepEqual(res.events().map((event) => event.type), ['chat:message', 'chat:pin', 'ready']);
+    assert.deepEqual(res.events().slice(0, 2).map((event) => event.data.n), [2, 3]);
+    req.emit('close');
+  });
+
+  test('asks for a resync when the missed events are no longer buffered', () => {
+    const webinarId = newWebinarId();
+    const first = publishWebinarEvent(webinarId, 'chat:message', { n: 0 });
+    for (let i = 1; i <= 501; i++) publishWebinarEvent(webinarId, 'chat:message', { n: i });
+
+    const { req, res } = fakeStream();
+    subscribeToWebinar(webinarId, req, res, { since: String(first.id) });
+
+    const [resync, ready] = res.events();
+    assert.equal(resync.type, 'resync');
+    assert.equal(resync.data.reason, 'history-unavailable');
+    assert.equal(ready.type, 'ready');
+    req.emit('close');
+  });
+
+  test('counts connected viewers and forgets them when they disconnect', () => {
+    const webinarId = newWebinarId();
+    const viewers = [fakeStream(), fakeStream()];
+    viewers.forEach(({ req, res }) => subscribeToWebinar(webinarId, req, res));
+    assert.equal(getPresenceCount(webinarId), 2);
+
+    viewers[0].req.emit('close');
+    assert.equal(getPresenceCount(webinarId), 1);
+
+    publishWebinarEvent(webinarId, 'chat:clear', {});
+    assert.equal(viewers[0].res.events().some((event) => event.type === 'chat:clear'), false);
+    assert.equal(viewers[1].res.events().some((event) => event.type === 'chat:clear'), true);
+    viewers[1].req.emit('close');
+  });
+});
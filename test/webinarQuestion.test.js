@@ -0,0 +1,147 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Webinar from '../models/Webinar.js';
+import WebinarQuestion from '../models/WebinarQuestion.js';
+import {
+  submitQuestion,
+  upvoteQuestion,
+  exportQuestions,
+} from '../controllers/webinarQuestionController.js';
+
+// Chainable stand-in for a Mongoose query resolving to `result`
+const query = (result) => {
+  const q = {
+    calls: {},
+    populate: () => q,
+    select: () => q,
+    sort: (arg) => {
+      q.calls.sort = arg;
+      return q;
+    },
+    lean: async () => result,
+  };
+  return q;
+};
+
+const fakeRes = () => ({
+  statusCode: null,
+  body: null,
+  headers: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+  set(headers) {
+    Object.assign(this.headers, headers);
+    return this;
+  },
+});
+
+const webinarId = new mongoose.Types.ObjectId().toString();
+const questionId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId();
+
+describe('question upvotes', () => {
+  afterEach(() => mock.restoreAll());
+
+  const upvote = async () => {
+    const res = fakeRes();
+    await upvoteQuestion({ params: { webinarId, questionId }, user: { _id: userId } }, res);
+    return res;
+  };
+
+  test('count each user once with a conditional atomic update', async () => {
+    const update = mock.method(WebinarQuestion, 'findOneAndUpdate', () => query({
+      _id: questionId, upvotes: [userId], upvoteCount: 1,
+    }));
+
+    const res = await upvote();
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter.upvotes, { $ne: userId });
+    assert.deepEqual(filter.status, { $ne: 'dismissed' });
+    assert.deepEqual(change, { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.question.hasUpvoted, true);
+    assert.equal(res.body.question.upvotes, undefined);
+  });
+
+  test('leave the count alone when the user already upvoted', async () => {
+    mock.method(WebinarQuestion, 'findOneAndUpdate', () => query(null));
+    mock.method(WebinarQuestion, 'findOne', () => query({ status: 'open' }));
+
+    const res = await upvote();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.message, 'Already upvoted');
+  });
+
+  test('are refused on dismissed questions', async () => {
+    mock.method(WebinarQuestion, 'findOneAndUpdate', () => query(null));
+    mock.method(WebinarQuestion, 'findOne', () => query({ status: 'dismissed' }));
+
+    const res = await upvote();
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe('submitQuestion', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('is closed once the webinar has ended', async () => {
+    mock.method(Webinar, 'findById', () => ({ select: async () => ({ status: 'Ended' }) }));
+    const create = mock.method(WebinarQuestion, 'create', async () => ({}));
+
+    const res = fakeRes();
+    await submitQuestion({ params: { webinarId }, body: { text: 'Is this recorded?' }, user: { _id: userId } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('exportQuestions', () => {
+  afterEach(() => mock.restoreAll());
+
+  const exportCsv = async () => {
+    const res = fakeRes();
+    await exportQuestions({ params: { webinarId }, query: {} }, res);
+    return res;
+  };
+
+  test('waits until the webinar has ended', async () => {
+    mock.method(Webinar, 'findById', () => ({ select: async () => ({ status: 'Live' }) }));
+
+    const res = await exportCsv();
+
+    assert.equal(res.statusCode, 409);
+  });
+
+  test('exports questions by votes with formulas neutralized', async () => {
+    mock.method(Webinar, 'findById', () => ({ select: async () => ({ _id: webinarId, slug: 'tax-101', status: 'Ended' }) }));
+    const questions = query([
+      { text: '=cmd|"/c calc"!A1', authorName: 'Mallory', upvoteCount: 4, status: 'open', createdAt: new Date('2026-03-01T10:00:00Z') },
+      { text: 'How are LLCs taxed?', authorName: 'Ann', upvoteCount: 2, status: 'answered', answeredLive: true, createdAt: new Date('2026-03-01T10:05:00Z') },
+    ]);
+    mock.method(WebinarQuestion, 'find', () => questions);
+
+    const res = await exportCsv();
+
+    assert.deepEqual(questions.calls.sort, { upvoteCount: -1, createdAt: 1 });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Disposition'], 'attachment; filename="tax-101-questions.csv"');
+    const lines = res.body.split('\r\n');
+    assert.ok(lines[1].startsWith('"\'=cmd|""/c calc""!A1",Mallory,,4,open,No,'));
+    assert.ok(lines[2].startsWith('How are LLCs taxed?,Ann,,2,answered,Yes,'));
+  });
+});
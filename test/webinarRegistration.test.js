@@ -0,0 +1,119 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+process.env.SUPABASE_URL ||= 'http://localhost';
+process.env.SUPABASE_SERVICE_KEY ||= 'test';
+
+const { unregisterFromWebinar } = await import('../controllers/webinarController.js');
+const { default: Webinar } = await import('../models/Webinar.js');
+const { reorderWaitlist } = await import('../services/webinarWaitlistService.js');
+
+const fakeRes = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe('unregisterFromWebinar', () => {
+  const webinarId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => mock.restoreAll());
+
+  const unregister = async () => {
+    const res = fakeRes();
+    await unregisterFromWebinar({ params: { webinarId: webinarId.toString() }, user: { _id: userId } }, res);
+    return res;
+  };
+
+  test('removes only this user with an atomic $pull', async () => {
+    const update = mock.method(Webinar, 'findOneAndUpdate', async () => new Webinar({
+      _id: webinarId,
+      attendees: [{ user: userId, attendanceStatus: 'waitlisted', waitlistPosition: 1 }],
+    }));
+    const save = mock.method(Webinar.prototype, 'save');
+
+    const res = await unregister();
+    assert.equal(res.statusCode, 200);
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter['attendees.user'], userId);
+    assert.deepEqual(change, { $pull: { attendees: { user: userId } } });
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('returns 400 when the user is not registered', async () => {
+    mock.method(Webinar, 'findOneAndUpdate', async () => null);
+    mock.method(Webinar, 'exists', async () => ({ _id: webinarId }));
+    const res = await unregister();
+    assert.equal(res.statusCode, 400);
+  });
+
+  test('returns 404 for an unknown webinar', async () => {
+    mock.method(Webinar, 'findOneAndUpdate', async () => null);
+    mock.method(Webinar, 'exists', async () => null);
+    const res = await unregister();
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe('reorderWaitlist', () => {
+  const webinarId = new mongoose.Types.ObjectId();
+  const first = new mongoose.Types.ObjectId();
+  const second = new mongoose.Types.ObjectId();
+
+  afterEach(() => mock.restoreAll());
+
+  const loadWaitlist = () => mock.method(Webinar, 'findById', () => ({
+    select: async () => new Webinar({
+      _id: webinarId,
+      attendees: [
+        { user: first, attendanceStatus: 'waitlisted', waitlistPosition: 1 },
+        { user: second, attendanceStatus: 'waitlisted', waitlistPosition: 2 },
+      ],
+    }),
+  }));
+
+  test('writes every position in one update guarded by the current waitlist', async () => {
+    loadWaitlist();
+    const update = mock.method(Webinar, 'updateOne', async () => ({ matchedCount: 1 }));
+
+    assert.equal(await reorderWaitlist(webinarId, [second, first]), true);
+
+    assert.equal(update.mock.callCount(), 1);
+    const [filter, change, options] = update.mock.calls[0].arguments;
+    assert.equal(filter.attendees.$all.length, 2);
+    assert.deepEqual(filter.$expr.$eq[1], 2);
+    assert.deepEqual(change, {
+      $set: { 'attendees.$[w0].waitlistPosition': 1, 'attendees.$[w1].waitlistPosition': 2 },
+    });
+    assert.deepEqual(options.arrayFilters, [
+      { 'w0.user': second.toString(), 'w0.attendanceStatus': 'waitlisted' },
+      { 'w1.user': first.toString(), 'w1.attendanceStatus': 'waitlisted' },
+    ]);
+  });
+
+  test('reports a mismatch when the waitlist changed before the update', async () => {
+    loadWaitlist();
+    mock.method(Webinar, 'updateOne', async () => ({ matchedCount: 0 }));
+
+    assert.equal(await reorderWaitlist(webinarId, [second, first]), false);
+  });
+
+  test('rejects duplicate user IDs without touching the webinar', async () => {
+    const findById = loadWaitlist();
+    const update = mock.method(Webinar, 'updateOne', async () => ({ matchedCount: 1 }));
+
+    assert.equal(await reorderWaitlist(webinarId, [first, first]), false);
+    assert.equal(findById.mock.callCount(), 0);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,136 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import sgMail from '@sendgrid/mail';
+import ReminderDelivery from '../models/ReminderDelivery.js';
+import { getDueStage, sendWebinarReminder } from '../services/webinarReminderService.js';
+
+const MINUTE_MS = 60 * 1000;
+const start = new Date('2026-03-01T18:00:00Z');
+const at = (minutesBeforeStart) => new Date(start.getTime() - minutesBeforeStart * MINUTE_MS);
+const schedule = [{ offsetMinutes: 1440 }, { offsetMinutes: 60 }, { offsetMinutes: 15 }, { offsetMinutes: 0 }];
+
+describe('getDueStage', () => {
+  const webinar = { date: start, status: 'Scheduled', reminderSchedule: schedule };
+
+  test('returns nothing before the first stage is due', () => {
+    assert.equal(getDueStage(webinar, at(1441), 60), null);
+  });
+
+  test('returns the stage as soon as it is due', () => {
+    assert.equal(getDueStage(webinar, at(1440), 60), 1440);
+    assert.equal(getDueStage(webinar, at(60), 60), 60);
+  });
+
+  test('catches up on an overdue stage within the grace period', () => {
+    assert.equal(getDueStage(webinar, at(60 - 30), 60), 60);
+  });
+
+  test('drops an overdue stage once a later one is due', () => {
+    assert.equal(getDueStage(webinar, at(14), 60), 15);
+  });
+
+  test('drops a stage after the grace period', () => {
+    assert.equal(getDueStage(webinar, at(1440 - 61), 60), null);
+  });
+
+  test('never sends pre-start reminders after the start', () => {
+    const noLive = { ...webinar, reminderSchedule: [{ offsetMinutes: 15 }] };
+    assert.equal(getDueStage(noLive, at(-1), 60), null);
+  });
+
+  test('sends the live stage after the start unless the webinar ended', () => {
+    assert.equal(getDueStage(webinar, at(-5), 60), 0);
+    assert.equal(getDueStage({ ...webinar, status: 'Ended' }, at(-5), 60), null);
+  });
+});
+
+describe('sendWebinarReminder deliveries', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' };
+  const webinar = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Tax 101',
+    slug: 'tax-101',
+    date: start,
+    attendees: [{ user, attendanceStatus: 'registered' }],
+    populate: async () => {},
+  };
+  const duplicate = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  let send;
+  beforeEach(() => {
+    process.env.WEBINAR_REMINDER_TEMPLATE_ID = 'd-reminder';
+    mock.method(sgMail, 'setApiKey', () => {});
+    send = mock.method(sgMail, 'send', async () => [{ statusCode: 202 }]);
+    mock.method(console, 'log', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  test('claims and records a first delivery', async () => {
+    const delivery = new ReminderDelivery({ webinar: webinar._id, user: user._id, stage: 60 });
+    mock.method(ReminderDelivery, 'create', async () => delivery);
+    mock.method(delivery, 'save', async () => delivery);
+
+    const result = await sendWebinarReminder(webinar, 60, { now: at(60) });
+
+    assert.deepEqual(result, { sent: 1, failed: 0, skipped: 0 });
+    assert.equal(send.mock.callCount(), 1);
+    assert.equal(delivery.status, 'sent');
+  });
+
+  test('skips attendees whose delivery is sent or still being sent', async () => {
+    mock.method(ReminderDelivery, 'create', async () => { throw duplicate(); });
+    const takeOver = mock.method(ReminderDelivery, 'findOneAndUpdate', async () => null);
+
+    const result = await sendWebinarReminder(webinar, 60, { now: at(60) });
+
+    assert.deepEqual(result, { sent: 0, failed: 0, skipped: 1 });
+    assert.equal(send.mock.callCount(), 0);
+    assert.equal(takeOver.mock.callCount(), 1);
+  });
+
+  test('takes over failed and stale sending deliveries', async () => {
+    const delivery = new ReminderDelivery({ webinar: webinar._id, user: user._id, stage: 60, status: 'sending', attempts: 2 });
+    mock.method(ReminderDelivery, 'create', async () => { throw duplicate(); });
+    const takeOver = mock.method(ReminderDelivery, 'findOneAndUpdate', async () => delivery);
+    mock.method(delivery, 'save', async () => delivery);
+
+    const before = Date.now();
+    const result = await sendWebinarReminder(webinar, 60, { now: at(45) });
+
+    assert.deepEqual(result, { sent: 1, failed: 0, skipped: 0 });
+    assert.equal(delivery.status, 'sent');
+
+    const [filter, update] = takeOver.mock.calls[0].arguments;
+    assert.equal(filter.stage, 60);
+    assert.equal(filter.channel, 'email');
+    assert.deepEqual(filter.attempts, { $not: { $gte: 5 } });
+    assert.deepEqual(filter.$or[0], { status: 'failed' });
+    assert.equal(filter.$or[1].status, 'sending');
+    assert.ok(Math.abs(filter.$or[1].updatedAt.$lt.getTime() - (before - 10 * MINUTE_MS)) < 1000);
+    assert.deepEqual(update.$set, { status: 'sending' });
+    assert.deepEqual(update.$inc, { attempts: 1 });
+  });
+
+  test('records a failed send so a later run can retry it', async () => {
+    send.mock.mockImplementation(async () => { throw new Error('SendGrid down'); });
+    mock.method(console, 'error', () => {});
+    const delivery = new ReminderDelivery({ webinar: webinar._id, user: user._id, stage: 60 });
+    mock.method(ReminderDelivery, 'create', async () => delivery);
+    mock.method(delivery, 'save', async () => delivery);
+
+    const result = await sendWebinarReminder(webinar, 60, { now: at(60) });
+
+    assert.deepEqual(result, { sent: 0, failed: 1, skipped: 0 });
+    assert.equal(delivery.status, 'failed');
+  });
+
+  test('does not record forced test sends', async () => {
+    const create = mock.method(ReminderDelivery, 'create', async () => { throw new Error('should not claim'); });
+
+    const result = await sendWebinarReminder(webinar, 60, { force: true, now: at(60) });
+
+    assert.deepEqual(result, { sent: 1, failed: 0, skipped: 0 });
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
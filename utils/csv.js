@@ -0,0 +1,38 @@
+// CSV helpers for admin exports
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // User-entered text (names, questions, answers) is exported as-is, so neutralize formulas;
+  // numbers are left alone so negative values stay numeric
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document.
+ * `columns` is a list of { header, value: (row) => any }.
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(column.value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Send a CSV document as a file download
+ */
+export const sendCsv = (res, filename, csv) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(csv);
+};
@@ -0,0 +1,85 @@
+// iCalendar (RFC 5545) builder for webinar invites and feeds
+
+const PRODID = '-//Royal Vault//Webinars//EN';
+
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Lines of one VEVENT.
+ * event: { uid, sequence, start, end, summary, description?, url?, status?, organizer?: { name, email }, attendee?: { name, email } }
+ */
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+    lines.push(`LOCATION:${escapeText(event.url)}`);
+  }
+  if (event.organizer?.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+  }
+  if (event.attendee?.email) {
+    lines.push(`ATTENDEE;CN=${escapeText(event.attendee.name || event.attendee.email)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${event.attendee.email}`);
+  }
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR document.
+ * method: PUBLISH (downloads and feeds), REQUEST (invites and updates) or CANCEL
+ */
+export const buildCalendar = (events, { method = 'PUBLISH', name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  events.forEach((event) => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,35 @@
+// Password strength policy, configured through environment variables
+
+const envFlag = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true';
+};
+
+export const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.MIN_PASSWORD_LENGTH, 10) || 8,
+  requireUppercase: envFlag(process.env.REQUIRE_UPPERCASE, true),
+  requireNumbers: envFlag(process.env.REQUIRE_NUMBERS, true),
+  requireSpecialChars: envFlag(process.env.REQUIRE_SPECIAL_CHARS, false),
+});
+
+// Returns the list of unmet requirements (empty when the password is acceptable)
+export const checkPasswordStrength = (password, policy = getPasswordPolicy()) => {
+  if (!password || typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.requireNumbers && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (policy.requireSpecialChars && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one special character');
+  }
+  return errors;
+};
@@ -0,0 +1,23 @@
+// Phone number helpers for SMS
+
+/**
+ * Normalize a phone number to E.164 ("+15551234567"), or null when it cannot be one.
+ * Numbers without a country code are assumed to be North American (+1).
+ */
+export const normalizePhoneNumber = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const raw = String(value).trim();
+  if (!/^[\d\s\-+().]+$/.test(raw)) return null;
+
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+};
+
+// "+15551234567" -> "+1•••••4567" for logs
+export const maskPhoneNumber = (phone) =>
+  (phone && phone.length > 6 ? `${phone.slice(0, 2)}${'•'.repeat(phone.length - 6)}${phone.slice(-4)}` : phone);
@@ -0,0 +1,20 @@
+// Request metadata helpers (client IP, user agent)
+
+/**
+ * Express "trust proxy" setting from TRUST_PROXY: a hop count ("1" = one load balancer in front),
+ * "false" to trust no proxy, or a comma-separated list of proxy addresses/subnets. Defaults to 1.
+ */
+export const getTrustProxySetting = (value = process.env.TRUST_PROXY) => {
+  if (value === undefined || value === '') return 1;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+};
+
+// Client address as resolved by Express from the trusted proxies only (X-Forwarded-For entries
+// added by the client itself are ignored)
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || '';
+
+export const getUserAgent = (req) => {
+  return req.headers['user-agent'] || '';
+};
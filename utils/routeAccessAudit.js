@@ -0,0 +1,44 @@
+// Lists routes that do not declare an access policy (see publicAccess/protect/requirePermission
+// in middleware/authMiddleware.js). Router-level middleware such as router.use(protect) counts
+// for every route registered after it.
+
+// Express 4 keeps mount paths only as regexps, e.g. /^\/auth\/?(?=\/|$)/i -> "/auth"
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) return '';
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\\//g, '/');
+};
+
+const hasPolicy = (handles) => handles.some((handle) => Boolean(handle.accessPolicy));
+
+const collectRoutes = (router, prefix, inheritedPolicy, routes) => {
+  let guarded = inheritedPolicy;
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const handles = layer.route.stack.map((routeLayer) => routeLayer.handle);
+      const methods = Object.keys(layer.route.methods).map((method) => method.toUpperCase());
+      routes.push({
+        path: `${prefix}${layer.route.path}`,
+        methods,
+        guarded: guarded || hasPolicy(handles),
+      });
+    } else if (layer.handle.stack) {
+      collectRoutes(layer.handle, `${prefix}${mountPath(layer)}`, guarded, routes);
+    } else if (layer.handle.accessPolicy) {
+      guarded = true;
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Return "METHOD /path" for every route under the router that declares no access policy
+ */
+export const findRoutesWithoutAccessPolicy = (router, prefix = '') =>
+  collectRoutes(router, prefix, false, [])
+    .filter((route) => !route.guarded)
+    .flatMap((route) => route.methods.map((method) => `${method} ${route.path}`));
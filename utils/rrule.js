@@ -0,0 +1,176 @@
+// Minimal RFC 5545 RRULE support for recurring webinars.
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (e.g. TU,TH or 2TU / -1FR for monthly),
+// BYMONTHDAY, COUNT and UNTIL. Weeks start on Monday.
+
+import { getZonedParts, zonedTimeToUtc } from './timezone.js';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SCAN_DAYS = 366 * 5; // never look further than five years past the start of the requested window
+
+/**
+ * Parse an RRULE string ("RRULE:" prefix optional).
+ * Throws an Error with a readable message when the rule is invalid or unsupported.
+ */
+export const parseRRule = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [] };
+  for (const part of value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+    const val = rawValue.toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(val)) {
+          throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+        }
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(val);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) throw new Error('INTERVAL must be a positive number');
+        break;
+      case 'COUNT':
+        rule.count = Number(val);
+        if (!Number.isInteger(rule.count) || rule.count < 1) throw new Error('COUNT must be a positive number');
+        break;
+      case 'UNTIL': {
+        const match = val.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) throw new Error('UNTIL must look like 20250131 or 20250131T235959Z');
+        const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+        rule.until = new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = val.split(',').map((item) => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) throw new Error(`Invalid BYDAY value "${item}"`);
+          return { weekday: WEEKDAY_CODES.indexOf(match[2]), n: match[1] ? Number(match[1]) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map((item) => {
+          const day = Number(item);
+          if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) throw new Error(`Invalid BYMONTHDAY value "${item}"`);
+          return day;
+        });
+        break;
+      case 'WKST':
+        break; // weeks always start on Monday
+      default:
+        throw new Error(`Unsupported recurrence part ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw new Error('FREQ is required');
+  if (rule.count && rule.until) throw new Error('Use either COUNT or UNTIL, not both');
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some((day) => day.n !== null)) {
+    throw new Error('Numbered BYDAY values (like 2TU) are only allowed with FREQ=MONTHLY');
+  }
+  return rule;
+};
+
+// Calendar-day helpers on UTC midnights (used as plain dates)
+const dayNumber = (y, m, d) => Date.UTC(y, m - 1, d) / DAY_MS;
+const mondayBased = (weekday) => (weekday + 6) % 7;
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+const matchesDay = (rule, start, date) => {
+  const days = date.day - start.dayNum;
+
+  if (rule.freq === 'DAILY') {
+    if (days % rule.interval !== 0) return false;
+    if (rule.byDay.length && !rule.byDay.some((d) => d.weekday === date.weekday)) return false;
+    if (rule.byMonthDay.length && !matchesMonthDay(rule.byMonthDay, date)) return false;
+    return true;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const startWeek = start.dayNum - mondayBased(start.weekday);
+    const week = date.day - mondayBased(date.weekday);
+    if (((week - startWeek) / 7) % rule.interval !== 0) return false;
+    const weekdays = rule.byDay.length ? rule.byDay.map((d) => d.weekday) : [start.weekday];
+    return weekdays.includes(date.weekday);
+  }
+
+  // MONTHLY
+  const months = (date.year - start.year) * 12 + (date.month - start.month);
+  if (months % rule.interval !== 0) return false;
+  if (!rule.byDay.length && !rule.byMonthDay.length) return date.dayOfMonth === start.dayOfMonth;
+  if (rule.byMonthDay.length && !matchesMonthDay(rule.byMonthDay, date)) return false;
+  if (rule.byDay.length) {
+    const length = daysInMonth(date.year, date.month);
+    const nth = Math.floor((date.dayOfMonth - 1) / 7) + 1;
+    const nthFromEnd = -(Math.floor((length - date.dayOfMonth) / 7) + 1);
+    return rule.byDay.some((d) => d.weekday === date.weekday && (d.n === null || d.n === nth || d.n === nthFromEnd));
+  }
+  return true;
+};
+
+const matchesMonthDay = (byMonthDay, date) => {
+  const length = daysInMonth(date.year, date.month);
+  return byMonthDay.some((day) => (day > 0 ? day : length + day + 1) === date.dayOfMonth);
+};
+
+/**
+ * Occurrence start instants of a rule, in order.
+ * The rule starts on `dtstart`, and every occurrence keeps its wall-clock time in `timeZone`
+ * (so a 3pm New York call stays at 3pm across DST changes).
+ * Options: `from`/`to` limit the returned window (COUNT still counts from dtstart), `limit` caps the result.
+ */
+export const expandRRule = (rule, dtstart, timeZone, { from = null, to = null, limit = 500 } = {}) => {
+  const local = getZonedParts(dtstart, timeZone);
+  const start = {
+    year: local.year,
+    month: local.month,
+    dayOfMonth: local.day,
+    weekday: local.weekday,
+    dayNum: dayNumber(local.year, local.month, local.day),
+  };
+
+  // Without COUNT the scan can begin at `from` (matchesDay keeps the rule's period aligned to dtstart);
+  // the day before absorbs time zone differences. COUNT has to be counted from dtstart.
+  let fromDay = start.dayNum;
+  if (from && from > dtstart) {
+    const fromLocal = getZonedParts(from, timeZone);
+    fromDay = dayNumber(fromLocal.year, fromLocal.month, fromLocal.day);
+  }
+  const firstDay = rule.count ? start.dayNum : Math.max(start.dayNum, fromDay - 1);
+  const lastDay = fromDay + MAX_SCAN_DAYS;
+
+  const occurrences = [];
+  let generated = 0;
+  for (let day = firstDay; day <= lastDay; day++) {
+    const calendarDate = new Date(day * DAY_MS);
+    const date = {
+      day,
+      year: calendarDate.getUTCFullYear(),
+      month: calendarDate.getUTCMonth() + 1,
+      dayOfMonth: calendarDate.getUTCDate(),
+      weekday: calendarDate.getUTCDay(),
+    };
+    if (!matchesDay(rule, start, date)) continue;
+
+    const occurrence = zonedTimeToUtc({
+      year: date.year,
+      month: date.month,
+      day: date.dayOfMonth,
+      hour: local.hour,
+      minute: local.minute,
+    }, timeZone);
+
+    if (rule.until && occurrence > rule.until) break;
+    if (to && occurrence > to) break;
+    generated++;
+    if (!from || occurrence >= from) {
+      occurrences.push(occurrence);
+      if (occurrences.length >= limit) break;
+    }
+    if (rule.count && generated >= rule.count) break;
+  }
+  return occurrences;
+};
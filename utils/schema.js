@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+/**
+ * Declarative request body validation.
+ *
+ * A schema maps field names to rules:
+ *   type      'string' | 'number' | 'boolean' | 'date' | 'objectId' | 'array' | 'object'
+ *   required  must be present (not undefined, null or '') unless validating with `partial`
+ *   nullable  null is accepted (and kept) as a value
+ *   enum, maxLength, pattern       strings
+ *   min, max, integer              numbers (numeric strings are converted)
+ *   items                          rule for array elements
+ *   fields                         schema of an object
+ *   custom    (value) => ({ value } | { error }) after the type checks
+ *
+ * Returns { value, errors }: `value` has the cleaned fields (strings trimmed, numbers and dates parsed,
+ * unknown fields dropped); `errors` maps field paths to messages, or is null when the data is valid.
+ */
+export const validateSchema = (data, schema, { partial = false } = {}) => {
+  const errors = {};
+  const value = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const result = validateValue(data?.[field], rule, field, partial, errors);
+    if (result !== undefined) value[field] = result;
+  });
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+const isEmpty = (input) => input === undefined || input === null || input === '';
+
+const validateValue = (input, rule, path, partial, errors) => {
+  if (input === null && rule.nullable) return null;
+  if (isEmpty(input)) {
+    if (rule.required && !partial) errors[path] = `${path} is required`;
+    return undefined;
+  }
+
+  const fail = (message) => {
+    errors[path] = message;
+    return undefined;
+  };
+
+  let output;
+  switch (rule.type) {
+    case 'string': {
+      if (typeof input !== 'string' && typeof input !== 'number') return fail(`${path} must be text`);
+      output = String(input).trim();
+      if (rule.required && !output && !partial) return fail(`${path} is required`);
+      if (rule.maxLength && output.length > rule.maxLength) return fail(`${path} must be at most ${rule.maxLength} characters`);
+      if (rule.enum && !rule.enum.includes(output)) return fail(`${path} must be one of ${rule.enum.join(', ')}`);
+      if (rule.pattern && !rule.pattern.test(output)) return fail(rule.patternMessage || `${path} has an invalid format`);
+      break;
+    }
+    case 'number': {
+      output = typeof input === 'string' && input.trim() !== '' ? Number(input) : input;
+      if (typeof output !== 'number' || !Number.isFinite(output)) return fail(`${path} must be a number`);
+      if (rule.integer && !Number.isInteger(output)) return fail(`${path} must be a whole number`);
+      if (rule.min !== undefined && output < rule.min) return fail(`${path} must be at least ${rule.min}`);
+      if (rule.max !== undefined && output > rule.max) return fail(`${path} must be at most ${rule.max}`);
+      break;
+    }
+    case 'boolean': {
+      if (input === true || input === 'true') output = true;
+      else if (input === false || input === 'false') output = false;
+      else return fail(`${path} must be true or false`);
+      break;
+    }
+    case 'date': {
+      output = new Date(input);
+      if (isNaN(output.getTime())) return fail(`${path} must be a valid date`);
+      break;
+    }
+    case 'objectId': {
+      if (!mongoose.Types.ObjectId.isValid(input)) return fail(`${path} must be a valid ID`);
+      output = String(input);
+      break;
+    }
+    case 'array': {
+      if (!Array.isArray(input)) return fail(`${path} must be a list`);
+      output = rule.items
+        ? input.map((item, index) => validateValue(item, { required: true, ...rule.items }, `${path}[${index}]`, false, errors))
+        : input;
+      break;
+    }
+    case 'object': {
+      if (typeof input !== 'object' || Array.isArray(input)) return fail(`${path} must be an object`);
+      output = {};
+      Object.entries(rule.fields).forEach(([field, fieldRule]) => {
+        const result = validateValue(input[field], fieldRule, `${path}.${field}`, partial, errors);
+        if (result !== undefined) output[field] = result;
+      });
+      break;
+    }
+    default:
+      output = input;
+  }
+
+  if (rule.custom) {
+    const result = rule.custom(output);
+    if (result.error) return fail(result.error);
+    output = result.value;
+  }
+  return output;
+};
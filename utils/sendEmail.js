@@ -1,7 +1,9 @@
 import sgMail from "@sendgrid/mail";
 
 
-const sendEmail = async (to, data, templateId) => {
+// `attachments` (optional): [{ content (base64), filename, type, disposition }]
+// Resolves to true when SendGrid accepted the email; failures are logged, never thrown
+const sendEmail = async (to, data, templateId, attachments) => {
   try {
 
     const msg = {
@@ -10,16 +12,21 @@ const sendEmail = async (to, data, templateId) => {
       from: process.env.SENDGRID_FROM_EMAIL, // must be verified sender
       dynamic_template_data: data
     };
+    if (attachments?.length) {
+      msg.attachments = attachments;
+    }
 
 
-    console.log("Sending email via SendGrid:", msg);
+    console.log("Sending email via SendGrid:", { ...msg, attachments: attachments?.map((a) => a.filename) });
 
     sgMail.setApiKey(process.env.SENDGRID_API_KEY);
     const response = await sgMail.send(msg);
 
     console.log("Email sent via SendGrid:", response[0].statusCode);
+    return true;
   } catch (error) {
     console.error("Email sending failed (SendGrid):", error.response?.body || error);
+    return false;
   }
 };
 
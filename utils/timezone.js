@@ -0,0 +1,70 @@
+// IANA timezone helpers built on Intl (no date library needed)
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone: { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const getOffset = (timestamp, timeZone) => {
+  const p = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * The instant at which the wall clock in `timeZone` shows the given local time.
+ * Times skipped by a DST change resolve to the instant just after the gap.
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstTry = guess - getOffset(guess, timeZone);
+  const secondTry = guess - getOffset(firstTry, timeZone);
+  const parts = getZonedParts(new Date(secondTry), timeZone);
+  return new Date(parts.hour === hour && parts.minute === minute ? secondTry : Math.max(firstTry, secondTry));
+};
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+
+// TOTP (RFC 6238) on top of HOTP (RFC 4226), HMAC-SHA1, 6 digits, 30 second steps.
+// Every function that depends on time takes an optional `now` (ms) so it can run against a fake clock.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  digits: 6,
+  period: 30,
+  window: 1, // accept one step before/after to absorb clock drift
+};
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded (what authenticator apps expect)
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const generateHotp = (secret, counter, digits = TOTP_DEFAULTS.digits) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const getTimeStep = (now = Date.now(), period = TOTP_DEFAULTS.period) =>
+  Math.floor(now / 1000 / period);
+
+export const generateTotp = (secret, { now = Date.now(), period = TOTP_DEFAULTS.period, digits = TOTP_DEFAULTS.digits } = {}) =>
+  generateHotp(secret, getTimeStep(now, period), digits);
+
+/**
+ * Check a code against the steps around `now`.
+ * Returns the matching time step, or null when the code is wrong.
+ */
+export const verifyTotp = (secret, code, {
+  now = Date.now(),
+  period = TOTP_DEFAULTS.period,
+  digits = TOTP_DEFAULTS.digits,
+  window = TOTP_DEFAULTS.window,
+} = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== digits) return null;
+
+  const currentStep = getTimeStep(now, period);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (step < 0) continue;
+    const expected = generateHotp(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for QR codes (Google Authenticator key URI format)
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.period),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -1,24 +1,28 @@
 import crypto from 'crypto';
+import ViewAsCode from '../models/ViewAsCode.js';
 
 const VIEW_AS_CODE_TTL_MS = 5 * 60 * 1000; // 5 minutes to use the link
 
-const store = new Map(); // code -> { userId, expiresAt }
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
 
-export function createViewAsCode(userId) {
+export async function createViewAsCode(userId, impersonatorId) {
   const code = crypto.randomBytes(24).toString('hex');
-  const expiresAt = Date.now() + VIEW_AS_CODE_TTL_MS;
-  store.set(code, { userId: userId.toString(), expiresAt });
+  await ViewAsCode.create({
+    codeHash: hashCode(code),
+    user: userId,
+    impersonator: impersonatorId,
+    expiresAt: new Date(Date.now() + VIEW_AS_CODE_TTL_MS),
+  });
   return code;
 }
 
-export function consumeViewAsCode(code) {
+// Single use: the code is deleted atomically when exchanged
+export async function consumeViewAsCode(code) {
   if (!code || typeof code !== 'string') return null;
-  const entry = store.get(code);
+  const entry = await ViewAsCode.findOneAndDelete({
+    codeHash: hashCode(code),
+    expiresAt: { $gt: new Date() },
+  }).lean();
   if (!entry) return null;
-  if (Date.now() > entry.expiresAt) {
-    store.delete(code);
-    return null;
-  }
-  store.delete(code);
-  return entry.userId;
+  return { userId: entry.user.toString(), impersonatorId: entry.impersonator.toString() };
 }
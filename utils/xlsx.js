@@ -0,0 +1,37 @@
+import ExcelJS from 'exceljs';
+
+// Single-sheet XLSX workbooks for admin exports
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+/**
+ * Build an XLSX workbook with one sheet. Resolves to a Buffer.
+ * `columns` is a list of { header, value: (row) => any } (same shape as toCsv); Dates become date cells.
+ */
+export const toXlsx = async (columns, rows, { sheetName = 'Sheet1' } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  sheet.columns = columns.map((column) => ({ header: column.header, width: Math.max(12, column.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    // Missing values stay empty cells; strings are written as text, never as formulas
+    const added = sheet.addRow(columns.map((column) => column.value(row) ?? null));
+    added.eachCell((cell) => {
+      if (cell.value instanceof Date) cell.numFmt = DATE_FORMAT;
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Send an XLSX workbook as a file download
+ */
+export const sendXlsx = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(buffer);
+};